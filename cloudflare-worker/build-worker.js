@@ -4,8 +4,11 @@
  * Build Cloudflare Worker
  * 
  * This script:
- * 1. Reads the catalog.json and filter-options.json
- * 2. Embeds them into the worker template
+ * 1. Reads the catalog.json, filter-options.json, hentai-blacklist.json and
+ *    nsfw-allowlist.json
+ * 2. Embeds them, the shared catalog core (src/core/catalog.js), the search index
+ *    (src/core/searchIndex.js) and the content policy (src/core/contentPolicy.js)
+ *    into the worker template
  * 3. Outputs the final worker.js ready for deployment
  * 
  * Usage: node build-worker.js
@@ -21,6 +24,11 @@ const TEMPLATE_PATH = path.join(WORKER_DIR, 'worker.template.js');
 const OUTPUT_PATH = path.join(WORKER_DIR, 'worker.js');
 const CATALOG_PATH = path.join(DATA_DIR, 'catalog.json');
 const FILTER_OPTIONS_PATH = path.join(DATA_DIR, 'filter-options.json');
+const CONTENT_BLACKLIST_PATH = path.join(DATA_DIR, 'hentai-blacklist.json');
+const CONTENT_ALLOWLIST_PATH = path.join(DATA_DIR, 'nsfw-allowlist.json');
+const CORE_LIBRARY_PATH = path.join(__dirname, '..', 'src', 'core', 'catalog.js');
+const SEARCH_LIBRARY_PATH = path.join(__dirname, '..', 'src', 'core', 'searchIndex.js');
+const POLICY_LIBRARY_PATH = path.join(__dirname, '..', 'src', 'core', 'contentPolicy.js');
 
 console.log('='.repeat(50));
 console.log('Building Cloudflare Worker');
@@ -31,9 +39,17 @@ console.log('\nLoading data files...');
 
 const catalogData = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
 const filterOptions = JSON.parse(fs.readFileSync(FILTER_OPTIONS_PATH, 'utf8'));
+const contentBlacklist = fs.existsSync(CONTENT_BLACKLIST_PATH)
+  ? JSON.parse(fs.readFileSync(CONTENT_BLACKLIST_PATH, 'utf8'))
+  : null;
+const contentAllowlist = fs.existsSync(CONTENT_ALLOWLIST_PATH)
+  ? JSON.parse(fs.readFileSync(CONTENT_ALLOWLIST_PATH, 'utf8'))
+  : null;
 
 console.log(`  Catalog: ${catalogData.catalog.length} anime`);
 console.log(`  Filter options loaded`);
+console.log(`  Content blacklist: ${contentBlacklist ? contentBlacklist.entries.length : 0} entries`);
+console.log(`  Content allowlist: ${contentAllowlist ? contentAllowlist.entries.length : 0} entries`);
 
 // Load template
 console.log('\nLoading worker template...');
@@ -50,6 +66,19 @@ template = template.replace('__CATALOG_DATA__', catalogJson);
 const filterJson = JSON.stringify(filterOptions);
 template = template.replace('__FILTER_OPTIONS__', filterJson);
 
+// Embed content blacklist (null falls back to the policy's built-in ID lists)
+template = template.replace('__CONTENT_BLACKLIST__', () => JSON.stringify(contentBlacklist));
+template = template.replace('__CONTENT_ALLOWLIST__', () => JSON.stringify(contentAllowlist));
+
+// Inline the shared core modules as IIFEs so the template gets their module.exports
+function inlineModule(modulePath) {
+  const source = fs.readFileSync(modulePath, 'utf8');
+  return `(() => {\nconst module = { exports: {} };\n${source}\nreturn module.exports;\n})()`;
+}
+template = template.replace('__CORE_LIBRARY__', () => inlineModule(CORE_LIBRARY_PATH));
+template = template.replace('__SEARCH_LIBRARY__', () => inlineModule(SEARCH_LIBRARY_PATH));
+template = template.replace('__POLICY_LIBRARY__', () => inlineModule(POLICY_LIBRARY_PATH));
+
 // Write output
 fs.writeFileSync(OUTPUT_PATH, template);
 
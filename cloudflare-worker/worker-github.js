@@ -5,6 +5,33 @@
  * No embedded data - stays under Cloudflare's 1MB limit easily.
  */
 
+import {
+  getCurrentSeason,
+  isUpcomingSeason,
+  isSeriesType,
+  isMovieType,
+  isHiddenDuplicate,
+  isNonAnime,
+  shouldExcludeFromCatalog,
+  NON_ANIME_BLACKLIST,
+  METADATA_OVERRIDES,
+  decodeHtmlEntities,
+  formatAnimeMeta,
+  searchDatabase,
+  handleTopRated,
+  handleSeasonReleases,
+  handleAiring,
+  handleMovies,
+  parseCatalogFilters,
+  applyCatalogFilters,
+  SORT_OPTIONS,
+  parseSortOption,
+  sortCatalog
+} from '../src/core/catalog.js';
+import { createEpisodeMapper } from '../src/core/episodeMapping.js';
+import { createSearchIndex } from '../src/core/searchIndex.js';
+import { createContentPolicy, parseContentLevel, DEFAULT_CONTENT_LEVEL } from '../src/core/contentPolicy.js';
+
 // ===== CONFIGURATION =====
 const GITHUB_RAW_BASE = 'https://raw.githubusercontent.com/Zen0-99/animestream-addon/master/data';
 const CACHE_TTL = 21600; // 6 hours cache for GitHub data (catalog is static, rarely updates)
@@ -2089,259 +2116,6 @@ function stripHtml(html) {
   return html.replace(/<[^>]*>/g, '').trim();
 }
 
-/**
- * Convert Stremio season:episode to AllAnime absolute episode number
- * 
- * Cinemeta/IMDB splits long-running anime into seasons based on arcs,
- * but AllAnime uses continuous episode numbering (e.g., One Piece has 1150+ episodes as season 1)
- * 
- * This mapping converts Stremio's S22E68 format to AllAnime's absolute E1153 format
- */
-const EPISODE_SEASON_MAPPINGS = {
-  // ===========================================
-  // ONE PIECE (tt0388629) - 1150+ episodes
-  // VERIFIED mapping from Cinemeta seasons to AllAnime absolute episodes
-  // S21E1 = "The Land of Wano!" = Episode 892
-  // S22E1 = "A New Emperor! Buggy" = Episode 1086
-  // ===========================================
-  'tt0388629': {
-    seasons: [
-      { season: 1, start: 1, end: 8 },         // Romance Dawn
-      { season: 2, start: 9, end: 30 },        // Orange Town/Syrup Village
-      { season: 3, start: 31, end: 47 },       // Baratie/Arlong Park
-      { season: 4, start: 48, end: 60 },       // Arlong Park cont./Loguetown
-      { season: 5, start: 61, end: 69 },       // Reverse Mountain/Whisky Peak
-      { season: 6, start: 70, end: 91 },       // Little Garden/Drum Island
-      { season: 7, start: 92, end: 130 },      // Alabasta
-      { season: 8, start: 131, end: 143 },     // Post-Alabasta
-      { season: 9, start: 144, end: 195 },     // Skypiea
-      { season: 10, start: 196, end: 226 },    // Long Ring Long Land/G-8
-      { season: 11, start: 227, end: 325 },    // Water 7/Enies Lobby
-      { season: 12, start: 326, end: 381 },    // Thriller Bark
-      { season: 13, start: 382, end: 481 },    // Sabaody/Impel Down
-      { season: 14, start: 482, end: 516 },    // Marineford
-      { season: 15, start: 517, end: 578 },    // Post-War
-      { season: 16, start: 579, end: 627 },    // Fishman Island
-      { season: 17, start: 628, end: 745 },    // Punk Hazard/Dressrosa
-      { season: 18, start: 746, end: 778 },    // Zou
-      { season: 19, start: 779, end: 877 },    // Whole Cake Island
-      { season: 20, start: 878, end: 891 },    // Reverie
-      { season: 21, start: 892, end: 1085 },   // Wano Country (VERIFIED: S21E1 = Ep 892)
-      { season: 22, start: 1086, end: 1155 },  // Egghead (VERIFIED: S22E1 = Ep 1086)
-      { season: 23, start: 1156, end: 9999 },  // Current arc (ongoing)
-    ],
-    totalSeasons: 23
-  },
-
-  // ===========================================
-  // DRAGON BALL Z (tt0214341) - 291 episodes
-  // Cinemeta: S1:39, S2:35, S3:33, S4:32, S5:26, S6:29, S7:25, S8:34, S9:38
-  // ===========================================
-  'tt0214341': {
-    seasons: [
-      { season: 1, start: 1, end: 39 },      // Saiyan Saga
-      { season: 2, start: 40, end: 74 },     // Namek Saga
-      { season: 3, start: 75, end: 107 },    // Captain Ginyu Saga
-      { season: 4, start: 108, end: 139 },   // Frieza Saga
-      { season: 5, start: 140, end: 165 },   // Garlic Jr. Saga
-      { season: 6, start: 166, end: 194 },   // Trunks/Android Saga
-      { season: 7, start: 195, end: 219 },   // Imperfect Cell Saga
-      { season: 8, start: 220, end: 253 },   // Cell Games Saga
-      { season: 9, start: 254, end: 291 },   // Buu Saga
-    ],
-    totalSeasons: 9
-  },
-
-  // ===========================================
-  // NARUTO (tt0409591) - 220 episodes
-  // Cinemeta: S1:35, S2:48, S3:48, S4:48, S5:41
-  // ===========================================
-  'tt0409591': {
-    seasons: [
-      { season: 1, start: 1, end: 35 },      // Land of Waves/Chunin Exam
-      { season: 2, start: 36, end: 83 },     // Chunin Exam Finals
-      { season: 3, start: 84, end: 131 },    // Tsunade Search/Sasuke Retrieval
-      { season: 4, start: 132, end: 179 },   // Filler arcs
-      { season: 5, start: 180, end: 220 },   // Filler arcs/Final
-    ],
-    totalSeasons: 5
-  },
-
-  // ===========================================
-  // NARUTO SHIPPUDEN (tt0988824) - 500 episodes
-  // Cinemeta uses 22 seasons with varying episode counts
-  // ===========================================
-  'tt0988824': {
-    seasons: [
-      { season: 1, start: 1, end: 32 },
-      { season: 2, start: 33, end: 53 },
-      { season: 3, start: 54, end: 71 },
-      { season: 4, start: 72, end: 88 },
-      { season: 5, start: 89, end: 112 },
-      { season: 6, start: 113, end: 143 },
-      { season: 7, start: 144, end: 151 },
-      { season: 8, start: 152, end: 175 },
-      { season: 9, start: 176, end: 196 },
-      { season: 10, start: 197, end: 222 },
-      { season: 11, start: 223, end: 242 },
-      { season: 12, start: 243, end: 260 },
-      { season: 13, start: 261, end: 295 },
-      { season: 14, start: 296, end: 320 },
-      { season: 15, start: 321, end: 348 },
-      { season: 16, start: 349, end: 361 },
-      { season: 17, start: 362, end: 393 },
-      { season: 18, start: 394, end: 413 },
-      { season: 19, start: 414, end: 431 },
-      { season: 20, start: 432, end: 450 },
-      { season: 21, start: 451, end: 458 },
-      { season: 22, start: 459, end: 500 },
-    ],
-    totalSeasons: 22
-  },
-
-  // ===========================================
-  // BLEACH (tt0434665) - 366 + TYBW episodes
-  // Cinemeta uses 16 seasons for original + TYBW
-  // ===========================================
-  'tt0434665': {
-    seasons: [
-      { season: 1, start: 1, end: 20 },      // Agent of Shinigami
-      { season: 2, start: 21, end: 41 },     // Soul Society: Entry
-      { season: 3, start: 42, end: 63 },     // Soul Society: Rescue
-      { season: 4, start: 64, end: 91 },     // Bount arc (filler)
-      { season: 5, start: 92, end: 109 },    // Assault on Hueco Mundo
-      { season: 6, start: 110, end: 131 },   // Arrancar arc
-      { season: 7, start: 132, end: 151 },   // Arrancar vs Shinigami
-      { season: 8, start: 152, end: 167 },   // Past arc
-      { season: 9, start: 168, end: 189 },   // Hueco Mundo arc
-      { season: 10, start: 190, end: 205 },  // Arrancar Battle
-      { season: 11, start: 206, end: 212 },  // Past arc 2
-      { season: 12, start: 213, end: 229 },  // Fake Karakura Town
-      { season: 13, start: 230, end: 265 },  // Zanpakuto arc (filler)
-      { season: 14, start: 266, end: 316 },  // Arrancar Finale
-      { season: 15, start: 317, end: 342 },  // Gotei 13 Invasion
-      { season: 16, start: 343, end: 366 },  // Fullbring arc
-      // TYBW continues as season 17+ in Cinemeta
-      { season: 17, start: 367, end: 390 },  // Thousand-Year Blood War Part 1
-      { season: 18, start: 391, end: 9999 }, // TYBW continuation
-    ],
-    totalSeasons: 18
-  },
-
-  // ===========================================
-  // FAIRY TAIL (tt1528406) - 328 episodes
-  // Cinemeta: S1:48, S2:48, S3:54, S4:25, S5:51, S6:39, S7:12, S8:51
-  // ===========================================
-  'tt1528406': {
-    seasons: [
-      { season: 1, start: 1, end: 48 },      // Macao/Daybreak/Lullaby
-      { season: 2, start: 49, end: 96 },     // Phantom Lord/Tower of Heaven
-      { season: 3, start: 97, end: 150 },    // Battle of Fairy Tail/Oración Seis
-      { season: 4, start: 151, end: 175 },   // Edolas arc
-      { season: 5, start: 176, end: 226 },   // Tenrou Island/X791
-      { season: 6, start: 227, end: 265 },   // Grand Magic Games
-      { season: 7, start: 266, end: 277 },   // Eclipse/Sun Village
-      { season: 8, start: 278, end: 328 },   // Tartaros/Avatar/Alvarez
-    ],
-    totalSeasons: 8
-  },
-
-  // ===========================================
-  // HUNTER X HUNTER 2011 (tt2098220) - 148 episodes
-  // Cinemeta: S1:58, S2:78, S3:12
-  // ===========================================
-  'tt2098220': {
-    seasons: [
-      { season: 1, start: 1, end: 58 },      // Hunter Exam/Heavens Arena/Yorknew
-      { season: 2, start: 59, end: 136 },    // Greed Island/Chimera Ant
-      { season: 3, start: 137, end: 148 },   // Election arc
-    ],
-    totalSeasons: 3
-  },
-
-  // ===========================================
-  // DRAGON BALL SUPER (tt4644488) - 131 episodes
-  // Cinemeta: S1:14, S2:13, S3:19, S4:30, S5:55
-  // ===========================================
-  'tt4644488': {
-    seasons: [
-      { season: 1, start: 1, end: 14 },      // God of Destruction Beerus
-      { season: 2, start: 15, end: 27 },     // Golden Frieza
-      { season: 3, start: 28, end: 46 },     // Universe 6
-      { season: 4, start: 47, end: 76 },     // Future Trunks
-      { season: 5, start: 77, end: 131 },    // Tournament of Power
-    ],
-    totalSeasons: 5
-  },
-
-  // ===========================================
-  // DETECTIVE CONAN / CASE CLOSED (tt0131179)
-  // 1100+ episodes - Cinemeta uses continuous numbering
-  // ===========================================
-  'tt0131179': {
-    seasons: [
-      { season: 1, start: 1, end: 999999 }  // Treat as continuous
-    ],
-    totalSeasons: 1
-  },
-
-  // ===========================================
-  // BORUTO (tt6342474) - 293 episodes
-  // Cinemeta uses single season
-  // ===========================================
-  'tt6342474': {
-    seasons: [
-      { season: 1, start: 1, end: 293 }
-    ],
-    totalSeasons: 1
-  },
-
-  // ===========================================
-  // GOLDEN KAMUY (tt8225204) - 53 episodes total
-  // S1: 12 eps, S2: 12 eps, S3: 12 eps, S4: 13 eps, S5 (Final): 4 eps
-  // Cinemeta splits into 5 seasons
-  // ===========================================
-  'tt8225204': {
-    seasons: [
-      { season: 1, start: 1, end: 12 },      // Season 1
-      { season: 2, start: 13, end: 24 },     // Season 2
-      { season: 3, start: 25, end: 36 },     // Season 3
-      { season: 4, start: 37, end: 49 },     // Season 4
-      { season: 5, start: 50, end: 53 },     // Final Chapter
-    ],
-    totalSeasons: 5
-  },
-};
-
-function convertToAbsoluteEpisode(imdbId, season, episode) {
-  const mapping = EPISODE_SEASON_MAPPINGS[imdbId];
-  
-  if (!mapping) {
-    // No special mapping needed - return episode as-is
-    // For most anime, Stremio uses season 1 with continuous episodes
-    return episode;
-  }
-  
-  // Find the season mapping
-  const seasonData = mapping.seasons.find(s => s.season === season);
-  
-  if (!seasonData) {
-    console.log(`No season mapping for ${imdbId} S${season}, using episode ${episode} as-is`);
-    return episode;
-  }
-  
-  // Calculate absolute episode: season_start + (episode - 1)
-  const absoluteEpisode = seasonData.start + (episode - 1);
-  
-  // Validate it's within the season range
-  if (absoluteEpisode > seasonData.end) {
-    console.log(`Episode ${episode} exceeds season ${season} range (max: ${seasonData.end - seasonData.start + 1}), capping to ${seasonData.end}`);
-    return seasonData.end;
-  }
-  
-  return absoluteEpisode;
-}
-
 // Check if URL is a direct video stream
 function isDirectStream(url) {
   if (/\.(mp4|m3u8|mkv|webm)(\?|$)/i.test(url)) return true;
@@ -2715,6 +2489,145 @@ async function fetchIdMappings() {
   }
 }
 
+// Episode mappings cache (season <-> absolute episode, built by scripts/build-episode-mappings.js)
+let episodeMapperCache = null;
+let episodeMapperCacheTimestamp = 0;
+
+/**
+ * Fetch episode mappings from GitHub and build the season <-> absolute mapper
+ * Falls back to an empty mapper (episodes pass through unchanged) on failure
+ */
+async function getEpisodeMapper() {
+  const now = Date.now();
+  
+  if (episodeMapperCache && (now - episodeMapperCacheTimestamp) < CACHE_TTL * 1000) {
+    return episodeMapperCache;
+  }
+  
+  try {
+    const response = await fetch(`${GITHUB_RAW_BASE}/episode-mappings.json?v=${CACHE_BUSTER}`, {
+      cf: { cacheTtl: CACHE_TTL, cacheEverything: true }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Failed to fetch episode-mappings: ${response.status}`);
+    }
+    
+    episodeMapperCache = createEpisodeMapper(await response.json());
+    episodeMapperCacheTimestamp = now;
+    
+    console.log(`[getEpisodeMapper] Loaded episode mappings for ${episodeMapperCache.size} shows`);
+    
+    return episodeMapperCache;
+  } catch (error) {
+    console.error('[getEpisodeMapper] Error:', error.message);
+    return episodeMapperCache || createEpisodeMapper(null);
+  }
+}
+
+// Content policy cache (adult content levels, hentai-blacklist.json from scripts/detect-hentai.js
+// and the manual nsfw-allowlist.json)
+let contentPolicyCache = null;
+let contentPolicyCacheTimestamp = 0;
+
+/**
+ * Fetch the generated hentai blacklist and the allowlist from GitHub and build the content policy
+ * Falls back to the built-in ID lists on failure; a missing allowlist allows nothing extra
+ */
+async function getContentPolicy() {
+  const now = Date.now();
+  
+  if (contentPolicyCache && (now - contentPolicyCacheTimestamp) < CACHE_TTL * 1000) {
+    return contentPolicyCache;
+  }
+  
+  try {
+    const [response, allowlistResponse] = await Promise.all(['hentai-blacklist.json', 'nsfw-allowlist.json'].map(file =>
+      fetch(`${GITHUB_RAW_BASE}/${file}?v=${CACHE_BUSTER}`, {
+        cf: { cacheTtl: CACHE_TTL, cacheEverything: true }
+      })
+    ));
+    
+    if (!response.ok) {
+      throw new Error(`Failed to fetch hentai-blacklist: ${response.status}`);
+    }
+    
+    contentPolicyCache = createContentPolicy({
+      blacklist: await response.json(),
+      allowlist: allowlistResponse.ok ? await allowlistResponse.json() : null
+    });
+    contentPolicyCacheTimestamp = now;
+    
+    console.log(`[getContentPolicy] Loaded ${contentPolicyCache.size} blacklisted IDs/names, ${contentPolicyCache.allowed} allowlisted IDs`);
+    
+    return contentPolicyCache;
+  } catch (error) {
+    console.error('[getContentPolicy] Error:', error.message);
+    return contentPolicyCache || createContentPolicy();
+  }
+}
+
+// AllAnime mapping cache (allanime-mappings.json - title -> AllAnime show, see src/utils/allanimeMappings.js)
+let allAnimeMappingsCache = null;
+let allAnimeMappingsCacheTimestamp = 0;
+
+/**
+ * Fetch the AllAnime mapping table from GitHub
+ * Keys are catalog IDs with an optional season (tt5626028:3). Returns {} on failure,
+ * which leaves every title to the search.
+ */
+async function getAllAnimeMappings() {
+  const now = Date.now();
+  
+  if (allAnimeMappingsCache && (now - allAnimeMappingsCacheTimestamp) < CACHE_TTL * 1000) {
+    return allAnimeMappingsCache;
+  }
+  
+  try {
+    const response = await fetch(`${GITHUB_RAW_BASE}/allanime-mappings.json?v=${CACHE_BUSTER}`, {
+      cf: { cacheTtl: CACHE_TTL, cacheEverything: true }
+    });
+    
+    if (!response.ok) {
+      throw new Error(`Failed to fetch allanime-mappings: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    allAnimeMappingsCache = data.mappings || {};
+    allAnimeMappingsCacheTimestamp = now;
+    
+    console.log(`[getAllAnimeMappings] Loaded ${Object.keys(allAnimeMappingsCache).length} mappings`);
+    
+    return allAnimeMappingsCache;
+  } catch (error) {
+    console.error('[getAllAnimeMappings] Error:', error.message);
+    return allAnimeMappingsCache || {};
+  }
+}
+
+// Search index over titles + id-mappings synonyms, rebuilt when the catalog is refetched
+let searchIndexCache = null;
+let searchIndexCatalog = null;
+
+/**
+ * Get the search index for the current catalog (built on first search)
+ */
+async function getSearchIndex(catalog) {
+  if (searchIndexCache && searchIndexCatalog === catalog) {
+    return searchIndexCache;
+  }
+  
+  const mappings = await fetchIdMappings();
+  searchIndexCache = createSearchIndex(catalog, {
+    getSynonyms: anime => mappings[anime.imdb_id || anime.id]?.syn
+  });
+  searchIndexCatalog = catalog;
+  
+  console.log(`[getSearchIndex] Indexed ${searchIndexCache.size} anime (${searchIndexCache.words} words)`);
+  
+  return searchIndexCache;
+}
+
 /**
  * Enrich anime object with IDs from id-mappings.json
  * This adds AniDB ID, synonyms, TVDB season info for accurate torrent searching
@@ -2784,362 +2697,9 @@ async function fetchCatalogData() {
   }
 }
 
-// ===== HELPER FUNCTIONS =====
-
-// Get current anime season based on date
-function getCurrentSeason(date = new Date()) {
-  const month = date.getMonth() + 1; // 1-12
-  const year = date.getFullYear();
-  
-  let season;
-  if (month >= 1 && month <= 3) {
-    season = 'Winter';
-  } else if (month >= 4 && month <= 6) {
-    season = 'Spring';
-  } else if (month >= 7 && month <= 9) {
-    season = 'Summer';
-  } else {
-    season = 'Fall';
-  }
-  
-  return { year, season, display: `${year} - ${season}` };
-}
-
-// Check if a season is in the future
-function isFutureSeason(seasonYear, seasonName, currentSeason) {
-  const seasonOrder = { 'winter': 0, 'spring': 1, 'summer': 2, 'fall': 3 };
-  
-  if (seasonYear > currentSeason.year) return true;
-  if (seasonYear < currentSeason.year) return false;
-  
-  // Same year - compare season order
-  const currentOrder = seasonOrder[currentSeason.season.toLowerCase()];
-  const checkOrder = seasonOrder[seasonName.toLowerCase()];
-  
-  return checkOrder > currentOrder;
-}
-
-// Check if anime belongs to a future season
-function isUpcomingSeason(anime, currentSeason) {
-  if (!anime.year || !anime.season) return false;
-  return isFutureSeason(anime.year, anime.season, currentSeason);
-}
-
-function parseGenreFilter(genre) {
-  if (!genre) return null;
-  return genre.replace(/\s*\(\d+\)$/, '').trim();
-}
-
-function parseWeekdayFilter(weekday) {
-  if (!weekday) return null;
-  return weekday.replace(/\s*\(\d+\)$/, '').trim().toLowerCase();
-}
-
-function parseSeasonFilter(seasonValue) {
-  if (!seasonValue) return null;
-  const cleanValue = seasonValue.replace(/\s*\(\d+\)$/, '').trim();
-  const match = cleanValue.match(/^(\d{4})\s*-\s*(\w+)$/);
-  if (match) {
-    return { year: parseInt(match[1]), season: match[2].toLowerCase() };
-  }
-  return null;
-}
-
-// ===== NSFW CONTENT FILTERING =====
-// Block hentai and adult content from appearing in catalogs
-// These IDs were detected using HentaiStream database matching
-const NSFW_BLOCKLIST = new Set([
-  // Detected via hentai detection script (hentai/borderline content)
-  'tt3140358',  // Nozoki Ana
-  'tt8819706',  // Kagaku na Yatsura
-  'tt0331810',  // 1+2=Paradise
-  'tt0295622',  // My My Mai
-  'tt3396174',  // Magical Kanan
-  'tt6096690',  // Seikimatsu Darling
-  'tt2263353',  // Kakyusei
-  'tt14642362', // Akahori's Heretical Hour
-  'tt3215348',  // Body Jack
-  'tt0251936',  // Pia Carrot
-  'tt13087006', // Bouken Shite mo Ii Koro
-  // MAL IDs from airing hentai
-  'tt5235870','mal-48755','mal-49944','mal-59407','mal-61232','mal-62328','mal-60494','mal-61790',
-  'mal-53204','mal-62315','mal-59185','mal-60553','mal-57044','mal-61599','mal-60784','mal-62689',
-  'mal-62406','mal-55003','mal-62316','mal-62380','mal-61764','mal-32587','mal-58891','mal-59840',
-  'mal-61694','mal-61628','mal-61935','mal-60351','mal-50622','mal-61164','mal-62921','mal-60980',
-  'mal-60720','mal-61538','mal-51088','mal-62578','mal-61788','mal-38817','mal-61936','mal-60470',
-  'mal-61353','mal-61583','mal-58890','mal-62339','mal-62369','mal-42141','mal-62353','mal-61165',
-  'mal-61789','mal-62314','mal-59697','mal-60495','mal-62106','mal-61911','mal-63096','mal-62897',
-  'mal-61166','mal-60642','mal-58122','mal-62537','mal-59173','mal-60857','mal-61539','mal-59404',
-  'mal-58123','mal-60044','mal-56154','mal-61937','mal-48392','mal-60147'
-]);
-
-// NSFW genres that should trigger filtering
-const NSFW_GENRES = new Set(['hentai', 'erotica', 'adult', '18+', 'r-18', 'r18', 'xxx', 'smut']);
-
-// Check if anime should be filtered as NSFW
-function isNSFWContent(anime) {
-  // Check blocklist
-  if (NSFW_BLOCKLIST.has(anime.id)) return true;
-  
-  // Check genres
-  if (anime.genres) {
-    for (const genre of anime.genres) {
-      if (NSFW_GENRES.has(genre.toLowerCase())) return true;
-    }
-  }
-  
-  return false;
-}
-
-function isSeriesType(anime) {
-  if (anime.subtype === 'movie') return false;
-  let runtime = anime.runtime;
-  if (typeof runtime === 'string') {
-    const match = runtime.match(/(\d+)/);
-    runtime = match ? parseInt(match[1]) : 0;
-  }
-  if (anime.subtype === 'special' && runtime >= 100) return false;
-  return true;
-}
-
-// Filter out entries that are separate seasons of shows already covered by a main entry
-// These have IMDB IDs that cover all seasons, so we don't need separate catalog entries
-// NOTE: Only hide entries whose main series is ONGOING. If main is FINISHED but this season is ONGOING,
-// keep this entry visible so it appears in "Currently Airing"
-const HIDDEN_DUPLICATE_ENTRIES = new Set([
-  // Standalone season entries that should be hidden in favor of parent series
-  // These are separate catalog entries for seasons that are already covered by the main entry
-  'tt36956670',   // JJK: Hidden Inventory/Premature Death (S2 - covered by tt12343534)
-  'tt14331144',   // JJK 0 movie (covered by tt12343534 as a prequel movie)
-  'mal-57658',    // JJK: The Culling Game Part 1 (S3 - covered by tt12343534)
-  'mal-59978',    // Frieren 2nd Season (covered by tt22248376)
-  // Add more as needed
-]);
-
-// Map standalone season entries to their parent series ID
-// When a season is ONGOING, the parent series should appear in Currently Airing
-const SEASON_TO_PARENT_MAP = {
-  'mal-57658': 'tt12343534',    // JJK: The Culling Game Part 1 → Jujutsu Kaisen
-  'tt36956670': 'tt12343534',   // JJK: Hidden Inventory → Jujutsu Kaisen
-  'tt14331144': 'tt12343534',   // JJK 0 → Jujutsu Kaisen
-  'mal-59978': 'tt22248376',    // Frieren 2nd Season → Frieren: Beyond Journey's End
-  // Add more mappings as needed
-};
-
-// Reverse map: parent ID → list of season IDs (for stream checking)
-const PARENT_TO_SEASONS_MAP = {
-  'tt12343534': ['mal-57658', 'tt36956670', 'tt14331144'],  // JJK seasons
-  'tt22248376': ['mal-59978'],  // Frieren seasons
-  // Add more mappings as needed
-};
-
-// Map parent ID → which season number is currently airing
-// Only this season will be streamable, older seasons redirect to Torrentio
-const PARENT_ONGOING_SEASON = {
-  'tt12343534': 3,  // JJK Season 3 (The Culling Game) is currently airing
-  'tt22248376': 2,  // Frieren Season 2 is currently airing
-  // Add more as needed
-};
-
-// Get all parent IDs that have an ongoing season
-function getParentsWithOngoingSeasons(catalogData) {
-  const ongoingParents = new Set();
-  for (const anime of catalogData) {
-    if (anime.status === 'ONGOING') {
-      const parentId = SEASON_TO_PARENT_MAP[anime.id];
-      if (parentId) {
-        ongoingParents.add(parentId);
-      }
-    }
-  }
-  return ongoingParents;
-}
-
-// Check if a parent series has any ongoing season in the catalog
-function parentHasOngoingSeason(parentId, catalogData) {
-  const seasonIds = PARENT_TO_SEASONS_MAP[parentId];
-  if (!seasonIds) return false;
-  
-  for (const seasonId of seasonIds) {
-    const season = catalogData.find(a => a.id === seasonId);
-    if (season && season.status === 'ONGOING') {
-      return true;
-    }
-  }
-  return false;
-}
-
-// Get the currently airing season number for a parent series
-function getOngoingSeasonNumber(parentId) {
-  return PARENT_ONGOING_SEASON[parentId] || null;
-}
-
-// Non-anime entries to filter from catalogs
-// These are Western animation, anime-inspired content, donghua (Chinese), or fan animations
-const NON_ANIME_BLACKLIST = new Set([
-  // Western Animation
-  'tt15248880', // Adventure Time: Fionna & Cake
-  'tt1305826',  // Adventure Time
-  'tt4501334',  // Adventure Time (duplicate)
-  'tt11165358', // Adventure Time: Distant Lands
-  'tt5161450',  // Adventure Time: The Wand
-  'tt0373732',  // The Boondocks
-  'tt0278238',  // Samurai Jack
-  'tt11126994', // Arcane
-  'tt8050756',  // The Owl House
-  'tt12895414', // The SpongeBob SquarePants Anime
-  'tt29661543', // #holoEN3DRepeat
-  'tt9362722',  // Spider-Man: Across the Spider-Verse
-  'tt4633694',  // Spider-Man: Into The Spider-Verse
-  'tt16360004', // Spider-Man: Beyond the Spider-Verse
-  'tt14205554', // K-POP DEMON HUNTERS (Netflix)
-  'tt0417299',  // Avatar: The Legend So Far
-  'tt3975938',  // The Legend of Korra Book 2
-  'tt13660822', // Avatar: Super Deformed Shorts
-  'tt16026746', // X-Men '97
-  'tt14069590', // DOTA: Dragon's Blood (Studio Mir)
-  'tt12605636', // Onyx Equinox (Crunchyroll Studios)
-  'tt8170404',  // Ballmastrz (Adult Swim)
-  'tt0127379',  // Johnny Cypher in Dimension Zero
-  'tt12588448', // Larva Island (Korean CGI)
-  'tt0934701',  // Ni Hao, Kai-Lan (Nickelodeon)
-  'tt10428604', // Magic: The Gathering (Netflix)
-  'tt0423746',  // Super Robot Monkey Team (Disney)
-  'tt2080922',  // Oscar's Oasis (French CGI)
-  'tt0077687',  // The Hobbit 1977 (Rankin/Bass)
-  'tt4499280',  // Solo: A Star Wars Story
-  'tt32915621', // Valoran Town (LoL, Chinese)
-  'tt28786861', // Justice League x RWBY Part 2 (DC/Rooster Teeth)
-  'tt4717402',  // MFKZ (French production)
-  'tt0343314',  // Teen Titans (US, Warner Bros. Animation)
-  'tt2218106',  // Teen Titans Go! (US, Warner Bros. Animation)
-  'tt2098999',  // Amphibia (Disney)
-  'mal-45749',  // Amphibia Season Three (Disney)
-  'tt6517102',  // Castlevania (Netflix, US production)
-  'tt14833612', // Castlevania: Nocturne (Netflix, US)
-  'tt11680642', // Pantheon (AMC, US production)
-  'tt21056886', // Scavengers Reign (Max, US production)
-  'tt9288848',  // Pacific Rim: The Black (Netflix, Polygon Pictures but US IP)
-  
-  // Avatar: The Last Airbender (US production, Nickelodeon)
-  'mal-7926',   // Avatar: The Last Airbender Book 3: Fire
-  'mal-7937',   // Avatar: The Last Airbender Book 2: Earth
-  'mal-7936',   // Avatar: The Last Airbender Book 1: Water
-  'mal-11839',  // Avatar: The Legend So Far
-  'mal-11842',  // Avatar Pilot
-  
-  // Legend of Korra (US production, Nickelodeon)
-  'mal-7927',   // The Legend of Korra Book 1: Air
-  'mal-7938',   // The Legend of Korra Book 2: Spirits
-  'mal-8077',   // The Legend of Korra Book 3: Change
-  'mal-8706',   // The Legend of Korra Book 4: Balance
-  'mal-11565',  // The Re-telling of Korra's Journey
-  
-  // DOTA: Dragon's Blood (Studio Mir, Korean/US)
-  'mal-44413',  // DOTA: Dragon's Blood Book II
-  'mal-46257',  // DOTA: Dragon's Blood: Book III
-  
-  // RWBY (Rooster Teeth, US production)
-  'tt3066242',  // RWBY
-  'tt21198914', // RWBY (duplicate IMDB)
-  'tt35253928', // RWBY II World of Remnant
-  'tt5660680',  // RWBY: Chibi
-  'tt19389868', // RWBY: Ice Queendom
-  'tt28695882', // RWBY Volume 9: Beyond
-  'mal-11013',  // RWBY Prologue Trailers
-  'mal-12629',  // RWBY IV Character Short
-  'mal-8707',   // RWBY II World of Remnant
-  'mal-13649',  // RWBY V: Character Shorts
-  'mal-11439',  // RWBY III World of Remnant
-  'mal-13248',  // RWBY Chibi 2
-  'mal-12669',  // RWBY IV World of Remnant
-  'mal-14240',  // RWBY Chibi 3
-  'mal-41936',  // RWBY VI: Character Short
-  'mal-12674',  // RWBY: The Story So Far
-  'mal-47335',  // RWBY Vol. X
-  'tt24548912', // Justice League x RWBY Part 1
-  'mal-48814',  // RWBY Volume 9: Bonus Ending Animatic
-  'mal-48799',  // RWBY Volume 9: Beyond
-  
-  // Adventure Time (Cartoon Network, US)
-  'mal-13768',  // Adventure Time Season 8
-  'mal-41118',  // Adventure Time Season 10
-  'mal-13766',  // Adventure Time Season 6
-  'mal-13767',  // Adventure Time Season 7
-  'mal-13770',  // Adventure Time: Graybles Allsorts
-  'mal-13771',  // Adventure Time Short: Frog Seasons
-  
-  // Steven Universe (Cartoon Network, US)
-  'mal-11215',  // Steven Universe Season 2 Specials
-  'mal-11100',  // Steven Universe Pilot
-  'mal-13424',  // Steven Universe Season 4 Specials
-  
-  // Star vs. the Forces of Evil (Disney, US)
-  'tt2758770',  // Star vs. the Forces of Evil
-  'mal-13533',  // Star vs. The Forces of Evil: The Battle for Mewni
-  
-  // Teen Titans (US, Warner Bros.)
-  'mal-11483',  // Teen Titans: The Lost Episode
-  'tt10548944', // Teen Titans Go! vs. Teen Titans
-  
-  // Voltron (US production)
-  'tt1669774',  // Voltron Force
-  'tt0164303',  // Voltron: The Third Dimension
-  
-  // The Dragon Prince (US, Wonderstorm)
-  'tt8688814',  // The Dragon Prince
-  
-  // Gen:Lock (Rooster Teeth, US)
-  'mal-42560',  // Gen:Lock Character Reveal Teasers
-  
-  // Gravity Falls (Disney, US)
-  'mal-47514',  // Gravity Falls Pilot
-  
-  // Amphibia (Disney, US)
-  'mal-45754',  // Disney Theme Song Takeover-Amphibia
-  'tt20190086', // Amphibia Chibi Tiny Tales
-  
-  // Donghua (Chinese Animation) - not Japanese anime
-  'tt11755260', // The Daily Life of the Immortal King
-  'tt14986786', // Perfect World
-  'tt15788086', // Stellar Transformation
-  'tt19902148', // Throne of Seal
-  'tt27517921', // Against the Gods
-  'tt27432264', // Renegade Immortal
-  'tt30629237', // Wan Jie Qi Yuan
-  'tt37578217', // Ling Cage
-  'tt32801071', // Perfect World Movie
-  'tt20603126', // Thousands of worlds
-  'tt33968201', // Spring and Autumn
-  'tt15832382', // Hong Ling Jin Xia
-  'tt28863606', // God of Ten Thousand Realms
-  'tt6859260',  // The King's Avatar
-]);
-
-// Manual poster overrides for anime with broken/missing metahub posters
-// These are typically new/upcoming anime that Metahub doesn't have yet
-// V5 cleanup: Removed items NOT IN CATALOG or with good Fribb/IMDB matches
-const POSTER_OVERRIDES = {
-  // === NEW/UPCOMING ANIME (Metahub doesn't have posters yet) ===
-  'tt38268282': 'https://media.kitsu.app/anime/49847/poster_image/large-f9a0fe19d2d2647e295046f779bc2e97.jpeg', // Steel Ball Run: JoJo's Bizarre Adventure
-  'tt36294552': 'https://media.kitsu.app/anime/47243/poster_image/large-5f135e0ade6ef5b784e4ddf0342c3330.jpeg', // Trigun Stargaze
-  'tt37532731': 'https://media.kitsu.app/anime/49372/poster_image/large-13c34534bcbb483eff2e4bd8c6124430.jpeg', // You and I are Polar Opposites
-  'tt36592708': 'https://media.kitsu.app/anime/48198/poster_image/large-b8e67c6a35c2a5e94b5c0b82e0f5a3c7.jpeg', // There's No Freaking Way I'll be Your Lover!
-  
-  // === LEGACY POSTER OVERRIDES ===
-  'tt38691315': 'https://media.kitsu.app/anime/50202/poster_image/large-b0a51e52146b1d81d8d0924b5a8bbe82.jpeg', // Style of Hiroshi Nohara Lunch - imdb_v5_medium
-  'tt12787182': 'https://media.kitsu.app/anime/poster_images/43256/large.jpg', // Fushigi Dagashiya: Zenitendou
-  'tt1978960': 'https://media.kitsu.app/anime/poster_images/5007/large.jpg', // Knyacki!
-  'tt37776400': 'https://media.kitsu.app/anime/50096/poster_image/large-9ca5e6ff11832a8bf554697c1f183dbf.jpeg', // Dungeons & Television
-  'tt37509404': 'https://media.kitsu.app/anime/49961/poster_image/large-3f376bc5492dd5de03c4d13295604f95.jpeg', // Gekkan! Nanmono Anime
-  'tt39281420': 'https://media.kitsu.app/anime/50253/poster_image/large-5c560f04c35705e046a945dfc5c5227f.jpeg', // Koala's Diary
-  'tt36270770': 'https://media.kitsu.app/anime/46581/poster_image/large-eb771819d7a6a152d1925f297bcf1928.jpeg', // ROAD OF NARUTO
-  'tt27551813': 'https://cdn.myanimelist.net/images/anime/1921/135489l.jpg', // Idol (fribb_kitsu but MAL poster better)
-  'tt39287518': 'https://media.kitsu.app/anime/49998/poster_image/large-16edb06a60a6644010b55d4df6a2012a.jpeg', // Kaguya-sama Stairway
-  'tt37196939': 'https://media.kitsu.app/anime/49966/poster_image/large-420c08752313cc1ad419f79aa4621a8d.jpeg', // Wash it All Away
-  'tt39050141': 'https://media.kitsu.app/anime/50371/poster_image/large-e9aaad3342085603c1e3d2667a5954ab.jpeg', // Love Through A Prism
-  'tt32482998': 'https://media.kitsu.app/anime/50431/poster_image/large-22e1364623ae07665ab286bdbad6d02c.jpeg', // Duel Masters LOST
-};
+// ===== CATALOG CORE =====
+// Season helpers, content filters, formatAnimeMeta, searchDatabase and the catalog
+// handlers live in src/core/catalog.js (shared with the Express server).
 
 // MAL Season-to-Parent mapping: Manual fallback for edge cases
 // Auto-detection via AniList relations API is tried first (see findParentMalId)
@@ -3223,633 +2783,6 @@ const MAL_SEASON_TO_PARENT = {
   54797: 16498,   // Final Season THE FINAL CHAPTERS
 };
 
-// Manual metadata overrides for anime with incomplete catalog data
-// V5 cleanup: Removed items NOT IN CATALOG, kept items that still need enhancements
-// Items with fribb_kitsu/imdb_v5_high matches may still need background/cast overrides
-const METADATA_OVERRIDES = {
-  'tt12343534': { // Jujutsu Kaisen - catalog has ONA metadata (Kitsu 43748) instead of TV series (Kitsu 42765)
-    runtime: '24 min',
-    episodes: 24,
-    episodeCount: 24,
-    subtype: 'TV'
-  },
-  'tt38691315': { // Style of Hiroshi Nohara Lunch - imdb_v5_medium
-    runtime: '24 min',
-    rating: 6.4,
-    genres: ['Animation', 'Comedy']
-  },
-  'tt38037498': { // There was a Cute Girl in the Hero's Party - imdb_v5_medium
-    rating: 7.6,
-    genres: ['Animation', 'Action', 'Adventure', 'Fantasy']
-  },
-  'tt38798044': { // The Case Book of Arne - fribb_kitsu
-    rating: 6.5,
-    genres: ['Animation', 'Mystery']
-  },
-  'tt12787182': { // Fushigi Dagashiya - imdb_v5_high
-    runtime: '10 min',
-    rating: 6.15,
-    genres: ["Mystery"],
-    background: 'https://cdn.myanimelist.net/images/anime/1602/150098l.jpg',
-    cast: ["Iketani, Nobue","Katayama, Fukujuurou","Hasegawa, Ikumi"],
-  },
-  'tt38652044': { // Isekai no Sata - fribb_kitsu
-    runtime: '23 min',
-    rating: 5.48,
-    genres: ["Action","Adventure","Fantasy","Isekai"],
-    background: 'https://cdn.myanimelist.net/images/anime/1282/102248l.jpg',
-    cast: ["Takahashi, Rie","Amasaki, Kouhei","Kubo, Yurika","Mizumori, Chiko","Mano, Ayumi"],
-  },
-  'tt38646949': { // Majutsushi Kunon - fribb_kitsu
-    rating: 6.7,
-    genres: ["Fantasy"],
-    background: 'https://cdn.myanimelist.net/images/anime/1704/154459l.jpg',
-    cast: ["Hayami, Saori","Uchida, Maaya","Inomata, Satoshi","Shimazaki, Nobunaga","Okamura, Haruka"],
-  },
-  'tt37776400': { // Dungeons & Television - imdb_v5_medium
-    rating: 6.64,
-    genres: ["Adventure","Fantasy"],
-    background: 'https://cdn.myanimelist.net/images/anime/1874/151419l.jpg',
-    cast: ["Haneta, Chika","Matsuzaki, Nana","Ishiguro, Chihiro","Okada, Yuuki"],
-  },
-  'tt37509404': { // Gekkan! Nanmono Anime - imdb_v5_medium
-    genres: ["Slice of Life","Anthropomorphic"],
-    background: 'https://cdn.myanimelist.net/images/anime/1581/150017l.jpg',
-    cast: ["Hikasa, Youko","Izawa, Shiori","Kitou, Akari","Shiraishi, Haruka","Ootani, Ikue"],
-  },
-  'tt39281420': { // Koala Enikki - imdb_v5_medium
-    rating: 6.31,
-    genres: ["Slice of Life","Anthropomorphic"],
-    background: 'https://cdn.myanimelist.net/images/anime/1987/152302l.jpg',
-    cast: ["Uchida, Aya"],
-  },
-  'tt1978960': { // Knyacki! - imdb_v5_high
-    background: 'https://cdn.myanimelist.net/images/anime/2/55107l.jpg',
-  },
-  'tt34852231': { // Gnosia - fribb_kitsu
-    runtime: '25 min',
-    cast: ["Hasegawa, Ikumi","Anzai, Chika","Nakamura, Yuuichi","Sakura, Ayane","Seto, Asami"],
-  },
-  'tt32832424': { // Haigakura - fribb_kitsu
-    runtime: '23 min',
-    rating: 5.91,
-  },
-  'tt38980285': { // Darwin Jihen - fribb_kitsu
-    runtime: '24 min',
-    rating: 6.75,
-  },
-  'tt32336365': { // Ikoku Nikki - fribb_kitsu
-    runtime: '23 min',
-    rating: 7.97,
-  },
-  'tt38646611': { // Hanazakari no Kimitachi e - fribb_kitsu
-    runtime: '4 min',
-  },
-  'tt38978132': { // Kizoku Tensei - fribb_kitsu
-    rating: 6.43,
-    cast: ["Nanami, Karin","Tachibana, Azusa","Sumi, Tomomi Jiena","Yusa, Kouji","Kawanishi, Kengo"],
-  },
-  'tt27517921': { // Nitian Xie Shen - imdb_v5_medium
-    rating: 7.81,
-  },
-  'tt38980445': { // Mayonaka Heart Tune - fribb_kitsu
-    runtime: '23 min',
-    rating: 7.26,
-  },
-  'tt27432264': { // Xian Ni - imdb_v5_high
-    rating: 8.44,
-  },
-  'tt34710525': { // Cat's Eye (2025) - fribb_kitsu
-    runtime: '25 min',
-    rating: 7.22,
-  },
-  'tt27865962': { // Beyblade X - fribb_kitsu
-    runtime: '23 min',
-    rating: 6.8,
-  },
-  'tt37196939': { // Kirei ni Shitemoraemasu ka - fribb_kitsu
-    runtime: '23 min',
-    rating: 6.96,
-  },
-  'tt38969275': { // Maou no Musume - fribb_kitsu
-    runtime: '23 min',
-    rating: 7.24,
-  },
-  'tt38037470': { // SI-VIS - fribb_kitsu
-    runtime: '23 min',
-    rating: 5.98,
-  },
-  'tt31608637': { // Xianwu Dizun - imdb_v5_medium
-    rating: 7.24,
-  },
-  'tt33309549': { // Shibou Yuugi - fribb_kitsu
-    runtime: '26 min',
-    rating: 7.88,
-  },
-  'tt38253018': { // Osananajimi to wa - fribb_kitsu
-    runtime: '25 min',
-    rating: 7.35,
-  },
-  'tt37137805': { // Champignon no Majo - fribb_kitsu
-    runtime: '24 min',
-    rating: 7.31,
-  },
-  'tt38128737': { // Ganglion - fribb_kitsu
-    runtime: '3 min',
-    rating: 6.06,
-  },
-  'tt34623148': { // Kagaku×Bouken Survival! - imdb_v5_medium
-    description: 'The series follows children in various adventurous situations while weaving information about science into the story.',
-  },
-  'tt33349897': { // Kono Kaisha ni Suki - fribb_kitsu
-    runtime: '23 min',
-  },
-  'tt28197251': { // Chao Neng Lifang - imdb_v5_high
-    cast: ["Hioka, Natsumi","Yomichi, Yuki","Nanase, Ayaka","Takahashi, Shinya","Yamamoto, Kanehira"],
-  },
-  'tt0306365': { // Nintama Rantarou - fribb_kitsu
-    runtime: '10 min',
-  },
-  'tt0367414': { // Sore Ike! Anpanman - fribb_kitsu
-    runtime: '24 min',
-  },
-  'tt32832433': { // Touhai - fribb_kitsu
-    runtime: '23 min',
-  },
-  'tt38572776': { // Potion, Wagami wo Tasukeru - imdb_v5_high
-    runtime: '13 min',
-  },
-  'tt32535912': { // Watari-kun - fribb_kitsu
-    runtime: '23 min',
-  },
-  'tt35769369': { // Chitose-kun - fribb_kitsu
-    rating: 7.22,
-  },
-  'tt38648925': { // Jack-of-All-Trades - imdb_v5_high
-    rating: 6.1,
-  },
-  'tt37499375': { // Digimon Beatbreak - fribb_kitsu
-    rating: 7.05,
-  },
-  'tt28022382': { // Douluo Dalu 2 - imdb_v5_high
-    rating: 7.94,
-  },
-  'tt17163876': { // Ninjala - fribb_kitsu
-    rating: 5.75,
-  },
-  'tt15816496': { // Ni Tian Zhizun - imdb_v5_high
-    rating: 7.28,
-  },
-  'tt35346388': { // #Compass 2.0 - fribb_kitsu
-    rating: 5.86,
-  },
-  'tt38976904': { // Goumon Baito-kun - fribb_kitsu
-    rating: 6.35,
-  },
-  'tt34715295': { // Tono to Inu - fribb_kitsu
-    rating: 6.68,
-  },
-  'tt36632066': { // Odayaka Kizoku - fribb_kitsu
-    rating: 6.75,
-  },
-  'tt33501934': { // Mushen Ji - imdb_v5_high
-    rating: 8.24,
-  },
-  'tt36270770': { // ROAD OF NARUTO - imdb_v5_high
-    genres: ['Action', 'Fantasy', 'Martial Arts'],
-    cast: ['Sugiyama, Noriaki', 'Takeuchi, Junko'],
-  },
-  'tt27551813': { // Idol - fribb_kitsu
-    genres: ['School', 'Music', 'Slice of Life', 'Comedy', 'Sci-Fi', 'Mecha'],
-  },
-  'tt21030032': { // Oshi no Ko
-    runtime: '30 min',
-  },
-  // Removed (NOT IN CATALOG after v5):
-  // tt37578217 (Ling Cage), tt35348212 (Kaijuu Sekai Seifuku), tt37836273 (Shuukan Ranobe),
-  // tt26443616, tt37364267, tt37894464, tt32158870, tt13352178, tt37532599, tt12826684,
-  // tt0283783, tt26997679, tt37815384, tt34852961, tt27617390, tt36270200, tt37536527,
-  // tt34382834, tt32649136, tt36534643, tt13544716, tt38647635
-};
-
-function isHiddenDuplicate(anime) {
-  return HIDDEN_DUPLICATE_ENTRIES.has(anime.id);
-}
-
-function isNonAnime(anime) {
-  const id = anime.id || anime.imdb_id;
-  return NON_ANIME_BLACKLIST.has(id);
-}
-
-// Filter out "deleted" placeholder entries from Kitsu
-function isDeletedEntry(anime) {
-  const name = (anime.name || '').toLowerCase().trim();
-  // Match "delete", "deleted", "deleteg", "deleteasv", etc.
-  return /^delete/i.test(name);
-}
-
-// Filter out recap episodes - these are summary/compilation episodes, not proper anime
-function isRecap(anime) {
-  const name = (anime.name || '').toLowerCase();
-  // Check for recap patterns in name
-  if (/\brecaps?\b/i.test(name)) return true;
-  // Also filter "digest" episodes (Japanese term for recaps)
-  if (/\bdigest\b/i.test(name) && anime.subtype === 'special') return true;
-  return false;
-}
-
-// Filter out music videos from main catalogs (keep in search)
-// Exception: Keep notable music video anime like Interstella5555, Shelter
-const NOTABLE_MUSIC_ANIME = new Set([
-  'tt0368667',  // Interstella5555
-  'tt6443118',  // Shelter
-  'tt1827378',  // Black★Rock Shooter (original MV that spawned anime)
-  'mal-937',    // On Your Mark (Ghibli)
-  'tt27551813', // Idol
-]);
-
-function isMusicVideo(anime) {
-  if (anime.subtype !== 'music') return false;
-  // Keep notable music anime
-  if (NOTABLE_MUSIC_ANIME.has(anime.id)) return false;
-  return true;
-}
-
-// Fix HTML entities in descriptions
-function decodeHtmlEntities(str) {
-  if (!str) return str;
-  return str
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&apos;/g, "'")
-    .replace(/&#x2014;/g, '—')
-    .replace(/&#x2013;/g, '–')
-    .replace(/&#x27;/g, "'")
-    .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec))
-    .replace(/&#x([0-9a-fA-F]+);/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
-}
-
-// Filter out OVA entries - these are often incomplete/broken in streaming
-// Keep only: TV series, movies, ONA (web series), and specials
-// Notable OVAs that should be kept (popular standalone OVAs with high ratings)
-const NOTABLE_OVA = new Set([
-  'tt0495212',  // Hellsing Ultimate
-  'tt0279077',  // FLCL
-  'tt0096633',  // Legend of the Galactic Heroes
-  'tt0248119',  // JoJo's Bizarre Adventure (1993)
-  'tt1992386',  // Black Lagoon: Roberta's Blood Trail
-  'tt4483100',  // Kidou Senshi Gundam: The Origin
-  'tt2496120',  // Space Battleship Yamato
-  'tt0315008',  // Shonan Junai Gumi!
-]);
-
-function isOVA(anime) {
-  if (anime.subtype !== 'OVA') return false;
-  // Keep notable OVAs
-  if (NOTABLE_OVA.has(anime.id)) return false;
-  return true;
-}
-
-// Combined filter for catalog exclusions
-function shouldExcludeFromCatalog(anime) {
-  if (isHiddenDuplicate(anime)) return true;
-  if (isNonAnime(anime)) return true;
-  if (isRecap(anime)) return true;
-  if (isMusicVideo(anime)) return true;
-  if (isDeletedEntry(anime)) return true;
-  if (isOVA(anime)) return true;  // Filter out OVAs
-  if (isNSFWContent(anime)) return true;  // Filter out hentai/adult content
-  return false;
-}
-
-function isMovieType(anime) {
-  if (anime.subtype === 'movie') return true;
-  let runtime = anime.runtime;
-  if (typeof runtime === 'string') {
-    const match = runtime.match(/(\d+)/);
-    runtime = match ? parseInt(match[1]) : 0;
-  }
-  if (anime.subtype === 'special' && runtime >= 100) return true;
-  return false;
-}
-
-// ===== FORMAT FUNCTIONS =====
-
-function formatAnimeMeta(anime) {
-  const formatted = { ...anime };
-  
-  // Apply metadata overrides first
-  if (METADATA_OVERRIDES[anime.id]) {
-    const overrides = METADATA_OVERRIDES[anime.id];
-    Object.assign(formatted, overrides);
-  }
-  
-  formatted.type = anime.subtype === 'movie' ? 'movie' : 'series';
-  
-  if (formatted.rating !== null && formatted.rating !== undefined && !isNaN(formatted.rating)) {
-    formatted.imdbRating = formatted.rating.toFixed(1);
-  }
-  
-  if (formatted.year) {
-    formatted.releaseInfo = formatted.year.toString();
-  }
-  
-  // Decode HTML entities in description (fixes &apos;, &#x2014;, etc.)
-  if (formatted.description) {
-    formatted.description = decodeHtmlEntities(formatted.description);
-    if (formatted.description.length > 200) {
-      formatted.description = formatted.description.substring(0, 200) + '...';
-    }
-  }
-  
-  // Poster priority:
-  // 1) Manual override (for specific broken posters via POSTER_OVERRIDES)
-  // 2) Metahub for any anime with IMDB ID (has nice title overlay like Cinemeta)
-  // 3) Fallback to catalog poster (Kitsu) for non-IMDB content
-  if (POSTER_OVERRIDES[anime.id]) {
-    formatted.poster = POSTER_OVERRIDES[anime.id];
-  } else if (anime.id && anime.id.startsWith('tt')) {
-    // Use Metahub for all IMDB content - has title overlays like Cinemeta
-    formatted.poster = `https://images.metahub.space/poster/medium/${anime.id}/img`;
-  }
-  // If no IMDB ID, keep the catalog poster (Kitsu)
-  
-  return formatted;
-}
-
-// ===== SEARCH FUNCTION =====
-
-function searchDatabase(catalogData, query, targetType = null) {
-  if (!query || query.length < 2) return [];
-  
-  const normalizedQuery = query.toLowerCase().trim();
-  const queryWords = normalizedQuery.split(/\s+/).filter(w => w.length > 1);
-  
-  const scored = [];
-  
-  for (const anime of catalogData) {
-    // In search, allow recaps and music videos (just exclude blacklisted non-anime)
-    if (isHiddenDuplicate(anime)) continue;
-    if (isNonAnime(anime)) continue;
-    if (targetType === 'series' && !isSeriesType(anime)) continue;
-    if (targetType === 'movie' && !isMovieType(anime)) continue;
-    
-    const name = (anime.name || '').toLowerCase();
-    const description = (anime.description || '').toLowerCase();
-    const genres = (anime.genres || []).map(g => g.toLowerCase());
-    const studios = (anime.studios || []).map(s => s.toLowerCase());
-    
-    let score = 0;
-    
-    if (name === normalizedQuery) {
-      score += 1000;
-    } else if (name.startsWith(normalizedQuery)) {
-      score += 500;
-    } else if (name.includes(normalizedQuery)) {
-      score += 200;
-    }
-    
-    for (const word of queryWords) {
-      if (name.includes(word)) score += 50;
-    }
-    
-    for (const word of queryWords) {
-      if (genres.some(g => g.includes(word))) score += 30;
-      if (studios.some(s => s.includes(word))) score += 30;
-    }
-    
-    if (description.includes(normalizedQuery)) score += 20;
-    
-    if (score > 0) {
-      score += (anime.rating || 0) / 10;
-      scored.push({ anime, score });
-    }
-  }
-  
-  scored.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    return (b.anime.rating || 0) - (a.anime.rating || 0);
-  });
-  
-  return scored.map(s => s.anime);
-}
-
-// ===== CATALOG HANDLERS =====
-
-function handleTopRated(catalogData, genreFilter, config) {
-  let filtered = catalogData.filter(anime => isSeriesType(anime) && !shouldExcludeFromCatalog(anime));
-  
-  if (genreFilter) {
-    const genre = parseGenreFilter(genreFilter);
-    filtered = filtered.filter(anime => 
-      anime.genres && anime.genres.some(g => 
-        g.toLowerCase() === genre.toLowerCase()
-      )
-    );
-  }
-  
-  filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-  return filtered;
-}
-
-function handleSeasonReleases(catalogData, seasonFilter) {
-  let filtered = catalogData.filter(anime => isSeriesType(anime) && !shouldExcludeFromCatalog(anime));
-  
-  const currentSeason = getCurrentSeason();
-  
-  if (seasonFilter) {
-    const cleanFilter = seasonFilter.replace(/\s*\(\d+\)$/, '').trim();
-    
-    // Handle "Upcoming" filter - all future seasons
-    if (cleanFilter.toLowerCase() === 'upcoming') {
-      filtered = filtered.filter(anime => {
-        if (!anime.year || !anime.season) return false;
-        return isUpcomingSeason(anime, currentSeason);
-      });
-    } else {
-      // Handle specific season filter (e.g., "2026 - Winter")
-      const parsed = parseSeasonFilter(seasonFilter);
-      if (parsed) {
-        filtered = filtered.filter(anime => {
-          if (!anime.year) return false;
-          if (anime.year !== parsed.year) return false;
-          // Also check season matches if we have that data
-          if (anime.season && parsed.season) {
-            return anime.season.toLowerCase() === parsed.season.toLowerCase();
-          }
-          return true;
-        });
-      }
-    }
-  } else {
-    // No filter - show current season by default
-    filtered = filtered.filter(anime => {
-      if (!anime.year || !anime.season) return false;
-      return anime.year === currentSeason.year && 
-             anime.season.toLowerCase() === currentSeason.season.toLowerCase();
-    });
-  }
-  
-  // Sort by rating, with newer anime prioritized
-  filtered.sort((a, b) => {
-    // First by year (newer first)
-    if ((b.year || 0) !== (a.year || 0)) return (b.year || 0) - (a.year || 0);
-    // Then by rating
-    return (b.rating || 0) - (a.rating || 0);
-  });
-  return filtered;
-}
-
-/**
- * Handle the "Currently Airing" catalog
- * Uses pre-scraped broadcastDay data from catalog.json (updated via incremental-update.js)
- * @param {Array} catalogData - Full catalog data
- * @param {string} genreFilter - Optional weekday filter (e.g., "Monday", "Friday")
- * @param {Object} config - User configuration
- * @returns {Array} Filtered and sorted anime list
- */
-function handleAiring(catalogData, genreFilter, config) {
-  // Debug: Check if MAL-only anime exist in catalog
-  const malOnlyIds = ['mal-59978', 'mal-53876', 'mal-62804'];
-  malOnlyIds.forEach(id => {
-    const anime = catalogData.find(a => a.id === id);
-    if (anime) {
-      console.log(`[handleAiring DEBUG] ${id} exists in catalog: ${anime.name}, status=${anime.status}, broadcastDay=${anime.broadcastDay}`);
-    } else {
-      console.log(`[handleAiring DEBUG] ${id} NOT FOUND in catalog`);
-    }
-  });
-  
-  // Get parent series that have ongoing seasons (e.g., JJK main entry when S3 is airing)
-  const parentsWithOngoingSeasons = getParentsWithOngoingSeasons(catalogData);
-  
-  // Build a map of parent ID → ongoing season's broadcast day
-  // This allows us to show the correct broadcast day for parent series
-  const parentBroadcastDays = {};
-  for (const anime of catalogData) {
-    if (anime.status === 'ONGOING') {
-      const parentId = SEASON_TO_PARENT_MAP[anime.id];
-      if (parentId && anime.broadcastDay) {
-        parentBroadcastDays[parentId] = anime.broadcastDay;
-      }
-    }
-  }
-  
-  // Debug: Count before filtering
-  const ongoingCount = catalogData.filter(a => a.status === 'ONGOING').length;
-  const ongoingFriday = catalogData.filter(a => a.status === 'ONGOING' && a.broadcastDay === 'Friday');
-  console.log(`[handleAiring] Total ONGOING: ${ongoingCount}, ONGOING Friday: ${ongoingFriday.length}`);
-  ongoingFriday.forEach(a => {
-    const seriesType = isSeriesType(a);
-    const excluded = shouldExcludeFromCatalog(a);
-    console.log(`[handleAiring] ${a.name} (${a.id}): isSeriesType=${seriesType}, shouldExclude=${excluded}`);
-  });
-  
-  // Include anime that are either:
-  // 1. Directly marked as ONGOING in our catalog
-  // 2. Parent series that have an ongoing season (even if parent is marked FINISHED)
-  let filtered = catalogData.filter(anime => {
-    if (!isSeriesType(anime) || shouldExcludeFromCatalog(anime)) {
-      // Debug: Log rejection reasons for MAL anime
-      if (anime.id && anime.id.startsWith('mal-')) {
-        console.log(`[handleAiring REJECTED] ${anime.id}: isSeriesType=${isSeriesType(anime)}, shouldExclude=${shouldExcludeFromCatalog(anime)}`);
-      }
-      return false;
-    }
-    // Include if directly ONGOING or parent with ongoing season
-    const isOngoing = anime.status === 'ONGOING' || parentsWithOngoingSeasons.has(anime.id);
-    return isOngoing;
-  });
-  
-  console.log(`[handleAiring] After initial filter: ${filtered.length} anime`);
-  
-  // For anime, enhance broadcast day information for parent series
-  filtered = filtered.map(anime => {
-    // Inherit broadcast day from ongoing season for parent series
-    if (parentsWithOngoingSeasons.has(anime.id) && parentBroadcastDays[anime.id] && !anime.broadcastDay) {
-      return { ...anime, broadcastDay: parentBroadcastDays[anime.id] };
-    }
-    return anime;
-  });
-  
-  // Apply exclude long-running filter ONLY if explicitly enabled
-  // By default, long-running anime like Detective Conan ARE included
-  if (config.excludeLongRunning === true) {
-    const currentYear = new Date().getFullYear();
-    filtered = filtered.filter(anime => {
-      const year = anime.year || currentYear;
-      const episodeCount = anime.episodes || null;
-      
-      // If anime started more than 10 years ago and we don't have episode data,
-      // assume it's long-running (safer to exclude than include)
-      if (year < currentYear - 10 && episodeCount === null) {
-        return false;
-      }
-      
-      // If we have episode data, use it
-      if (episodeCount !== null) {
-        return episodeCount < 100;
-      }
-      
-      // For recent anime without episode data, include them
-      return true;
-    });
-    console.log(`[handleAiring] After excludeLongRunning filter: ${filtered.length} anime`);
-  }
-  
-  // Filter by weekday if specified
-  if (genreFilter) {
-    const weekday = parseWeekdayFilter(genreFilter);
-    if (weekday) {
-      const beforeCount = filtered.length;
-      filtered = filtered.filter(anime => 
-        anime.broadcastDay && anime.broadcastDay.toLowerCase() === weekday
-      );
-      console.log(`[handleAiring] After weekday filter (${weekday}): ${filtered.length} anime (from ${beforeCount})`);
-      filtered.forEach(a => console.log(`[handleAiring] Final: ${a.name} (${a.id})`));
-    }
-  }
-  
-  filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-  return filtered;
-}
-
-function handleMovies(catalogData, genreFilter) {
-  let filtered = catalogData.filter(anime => isMovieType(anime) && !shouldExcludeFromCatalog(anime));
-  
-  if (genreFilter) {
-    const cleanFilter = parseGenreFilter(genreFilter);
-    
-    if (cleanFilter === 'Upcoming') {
-      filtered = filtered.filter(anime => anime.status !== 'FINISHED');
-      filtered.sort((a, b) => (b.year || 0) - (a.year || 0));
-    } else if (cleanFilter === 'New Releases') {
-      const currentYear = new Date().getFullYear();
-      filtered = filtered.filter(anime => 
-        anime.year >= currentYear - 1 && anime.status === 'FINISHED'
-      );
-      filtered.sort((a, b) => {
-        if (a.year !== b.year) return (b.year || 0) - (a.year || 0);
-        return (b.rating || 0) - (a.rating || 0);
-      });
-    } else {
-      filtered = filtered.filter(anime => 
-        anime.genres && anime.genres.some(g => 
-          g.toLowerCase() === cleanFilter.toLowerCase()
-        )
-      );
-      filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-    }
-  } else {
-    filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-  }
-  
-  return filtered;
-}
-
 /**
  * Handle AniList user list catalog
  * Fetches user's anime list from AniList and matches to local catalog
@@ -4294,6 +3227,9 @@ function getManifest(filterOptions, showCounts = true, catalogData = null, selec
     ];
   }
 
+  // Every catalog takes a sort; without one it keeps its own order (or the user's default)
+  const sortExtra = { name: 'sort', options: Object.values(SORT_OPTIONS), isRequired: false };
+
   // Build catalog list, filtering out hidden catalogs
   const allCatalogs = [
     {
@@ -4303,6 +3239,7 @@ function getManifest(filterOptions, showCounts = true, catalogData = null, selec
       key: 'top',
       extra: [
         { name: 'genre', options: genreOptions, isRequired: false },
+        sortExtra,
         { name: 'skip', isRequired: false }
       ]
     },
@@ -4313,6 +3250,7 @@ function getManifest(filterOptions, showCounts = true, catalogData = null, selec
       key: 'season',
       extra: [
         { name: 'genre', options: seasonOptions, isRequired: false },
+        sortExtra,
         { name: 'skip', isRequired: false }
       ]
     },
@@ -4323,6 +3261,7 @@ function getManifest(filterOptions, showCounts = true, catalogData = null, selec
       key: 'airing',
       extra: [
         { name: 'genre', options: weekdayOptions, isRequired: false },
+        sortExtra,
         { name: 'skip', isRequired: false }
       ]
     },
@@ -4333,6 +3272,7 @@ function getManifest(filterOptions, showCounts = true, catalogData = null, selec
       key: 'movies',
       extra: [
         { name: 'genre', options: movieOptions, isRequired: false },
+        sortExtra,
         { name: 'skip', isRequired: false }
       ]
     }
@@ -4353,7 +3293,7 @@ function getManifest(filterOptions, showCounts = true, catalogData = null, selec
         type: 'anime',
         name: 'AniList: ' + listName,
         key: catalogKey,
-        extra: [{ name: 'skip', isRequired: false }]
+        extra: [sortExtra, { name: 'skip', isRequired: false }]
       });
     } else if (catalogKey.startsWith('mal_')) {
       const listName = catalogKey.slice(4).replace(/_/g, ' ');
@@ -4362,7 +3302,7 @@ function getManifest(filterOptions, showCounts = true, catalogData = null, selec
         type: 'anime',
         name: 'MAL: ' + listName,
         key: catalogKey,
-        extra: [{ name: 'skip', isRequired: false }]
+        extra: [sortExtra, { name: 'skip', isRequired: false }]
       });
     }
   }
@@ -4378,6 +3318,7 @@ function getManifest(filterOptions, showCounts = true, catalogData = null, selec
       name: 'Anime Series',
       extra: [
         { name: 'search', isRequired: true },
+        sortExtra,
         { name: 'skip' }
       ]
     },
@@ -4387,6 +3328,7 @@ function getManifest(filterOptions, showCounts = true, catalogData = null, selec
       name: 'Anime Movies',
       extra: [
         { name: 'search', isRequired: true },
+        sortExtra,
         { name: 'skip' }
       ]
     }
@@ -4460,7 +3402,9 @@ function parseConfig(configStr) {
     preferRaw: false,
     subtitleLanguages: ['en', 'ja'],
     subdlApiKey: '',
-    torrentPrefs: [] // e.g. ['q_1080', 'q_720', 'a_sub', 'n_3']
+    torrentPrefs: [], // e.g. ['q_1080', 'q_720', 'a_sub', 'n_3']
+    defaultSort: '', // Browse catalog order when no sort extra is picked ('' = each catalog's own)
+    contentLevel: DEFAULT_CONTENT_LEVEL // Adult content level (strict, default, ecchi)
   };
   
   // Early return for empty/null/undefined
@@ -4601,6 +3545,14 @@ function parseConfig(configStr) {
     if (key === 'dk' && value && !config.debridApiKey) {
       config.debridApiKey = decodeURIComponent(value);
     }
+    // Default sort for browse catalogs (rating, popularity, newest, oldest, title, episodes, trending)
+    if (key === 'sort' && value) {
+      config.defaultSort = parseSortOption(value) || '';
+    }
+    // Adult content level (strict, default, ecchi)
+    if (key === 'nsfw' && value) {
+      config.contentLevel = parseContentLevel(decodeURIComponent(value)) || DEFAULT_CONTENT_LEVEL;
+    }
   }
   
     return config;
@@ -4621,7 +3573,9 @@ function parseConfig(configStr) {
       preferRaw: false,
       subtitleLanguages: ['en', 'ja'],
       subdlApiKey: '',
-      torrentPrefs: []
+      torrentPrefs: [],
+      defaultSort: '',
+      contentLevel: DEFAULT_CONTENT_LEVEL
     };
   }
 }
@@ -4676,15 +3630,22 @@ function findAnimeById(catalog, id) {
   
   // For MAL IDs (mal-12345), check mal_id field
   if (id.startsWith('mal-')) {
-    const malId = id.replace('mal-', '');
+    const malId = parseInt(id.replace('mal-', ''));
     anime = catalog.find(a => a.mal_id === malId || a.id === id);
     if (anime) return anime;
   }
   
-  // For Kitsu IDs (kitsu:12345), check kitsu_id field  
+  // For Kitsu IDs (kitsu:12345[:episode]), check kitsu_id field (numeric in the catalog)
   if (id.startsWith('kitsu:')) {
-    const kitsuId = id.replace('kitsu:', '');
-    anime = catalog.find(a => a.kitsu_id === kitsuId || a.id === id);
+    const kitsuId = parseInt(id.split(':')[1]);
+    anime = catalog.find(a => a.kitsu_id === kitsuId);
+    if (anime) return anime;
+  }
+  
+  // For MAL IDs in Stremio form (mal:12345[:episode])
+  if (id.startsWith('mal:')) {
+    const malId = parseInt(id.split(':')[1]);
+    anime = catalog.find(a => a.mal_id === malId);
     if (anime) return anime;
   }
   
@@ -4696,37 +3657,6 @@ function findAnimeByImdbId(catalog, imdbId) {
   return findAnimeById(catalog, imdbId);
 }
 
-// Direct AllAnime show ID mappings for popular series
-// Maps: IMDB ID + season -> AllAnime show ID
-// This bypasses search entirely for known popular series
-const DIRECT_ALLANIME_IDS = {
-  // My Hero Academia seasons (tt5626028)
-  'tt5626028:1': 'gKwRaeqdMMkgmCLZw', // MHA Season 1 (13 eps)
-  'tt5626028:2': 'JYfouPvxtkY5923Me', // MHA Season 2 (25 eps) - "Hero Academia 2"
-  'tt5626028:3': '9ufLY3tw89ppeMhSK', // MHA Season 3 (25 eps) - "Hero Academia 3"
-  'tt5626028:4': 'f2EZhiqts8FwRYi8E', // MHA Season 4 (25 eps) - "Hero Academia S4"
-  'tt5626028:5': '8XhppLabWy7vJ8v76', // MHA Season 5 (25 eps) - "Boku no Academia S 5"
-  'tt5626028:6': 'Yr7ha4n76ofd7BeSX', // MHA Season 6 (25 eps)
-  'tt5626028:7': 'cskJzx6rseAgcGcAe', // MHA Season 7 (21 eps)
-  
-  // Solo Leveling (tt21209876)
-  'tt21209876:1': 'B6AMhLy6EQHDgYgBF', // Solo Leveling Season 1 (Ore dake Level Up na Ken)
-  'tt21209876:2': '9NdrgcZjsp7HEJ5oK', // Solo Leveling Season 2 (Arise from the Shadow)
-  
-  // Demon Slayer: Kimetsu no Yaiba (tt9335498)
-  'tt9335498:1': 'gvwLtiYciaenJRoFy', // Kimetsu no Yaiba Season 1 (26 eps) - MAL:38000
-  'tt9335498:2': 'ECmu5W4MPnKNFXqPZ', // Mugen Train Arc (7 eps) - MAL:49926
-  'tt9335498:3': 'SJms742bSTrcyJZay', // Yuukaku-hen / Entertainment District Arc (11 eps) - MAL:47778
-  'tt9335498:4': 'XJzfDyv8vsXWCMkTk', // Katanakaji no Sato-hen / Swordsmith Village (11 eps) - MAL:51019
-  'tt9335498:5': 'ubGJNAmJmdKSjNBSX', // Hashira Geiko-hen / Hashira Training (8 eps) - MAL:55701
-  
-  // Jujutsu Kaisen (tt12343534)
-  'tt12343534:1': '8Ti9Lnd3gW7TgeCXj', // Jujutsu Kaisen Season 1 (24 eps) - MAL:40748
-  
-  // Note: Attack on Titan Season 1 (tt2560140:1) is NOT available on AllAnime search
-  // Season 2+ are available but S1 is missing from their index
-};
-
 // Title aliases for anime with different names across sources
 // Maps: our catalog name -> AllAnime search terms (used as fallback)
 const TITLE_ALIASES = {
@@ -4845,12 +3775,13 @@ async function findAllAnimeShow(title, malId = null, aniListId = null) {
 async function findAllAnimeShowForSeason(title, season, imdbId = null, malId = null, aniListId = null) {
   if (!title) return null;
   
-  // FIRST: Check direct AllAnime ID mappings (most reliable)
+  // FIRST: Check the per-season AllAnime mappings (seeded and pinned in allanime-mappings.json)
   if (imdbId) {
     const directKey = `${imdbId}:${season}`;
-    if (DIRECT_ALLANIME_IDS[directKey]) {
-      console.log(`Using direct AllAnime ID for ${directKey}: ${DIRECT_ALLANIME_IDS[directKey]}`);
-      return DIRECT_ALLANIME_IDS[directKey];
+    const mappings = await getAllAnimeMappings();
+    if (mappings[directKey]) {
+      console.log(`Using mapped AllAnime ID for ${directKey}: ${mappings[directKey].showId} (${mappings[directKey].source})`);
+      return mappings[directKey].showId;
     }
   }
   
@@ -4942,7 +3873,7 @@ function getOrdinalSuffix(n) {
 
 // Handle meta requests - provide episode data from AllAnime
 // Also enriches metadata from AllAnime when Cinemeta data is poor
-async function handleMeta(catalog, type, id) {
+async function handleMeta(catalog, type, id, config = {}) {
   // Decode URL-encoded ID
   const decodedId = decodeURIComponent(id);
   const baseId = decodedId.split(':')[0];
@@ -4970,6 +3901,13 @@ async function handleMeta(catalog, type, id) {
     return { meta: null };
   }
   
+  // Titles the user's content level hides (nsfw=) get no meta
+  const contentPolicy = await getContentPolicy();
+  if (!contentPolicy.allows(anime, config.contentLevel)) {
+    console.log(`Meta hidden by content policy (${config.contentLevel}): ${baseId}`);
+    return { meta: null };
+  }
+  
   // Apply metadata overrides FIRST before any enrichment checks
   const hasOverride = !!METADATA_OVERRIDES[baseId];
   const overrides = hasOverride ? METADATA_OVERRIDES[baseId] : {};
@@ -8105,6 +7043,13 @@ async function handleStream(catalog, type, id, config = {}, requestUrl = null) {
   let totalSeasonEpisodes = null; // Will be set after finding the show on AllAnime
   let availableEpisodes = null; // Actual released episodes, not planned
   
+  // Titles the user's content level hides (nsfw=) get no streams
+  const contentPolicy = await getContentPolicy();
+  if (!contentPolicy.allows(anime || { id: baseId }, config.contentLevel)) {
+    console.log(`Stream hidden by content policy (${config.contentLevel}): ${baseId}`);
+    return { streams: [] };
+  }
+  
   // Early check before expensive AllAnime lookups - don't pass episode count yet
   const earlyCheck = shouldServeAllAnimeStream(anime, episode, season, catalog, null, null);
   if (!earlyCheck.allowed) {
@@ -8243,7 +7188,12 @@ async function handleStream(catalog, type, id, config = {}, requestUrl = null) {
   
   // Convert Stremio season:episode to absolute episode number for long-running shows
   // Cinemeta splits long anime into seasons but AllAnime uses absolute episode numbers
-  const absoluteEpisode = convertToAbsoluteEpisode(baseId, season, episode);
+  const episodeMapper = await getEpisodeMapper();
+  const absoluteEpisode = episodeMapper.toAbsolute(baseId, season, episode);
+  if (absoluteEpisode === null) {
+    console.log(`Episode mapping: S${season}E${episode} is outside the verified season ranges for ${anime?.name || baseId}`);
+    return { streams: [] };
+  }
   if (absoluteEpisode !== episode) {
     console.log(`Episode mapping: S${season}E${episode} → absolute E${absoluteEpisode} for ${anime?.name || baseId}`);
   }
@@ -8722,7 +7672,14 @@ export default {
         else if (id === 'anime-series-search') targetType = 'series';
         // anime-search searches all types
         
-        const results = searchDatabase(catalog, extra.search, targetType);
+        const contentPolicy = await getContentPolicy();
+        const results = sortCatalog(
+          applyCatalogFilters(
+            contentPolicy.filter(searchDatabase(catalog, extra.search, targetType, await getSearchIndex(catalog)), config.contentLevel),
+            parseCatalogFilters(extra)
+          ),
+          parseSortOption(extra.sort)
+        );
         
         const skip = parseInt(extra.skip) || 0;
         const paginated = results.slice(skip, skip + PAGE_SIZE);
@@ -8779,6 +7736,16 @@ export default {
           break;
       }
       
+      // Adult content the user's level hides (nsfw=), then the combined filters
+      // (genres, year, season, status, studio, ageRating, minRating, episodes)
+      const contentPolicy = await getContentPolicy();
+      catalogResult = contentPolicy.filter(catalogResult, config.contentLevel);
+      catalogResult = applyCatalogFilters(catalogResult, parseCatalogFilters(extra));
+      
+      // Sort extra, else the user's default for the browse catalogs (user lists keep their own order)
+      const isBrowseCatalog = ['anime-top-rated', 'anime-season-releases', 'anime-airing', 'anime-movies'].includes(id);
+      catalogResult = sortCatalog(catalogResult, parseSortOption(extra.sort) || (isBrowseCatalog && config.defaultSort) || null);
+      
       const skip = parseInt(extra.skip) || 0;
       const paginated = catalogResult.slice(skip, skip + PAGE_SIZE);
       const metas = paginated.map(formatAnimeMeta);
@@ -8895,8 +7862,9 @@ export default {
     const metaMatch = path.match(/^(?:\/([^\/]+))?\/meta\/([^\/]+)\/(.+)\.json$/);
     if (metaMatch) {
       const [, configStr, type, id] = metaMatch;
+      const config = parseConfig(configStr);
       try {
-        const result = await handleMeta(catalog, type, id);
+        const result = await handleMeta(catalog, type, id, config);
         // Meta cached for 1 hour - episode lists don't change often
         return jsonResponse(result, { maxAge: META_HTTP_CACHE, staleWhileRevalidate: 600 });
       } catch (error) {
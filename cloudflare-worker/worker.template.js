@@ -9,6 +9,8 @@
 // This gets replaced by the build script with actual data
 const CATALOG_DATA = __CATALOG_DATA__;
 const FILTER_OPTIONS = __FILTER_OPTIONS__;
+const CONTENT_BLACKLIST = __CONTENT_BLACKLIST__;
+const CONTENT_ALLOWLIST = __CONTENT_ALLOWLIST__;
 
 // ===== CONSTANTS =====
 const CORS_HEADERS = {
@@ -27,236 +29,35 @@ const PAGE_SIZE = 100;
 // AllAnime Scraper Worker URL
 const ALLANIME_SCRAPER = 'https://allanime-scraper.keypop3750.workers.dev';
 
-// ===== HELPER FUNCTIONS =====
-
-function parseGenreFilter(genre) {
-  if (!genre) return null;
-  return genre.replace(/\s*\(\d+\)$/, '').trim();
-}
-
-function parseWeekdayFilter(weekday) {
-  if (!weekday) return null;
-  return weekday.replace(/\s*\(\d+\)$/, '').trim().toLowerCase();
-}
-
-function parseSeasonFilter(seasonValue) {
-  if (!seasonValue) return null;
-  const cleanValue = seasonValue.replace(/\s*\(\d+\)$/, '').trim();
-  const match = cleanValue.match(/^(\d{4})\s*-\s*(\w+)$/);
-  if (match) {
-    return { year: parseInt(match[1]), season: match[2].toLowerCase() };
-  }
-  return null;
-}
-
-function isSeriesType(anime) {
-  if (anime.subtype === 'movie') return false;
-  let runtime = anime.runtime;
-  if (typeof runtime === 'string') {
-    const match = runtime.match(/(\d+)/);
-    runtime = match ? parseInt(match[1]) : 0;
-  }
-  if (anime.subtype === 'special' && runtime >= 100) return false;
-  return true;
-}
-
-function isMovieType(anime) {
-  if (anime.subtype === 'movie') return true;
-  let runtime = anime.runtime;
-  if (typeof runtime === 'string') {
-    const match = runtime.match(/(\d+)/);
-    runtime = match ? parseInt(match[1]) : 0;
-  }
-  if (anime.subtype === 'special' && runtime >= 100) return true;
-  return false;
-}
-
-// ===== FORMAT FUNCTIONS =====
-
-function formatAnimeMeta(anime) {
-  const formatted = { ...anime };
-  formatted.type = anime.subtype === 'movie' ? 'movie' : 'series';
-  
-  if (anime.rating !== null && anime.rating !== undefined && !isNaN(anime.rating)) {
-    formatted.imdbRating = anime.rating.toFixed(1);
-  }
-  
-  if (anime.year) {
-    formatted.releaseInfo = anime.year.toString();
-  }
-  
-  if (anime.description && anime.description.length > 200) {
-    formatted.description = anime.description.substring(0, 200) + '...';
-  }
-  
-  // Handle Kitsu poster URLs
-  if (anime.poster) {
-    if (anime.poster.includes('/poster_images/')) {
-      formatted.poster = anime.poster.replace(/\/large\./, '/medium.');
-    }
-  }
-  
-  return formatted;
-}
-
-// ===== SEARCH FUNCTION =====
-
-function searchDatabase(query, targetType = null) {
-  if (!query || query.length < 2) return [];
-  
-  const normalizedQuery = query.toLowerCase().trim();
-  const queryWords = normalizedQuery.split(/\s+/).filter(w => w.length > 1);
-  
-  const scored = [];
-  
-  for (const anime of CATALOG_DATA) {
-    if (targetType === 'series' && !isSeriesType(anime)) continue;
-    if (targetType === 'movie' && !isMovieType(anime)) continue;
-    
-    const name = (anime.name || '').toLowerCase();
-    const description = (anime.description || '').toLowerCase();
-    const genres = (anime.genres || []).map(g => g.toLowerCase());
-    const studios = (anime.studios || []).map(s => s.toLowerCase());
-    
-    let score = 0;
-    
-    if (name === normalizedQuery) {
-      score += 1000;
-    } else if (name.startsWith(normalizedQuery)) {
-      score += 500;
-    } else if (name.includes(normalizedQuery)) {
-      score += 200;
-    }
-    
-    for (const word of queryWords) {
-      if (name.includes(word)) score += 50;
-    }
-    
-    for (const word of queryWords) {
-      if (genres.some(g => g.includes(word))) score += 30;
-      if (studios.some(s => s.includes(word))) score += 30;
-    }
-    
-    if (description.includes(normalizedQuery)) score += 20;
-    
-    if (score > 0) {
-      score += (anime.rating || 0) / 10;
-      scored.push({ anime, score });
-    }
-  }
-  
-  scored.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    return (b.anime.rating || 0) - (a.anime.rating || 0);
-  });
-  
-  return scored.map(s => s.anime);
-}
-
-// ===== CATALOG HANDLERS =====
-
-function handleTopRated(genreFilter, config) {
-  let filtered = CATALOG_DATA.filter(isSeriesType);
-  
-  if (genreFilter) {
-    const genre = parseGenreFilter(genreFilter);
-    filtered = filtered.filter(anime => 
-      anime.genres && anime.genres.some(g => 
-        g.toLowerCase() === genre.toLowerCase()
-      )
-    );
-  }
-  
-  filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-  return filtered;
-}
-
-function handleSeasonReleases(seasonFilter) {
-  let filtered = CATALOG_DATA.filter(isSeriesType);
-  
-  if (seasonFilter) {
-    const parsed = parseSeasonFilter(seasonFilter);
-    if (parsed) {
-      filtered = filtered.filter(anime => {
-        if (!anime.year) return false;
-        if (anime.year !== parsed.year) return false;
-        
-        const seasonMap = {
-          'winter': [1, 2, 3],
-          'spring': [4, 5, 6],
-          'summer': [7, 8, 9],
-          'fall': [10, 11, 12]
-        };
-        
-        return true; // Simplified - just filter by year
-      });
-    }
-  }
-  
-  filtered.sort((a, b) => (b.year || 0) - (a.year || 0));
-  return filtered;
-}
-
-function handleAiring(genreFilter, config) {
-  let filtered = CATALOG_DATA.filter(anime => 
-    anime.status === 'ONGOING' && isSeriesType(anime)
-  );
-  
-  // Apply exclude long-running filter
-  if (config.excludeLongRunning) {
-    const currentYear = new Date().getFullYear();
-    filtered = filtered.filter(anime => {
-      const year = anime.year || currentYear;
-      const episodeCount = anime.episodes || 0;
-      return year >= currentYear - 5 && episodeCount < 200;
-    });
-  }
-  
-  // Filter by weekday if specified
-  if (genreFilter) {
-    const weekday = parseWeekdayFilter(genreFilter);
-    if (weekday) {
-      filtered = filtered.filter(anime => 
-        anime.broadcastDay && anime.broadcastDay.toLowerCase() === weekday
-      );
-    }
-  }
-  
-  filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-  return filtered;
-}
-
-function handleMovies(genreFilter) {
-  let filtered = CATALOG_DATA.filter(isMovieType);
-  
-  if (genreFilter) {
-    const cleanFilter = parseGenreFilter(genreFilter);
-    
-    if (cleanFilter === 'Upcoming') {
-      filtered = filtered.filter(anime => anime.status !== 'FINISHED');
-      filtered.sort((a, b) => (b.year || 0) - (a.year || 0));
-    } else if (cleanFilter === 'New Releases') {
-      const currentYear = new Date().getFullYear();
-      filtered = filtered.filter(anime => 
-        anime.year >= currentYear - 1 && anime.status === 'FINISHED'
-      );
-      filtered.sort((a, b) => {
-        if (a.year !== b.year) return (b.year || 0) - (a.year || 0);
-        return (b.rating || 0) - (a.rating || 0);
-      });
-    } else {
-      filtered = filtered.filter(anime => 
-        anime.genres && anime.genres.some(g => 
-          g.toLowerCase() === cleanFilter.toLowerCase()
-        )
-      );
-      filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-    }
-  } else {
-    filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-  }
-  
-  return filtered;
+// ===== CATALOG CORE (inlined from src/core/catalog.js at build time) =====
+const {
+  formatAnimeMeta,
+  searchDatabase,
+  handleTopRated,
+  handleSeasonReleases,
+  handleAiring,
+  handleMovies,
+  parseCatalogFilters,
+  applyCatalogFilters,
+  SORT_OPTIONS,
+  parseSortOption,
+  sortCatalog
+} = __CORE_LIBRARY__;
+
+// ===== SEARCH INDEX (inlined from src/core/searchIndex.js at build time) =====
+const { createSearchIndex } = __SEARCH_LIBRARY__;
+
+// ===== CONTENT POLICY (inlined from src/core/contentPolicy.js at build time) =====
+const { createContentPolicy, parseContentLevel, DEFAULT_CONTENT_LEVEL } = __POLICY_LIBRARY__;
+
+const contentPolicy = createContentPolicy({ blacklist: CONTENT_BLACKLIST, allowlist: CONTENT_ALLOWLIST });
+
+// Built on the first search and kept for the life of the isolate
+let searchIndex = null;
+
+function getSearchIndex() {
+  if (!searchIndex) searchIndex = createSearchIndex(CATALOG_DATA);
+  return searchIndex;
 }
 
 // ===== MANIFEST =====
@@ -278,6 +79,8 @@ function getManifest(showCounts = true) {
     ? ['Upcoming', 'New Releases', ...FILTER_OPTIONS.movieGenres.withCounts.filter(g => !g.toLowerCase().startsWith('animation'))]
     : ['Upcoming', 'New Releases', ...(FILTER_OPTIONS.movieGenres?.list || []).filter(g => g.toLowerCase() !== 'animation')];
 
+  const sortExtra = { name: 'sort', options: Object.values(SORT_OPTIONS), isRequired: false };
+
   return {
     id: 'community.animestream',
     version: '1.0.0',
@@ -293,6 +96,7 @@ function getManifest(showCounts = true) {
         name: 'Top Rated',
         extra: [
           { name: 'genre', options: genreOptions, isRequired: false },
+          sortExtra,
           { name: 'skip', isRequired: false }
         ]
       },
@@ -302,6 +106,7 @@ function getManifest(showCounts = true) {
         name: 'Season Releases',
         extra: [
           { name: 'genre', options: seasonOptions, isRequired: false },
+          sortExtra,
           { name: 'skip', isRequired: false }
         ]
       },
@@ -311,6 +116,7 @@ function getManifest(showCounts = true) {
         name: 'Currently Airing',
         extra: [
           { name: 'genre', options: weekdayOptions, isRequired: false },
+          sortExtra,
           { name: 'skip', isRequired: false }
         ]
       },
@@ -320,6 +126,7 @@ function getManifest(showCounts = true) {
         name: 'Movies',
         extra: [
           { name: 'genre', options: movieOptions, isRequired: false },
+          sortExtra,
           { name: 'skip', isRequired: false }
         ]
       },
@@ -329,6 +136,7 @@ function getManifest(showCounts = true) {
         name: 'Anime Series',
         extra: [
           { name: 'search', isRequired: true },
+          sortExtra,
           { name: 'skip' }
         ]
       },
@@ -338,6 +146,7 @@ function getManifest(showCounts = true) {
         name: 'Anime Movies',
         extra: [
           { name: 'search', isRequired: true },
+          sortExtra,
           { name: 'skip' }
         ]
       }
@@ -354,7 +163,7 @@ function getManifest(showCounts = true) {
 // ===== CONFIG PARSING =====
 
 function parseConfig(configStr) {
-  const config = { excludeLongRunning: false, showCounts: true };
+  const config = { excludeLongRunning: false, showCounts: true, defaultSort: '', contentLevel: DEFAULT_CONTENT_LEVEL };
   
   if (!configStr) return config;
   
@@ -367,6 +176,12 @@ function parseConfig(configStr) {
     if (key === 'showCounts') {
       config.showCounts = value !== '0' && value !== 'false';
     }
+    if (key === 'sort') {
+      config.defaultSort = parseSortOption(value) || '';
+    }
+    if (key === 'nsfw') {
+      config.contentLevel = parseContentLevel(decodeURIComponent(value || '')) || DEFAULT_CONTENT_LEVEL;
+    }
   }
   
   return config;
@@ -476,7 +291,7 @@ async function findAllAnimeShow(title) {
 }
 
 // Handle stream requests
-async function handleStream(type, id) {
+async function handleStream(type, id, config = {}) {
   // Parse ID: tt1234567 or tt1234567:1:5
   const parts = id.split(':');
   const imdbId = parts[0];
@@ -484,7 +299,7 @@ async function handleStream(type, id) {
   
   // Find anime in database
   const anime = findAnimeByImdbId(imdbId);
-  if (!anime) {
+  if (!anime || !contentPolicy.allows(anime, config.contentLevel)) {
     return { streams: [] };
   }
   
@@ -589,7 +404,13 @@ export default {
         }
         
         const targetType = id === 'anime-movies-search' ? 'movie' : 'series';
-        const results = searchDatabase(extra.search, targetType);
+        const results = sortCatalog(
+          applyCatalogFilters(
+            contentPolicy.filter(searchDatabase(CATALOG_DATA, extra.search, targetType, getSearchIndex()), config.contentLevel),
+            parseCatalogFilters(extra)
+          ),
+          parseSortOption(extra.sort)
+        );
         
         const skip = parseInt(extra.skip) || 0;
         const paginated = results.slice(skip, skip + PAGE_SIZE);
@@ -606,21 +427,29 @@ export default {
       let catalog;
       switch (id) {
         case 'anime-top-rated':
-          catalog = handleTopRated(extra.genre, config);
+          catalog = handleTopRated(CATALOG_DATA, extra.genre);
           break;
         case 'anime-season-releases':
-          catalog = handleSeasonReleases(extra.genre);
+          catalog = handleSeasonReleases(CATALOG_DATA, extra.genre);
           break;
         case 'anime-airing':
-          catalog = handleAiring(extra.genre, config);
+          catalog = handleAiring(CATALOG_DATA, extra.genre, config);
           break;
         case 'anime-movies':
-          catalog = handleMovies(extra.genre);
+          catalog = handleMovies(CATALOG_DATA, extra.genre);
           break;
         default:
           return new Response(JSON.stringify({ metas: [] }), { headers: JSON_HEADERS });
       }
       
+      // Adult content the user's level hides (nsfw=), then the combined filters
+      // (genres, year, season, status, studio, ageRating, minRating, episodes)
+      catalog = contentPolicy.filter(catalog, config.contentLevel);
+      catalog = applyCatalogFilters(catalog, parseCatalogFilters(extra));
+      
+      // Sort extra, else the user's default sort
+      catalog = sortCatalog(catalog, parseSortOption(extra.sort) || config.defaultSort || null);
+      
       const skip = parseInt(extra.skip) || 0;
       const paginated = catalog.slice(skip, skip + PAGE_SIZE);
       const metas = paginated.map(formatAnimeMeta);
@@ -632,7 +461,7 @@ export default {
     const streamMatch = path.match(/^(?:\/([^\/]+))?\/stream\/([^\/]+)\/(.+)\.json$/);
     if (streamMatch) {
       const [, configStr, type, id] = streamMatch;
-      const result = await handleStream(type, id);
+      const result = await handleStream(type, id, parseConfig(configStr));
       return new Response(JSON.stringify(result), { headers: JSON_HEADERS });
     }
     
@@ -0,0 +1,446 @@
+/**
+ * AllAnime Scraper contract tests
+ *
+ * Runs the scraper against recorded AllAnime GraphQL responses and embed pages
+ * (./fixtures) replayed by a local stand-in (./standIn.js) - no network. When AllAnime
+ * or an embed host changes its format, replace the fixture with a fresh response and
+ * the failing test names the function that no longer understands it.
+ *
+ * Run with: npm test
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const scraper = require('../allanime');
+const { page, startStandIn, routeFetch } = require('./standIn');
+
+// Direct URLs behind the encrypted sources in graphql-episode-*.json
+const FAST4SPEED_URL = 'https://tools.fast4speed.rsvp//media9/videos/abc123/sub/1';
+const DUB_HLS_URL = 'https://cdn.allanime.test/ep1/1080p/index.m3u8';
+
+// Video URLs inside the embed page fixtures
+const FILEMOON_URL = 'https://be6721.rcr72.waw04.cdn112.com/hls2/01/06372/fm8xk2q9_h/master.m3u8?t=Qx4fGk&s=1729300000&e=10800';
+const FILEMOON_PACKED_URL = 'https://be6721.rcr72.waw04.cdn112.com/hls2/01/06372/fm8xk2q9_h/master.m3u8';
+const STREAMWISH_URL = 'https://hfs281.serversicuro.cc/hls2/03/01984/sw3kd81a_,l,n,.urlset/master.m3u8?t=Zp0w&s=1729300000';
+const STREAMWISH_PACKED_URL = 'https://hfs281.serversicuro.cc/hls2/03/01984/sw3kd81a/index.mp4';
+const MP4UPLOAD_URL = 'https://a4.mp4upload.com:183/d/xkx3b3nbz3b4quuo5yaaqqxy7n2ed3lsl2wnjwxmkfqcs3ufdl6fi7cx/video.mp4';
+const OKRU_HD_URL = 'https://vd301.okcdn.ru/?expires=1729300000&type=3&id=5520443361915';
+const OKRU_HLS_URL = 'https://vd301.okcdn.ru/video.m3u8?srcIp=1.2.3.4&expires=1729300000';
+
+const FILEMOON_EMBED = 'https://filemoon.sx/e/fm8xk2q9';
+const STREAMWISH_EMBED = 'https://streamwish.to/e/sw3kd81a';
+const MP4UPLOAD_EMBED = 'https://www.mp4upload.com/embed-mu91x0c2.html';
+const OKRU_EMBED = 'https://ok.ru/videoembed/5520443361915';
+
+/**
+ * AllAnime's encoding: hex of each byte XOR 56, prefixed with "--"
+ */
+function encrypt(url) {
+  return '--' + Buffer.from(url).map(byte => byte ^ 56).toString('hex');
+}
+
+describe('decryptSourceUrl', () => {
+  it('decodes hex-encoded XOR 56 URLs', () => {
+    assert.equal(scraper.decryptSourceUrl(encrypt(DUB_HLS_URL)), DUB_HLS_URL);
+  });
+
+  it('decodes without the "--" prefix', () => {
+    assert.equal(scraper.decryptSourceUrl(encrypt(DUB_HLS_URL).slice(2)), DUB_HLS_URL);
+  });
+
+  it('passes plain URLs through', () => {
+    assert.equal(scraper.decryptSourceUrl(FILEMOON_EMBED), FILEMOON_EMBED);
+  });
+
+  it('drops internal API paths', () => {
+    assert.equal(scraper.decryptSourceUrl(encrypt('/apivtwo/clock?id=abc')), null);
+  });
+
+  it('returns non-hex input unchanged', () => {
+    assert.equal(scraper.decryptSourceUrl('--not-hex'), '--not-hex');
+  });
+
+  it('returns null for empty input', () => {
+    assert.equal(scraper.decryptSourceUrl(''), null);
+    assert.equal(scraper.decryptSourceUrl(null), null);
+  });
+});
+
+describe('unpackJS', () => {
+  const packed = page('filemoon-packed.html').body.match(/eval\(function\(p,a,c,k,e,[dr]\).+?\)\)/)[0];
+
+  it('finds the video URL in a p,a,c,k,e,d script', () => {
+    assert.equal(scraper.unpackJS(packed), FILEMOON_PACKED_URL);
+  });
+
+  it('returns scripts that are not packed unchanged', () => {
+    const script = 'jwplayer("vplayer").setup({});';
+    assert.equal(scraper.unpackJS(script), script);
+  });
+
+  it('returns packed scripts without a video URL unchanged', () => {
+    const noVideo = "eval(function(p,a,c,k,e,d){return p}('0 1',36,2,'hello|https:\\/\\/example.com\\/page'.split('|')))";
+    assert.equal(scraper.unpackJS(noVideo), noVideo);
+  });
+});
+
+describe('detectQuality', () => {
+  const cases = [
+    ['Fm-Hls', 'https://cdn.test/2160p/master.m3u8', '4K'],
+    ['Yt-mp4', 'https://cdn.test/video-1080p.mp4', '1080p'],
+    ['Mp4', 'https://cdn.test/720p.mp4', '720p'],
+    ['Ok', 'https://cdn.test/480p.mp4', '480p'],
+    ['Mp4', 'https://cdn.test/360p.mp4', '360p'],
+    ['Sw', 'https://cdn.test/video.mp4', 'HD'],
+    ['S-mp4 HD', 'https://cdn.test/video.mp4', '720p'],
+    ['Luf-mp4', 'https://cdn.test/sd/video.mp4', '480p']
+  ];
+
+  for (const [sourceName, url, expected] of cases) {
+    it(`${sourceName} ${url} -> ${expected}`, () => {
+      assert.equal(scraper.detectQuality(sourceName, url), expected);
+    });
+  }
+});
+
+describe('isDirectStream', () => {
+  const cases = [
+    ['https://cdn.test/video.mp4', true],
+    ['https://cdn.test/master.m3u8?token=abc', true],
+    ['https://cdn.test/video.mkv', true],
+    ['https://cdn.test/video.webm', true],
+    [FAST4SPEED_URL, true],
+    [FILEMOON_EMBED, false],
+    ['https://cdn.test/video.mp4.html', false]
+  ];
+
+  for (const [url, expected] of cases) {
+    it(`${url} -> ${expected}`, () => {
+      assert.equal(scraper.isDirectStream(url), expected);
+    });
+  }
+});
+
+describe('embed extractors', () => {
+  let standIn;
+  let restoreFetch;
+
+  before(async () => {
+    standIn = await startStandIn();
+    restoreFetch = routeFetch(standIn);
+  });
+
+  after(async () => {
+    restoreFetch();
+    await standIn.close();
+  });
+
+  beforeEach(() => {
+    standIn.requests.length = 0;
+  });
+
+  /**
+   * Serve a different fixture for an embed URL in one test
+   */
+  async function withPage(embedUrl, name, run) {
+    const key = `GET ${embedUrl.replace(/^https:\/\//, '')}`;
+    const original = standIn.routes[key];
+    standIn.routes[key] = page(name);
+    try {
+      await run();
+    } finally {
+      standIn.routes[key] = original;
+    }
+  }
+
+  describe('extractFilemoon', () => {
+    it('reads the jwplayer file', async () => {
+      assert.equal(await scraper.extractFilemoon(FILEMOON_EMBED), FILEMOON_URL);
+    });
+
+    it('sends the embed page as Referer', async () => {
+      await scraper.extractFilemoon(FILEMOON_EMBED);
+      assert.equal(standIn.requests[0].headers.referer, FILEMOON_EMBED);
+    });
+
+    it('unpacks packed players', async () => {
+      await withPage(FILEMOON_EMBED, 'filemoon-packed.html', async () => {
+        assert.equal(await scraper.extractFilemoon(FILEMOON_EMBED), FILEMOON_PACKED_URL);
+      });
+    });
+
+    it('returns null for pages without a player', async () => {
+      await withPage(FILEMOON_EMBED, 'mp4upload-source.html', async () => {
+        assert.equal(await scraper.extractFilemoon(FILEMOON_EMBED), null);
+      });
+    });
+
+    it('returns null for removed videos', async () => {
+      assert.equal(await scraper.extractFilemoon('https://filemoon.sx/e/removed'), null);
+    });
+  });
+
+  describe('extractStreamwish', () => {
+    it('reads the m3u8 URL', async () => {
+      assert.equal(await scraper.extractStreamwish(STREAMWISH_EMBED), STREAMWISH_URL);
+    });
+
+    it('unpacks packed players', async () => {
+      await withPage(STREAMWISH_EMBED, 'streamwish-packed.html', async () => {
+        assert.equal(await scraper.extractStreamwish(STREAMWISH_EMBED), STREAMWISH_PACKED_URL);
+      });
+    });
+
+    it('returns null for removed videos', async () => {
+      assert.equal(await scraper.extractStreamwish('https://streamwish.to/e/removed'), null);
+    });
+  });
+
+  describe('extractMp4upload', () => {
+    it('reads player.src()', async () => {
+      assert.equal(await scraper.extractMp4upload(MP4UPLOAD_EMBED), MP4UPLOAD_URL);
+    });
+
+    it('reads <source> tags', async () => {
+      await withPage(MP4UPLOAD_EMBED, 'mp4upload-source.html', async () => {
+        assert.equal(await scraper.extractMp4upload(MP4UPLOAD_EMBED), MP4UPLOAD_URL);
+      });
+    });
+
+    it('returns null for removed videos', async () => {
+      assert.equal(await scraper.extractMp4upload('https://www.mp4upload.com/embed-removed.html'), null);
+    });
+  });
+
+  describe('extractOkru', () => {
+    it('picks the best quality from data-options', async () => {
+      assert.equal(await scraper.extractOkru(OKRU_EMBED), OKRU_HD_URL);
+    });
+
+    it('falls back to the HLS manifest', async () => {
+      await withPage(OKRU_EMBED, 'okru-hls.html', async () => {
+        assert.equal(await scraper.extractOkru(OKRU_EMBED), OKRU_HLS_URL);
+      });
+    });
+
+    it('returns null for removed videos', async () => {
+      assert.equal(await scraper.extractOkru('https://ok.ru/videoembed/0'), null);
+    });
+  });
+
+  describe('extractDirectUrl', () => {
+    it('picks the extractor by host', async () => {
+      assert.equal(await scraper.extractDirectUrl(FILEMOON_EMBED, 'Fm-Hls'), FILEMOON_URL);
+      assert.equal(await scraper.extractDirectUrl(STREAMWISH_EMBED, 'Sw'), STREAMWISH_URL);
+      assert.equal(await scraper.extractDirectUrl(MP4UPLOAD_EMBED, 'Mp4'), MP4UPLOAD_URL);
+      assert.equal(await scraper.extractDirectUrl(OKRU_EMBED, 'Ok'), OKRU_HD_URL);
+    });
+
+    it('returns null for unsupported hosts without fetching', async () => {
+      assert.equal(await scraper.extractDirectUrl('https://listeamed.net/e/ls0p2w8v', 'Vid-mp4'), null);
+      assert.equal(standIn.requests.length, 0);
+    });
+  });
+});
+
+describe('AllAnime API', () => {
+  let standIn;
+  let restoreFetch;
+
+  before(async () => {
+    standIn = await startStandIn();
+    restoreFetch = routeFetch(standIn);
+  });
+
+  after(async () => {
+    restoreFetch();
+    await standIn.close();
+  });
+
+  beforeEach(() => {
+    standIn.requests.length = 0;
+  });
+
+  /**
+   * Run a check while the GraphQL API answers 503
+   */
+  async function withApiDown(check) {
+    const original = standIn.routes['POST api.allanime.day/api'];
+    standIn.routes['POST api.allanime.day/api'] = { status: 503, body: 'Service Unavailable' };
+    try {
+      await check();
+    } finally {
+      standIn.routes['POST api.allanime.day/api'] = original;
+    }
+  }
+
+  describe('searchAnime', () => {
+    it('maps search results', async () => {
+      const results = await scraper.searchAnime('naruto', 10);
+
+      assert.equal(results.length, 2);
+      assert.deepEqual(
+        { id: results[0].id, title: results[0].title, nativeTitle: results[0].nativeTitle, type: results[0].type, episodes: results[0].episodes },
+        { id: 'cstcbG4EquLyDnAwN', title: 'Naruto', nativeTitle: 'ナルト', type: 'TV', episodes: '220' }
+      );
+      // No English name - falls back to the romaji name
+      assert.equal(results[1].title, 'Naruto: Shippuuden');
+    });
+
+    it('searches Japanese, non-adult subbed shows', async () => {
+      await scraper.searchAnime('naruto', 10);
+
+      const { variables } = JSON.parse(standIn.requests[0].body);
+      assert.deepEqual(variables.search, { query: 'naruto', allowAdult: false, allowUnknown: false });
+      assert.equal(variables.limit, 10);
+      assert.equal(variables.translationType, 'sub');
+      assert.equal(variables.countryOrigin, 'JP');
+    });
+
+    it('rejects when the API fails', async () => {
+      await withApiDown(() => assert.rejects(scraper.searchAnime('naruto'), /API returned 503/));
+    });
+  });
+
+  describe('getShowInfo', () => {
+    it('maps the show with its episodes and MAL/AniList IDs', async () => {
+      const info = await scraper.getShowInfo('cstcbG4EquLyDnAwN');
+
+      assert.equal(info.id, 'cstcbG4EquLyDnAwN');
+      assert.equal(info.title, 'Naruto');
+      assert.equal(info.score, 79);
+      assert.equal(info.malId, 20);
+      assert.equal(info.aniListId, 20);
+      assert.deepEqual(info.episodes, { sub: ['3', '2', '1'], dub: ['2', '1'] });
+    });
+
+    it('returns null for unknown shows', async () => {
+      assert.equal(await scraper.getShowInfo('unknown'), null);
+    });
+
+    it('rejects when the API fails', async () => {
+      await withApiDown(() => assert.rejects(scraper.getShowInfo('cstcbG4EquLyDnAwN'), /API returned 503/));
+    });
+  });
+
+  describe('getEpisodeSources', () => {
+    it('keeps direct sources only without extraction', async () => {
+      const streams = await scraper.getEpisodeSources('cstcbG4EquLyDnAwN', 1);
+
+      assert.deepEqual(streams.map(stream => [stream.url, stream.type]), [
+        [FAST4SPEED_URL, 'SUB'],
+        [DUB_HLS_URL, 'DUB']
+      ]);
+      assert.ok(streams.every(stream => stream.isDirect));
+      // Embed pages are not fetched
+      assert.ok(standIn.requests.every(request => request.target.startsWith('api.allanime.day')));
+    });
+
+    it('queries sub and dub', async () => {
+      await scraper.getEpisodeSources('cstcbG4EquLyDnAwN', 1);
+
+      const variables = standIn.requests.map(request => JSON.parse(request.body).variables);
+      assert.deepEqual(variables, [
+        { showId: 'cstcbG4EquLyDnAwN', translationType: 'sub', episodeString: '1' },
+        { showId: 'cstcbG4EquLyDnAwN', translationType: 'dub', episodeString: '1' }
+      ]);
+    });
+
+    it('extracts embeds, highest priority first', async () => {
+      const streams = await scraper.getEpisodeSources('cstcbG4EquLyDnAwN', 1, true);
+
+      assert.deepEqual(streams.map(stream => [stream.provider, stream.url]), [
+        ['Yt-mp4', FAST4SPEED_URL],
+        ['Sw', STREAMWISH_URL],
+        ['Mp4', MP4UPLOAD_URL],
+        ['Fm-Hls', FILEMOON_URL],
+        ['Ok', OKRU_HD_URL],
+        ['Luf-mp4', DUB_HLS_URL]
+      ]);
+      assert.ok(streams.every(stream => stream.isDirect));
+      // Internal API sources and the blocked listeamed host are skipped
+      assert.ok(!standIn.requests.some(request => request.target.startsWith('listeamed.net')));
+    });
+
+    it('sends the AllAnime Referer for fast4speed streams', async () => {
+      const streams = await scraper.getEpisodeSources('cstcbG4EquLyDnAwN', 1);
+
+      const fast4speed = streams.find(stream => stream.url === FAST4SPEED_URL);
+      assert.deepEqual(fast4speed.behaviorHints, { proxyHeaders: { request: { Referer: 'https://allanime.to/' } } });
+      assert.equal(streams.find(stream => stream.url === DUB_HLS_URL).behaviorHints, undefined);
+    });
+
+    it('skips embeds that could not be extracted', async () => {
+      const original = standIn.routes['GET streamwish.to/e/sw3kd81a'];
+      delete standIn.routes['GET streamwish.to/e/sw3kd81a'];
+      try {
+        const streams = await scraper.getEpisodeSources('cstcbG4EquLyDnAwN', 1, true);
+        assert.ok(!streams.some(stream => stream.provider === 'Sw'));
+        assert.equal(streams.length, 5);
+      } finally {
+        standIn.routes['GET streamwish.to/e/sw3kd81a'] = original;
+      }
+    });
+
+    it('rejects when neither sub nor dub reaches the API', async () => {
+      await withApiDown(() => assert.rejects(scraper.getEpisodeSources('cstcbG4EquLyDnAwN', 1), /API returned 503/));
+    });
+  });
+
+  describe('handleScraperRequest', () => {
+    it('answers search, info and streams actions', async () => {
+      const search = await scraper.handleScraperRequest({ action: 'search', query: 'naruto' });
+      assert.equal(search.status, 200);
+      assert.equal(search.body.count, 2);
+
+      const info = await scraper.handleScraperRequest({ action: 'info', showId: 'cstcbG4EquLyDnAwN' });
+      assert.equal(info.status, 200);
+      assert.equal(info.body.malId, 20);
+
+      const streams = await scraper.handleScraperRequest({ action: 'streams', showId: 'cstcbG4EquLyDnAwN', episode: '1', extract: '1' });
+      assert.equal(streams.status, 200);
+      assert.equal(streams.body.count, 6);
+      assert.equal(streams.body.extracted, true);
+    });
+
+    it('rejects requests missing parameters', async () => {
+      assert.equal((await scraper.handleScraperRequest({ action: 'streams', showId: 'x' })).status, 400);
+      assert.equal((await scraper.handleScraperRequest({ action: 'search' })).status, 400);
+      assert.equal((await scraper.handleScraperRequest({ action: 'info' })).status, 400);
+    });
+
+    it('answers 404 for unknown shows', async () => {
+      const info = await scraper.handleScraperRequest({ action: 'info', showId: 'unknown' });
+      assert.equal(info.status, 404);
+    });
+
+    it('answers 500 without caching when AllAnime fails', async () => {
+      const stored = new Map();
+      const cache = { get: async key => stored.get(key) || null, set: async (key, value) => stored.set(key, value) };
+
+      await withApiDown(async () => {
+        const search = await scraper.handleScraperRequest({ action: 'search', query: 'naruto' });
+        assert.equal(search.status, 500);
+        assert.match(search.body.error, /API returned 503/);
+
+        const streams = await scraper.handleScraperRequest({ action: 'streams', showId: 'cstcbG4EquLyDnAwN', episode: '1' }, { cache });
+        assert.equal(streams.status, 500);
+      });
+      assert.equal(stored.size, 0);
+    });
+
+    it('serves episode streams from the cache', async () => {
+      const stored = new Map();
+      const cache = { get: async key => stored.get(key) || null, set: async (key, value) => stored.set(key, value) };
+
+      const first = await scraper.handleScraperRequest({ action: 'streams', showId: 'cstcbG4EquLyDnAwN', episode: '1' }, { cache });
+      const requestsAfterFirst = standIn.requests.length;
+      const second = await scraper.handleScraperRequest({ action: 'streams', showId: 'cstcbG4EquLyDnAwN', episode: '1' }, { cache });
+
+      assert.deepEqual([...stored.keys()], ['streams/cstcbG4EquLyDnAwN/1']);
+      assert.equal(second.body.cached, true);
+      assert.deepEqual(second.body.streams, first.body.streams);
+      assert.equal(standIn.requests.length, requestsAfterFirst);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * AllAnime Stand-in
+ *
+ * Local HTTP server replaying the recorded fixtures in ./fixtures, so the scraper
+ * tests run offline. routeFetch() points the global fetch (which the scraper uses)
+ * at it: https://filemoon.sx/e/abc is requested as http://127.0.0.1:<port>/filemoon.sx/e/abc.
+ *
+ * Routes are keyed "METHOD host/path" and answer { status, body, type }, or a function
+ * of the request returning one. Every request is recorded for assertions.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Fixture file contents
+ */
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * HTML page response from a fixture
+ */
+function page(name) {
+  return { status: 200, type: 'text/html', body: fixture(name) };
+}
+
+/**
+ * JSON response from a fixture
+ */
+function json(name) {
+  return { status: 200, type: 'application/json', body: fixture(name) };
+}
+
+/**
+ * AllAnime GraphQL API: the fixture for the query the scraper sent
+ * Episodes are answered per translation type (graphql-episode-sub.json / -dub.json).
+ */
+function graphql(request) {
+  const { query, variables } = JSON.parse(request.body);
+  if (/\bshows\(/.test(query)) return json('graphql-search.json');
+  if (/\bshow\(/.test(query)) {
+    return json(variables.showId === 'cstcbG4EquLyDnAwN' ? 'graphql-show.json' : 'graphql-show-missing.json');
+  }
+  if (/\bepisode\(/.test(query)) return json(`graphql-episode-${variables.translationType}.json`);
+  return { status: 400, type: 'application/json', body: '{"errors":[{"message":"Unknown query"}]}' };
+}
+
+/**
+ * Start the stand-in
+ * @param {Object} routes - Extra or overriding routes ("GET host/path" -> response)
+ * @returns {Promise<Object>} { url, requests, routes, close }
+ */
+async function startStandIn(routes = {}) {
+  const allRoutes = {
+    'POST api.allanime.day/api': graphql,
+    'GET filemoon.sx/e/fm8xk2q9': page('filemoon.html'),
+    'GET streamwish.to/e/sw3kd81a': page('streamwish.html'),
+    'GET www.mp4upload.com/embed-mu91x0c2.html': page('mp4upload.html'),
+    'GET ok.ru/videoembed/5520443361915': page('okru.html'),
+    ...routes
+  };
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const target = req.url.slice(1);
+      const request = { method: req.method, target, headers: req.headers, body };
+      requests.push(request);
+
+      const route = allRoutes[`${req.method} ${target.split('?')[0]}`];
+      const response = typeof route === 'function' ? route(request) : route;
+      if (!response) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        return res.end('Not found');
+      }
+      res.writeHead(response.status, { 'Content-Type': response.type || 'text/plain' });
+      res.end(response.body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    requests,
+    routes: allRoutes,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Send every global fetch to the stand-in
+ * @returns {Function} Restores the real fetch
+ */
+function routeFetch(standIn) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = (input, init) => {
+    const url = new URL(input);
+    return realFetch(`${standIn.url}/${url.host}${url.pathname}${url.search}`, init);
+  };
+  return () => {
+    globalThis.fetch = realFetch;
+  };
+}
+
+module.exports = {
+  fixture,
+  page,
+  json,
+  startStandIn,
+  routeFetch
+};
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * AllAnime Mappings
+ *
+ * Reviews and corrects the title -> AllAnime show table (see src/utils/allanimeMappings.js).
+ * Changes go to the runtime file (.cache/allanime-mappings.json), never to the seeds in
+ * data/allanime-mappings.json. A running server picks them up within a few seconds.
+ *
+ * Keys are catalog IDs, optionally with a season: tt5626028, tt5626028:3, mal-52991.
+ * Show IDs come from the AllAnime scraper (?action=search) or scripts/search-allanime.js.
+ *
+ * Usage:
+ *   node scripts/allanime-mappings.js review [--max-score 90]   # Low-confidence search matches
+ *   node scripts/allanime-mappings.js list [--source search] [--unverified]
+ *   node scripts/allanime-mappings.js pin <key> <showId> [--title "AllAnime title"]
+ *   node scripts/allanime-mappings.js verify <key>
+ *   node scripts/allanime-mappings.js remove <key>
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { getMappingStore, isValidKey, LOW_CONFIDENCE_SCORE } = require('../src/utils/allanimeMappings');
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function formatMapping(mapping) {
+  const score = mapping.score != null ? `score=${mapping.score}` : 'score=-';
+  const flag = mapping.verified ? '✓' : '?';
+  return `${flag} ${mapping.key.padEnd(16)} ${mapping.showId.padEnd(20)} ${mapping.source.padEnd(7)} ${score.padEnd(11)} ${mapping.title || ''}`;
+}
+
+function printMappings(title, mappings) {
+  console.log('='.repeat(50));
+  console.log(title);
+  console.log('='.repeat(50));
+
+  for (const mapping of mappings) {
+    console.log(formatMapping(mapping));
+  }
+  console.log(`\n${mappings.length} mappings`);
+}
+
+function requireKey(key) {
+  if (!isValidKey(key)) {
+    console.error(`✗ Invalid key "${key || ''}" - expected tt123, mal-123 or either with :season`);
+    process.exit(1);
+  }
+}
+
+async function main(args = process.argv.slice(2)) {
+  const [command, key, showId] = args;
+  const store = getMappingStore();
+
+  switch (command) {
+    case 'review': {
+      const maxScore = parseFloat(getOption(args, '--max-score')) || LOW_CONFIDENCE_SCORE;
+      printMappings(`Unverified search matches below score ${maxScore}`, store.review(maxScore));
+      break;
+    }
+
+    case 'list':
+      printMappings('AllAnime mappings', store.list({
+        source: getOption(args, '--source'),
+        unverified: args.includes('--unverified')
+      }));
+      break;
+
+    case 'pin': {
+      requireKey(key);
+      if (!showId || showId.startsWith('--')) {
+        console.error('✗ Usage: pin <key> <showId> [--title "AllAnime title"]');
+        process.exit(1);
+      }
+      const previous = store.get(key);
+      const mapping = store.pin(key, { showId, title: getOption(args, '--title') });
+      console.log(`✓ Pinned ${key} -> ${mapping.showId}${previous ? ` (was ${previous.showId}, ${previous.source})` : ''}`);
+      break;
+    }
+
+    case 'verify': {
+      requireKey(key);
+      const mapping = store.get(key) && store.verify(key);
+      if (!mapping) {
+        console.error(`✗ No mapping for ${key}`);
+        process.exit(1);
+      }
+      console.log(`✓ Verified ${key} -> ${mapping.showId}`);
+      break;
+    }
+
+    case 'remove': {
+      requireKey(key);
+      const previous = store.get(key);
+      if (!previous || !store.remove(key)) {
+        console.error(`✗ No mapping for ${key}`);
+        process.exit(1);
+      }
+      console.log(`✓ Removed ${key} (was ${previous.showId}) - the title will be searched again`);
+      break;
+    }
+
+    default:
+      console.log('Usage: node scripts/allanime-mappings.js <review|list|pin|verify|remove> ...');
+      process.exit(command ? 1 : 0);
+  }
+
+  await store.flush();
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Catalog Benchmark
+ *
+ * Times catalogHandler against the real catalog for the requests Stremio sends most
+ * (first pages of the browse catalogs, deeper pages, genre/season/weekday values,
+ * sort extras and combined filters). Handler time only - no HTTP, no cache.
+ *
+ * Each request runs twice: per request (views disabled, every request selects and
+ * sorts the catalog) and from the views precomputed at load (src/core/catalogViews.js).
+ *
+ * Usage:
+ *   node scripts/benchmark-catalog.js
+ *   node scripts/benchmark-catalog.js --iterations 500
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const { performance } = require('perf_hooks');
+const databaseLoader = require('../src/utils/databaseLoader');
+const catalogHandler = require('../src/addon/handlers/catalog');
+
+const iterationsIndex = process.argv.indexOf('--iterations');
+const ITERATIONS = iterationsIndex !== -1 ? parseInt(process.argv[iterationsIndex + 1], 10) || 200 : 200;
+const WARMUP = 5;
+
+const CASES = [
+  { name: 'top-rated', id: 'anime-top-rated', extra: {} },
+  { name: 'top-rated skip=500', id: 'anime-top-rated', extra: { skip: '500' } },
+  { name: 'top-rated genre=Action', id: 'anime-top-rated', extra: { genre: 'Action' } },
+  { name: 'top-rated sort=Title A-Z', id: 'anime-top-rated', extra: { sort: 'Title A-Z' } },
+  { name: 'top-rated sort=Trending', id: 'anime-top-rated', extra: { sort: 'Trending' } },
+  { name: 'season-releases', id: 'anime-season-releases', extra: {} },
+  { name: 'season-releases 2024 - Fall', id: 'anime-season-releases', extra: { genre: '2024 - Fall' } },
+  { name: 'airing', id: 'anime-airing', extra: {} },
+  { name: 'airing genre=Friday', id: 'anime-airing', extra: { genre: 'Friday' } },
+  { name: 'movies', id: 'anime-movies', extra: {} },
+  { name: 'movies genre=Upcoming', id: 'anime-movies', extra: { genre: 'Upcoming' } },
+  { name: 'top-rated year=2015-2020 (filter)', id: 'anime-top-rated', extra: { year: '2015-2020' } }
+];
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+/**
+ * Time one request
+ * @returns {Promise<Object>} { name, items, mean, p50, p95 } (ms)
+ */
+async function runCase({ name, id, extra }, iterations = ITERATIONS) {
+  const args = { type: 'anime', id, extra, config: {} };
+  let items = 0;
+
+  for (let i = 0; i < WARMUP; i++) {
+    items = (await catalogHandler(args)).metas.length;
+  }
+
+  const times = [];
+  for (let i = 0; i < iterations; i++) {
+    const start = performance.now();
+    await catalogHandler(args);
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+
+  return {
+    name,
+    items,
+    mean: times.reduce((sum, time) => sum + time, 0) / times.length,
+    p50: percentile(times, 0.5),
+    p95: percentile(times, 0.95)
+  };
+}
+
+/**
+ * Run every case with views disabled and enabled
+ * @returns {Promise<Array>} [{ name, items, before, after }]
+ */
+async function compareViews(cases = CASES, iterations = ITERATIONS) {
+  const getCatalogViews = databaseLoader.getCatalogViews;
+  const results = [];
+
+  for (const testCase of cases) {
+    databaseLoader.getCatalogViews = () => null;
+    const before = await runCase(testCase, iterations);
+    databaseLoader.getCatalogViews = getCatalogViews;
+    const after = await runCase(testCase, iterations);
+    results.push({ name: testCase.name, items: after.items, before, after });
+  }
+
+  return results;
+}
+
+async function main() {
+  console.log('='.repeat(50));
+  console.log('Catalog benchmark');
+  console.log('='.repeat(50));
+
+  const loadStart = performance.now();
+  await databaseLoader.loadDatabase();
+  console.log(`\n  Database: ${databaseLoader.getStats().totalAnime} anime, loaded in ${(performance.now() - loadStart).toFixed(0)}ms`);
+  console.log(`  Iterations: ${ITERATIONS} per request\n`);
+
+  const ms = value => `${value.toFixed(2)}ms`.padStart(10);
+  console.log(`  ${'Request'.padEnd(36)} ${'Items'.padStart(5)} ${'Per request'.padStart(21)} ${'Views'.padStart(21)}`);
+  console.log(`  ${''.padEnd(36)} ${''.padStart(5)} ${'mean'.padStart(10)} ${'p95'.padStart(10)} ${'mean'.padStart(10)} ${'p95'.padStart(10)}`);
+  for (const { name, items, before, after } of await compareViews()) {
+    console.log(`  ${name.padEnd(36)} ${String(items).padStart(5)} ${ms(before.mean)} ${ms(before.p95)} ${ms(after.mean)} ${ms(after.p95)}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { runCase, compareViews, CASES };
@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Build Airing Schedule
+ *
+ * Generates data/airing-schedule.json, per-episode airing times used by
+ * src/core/airingSchedule.js (Airing Schedule catalog, "Ep 7 in 2d 4h" countdowns,
+ * meta video release dates and /calendar.ics). incremental-update.js refreshes it
+ * after its broadcast step; run this script to refresh only the schedule.
+ *
+ * Source: AniList airingSchedules in a window around now (recent episodes keep their
+ * release dates, upcoming ones get countdowns). Media are resolved to catalog IDs
+ * through their AniList/MAL IDs; episodes of a standalone season entry are also
+ * recorded on its parent series (SEASON_TO_PARENT_MAP) as absolute episodes.
+ *
+ * Usage:
+ *   node scripts/build-airing-schedule.js
+ *   node scripts/build-airing-schedule.js --days 21 --past-days 7
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { SEASON_TO_PARENT_MAP, PARENT_ONGOING_SEASON } = require('../src/core/catalog');
+const { createEpisodeMapper } = require('../src/core/episodeMapping');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const CATALOG_PATH = path.join(DATA_DIR, 'catalog.json.gz');
+const ID_MAPPINGS_PATH = path.join(DATA_DIR, 'id-mappings.json');
+const EPISODE_MAPPINGS_PATH = path.join(DATA_DIR, 'episode-mappings.json');
+const OUTPUT_PATH = path.join(DATA_DIR, 'airing-schedule.json');
+
+const ANILIST_URL = 'https://graphql.anilist.co';
+const ANILIST_PAGE_SIZE = 50;
+const ANILIST_DELAY_MS = 2000; // AniList allows ~30-90 requests/min
+const MAX_PAGES = 100;
+
+const DEFAULT_DAYS = 14;
+const DEFAULT_PAST_DAYS = 7;
+
+const AIRING_SCHEDULES_QUERY = `
+  query ($page: Int, $from: Int, $to: Int) {
+    Page(page: $page, perPage: ${ANILIST_PAGE_SIZE}) {
+      pageInfo { hasNextPage }
+      airingSchedules(airingAt_greater: $from, airingAt_lesser: $to, sort: TIME) {
+        episode
+        airingAt
+        media { id idMal }
+      }
+    }
+  }
+`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(name);
+  if (index === -1) return fallback;
+  const value = parseInt(process.argv[index + 1], 10);
+  return value >= 0 ? value : fallback;
+}
+
+async function fetchAniListPage(variables, retries = 3) {
+  const fetch = (await import('node-fetch')).default;
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const response = await fetch(ANILIST_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ query: AIRING_SCHEDULES_QUERY, variables }),
+        timeout: 30000
+      });
+
+      if (response.status === 429) {
+        console.log('\n   ⚠️  Rate limited, waiting 60s...');
+        await sleep(60000);
+        continue;
+      }
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      return (await response.json())?.data?.Page || null;
+    } catch (err) {
+      if (attempt === retries) throw err;
+      await sleep(2000 * attempt);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve AniList/MAL IDs to catalog IDs
+ * @param {Array} entries - Anime with id plus mal_id/anilist_id (several entries may share an id)
+ */
+function createIdResolver(entries) {
+  const byKey = new Map();
+  for (const entry of entries) {
+    if (!entry.id) continue;
+    if (entry.mal_id && !byKey.has(`mal:${entry.mal_id}`)) byKey.set(`mal:${entry.mal_id}`, entry.id);
+    if (entry.anilist_id && !byKey.has(`anilist:${entry.anilist_id}`)) byKey.set(`anilist:${entry.anilist_id}`, entry.id);
+  }
+  return media => byKey.get(`anilist:${media.id}`) || (media.idMal && byKey.get(`mal:${media.idMal}`)) || null;
+}
+
+/**
+ * Collect airing times for catalog entries
+ * @param {Array} entries - Anime with id (catalog ID) and mal_id/anilist_id
+ * @param {Object} options
+ * @param {number} options.from - Window start (Unix seconds)
+ * @param {number} options.to - Window end (Unix seconds)
+ * @param {Object} options.episodeMappings - Parsed episode-mappings.json (for parent series)
+ * @returns {Promise<Object>} { schedule: { [catalogId]: [[episode, airingAt]] }, stats }
+ */
+async function collectAiringSchedule(entries, options = {}) {
+  const { from, to, episodeMappings = null } = options;
+  const resolve = createIdResolver(entries);
+  const mapper = createEpisodeMapper(episodeMappings);
+
+  const schedule = {};
+  const add = (id, episode, airingAt) => {
+    if (!schedule[id]) schedule[id] = new Map();
+    schedule[id].set(episode, airingAt);
+  };
+
+  let airings = 0;
+  let matched = 0;
+
+  for (let page = 1; page <= MAX_PAGES; page++) {
+    const result = await fetchAniListPage({ page, from, to });
+    if (!result) break;
+
+    for (const airing of result.airingSchedules || []) {
+      airings++;
+      const id = airing.media && resolve(airing.media);
+      if (!id || !airing.episode) continue;
+      matched++;
+      add(id, airing.episode, airing.airingAt);
+
+      // Standalone season entries (e.g. a sequel with its own MAL ID) also count
+      // towards the parent series, numbered the way its videos are
+      const parentId = SEASON_TO_PARENT_MAP[id];
+      const season = parentId && PARENT_ONGOING_SEASON[parentId];
+      const absolute = season && mapper.toAbsolute(parentId, season, airing.episode);
+      if (absolute) add(parentId, absolute, airing.airingAt);
+    }
+
+    process.stdout.write(`\r   AniList: page ${page} (${airings} episodes, ${matched} in catalog)`);
+    if (!result.pageInfo?.hasNextPage) break;
+    await sleep(ANILIST_DELAY_MS);
+  }
+  if (airings > 0) process.stdout.write('\n');
+
+  const sorted = {};
+  for (const [id, episodes] of Object.entries(schedule)) {
+    sorted[id] = [...episodes].sort((a, b) => a[1] - b[1]);
+  }
+
+  return {
+    schedule: sorted,
+    stats: { airings, matched, titles: Object.keys(sorted).length }
+  };
+}
+
+/**
+ * Write data/airing-schedule.json
+ */
+function writeAiringSchedule(outputPath, { schedule, stats }, { from, to }) {
+  const output = {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    from,
+    to,
+    stats,
+    schedule
+  };
+  fs.writeFileSync(outputPath, JSON.stringify(output));
+  return output;
+}
+
+/**
+ * Schedule window around now, in Unix seconds
+ */
+function getScheduleWindow(days = DEFAULT_DAYS, pastDays = DEFAULT_PAST_DAYS, now = Date.now()) {
+  const nowSeconds = Math.floor(now / 1000);
+  return { from: nowSeconds - pastDays * 86400, to: nowSeconds + days * 86400 };
+}
+
+/**
+ * Catalog entries with the AniList/MAL IDs id-mappings.json adds
+ */
+function getScheduleEntries(catalog, idMappings = {}) {
+  return catalog.map(anime => {
+    const mapping = (anime.imdb_id && idMappings[anime.imdb_id]) || {};
+    return {
+      id: anime.id,
+      mal_id: anime.mal_id || mapping.mal || null,
+      anilist_id: anime.anilist_id || mapping.al || null
+    };
+  });
+}
+
+async function main() {
+  const window = getScheduleWindow(getArg('--days', DEFAULT_DAYS), getArg('--past-days', DEFAULT_PAST_DAYS));
+
+  console.log('='.repeat(50));
+  console.log('Building airing schedule');
+  console.log('='.repeat(50));
+
+  if (!fs.existsSync(CATALOG_PATH)) {
+    console.error('❌ No catalog found. Please run: npm run build-db');
+    process.exit(1);
+  }
+
+  const catalogData = JSON.parse(zlib.gunzipSync(fs.readFileSync(CATALOG_PATH)).toString('utf8'));
+  const idMappings = fs.existsSync(ID_MAPPINGS_PATH)
+    ? JSON.parse(fs.readFileSync(ID_MAPPINGS_PATH, 'utf8'))
+    : {};
+  const episodeMappings = fs.existsSync(EPISODE_MAPPINGS_PATH)
+    ? JSON.parse(fs.readFileSync(EPISODE_MAPPINGS_PATH, 'utf8'))
+    : null;
+
+  console.log(`\n  Catalog: ${catalogData.catalog.length} anime`);
+  console.log(`  Window:  ${new Date(window.from * 1000).toISOString()} - ${new Date(window.to * 1000).toISOString()}\n`);
+
+  const result = await collectAiringSchedule(getScheduleEntries(catalogData.catalog, idMappings), {
+    ...window,
+    episodeMappings
+  });
+  writeAiringSchedule(OUTPUT_PATH, result, window);
+
+  console.log(`\n✓ Wrote ${result.stats.matched} episodes for ${result.stats.titles} anime`);
+  console.log(`  Output: ${OUTPUT_PATH}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  collectAiringSchedule,
+  writeAiringSchedule,
+  getScheduleWindow,
+  getScheduleEntries
+};
@@ -15,7 +15,8 @@
  * - Otaku-Mappings - Combined ID database (Fribb+anime-lists+Mdblist+arm)
  *   → Has thetvdb_season, thetvdb_part for multi-season shows!
  * - Fribb/anime-lists - Fallback ID mappings (IMDB/MAL/AniList/AniDB/TVDB)
- * - anime-offline-database - Title synonyms for torrent matching
+ * - anime-offline-database - Title synonyms for torrent matching, related anime
+ * - AniList/Kitsu media relations - Sequels, prequels, side stories (franchises)
  * - IMDB Datasets - Title-matching fallback for missing entries
  * - Cinemeta - Logos, backgrounds, cast enrichment
  * 
@@ -23,6 +24,9 @@
  * - catalog.json / catalog-series.json / catalog-movies.json
  * - id-mappings.json - Fast ID lookup cache (IMDB→AniDB/MAL/AniList/TVDB season)
  * - filter-options.json
+ * - franchise-relations.json - Sequel/prequel/side-story graph (meta links, Franchise catalog)
+ * - similar-anime.json - Top-N content-based "Similar" titles per entry
+ * - catalog.db - SQLite catalog for DB_BACKEND=sqlite (with --sqlite)
  * 
  * Usage:
  *   node scripts/build-database-v6.1.js          # Full build
@@ -30,12 +34,16 @@
  *   node scripts/build-database-v6.1.js --skip-imdb  # Skip IMDB matching
  *   node scripts/build-database-v6.1.js --skip-cinemeta  # Skip Cinemeta enrichment
  *   node scripts/build-database-v6.1.js --validate  # Run extra validation
+ *   node scripts/build-database-v6.1.js --sqlite    # Also emit catalog.db
+ *   node scripts/build-database-v6.1.js --skip-relations  # Franchise relations from anime-offline-database only (no AniList/Kitsu calls)
  */
 
 const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
 const readline = require('readline');
+const { collectFranchiseRelations, writeFranchiseRelations } = require('./build-franchise-relations');
+const { buildRecommendations } = require('./build-recommendations');
 
 // CLI flags
 const TEST_MODE = process.argv.includes('--test');
@@ -43,6 +51,8 @@ const SKIP_IMDB_MATCHING = process.argv.includes('--skip-imdb');
 const SKIP_CINEMETA = process.argv.includes('--skip-cinemeta');
 const VERBOSE = process.argv.includes('--verbose');
 const VALIDATE = process.argv.includes('--validate');
+const EMIT_SQLITE = process.argv.includes('--sqlite');
+const SKIP_RELATION_FETCH = process.argv.includes('--skip-relations');
 const TEST_LIMIT = 500;
 const MAX_SYNONYMS = 10; // Increased from 5 for better torrent matching
 
@@ -54,7 +64,10 @@ const CONFIG = {
   catalogSeriesFile: TEST_MODE ? 'catalog-series-test.json' : 'catalog-series.json',
   catalogMoviesFile: TEST_MODE ? 'catalog-movies-test.json' : 'catalog-movies.json',
   idMappingsFile: 'id-mappings.json',
+  franchiseRelationsFile: 'franchise-relations.json',
+  similarFile: 'similar-anime.json',
   filterOptionsFile: 'filter-options.json',
+  sqliteFile: TEST_MODE ? 'catalog-test.db' : 'catalog.db',
   
   // Kitsu API
   kitsuBaseUrl: 'https://kitsu.io/api/edge',
@@ -386,10 +399,11 @@ async function loadAnimeOfflineDatabase() {
     console.log(`   ✅ Loaded ${data.data.length} entries`);
     console.log(`   📊 MAL synonyms: ${malToSynonyms.size}, Kitsu synonyms: ${kitsuToSynonyms.size}\n`);
     
-    return { malToSynonyms, kitsuToSynonyms };
+    // Raw entries are kept for their relatedAnime (franchise relations)
+    return { malToSynonyms, kitsuToSynonyms, entries: data.data };
   } catch (err) {
     console.error(`   ❌ Failed to load anime-offline-database: ${err.message}\n`);
-    return { malToSynonyms: new Map(), kitsuToSynonyms: new Map() };
+    return { malToSynonyms: new Map(), kitsuToSynonyms: new Map(), entries: [] };
   }
 }
 
@@ -1195,7 +1209,7 @@ async function buildDatabase() {
   const { malToFull, kitsuToFull } = fribbData;
   
   // Step 3: Load anime-offline-database (synonyms)
-  const { malToSynonyms, kitsuToSynonyms } = await loadAnimeOfflineDatabase();
+  const { malToSynonyms, kitsuToSynonyms, entries: offlineEntries } = await loadAnimeOfflineDatabase();
   
   // Step 4: Load IMDB data if not skipping
   let searchIndex = null;
@@ -1354,6 +1368,16 @@ async function buildDatabase() {
   // Step 7: Group by IMDB ID
   const groupedAnime = groupByImdbId(processedAnime);
   
+  // Step 7b: Franchise relations (AniList/Kitsu/anime-offline-database)
+  // Collected over the ungrouped entries so every season's IDs resolve to its catalog entry
+  console.log('🔗 Collecting franchise relations...');
+  const franchiseRelations = await collectFranchiseRelations(processedAnime, {
+    offlineEntries,
+    anilist: !SKIP_RELATION_FETCH,
+    kitsu: !SKIP_RELATION_FETCH
+  });
+  console.log(`   ✅ Relations for ${franchiseRelations.stats.entries} anime (AniList: ${franchiseRelations.stats.anilist}, Kitsu: ${franchiseRelations.stats.kitsu}, offline DB: ${franchiseRelations.stats.offline})\n`);
+  
   // Step 8: Sort by popularity
   groupedAnime.sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
   
@@ -1533,11 +1557,29 @@ async function buildDatabase() {
   fs.writeFileSync(mappingsPath, mappingsContent);
   console.log(`   📄 ${CONFIG.idMappingsFile}: ${formatSize(mappingsContent.length)}`);
   
+  // Franchise relations (meta links + Franchise catalog)
+  const relationsPath = path.join(CONFIG.outputDir, CONFIG.franchiseRelationsFile);
+  const writtenRelations = writeFranchiseRelations(relationsPath, franchiseRelations);
+  console.log(`   📄 ${CONFIG.franchiseRelationsFile}: ${formatSize(fs.statSync(relationsPath).size)}`);
+  
+  // Similar titles (meta "Similar" links + anime-similar catalog), same franchise excluded
+  const similarPath = path.join(CONFIG.outputDir, CONFIG.similarFile);
+  buildRecommendations(groupedAnime, similarPath, writtenRelations);
+  console.log(`   📄 ${CONFIG.similarFile}: ${formatSize(fs.statSync(similarPath).size)}`);
+  
   // Filter options
   const filterPath = path.join(CONFIG.outputDir, CONFIG.filterOptionsFile);
   fs.writeFileSync(filterPath, JSON.stringify(filterOptions, null, 2));
   console.log(`   📋 ${CONFIG.filterOptionsFile}: ${formatSize(fs.statSync(filterPath).size)}`);
   
+  // SQLite catalog (optional backend)
+  if (EMIT_SQLITE) {
+    const { writeCatalogDb } = require('../src/utils/sqliteCatalog');
+    const sqlitePath = path.join(CONFIG.outputDir, CONFIG.sqliteFile);
+    writeCatalogDb(sqlitePath, catalog, idMappings);
+    console.log(`   🗄️ ${CONFIG.sqliteFile}: ${formatSize(fs.statSync(sqlitePath).size)}`);
+  }
+  
   // Summary
   const duration = Date.now() - startTime;
   console.log('\\n============================================================');
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+/**
+ * Build Episode Mappings
+ *
+ * Generates data/episode-mappings.json, the season ↔ absolute episode table used by
+ * src/core/episodeMapping.js (Express stream handler + Cloudflare worker).
+ *
+ * Sources:
+ * 1. data/episode-mapping-overrides.json - hand-verified season ranges for long
+ *    runners that TVDB/IMDB split into arcs (One Piece, Naruto, Bleach, ...)
+ * 2. data/id-mappings.json - tvdbS (TVDB season, "a" = absolute) and eps ("1 - N")
+ *    for every catalog entry. tvdbP is Otaku-Mappings' thetvdb_part - the entry's
+ *    place among the entries sharing a TVDB season, not an episode offset - so
+ *    entries with tvdbP > 1 are reported instead of mapped
+ * 3. data/catalog.json.gz - _mergedSeasons (how many MAL seasons share one IMDB ID);
+ *    merged shows are only mapped by an override
+ *
+ * Shows whose mapping cannot be derived reliably are reported as ambiguous.
+ *
+ * Usage:
+ *   node scripts/build-episode-mappings.js
+ *   node scripts/build-episode-mappings.js --verbose   # List every ambiguous show
+ *   node scripts/build-episode-mappings.js --strict    # Exit 1 on conflicts/invalid ranges
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const VERBOSE = process.argv.includes('--verbose');
+const STRICT = process.argv.includes('--strict');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const OVERRIDES_PATH = path.join(DATA_DIR, 'episode-mapping-overrides.json');
+const ID_MAPPINGS_PATH = path.join(DATA_DIR, 'id-mappings.json');
+const CATALOG_PATH = path.join(DATA_DIR, 'catalog.json.gz');
+const OUTPUT_PATH = path.join(DATA_DIR, 'episode-mappings.json');
+
+const REPORT_LIMIT = 20;
+
+/**
+ * Parse the id-mappings episode range ("1 - 24") into a total count
+ */
+function parseEpisodeTotal(eps) {
+  const match = eps && eps.match(/^\s*(\d+)\s*-\s*(\d+)\s*$/);
+  if (!match) return null;
+  return parseInt(match[2]) - parseInt(match[1]) + 1;
+}
+
+/**
+ * Validate hand-maintained segments: per-season ascending, contiguous, non-overlapping
+ * Returns a list of problems (empty if valid)
+ */
+function validateSegments(segments) {
+  const problems = [];
+  const sorted = [...segments].sort((a, b) => a.start - b.start);
+
+  for (let i = 0; i < sorted.length; i++) {
+    const segment = sorted[i];
+    if (segment.end !== null && segment.end < segment.start) {
+      problems.push(`S${segment.season}: end ${segment.end} before start ${segment.start}`);
+    }
+    if (segment.end === null && i < sorted.length - 1) {
+      problems.push(`S${segment.season}: open-ended segment is not the last one`);
+    }
+
+    const next = sorted[i + 1];
+    if (next && segment.end !== null) {
+      if (next.start <= segment.end) {
+        problems.push(`S${segment.season}/S${next.season}: overlapping episodes ${next.start}-${segment.end}`);
+      } else if (next.start > segment.end + 1) {
+        problems.push(`S${segment.season}/S${next.season}: gap between ${segment.end} and ${next.start}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+function printSection(title, items, format) {
+  console.log(`\n${title}: ${items.length}`);
+  const shown = VERBOSE ? items : items.slice(0, REPORT_LIMIT);
+  for (const item of shown) {
+    console.log(`  - ${format(item)}`);
+  }
+  if (shown.length < items.length) {
+    console.log(`  ... ${items.length - shown.length} more (use --verbose)`);
+  }
+}
+
+function main() {
+  console.log('='.repeat(50));
+  console.log('Building Episode Mappings');
+  console.log('='.repeat(50));
+
+  const overrides = JSON.parse(fs.readFileSync(OVERRIDES_PATH, 'utf8'));
+  const idMappings = JSON.parse(fs.readFileSync(ID_MAPPINGS_PATH, 'utf8'));
+  const catalog = JSON.parse(zlib.gunzipSync(fs.readFileSync(CATALOG_PATH)).toString('utf8')).catalog;
+
+  console.log(`\n  Overrides:   ${Object.keys(overrides).length} shows`);
+  console.log(`  ID mappings: ${Object.keys(idMappings).length} entries`);
+  console.log(`  Catalog:     ${catalog.length} anime`);
+
+  const catalogByImdb = new Map();
+  for (const anime of catalog) {
+    if (anime.imdb_id) catalogByImdb.set(anime.imdb_id, anime);
+  }
+
+  const shows = {};
+  const report = {
+    invalidRanges: [],
+    conflicts: [],
+    absoluteWithoutRanges: [],
+    mergedWithTvdbSeason: [],
+    splitParts: [],
+    mergedWithoutSeasonInfo: []
+  };
+
+  // 1. Hand-verified ranges win over anything derived
+  for (const [imdbId, override] of Object.entries(overrides)) {
+    const segments = override.seasons.map(s => ({ season: s.season, start: s.start, end: s.end }));
+
+    const problems = validateSegments(segments);
+    if (problems.length > 0) {
+      report.invalidRanges.push({ imdbId, name: override.name, detail: problems.join('; ') });
+    }
+
+    const mapping = idMappings[imdbId];
+    const anime = catalogByImdb.get(imdbId);
+    if (!mapping && !anime) {
+      report.conflicts.push({ imdbId, name: override.name, detail: 'not in id-mappings or catalog' });
+    } else if (mapping) {
+      const total = parseEpisodeTotal(mapping.eps);
+      const last = segments[segments.length - 1];
+      if (typeof mapping.tvdbS === 'number' && segments.length > 1) {
+        report.conflicts.push({ imdbId, name: override.name, detail: `id-mappings uses TVDB season ${mapping.tvdbS}, override splits into ${segments.length} seasons` });
+      } else if (total && last.end !== null && last.end !== total) {
+        report.conflicts.push({ imdbId, name: override.name, detail: `override ends at ${last.end}, id-mappings lists ${total} episodes` });
+      }
+    }
+
+    shows[imdbId] = {
+      name: override.name,
+      source: 'manual',
+      mergedSeasons: anime?._mergedSeasons || undefined,
+      seasons: segments
+    };
+  }
+
+  // 2. Derive single-segment mappings from id-mappings (TVDB season + first episode)
+  for (const [imdbId, mapping] of Object.entries(idMappings)) {
+    if (shows[imdbId]) continue;
+
+    const anime = catalogByImdb.get(imdbId);
+    const mergedSeasons = anime?._mergedSeasons || 0;
+
+    if (mapping.tvdbS === 'a') {
+      // Absolute numbering on TVDB - Stremio's season split is unknown without an override
+      report.absoluteWithoutRanges.push({ imdbId, name: mapping.name, detail: `${mapping.eps || '?'} episodes${mergedSeasons > 1 ? `, ${mergedSeasons} merged seasons` : ''}` });
+      continue;
+    }
+
+    if (typeof mapping.tvdbS !== 'number') {
+      if (mergedSeasons > 1) {
+        report.mergedWithoutSeasonInfo.push({ imdbId, name: mapping.name, detail: `${mergedSeasons} merged seasons, no TVDB season` });
+      }
+      continue;
+    }
+
+    // Season 0 = specials/movies, season 1 = identity - nothing to map
+    if (mapping.tvdbS === 0 || mapping.type === 'MOVIE') continue;
+
+    // A later part of a TVDB season starts at an episode id-mappings doesn't give
+    if (mapping.tvdbP > 1) {
+      report.splitParts.push({ imdbId, name: mapping.name, detail: `TVDB S${mapping.tvdbS} part ${mapping.tvdbP}${mapping.eps ? `, episodes ${mapping.eps}` : ''}` });
+      continue;
+    }
+    if (mapping.tvdbS === 1) continue;
+
+    // One TVDB season can't describe several MAL seasons sharing the IMDB ID
+    if (mergedSeasons > 1) {
+      report.mergedWithTvdbSeason.push({ imdbId, name: mapping.name, detail: `${mergedSeasons} merged seasons, id-mappings lists TVDB S${mapping.tvdbS}` });
+      continue;
+    }
+
+    const segment = { season: mapping.tvdbS, start: 1, end: parseEpisodeTotal(mapping.eps) };
+
+    shows[imdbId] = {
+      name: mapping.name,
+      source: 'id-mappings',
+      seasons: [segment]
+    };
+  }
+
+  // 3. Catalog entries with merged seasons but no id-mappings entry at all
+  for (const [imdbId, anime] of catalogByImdb) {
+    if (anime._mergedSeasons > 1 && !idMappings[imdbId] && !shows[imdbId]) {
+      report.mergedWithoutSeasonInfo.push({ imdbId, name: anime.name, detail: `${anime._mergedSeasons} merged seasons, not in id-mappings` });
+    }
+  }
+
+  const output = {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    shows
+  };
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
+
+  const manualCount = Object.values(shows).filter(s => s.source === 'manual').length;
+  console.log(`\n✓ Wrote ${Object.keys(shows).length} mappings (${manualCount} manual, ${Object.keys(shows).length - manualCount} derived)`);
+  console.log(`  Output: ${OUTPUT_PATH}`);
+
+  // Ambiguity report
+  console.log('\n' + '='.repeat(50));
+  console.log('Ambiguous mappings');
+  console.log('='.repeat(50));
+
+  const format = item => `${item.imdbId} ${item.name}: ${item.detail}`;
+  printSection('Invalid override ranges', report.invalidRanges, format);
+  printSection('Overrides conflicting with id-mappings', report.conflicts, format);
+  printSection('Absolute-numbered shows without season ranges', report.absoluteWithoutRanges, format);
+  printSection('Merged seasons with a single TVDB season (need an override)', report.mergedWithTvdbSeason, format);
+  printSection('Later parts of a split TVDB season (first episode unknown)', report.splitParts, format);
+  printSection('Merged seasons without TVDB season info', report.mergedWithoutSeasonInfo, format);
+
+  if (STRICT && (report.invalidRanges.length > 0 || report.conflicts.length > 0)) {
+    console.log('\n✗ Strict mode: fix the overrides above');
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,345 @@
+#!/usr/bin/env node
+
+/**
+ * Build Franchise Relations
+ *
+ * Generates data/franchise-relations.json, the sequel/prequel/side-story graph used by
+ * src/core/franchise.js (meta "Sequel"/"Prequel"/"Movie" links + the Franchise catalog).
+ * The database build (build-database-v6.1.js) runs the same collection step; this script
+ * refreshes the relations for an existing catalog without a full rebuild.
+ *
+ * Sources (typed relations win over untyped ones):
+ * 1. AniList media relations (SEQUEL, PREQUEL, SIDE_STORY, ...) for entries with an AniList ID
+ * 2. Kitsu media relationships for entries without one
+ * 3. anime-offline-database relatedAnime - untyped, kept as "related"
+ *
+ * Relation targets are resolved to catalog IDs through their MAL/Kitsu/AniList IDs;
+ * relations to anime outside the catalog are dropped.
+ *
+ * Usage:
+ *   node scripts/build-franchise-relations.js
+ *   node scripts/build-franchise-relations.js --skip-anilist --skip-kitsu   # Offline DB only
+ *   node scripts/build-franchise-relations.js --offline-db path/to/anime-offline-database.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { normalizeRelationType, preferRelationType } = require('../src/core/franchise');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const CATALOG_PATH = path.join(DATA_DIR, 'catalog.json.gz');
+const ID_MAPPINGS_PATH = path.join(DATA_DIR, 'id-mappings.json');
+const OFFLINE_DB_PATH = path.join(DATA_DIR, 'anime-offline-database.json');
+const OUTPUT_PATH = path.join(DATA_DIR, 'franchise-relations.json');
+
+const OFFLINE_DB_URL = 'https://github.com/manami-project/anime-offline-database/releases/latest/download/anime-offline-database-minified.json';
+const ANILIST_URL = 'https://graphql.anilist.co';
+const KITSU_BASE_URL = 'https://kitsu.io/api/edge';
+
+const ANILIST_PAGE_SIZE = 50;
+const ANILIST_DELAY_MS = 2000; // AniList allows ~30-90 requests/min
+const KITSU_DELAY_MS = 150;
+
+const ANILIST_RELATIONS_QUERY = `
+  query ($ids: [Int]) {
+    Page(perPage: ${ANILIST_PAGE_SIZE}) {
+      media(id_in: $ids, type: ANIME) {
+        id
+        relations {
+          edges {
+            relationType
+            node { id type }
+          }
+        }
+      }
+    }
+  }
+`;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function fetchJson(url, options = {}, retries = 3) {
+  const fetch = (await import('node-fetch')).default;
+
+  for (let attempt = 1; attempt <= retries; attempt++) {
+    try {
+      const response = await fetch(url, { timeout: 30000, ...options });
+
+      if (response.status === 429) {
+        console.log('\n   ⚠️  Rate limited, waiting 60s...');
+        await sleep(60000);
+        continue;
+      }
+      if (response.status === 404) return null;
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      return await response.json();
+    } catch (err) {
+      if (attempt === retries) throw err;
+      await sleep(2000 * attempt);
+    }
+  }
+  return null;
+}
+
+/**
+ * Resolve MAL/Kitsu/AniList IDs to catalog IDs
+ * @param {Array} entries - Anime with id plus mal_id/kitsu_id/anilist_id (several entries may share an id)
+ */
+function createIdResolver(entries) {
+  const byKey = new Map();
+  for (const entry of entries) {
+    if (!entry.id) continue;
+    if (entry.mal_id) byKey.set(`mal:${entry.mal_id}`, entry.id);
+    if (entry.kitsu_id) byKey.set(`kitsu:${entry.kitsu_id}`, entry.id);
+    if (entry.anilist_id) byKey.set(`anilist:${entry.anilist_id}`, entry.id);
+  }
+  return (source, id) => byKey.get(`${source}:${parseInt(id, 10)}`) || null;
+}
+
+/**
+ * Extract { source, id } from an anime-offline-database source URL
+ */
+function parseSourceUrl(url) {
+  const patterns = [
+    ['mal', /myanimelist\.net\/anime\/(\d+)/],
+    ['kitsu', /kitsu\.(?:io|app)\/anime\/(\d+)/],
+    ['anilist', /anilist\.co\/anime\/(\d+)/]
+  ];
+  for (const [source, pattern] of patterns) {
+    const match = url.match(pattern);
+    if (match) return { source, id: parseInt(match[1], 10) };
+  }
+  return null;
+}
+
+/**
+ * Relations from anime-offline-database relatedAnime (untyped)
+ */
+function collectOfflineRelations(offlineEntries, resolve, addRelation) {
+  let count = 0;
+  const resolveUrls = urls => [...new Set((urls || [])
+    .map(parseSourceUrl)
+    .filter(Boolean)
+    .map(ref => resolve(ref.source, ref.id))
+    .filter(Boolean))];
+
+  for (const entry of offlineEntries) {
+    const [fromId] = resolveUrls(entry.sources);
+    if (!fromId) continue;
+    for (const toId of resolveUrls(entry.relatedAnime)) {
+      if (addRelation(fromId, toId, 'related')) count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Typed relations from AniList, fetched in batches of ANILIST_PAGE_SIZE
+ */
+async function collectAniListRelations(entries, resolve, addRelation) {
+  const anilistIds = [...new Set(entries.map(entry => entry.anilist_id).filter(Boolean))];
+  let count = 0;
+
+  for (let i = 0; i < anilistIds.length; i += ANILIST_PAGE_SIZE) {
+    const ids = anilistIds.slice(i, i + ANILIST_PAGE_SIZE);
+    try {
+      const data = await fetchJson(ANILIST_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ query: ANILIST_RELATIONS_QUERY, variables: { ids } })
+      });
+
+      for (const media of data?.data?.Page?.media || []) {
+        const fromId = resolve('anilist', media.id);
+        if (!fromId) continue;
+        for (const edge of media.relations?.edges || []) {
+          if (edge.node?.type !== 'ANIME') continue;
+          const toId = resolve('anilist', edge.node.id);
+          if (toId && addRelation(fromId, toId, edge.relationType)) count++;
+        }
+      }
+    } catch (err) {
+      console.log(`\n   ⚠️  AniList batch ${i / ANILIST_PAGE_SIZE + 1} failed: ${err.message}`);
+    }
+
+    process.stdout.write(`\r   AniList: ${Math.min(i + ANILIST_PAGE_SIZE, anilistIds.length)}/${anilistIds.length} (${count} relations)`);
+    await sleep(ANILIST_DELAY_MS);
+  }
+
+  if (anilistIds.length > 0) process.stdout.write('\n');
+  return count;
+}
+
+/**
+ * Typed relations from Kitsu, for entries AniList could not cover
+ */
+async function collectKitsuRelations(entries, resolve, addRelation) {
+  const kitsuIds = [...new Set(entries.filter(entry => !entry.anilist_id).map(entry => entry.kitsu_id).filter(Boolean))];
+  let count = 0;
+
+  for (let i = 0; i < kitsuIds.length; i++) {
+    const kitsuId = kitsuIds[i];
+    try {
+      const data = await fetchJson(
+        `${KITSU_BASE_URL}/anime/${kitsuId}/media-relationships?include=destination&page[limit]=20`,
+        { headers: { 'Accept': 'application/vnd.api+json' } }
+      );
+
+      const fromId = resolve('kitsu', kitsuId);
+      for (const relationship of data?.data || []) {
+        const destination = relationship.relationships?.destination?.data;
+        if (!fromId || destination?.type !== 'anime') continue;
+        const toId = resolve('kitsu', destination.id);
+        if (toId && addRelation(fromId, toId, relationship.attributes?.role)) count++;
+      }
+    } catch (err) {
+      // Missing/private entries - skip
+    }
+
+    if ((i + 1) % 50 === 0 || i === kitsuIds.length - 1) {
+      process.stdout.write(`\r   Kitsu: ${i + 1}/${kitsuIds.length} (${count} relations)`);
+    }
+    await sleep(KITSU_DELAY_MS);
+  }
+
+  if (kitsuIds.length > 0) process.stdout.write('\n');
+  return count;
+}
+
+/**
+ * Collect franchise relations for catalog entries
+ * @param {Array} entries - Anime with id (catalog ID) and mal_id/kitsu_id/anilist_id
+ * @param {Object} options
+ * @param {Array} options.offlineEntries - anime-offline-database `data` array (optional)
+ * @param {boolean} options.anilist - Fetch AniList relations (default true)
+ * @param {boolean} options.kitsu - Fetch Kitsu relations (default true)
+ * @returns {Promise<Object>} { relations: { [catalogId]: [{ id, type }] }, stats }
+ */
+async function collectFranchiseRelations(entries, options = {}) {
+  const { offlineEntries = [], anilist = true, kitsu = true } = options;
+  const resolve = createIdResolver(entries);
+  const graph = new Map();
+
+  // Returns true for a new pair; an existing pair only gets a more specific type
+  const addRelation = (fromId, toId, rawType) => {
+    const type = normalizeRelationType(rawType);
+    if (!type || fromId === toId) return false;
+    if (!graph.has(fromId)) graph.set(fromId, new Map());
+    const existing = graph.get(fromId).get(toId);
+    graph.get(fromId).set(toId, preferRelationType(existing, type));
+    return !existing;
+  };
+
+  const stats = {
+    anilist: anilist ? await collectAniListRelations(entries, resolve, addRelation) : 0,
+    kitsu: kitsu ? await collectKitsuRelations(entries, resolve, addRelation) : 0,
+    offline: collectOfflineRelations(offlineEntries, resolve, addRelation)
+  };
+
+  const relations = {};
+  for (const [fromId, targets] of [...graph].sort(([a], [b]) => a.localeCompare(b))) {
+    relations[fromId] = [...targets].map(([id, type]) => ({ id, type }));
+  }
+  stats.entries = Object.keys(relations).length;
+
+  return { relations, stats };
+}
+
+/**
+ * Write data/franchise-relations.json
+ */
+function writeFranchiseRelations(outputPath, { relations, stats }) {
+  const output = {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    stats,
+    relations
+  };
+  fs.writeFileSync(outputPath, JSON.stringify(output));
+  return output;
+}
+
+/**
+ * anime-offline-database entries from disk, or downloaded when not available locally
+ */
+async function loadOfflineEntries(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8')).data || [];
+    }
+  } catch (err) {
+    // Not JSON (e.g. an unfetched Git LFS pointer) - download instead
+    console.log(`   ⚠️  ${path.basename(filePath)} is not readable JSON, downloading`);
+  }
+
+  try {
+    const data = await fetchJson(OFFLINE_DB_URL, { timeout: 120000 });
+    return data?.data || [];
+  } catch (err) {
+    console.log(`   ⚠️  Could not download anime-offline-database: ${err.message}`);
+    return [];
+  }
+}
+
+async function main() {
+  const skipAniList = process.argv.includes('--skip-anilist');
+  const skipKitsu = process.argv.includes('--skip-kitsu');
+  const offlineIndex = process.argv.indexOf('--offline-db');
+  const offlinePath = offlineIndex !== -1 && process.argv[offlineIndex + 1]
+    ? path.resolve(process.argv[offlineIndex + 1])
+    : OFFLINE_DB_PATH;
+
+  console.log('='.repeat(50));
+  console.log('Building franchise relations');
+  console.log('='.repeat(50));
+
+  if (!fs.existsSync(CATALOG_PATH)) {
+    console.error('❌ No catalog found. Please run: npm run build-db');
+    process.exit(1);
+  }
+
+  const catalogData = JSON.parse(zlib.gunzipSync(fs.readFileSync(CATALOG_PATH)).toString('utf8'));
+  const idMappings = fs.existsSync(ID_MAPPINGS_PATH)
+    ? JSON.parse(fs.readFileSync(ID_MAPPINGS_PATH, 'utf8'))
+    : {};
+
+  // Catalog entries only carry one Kitsu/MAL ID each - id-mappings.json fills in the rest
+  const entries = catalogData.catalog.map(anime => {
+    const mapping = (anime.imdb_id && idMappings[anime.imdb_id]) || {};
+    return {
+      id: anime.id,
+      mal_id: anime.mal_id || mapping.mal || null,
+      kitsu_id: anime.kitsu_id || mapping.kitsu || null,
+      anilist_id: anime.anilist_id || mapping.al || null
+    };
+  });
+
+  console.log(`\n  Catalog: ${entries.length} anime`);
+  const offlineEntries = await loadOfflineEntries(offlinePath);
+  console.log(`  anime-offline-database: ${offlineEntries.length} entries\n`);
+
+  const result = await collectFranchiseRelations(entries, {
+    offlineEntries,
+    anilist: !skipAniList,
+    kitsu: !skipKitsu
+  });
+  writeFranchiseRelations(OUTPUT_PATH, result);
+
+  console.log(`\n✓ Wrote relations for ${result.stats.entries} anime`);
+  console.log(`  AniList: ${result.stats.anilist}, Kitsu: ${result.stats.kitsu}, anime-offline-database: ${result.stats.offline}`);
+  console.log(`  Output: ${OUTPUT_PATH}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { collectFranchiseRelations, writeFranchiseRelations };
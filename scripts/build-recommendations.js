@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Build Recommendations
+ *
+ * Generates data/similar-anime.json, the top-N "Similar" titles per catalog entry used
+ * by the meta "Similar" links and the anime-similar / anime-recommended catalogs.
+ * Content-based (genres, tags, studios, year, rating) - see src/core/recommendations.js.
+ *
+ * Titles from the same franchise (data/franchise-relations.json, if present) are left
+ * out: they already get their own Sequel/Prequel/Franchise links.
+ *
+ * Usage:
+ *   node scripts/build-recommendations.js
+ *   node scripts/build-recommendations.js --limit 30
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { computeSimilarLists, DEFAULT_LIMIT } = require('../src/core/recommendations');
+const { createFranchiseIndex } = require('../src/core/franchise');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const CATALOG_GZ = path.join(DATA_DIR, 'catalog.json.gz');
+const CATALOG_JSON = path.join(DATA_DIR, 'catalog.json');
+const FRANCHISE_RELATIONS_PATH = path.join(DATA_DIR, 'franchise-relations.json');
+const OUTPUT_PATH = path.join(DATA_DIR, 'similar-anime.json');
+
+const limitIndex = process.argv.indexOf('--limit');
+const LIMIT = limitIndex !== -1 ? parseInt(process.argv[limitIndex + 1]) || DEFAULT_LIMIT : DEFAULT_LIMIT;
+
+/**
+ * Build similar lists for a catalog and write them to outputPath
+ * @param {Array} catalog - Catalog entries
+ * @param {string} outputPath - Where to write similar-anime.json
+ * @param {Object} franchiseRelations - Parsed franchise-relations.json (optional)
+ * @param {number} limit - Similar titles per entry
+ * @returns {Object} The written file contents
+ */
+function buildRecommendations(catalog, outputPath, franchiseRelations = null, limit = LIMIT) {
+  const byId = new Map();
+  for (const anime of catalog) {
+    if (!byId.has(anime.id)) byId.set(anime.id, anime);
+  }
+
+  const franchises = createFranchiseIndex(franchiseRelations, id => byId.get(id) || null);
+  const sameFranchise = (a, b) => {
+    const franchise = franchises.getFranchise(a.id);
+    return Boolean(franchise) && franchise === franchises.getFranchise(b.id);
+  };
+
+  const output = {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    limit,
+    similar: computeSimilarLists(catalog, { limit, exclude: sameFranchise })
+  };
+  fs.writeFileSync(outputPath, JSON.stringify(output));
+  return output;
+}
+
+function main() {
+  console.log('='.repeat(50));
+  console.log('Building recommendations');
+  console.log('='.repeat(50));
+
+  let catalogData;
+  if (fs.existsSync(CATALOG_GZ)) {
+    catalogData = JSON.parse(zlib.gunzipSync(fs.readFileSync(CATALOG_GZ)).toString('utf8'));
+  } else if (fs.existsSync(CATALOG_JSON)) {
+    catalogData = JSON.parse(fs.readFileSync(CATALOG_JSON, 'utf8'));
+  } else {
+    console.error('❌ No catalog found. Please run: npm run build-db');
+    process.exit(1);
+  }
+
+  const franchiseRelations = fs.existsSync(FRANCHISE_RELATIONS_PATH)
+    ? JSON.parse(fs.readFileSync(FRANCHISE_RELATIONS_PATH, 'utf8'))
+    : null;
+
+  console.log(`\n  Catalog:    ${catalogData.catalog.length} anime`);
+  console.log(`  Franchises: ${franchiseRelations ? 'excluded via franchise-relations.json' : 'not available'}`);
+
+  const startTime = Date.now();
+  const output = buildRecommendations(catalogData.catalog, OUTPUT_PATH, franchiseRelations);
+  const sizeMB = (fs.statSync(OUTPUT_PATH).size / 1024 / 1024).toFixed(2);
+
+  console.log(`\n✓ Wrote similar lists for ${Object.keys(output.similar).length} anime (top ${output.limit}) in ${Date.now() - startTime}ms`);
+  console.log(`  Output: ${OUTPUT_PATH} (${sizeMB} MB)`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildRecommendations };
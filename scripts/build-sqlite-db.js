@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Build SQLite Catalog
+ *
+ * Converts the existing data/catalog.json.gz (+ id-mappings.json) into
+ * data/catalog.db for the optional SQLite backend (DB_BACKEND=sqlite),
+ * without re-running the full database build.
+ *
+ * Usage:
+ *   node scripts/build-sqlite-db.js
+ *   node scripts/build-sqlite-db.js --out /path/to/catalog.db
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { writeCatalogDb } = require('../src/utils/sqliteCatalog');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const CATALOG_GZ = path.join(DATA_DIR, 'catalog.json.gz');
+const CATALOG_JSON = path.join(DATA_DIR, 'catalog.json');
+const ID_MAPPINGS_PATH = path.join(DATA_DIR, 'id-mappings.json');
+
+const outIndex = process.argv.indexOf('--out');
+const OUTPUT_PATH = outIndex !== -1 && process.argv[outIndex + 1]
+  ? path.resolve(process.argv[outIndex + 1])
+  : path.join(DATA_DIR, 'catalog.db');
+
+function main() {
+  console.log('='.repeat(50));
+  console.log('Building SQLite catalog');
+  console.log('='.repeat(50));
+
+  let catalogData;
+  if (fs.existsSync(CATALOG_GZ)) {
+    catalogData = JSON.parse(zlib.gunzipSync(fs.readFileSync(CATALOG_GZ)).toString('utf8'));
+  } else if (fs.existsSync(CATALOG_JSON)) {
+    catalogData = JSON.parse(fs.readFileSync(CATALOG_JSON, 'utf8'));
+  } else {
+    console.error('❌ No catalog found. Please run: npm run build-db');
+    process.exit(1);
+  }
+
+  const idMappings = fs.existsSync(ID_MAPPINGS_PATH)
+    ? JSON.parse(fs.readFileSync(ID_MAPPINGS_PATH, 'utf8'))
+    : {};
+
+  console.log(`\n  Catalog:     ${catalogData.catalog.length} anime (version ${catalogData.version || 'unknown'})`);
+  console.log(`  ID mappings: ${Object.keys(idMappings).length} entries`);
+
+  const startTime = Date.now();
+  const count = writeCatalogDb(OUTPUT_PATH, catalogData, idMappings);
+  const sizeMB = (fs.statSync(OUTPUT_PATH).size / 1024 / 1024).toFixed(2);
+
+  console.log(`\n✓ Wrote ${count} anime in ${Date.now() - startTime}ms`);
+  console.log(`  Output: ${OUTPUT_PATH} (${sizeMB} MB)`);
+  console.log('\nTo use it: DB_BACKEND=sqlite npm start');
+}
+
+main();
@@ -9,7 +9,7 @@
  * 
  * Output:
  * - List of anime IDs that should be blacklisted
- * - data/hentai-blacklist.json for runtime filtering
+ * - data/hentai-blacklist.json, read by the content policy (src/core/contentPolicy.js)
  */
 
 const fs = require('fs');
@@ -18,6 +18,7 @@
  * 5. Quality control for "Currently Airing" catalog
  * 6. Update dynamic filter counts (e.g., "Monday (8)")
  * 7. Categorize anime into appropriate catalogs
+ * 8. Refresh per-episode airing times (data/airing-schedule.json)
  * 
  * Usage:
  *   node scripts/incremental-update.js                    # Full update
@@ -33,6 +34,12 @@
 const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
+const {
+  collectAiringSchedule,
+  writeAiringSchedule,
+  getScheduleWindow,
+  getScheduleEntries
+} = require('./build-airing-schedule');
 
 // ========== CONFIGURATION ==========
 
@@ -44,6 +51,9 @@ const CONFIG = {
     catalog: 'catalog.json',
     catalogGz: 'catalog.json.gz',
     filterOptions: 'filter-options.json',
+    idMappings: 'id-mappings.json',
+    episodeMappings: 'episode-mappings.json',
+    airingSchedule: 'airing-schedule.json',
   },
   
   api: {
@@ -1302,6 +1312,34 @@ async function runBroadcastEnrichment(catalogData) {
   return { total: ongoingAnime.length, enriched, fromLiveChart, fromJikan };
 }
 
+/**
+ * Refresh per-episode airing times (AniList) for the Airing Schedule catalog,
+ * countdowns, meta release dates and /calendar.ics
+ */
+async function runAiringScheduleUpdate(catalogData) {
+  console.log('\n🗓️  Refreshing airing schedule...\n');
+  
+  const readJson = (file, fallback) => {
+    const filePath = path.join(CONFIG.dataDir, file);
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : fallback;
+  };
+  
+  const window = getScheduleWindow();
+  const result = await collectAiringSchedule(
+    getScheduleEntries(catalogData.catalog, readJson(CONFIG.files.idMappings, {})),
+    { ...window, episodeMappings: readJson(CONFIG.files.episodeMappings, null) }
+  );
+  
+  if (DRY_RUN) {
+    log(`DRY RUN - Would save airing schedule for ${result.stats.titles} anime`, 'info');
+  } else {
+    writeAiringSchedule(path.join(CONFIG.dataDir, CONFIG.files.airingSchedule), result, window);
+    log(`Saved airing schedule: ${result.stats.matched} episodes for ${result.stats.titles} anime`, 'success');
+  }
+  
+  return result.stats;
+}
+
 async function runNewAnimeDiscovery(catalogData) {
   console.log('\n🆕 Discovering new anime...\n');
   
@@ -1410,6 +1448,7 @@ async function main() {
     nonAnimeDetection: null,
     enrichment: null,
     broadcastEnrichment: null,
+    airingSchedule: null,
     newAnime: null,
     filterOptionsUpdated: false
   };
@@ -1445,6 +1484,13 @@ async function main() {
     // 5. Broadcast Schedule Enrichment (LiveChart primary, Jikan fallback)
     if (!QUALITY_CONTROL_ONLY && !NEW_ANIME_ONLY) {
       results.broadcastEnrichment = await runBroadcastEnrichment(catalogData);
+      
+      // Episode airing times - a failed fetch keeps the previous schedule
+      try {
+        results.airingSchedule = await runAiringScheduleUpdate(catalogData);
+      } catch (err) {
+        log(`Airing schedule update failed: ${err.message}`, 'warning');
+      }
     }
     
     // 6. Update filter options (ALWAYS run - keeps counts accurate)
@@ -1503,6 +1549,12 @@ async function main() {
     console.log(`    - From Jikan: ${results.broadcastEnrichment.fromJikan}`);
   }
   
+  if (results.airingSchedule) {
+    console.log(`\n  Airing Schedule:`);
+    console.log(`    - Titles: ${results.airingSchedule.titles}`);
+    console.log(`    - Episodes: ${results.airingSchedule.matched}`);
+  }
+  
   if (results.filterOptionsUpdated) {
     console.log(`\n  Filter Options: Updated`);
   }
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Redis Stand-in
+ *
+ * A tiny in-memory server speaking the subset of the Redis protocol used by the
+ * redis cache backend (GET, SET with EX/PX, DEL, EXISTS, SCAN, KEYS, DBSIZE,
+ * FLUSHDB, PING, AUTH, SELECT). Lets CACHE_BACKEND=redis be run locally without
+ * installing Redis. Not for production - data lives in this process only.
+ *
+ * Usage:
+ *   node scripts/redis-standin.js               # listens on 127.0.0.1:6379
+ *   node scripts/redis-standin.js --port 6380
+ *   CACHE_BACKEND=redis REDIS_URL=redis://127.0.0.1:6380 npm start
+ */
+
+const net = require('net');
+const { parseReply } = require('../src/utils/redisClient');
+
+const portIndex = process.argv.indexOf('--port');
+const PORT = portIndex !== -1 ? parseInt(process.argv[portIndex + 1]) : 6379;
+
+// key -> { value, expiresAt }
+const store = new Map();
+
+function getLive(key) {
+  const entry = store.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    store.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Redis glob (*, ?, [...], \\escapes) to RegExp
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i);
+      source += end === -1 ? '\\[' : pattern.slice(i, end + 1);
+      if (end !== -1) i = end;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function liveKeys(pattern = '*') {
+  const regex = globToRegExp(pattern);
+  return [...store.keys()].filter(key => getLive(key) && regex.test(key));
+}
+
+// RESP encoders
+const simple = value => `+${value}\r\n`;
+const error = message => `-ERR ${message}\r\n`;
+const integer = value => `:${value}\r\n`;
+const bulk = value => value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+const array = items => `*${items.length}\r\n${items.map(item => Array.isArray(item) ? array(item) : bulk(item)).join('')}`;
+
+function execute([name, ...args]) {
+  switch ((name || '').toUpperCase()) {
+    case 'PING':
+      return simple(args[0] || 'PONG');
+    case 'AUTH':
+    case 'SELECT':
+      return simple('OK');
+    case 'GET':
+      return bulk(getLive(args[0])?.value ?? null);
+    case 'SET': {
+      const [key, value, ...flags] = args;
+      let expiresAt = null;
+      for (let i = 0; i < flags.length; i++) {
+        const flag = flags[i].toUpperCase();
+        if (flag === 'PX') expiresAt = Date.now() + parseInt(flags[++i]);
+        else if (flag === 'EX') expiresAt = Date.now() + parseInt(flags[++i]) * 1000;
+      }
+      store.set(key, { value, expiresAt });
+      return simple('OK');
+    }
+    case 'DEL':
+    case 'UNLINK':
+      return integer(args.filter(key => getLive(key) && store.delete(key)).length);
+    case 'EXISTS':
+      return integer(args.filter(key => getLive(key)).length);
+    case 'KEYS':
+      return array(liveKeys(args[0]));
+    case 'SCAN': {
+      // Single pass: everything is returned with cursor 0
+      const matchIndex = args.findIndex(arg => arg.toUpperCase() === 'MATCH');
+      return array(['0', liveKeys(matchIndex !== -1 ? args[matchIndex + 1] : '*')]);
+    }
+    case 'DBSIZE':
+      return integer(liveKeys().length);
+    case 'FLUSHDB':
+    case 'FLUSHALL':
+      store.clear();
+      return simple('OK');
+    case 'QUIT':
+      return simple('OK');
+    default:
+      return error(`unknown command '${name}'`);
+  }
+}
+
+const server = net.createServer(socket => {
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let offset = 0;
+    let request;
+    try {
+      while ((request = parseReply(buffer, offset))) {
+        offset = request.offset;
+        socket.write(Array.isArray(request.value) ? execute(request.value) : error('expected a command array'));
+      }
+    } catch (err) {
+      socket.end(error(err.message));
+      return;
+    }
+    buffer = buffer.subarray(offset);
+  });
+
+  socket.on('error', () => {});
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log('='.repeat(50));
+  console.log(`Redis stand-in listening on 127.0.0.1:${PORT}`);
+  console.log('='.repeat(50));
+});
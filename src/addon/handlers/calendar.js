@@ -0,0 +1,68 @@
+/**
+ * Calendar Handler
+ *
+ * iCal export (/calendar.ics) of upcoming and recently aired episodes from
+ * data/airing-schedule.json. With an AniList username configured (alu=<username>)
+ * it covers the titles on the user's "Watching" list, otherwise every scheduled title.
+ * There is no feed until the schedule has been built (npm run build-airing-schedule).
+ */
+
+const logger = require('../../utils/logger').child('calendar');
+const databaseLoader = require('../../utils/databaseLoader');
+const { fetchWatchingList } = require('../../services/anilist');
+const { buildICalendar } = require('../../core/airingSchedule');
+const { shouldExcludeFromCatalog } = require('../../core/catalog');
+
+// Episodes that aired within this window stay on the calendar
+const PAST_DAYS = 7;
+
+/**
+ * Catalog IDs on the user's AniList "Watching" list
+ */
+async function getWatchingIds(anilistUser) {
+  const watching = await fetchWatchingList(anilistUser);
+  const ids = new Set();
+  for (const entry of watching) {
+    const anime = databaseLoader.getByAnilistId(entry.anilistId);
+    if (anime) ids.add(anime.id);
+  }
+  logger.debug(`[CALENDAR] ${anilistUser}: ${ids.size}/${watching.length} watched titles in catalog`);
+  return ids;
+}
+
+/**
+ * Calendar handler
+ * @param {Object} args
+ * @param {Object} args.config - User configuration (anilistUser, contentLevel)
+ * @param {string} args.requestId - Request ID (carried by every log line)
+ * @returns {Promise<string|null>} text/calendar body, or null without an airing schedule
+ */
+async function calendarHandler(args) {
+  const { config = {} } = args;
+
+  if (!databaseLoader.isReady()) {
+    await databaseLoader.loadDatabase();
+  }
+
+  if (databaseLoader.getAiringSchedule().size === 0) {
+    logger.debug('[CALENDAR] No airing schedule (npm run build-airing-schedule)');
+    return null;
+  }
+
+  const ids = config.anilistUser ? await getWatchingIds(config.anilistUser) : null;
+  const now = Date.now();
+  const policy = databaseLoader.getContentPolicy();
+  const airings = databaseLoader.getAiringSchedule()
+    .getAiringBetween(now - PAST_DAYS * 24 * 60 * 60 * 1000, Infinity, ids)
+    .filter(({ anime }) => !shouldExcludeFromCatalog(anime) && policy.allows(anime, config.contentLevel));
+
+  logger.info(`[CALENDAR] ${airings.length} episodes${config.anilistUser ? ` for ${config.anilistUser}` : ''}`);
+
+  return buildICalendar(airings, {
+    name: config.anilistUser ? `AnimeStream - ${config.anilistUser}` : 'AnimeStream - Airing Schedule',
+    getUrl: anime => `stremio:///detail/${anime.subtype === 'movie' ? 'movie' : 'series'}/${encodeURIComponent(anime.id)}`,
+    now
+  });
+}
+
+module.exports = calendarHandler;
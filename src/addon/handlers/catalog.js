@@ -1,238 +1,263 @@
 /**
  * Catalog Handler
  * 
- * Handles catalog requests for the three anime catalogs:
+ * Handles catalog requests for the anime catalogs:
  * - anime-top-rated: Sorted by rating with genre filter
  * - anime-season-releases: Filtered by season (2025 - Winter, etc.)
- * - anime-airing: Currently airing anime with genre filter
+ * - anime-airing: Currently airing anime with weekday filter
+ * - anime-movies: Movies with popularity/release/rating filter
+ * - anime-franchise: One franchise in watch order (extra franchise=<member ID>)
+ * - anime-similar: Titles similar to a seed (extra seed=<catalog ID>)
+ * - anime-recommended: Similar to the user's AniList completed list (config alu=<username>)
+ * - anime-airing-schedule: Episodes airing Today / This Week, soonest first
+ * 
+ * Titles with an upcoming episode in data/airing-schedule.json get a countdown
+ * ("Ep 7 in 2d 4h") as their releaseInfo in every catalog.
+ * 
+ * Every catalog (and search) also accepts the combined filters - genres, year,
+ * season, status, studio, ageRating, minRating, episodes - on top of its own
+ * `genre` extra, and a `sort` extra (rating, popularity, newest, oldest, title,
+ * episodes, trending). Browse catalogs fall back to the user's default sort (config sort=).
+ * 
+ * Adult content follows the user's content level (config nsfw=strict|default|ecchi,
+ * src/core/contentPolicy.js) in every catalog, search included.
+ * 
+ * Filtering, sorting and formatting live in src/core/catalog.js so the
+ * Cloudflare worker serves exactly the same catalogs. Browse catalogs are served
+ * from views precomputed at database load (src/core/catalogViews.js), so a page
+ * without combined filters is a slice rather than a filter and sort of the catalog.
+ * 
+ * Pagination: equal sort keys are ordered by catalog ID, so pages never overlap or
+ * skip titles between requests. A client's skip=100, 200, ... requests are served from
+ * the DB version its skip=0 request saw, kept as a snapshot across reloads for
+ * DB_SNAPSHOT_TTL seconds. /api/catalog hands out cursors that carry the version.
  */
 
-const logger = require('../../utils/logger');
+const { LRUCache } = require('lru-cache');
+const logger = require('../../utils/logger').child('catalog');
+const appConfig = require('../../config/env');
 const databaseLoader = require('../../utils/databaseLoader');
+const { fetchCompletedList } = require('../../services/anilist');
+const { getViewWindow, formatAiringInfo } = require('../../core/airingSchedule');
+const {
+  formatAnimeMeta,
+  shouldExcludeFromCatalog,
+  searchDatabase,
+  getCatalogSelection,
+  parseCatalogFilters,
+  applyCatalogFilters,
+  computeFilterCounts,
+  parseSortOption,
+  sortCatalog
+} = require('../../core/catalog');
 
 const PAGE_SIZE = 100;
 
+const SEARCH_CATALOGS = ['anime-series-search', 'anime-movies-search'];
+
+const FRANCHISE_CATALOG = 'anime-franchise';
+const SIMILAR_CATALOG = 'anime-similar';
+const RECOMMENDED_CATALOG = 'anime-recommended';
+const AIRING_SCHEDULE_CATALOG = 'anime-airing-schedule';
+
+// Catalogs the user's default sort applies to - the others have an order of their own
+// (relevance, watch order, similarity, air time) that only an explicit sort extra overrides
+const DEFAULT_SORT_CATALOGS = new Set(['anime-top-rated', 'anime-season-releases', 'anime-airing', 'anime-movies']);
+
+// Similar titles kept per seed / recommendations kept per user
+const SIMILAR_LIMIT = 100;
+const RECOMMENDED_LIMIT = 200;
+
+// Completed titles beyond the most recent ones count half as much
+const RECENT_SEEDS = 25;
+
+// Pagination sessions: client + catalog request -> DB version its first page came from
+const pagingSessions = new LRUCache({ max: 10000, ttl: appConfig.database.snapshotTtl * 1000 });
+
 /**
- * Format an anime object to Stremio meta format
+ * Describe parsed filters for log lines
  */
-function formatAnimeMeta(anime) {
-  const formatted = { ...anime };
-  
-  // IMPORTANT: Set type based on subtype for proper Stremio handling
-  // Movies get type='movie', series get type='series'
-  formatted.type = anime.subtype === 'movie' ? 'movie' : 'series';
-  
-  // Runtime field - show actual episode duration if available
-  if (anime.runtime) {
-    formatted.runtime = anime.runtime;
-  }
-  
-  // IMDB rating - shown by Stremio when imdbRating field is present
-  // Use our Kitsu rating (already on 0-10 scale) or null for N/A display
-  if (anime.rating !== null && anime.rating !== undefined && !isNaN(anime.rating)) {
-    formatted.imdbRating = anime.rating.toFixed(1);
-  }
-  // Note: If no rating, Stremio will show "N/A" automatically
-  
-  // Release year
-  if (anime.year) {
-    formatted.releaseInfo = anime.year.toString();
-  }
-  
-  // Genres - Stremio shows these as clickable pills
-  if (anime.genres && anime.genres.length > 0) {
-    formatted.genres = anime.genres;
-  }
-  
-  // Description - just the synopsis, no extra metadata
-  if (anime.description && anime.description.length > 0) {
-    // Truncate for catalog view
-    formatted.description = anime.description.length > 200 
-      ? anime.description.substring(0, 200) + '...' 
-      : anime.description;
-  }
-  
-  // Handle Kitsu poster URLs - use appropriate size for each format
-  // Kitsu has two URL formats:
-  // - Old format: /poster_images/{id}/large.jpg - supports small/medium/large (use medium for speed)
-  // - New format: /poster_image/large-{hash}.jpeg - ONLY large works! medium/small return 404
-  if (anime.poster) {
-    if (anime.poster.includes('/poster_images/')) {
-      // Old format - use medium for faster loading
-      formatted.poster = anime.poster.replace(/\/large\./, '/medium.');
-    } else {
-      // New format - keep large (only size that works)
-      formatted.poster = anime.poster;
-    }
+function describeFilters(filters) {
+  if (!filters) return '';
+  return ' ' + Object.entries(filters)
+    .map(([key, value]) => {
+      if (Array.isArray(value)) return `${key}=${value.join(',')}`;
+      if (value && typeof value === 'object') return `${key}=${value.min ?? ''}-${value.max ?? ''}`;
+      return `${key}=${value}`;
+    })
+    .join(' ');
+}
+
+/**
+ * Sort for a catalog request: the sort extra, else the user's default (browse catalogs only)
+ * @returns {string|null} SORT_OPTIONS key, or null to keep the catalog's own order
+ */
+function getSortOption(id, extra, config) {
+  return parseSortOption(extra.sort) || (DEFAULT_SORT_CATALOGS.has(id) && config.defaultSort) || null;
+}
+
+/**
+ * DB version to serve a page from
+ * The first page (skip=0) starts a session on the current version; later pages of
+ * the same request from the same client stay on it.
+ * @param {string} client - Client key (address + user agent), sessions are off without one
+ * @returns {string|null} DB version, or null for the current one
+ */
+function getPagingVersion(client, id, extra, config, skip) {
+  if (!client) return null;
+  const { skip: _skip, ...request } = extra;
+  const key = `${client}|${id}|${JSON.stringify(request)}|${config.excludeLongRunning === true}|${config.defaultSort || ''}|${config.contentLevel || ''}`;
+  if (skip === 0) {
+    pagingSessions.set(key, databaseLoader.getDatabaseVersion());
+    return null;
   }
-  
-  // NOTE: Don't add IMDB link here - it interferes with imdbRating display in Stremio
-  // The imdb_id field is already set and Stremio uses that for correlation
-  
-  return formatted;
+  return pagingSessions.get(key) || null;
 }
 
 /**
- * Parse genre filter value (removes count suffix)
- * e.g., "Action (1500)" -> "Action"
+ * Opaque /api/catalog cursor for the page at `skip` of a DB version
  */
-function parseGenreFilter(genre) {
-  if (!genre) return null;
-  return genre.replace(/\s*\(\d+\)$/, '').trim();
+function encodeCursor(version, skip) {
+  return Buffer.from(`${version}:${skip}`).toString('base64url');
 }
 
 /**
- * Parse weekday filter value (removes count suffix)
- * e.g., "Monday (50)" -> "monday"
+ * @returns {Object|null} { version, skip }, or null for a malformed cursor
  */
-function parseWeekdayFilter(weekday) {
-  if (!weekday) return null;
-  // Remove count suffix and normalize to lowercase
-  return weekday.replace(/\s*\(\d+\)$/, '').trim().toLowerCase();
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  const [version, offset] = Buffer.from(String(cursor), 'base64url').toString('utf8').split(':');
+  const skip = parseInt(offset, 10);
+  return version && skip >= 0 ? { version, skip } : null;
 }
 
 /**
- * Parse season filter value (removes count suffix)
- * e.g., "2025 - Winter (150)" -> { year: 2025, season: 'winter' }
+ * Format a catalog entry for Stremio, with an airing countdown as releaseInfo
+ * Entries from the airing schedule catalog carry the episode they were listed for (_airing).
  */
-function parseSeasonFilter(seasonValue) {
-  if (!seasonValue) return null;
-  
-  // Remove count suffix
-  const cleanValue = seasonValue.replace(/\s*\(\d+\)$/, '').trim();
-  
-  // Parse "2025 - Winter" format
-  const match = cleanValue.match(/^(\d{4})\s*-\s*(\w+)$/);
-  if (match) {
-    return {
-      year: parseInt(match[1]),
-      season: match[2].toLowerCase()
-    };
+function formatMeta(anime) {
+  const { _airing: listedAiring, ...entry } = anime;
+  const meta = formatAnimeMeta(entry);
+  const airing = listedAiring || databaseLoader.getAiringSchedule().getNextEpisode(anime.id);
+  if (airing) {
+    meta.releaseInfo = formatAiringInfo(airing);
   }
-  
-  return null;
+  return meta;
 }
 
 /**
- * Check if anime is a series-type entry (not a movie or compilation special)
- * Movies and long specials (100+ min runtime) are considered "movie-type" and excluded from series catalogs
+ * Titles with an episode in a schedule view ("Today", "This Week"), soonest first
+ * Each title is listed once, for its first episode in the window.
  */
-function isSeriesType(anime) {
-  // Movies are always excluded from series catalogs
-  if (anime.subtype === 'movie') return false;
-  
-  // Long specials (100+ minutes) are typically compilation movies - exclude them
-  // Parse runtime if it's a string like "105 min"
-  let runtime = anime.runtime;
-  if (typeof runtime === 'string') {
-    const match = runtime.match(/(\d+)/);
-    runtime = match ? parseInt(match[1]) : 0;
+function getAiringScheduleView(view) {
+  const { from, to } = getViewWindow(view);
+  const listed = new Set();
+  const results = [];
+  
+  for (const { anime, episode, airingAt } of databaseLoader.getAiringSchedule().getAiringBetween(from, to)) {
+    if (listed.has(anime.id) || shouldExcludeFromCatalog(anime)) continue;
+    listed.add(anime.id);
+    results.push({ ...anime, _airing: { episode, airingAt } });
   }
-  if (anime.subtype === 'special' && runtime >= 100) return false;
   
-  return true;
+  return results;
 }
 
 /**
- * Check if anime is a movie-type entry (movie or compilation special)
- * Used for the Movies catalog
+ * Recommendations from the user's AniList completed list
+ * Recent and highly scored titles weigh more; titles already completed are left out.
  */
-function isMovieType(anime) {
-  // Explicit movies
-  if (anime.subtype === 'movie') return true;
-  
-  // Long specials (100+ minutes) are typically compilation movies - include them
-  let runtime = anime.runtime;
-  if (typeof runtime === 'string') {
-    const match = runtime.match(/(\d+)/);
-    runtime = match ? parseInt(match[1]) : 0;
+async function getRecommendedForUser(anilistUser) {
+  const completed = await fetchCompletedList(anilistUser);
+  
+  const seeds = [];
+  for (const [index, entry] of completed.entries()) {
+    const anime = databaseLoader.getByAnilistId(entry.anilistId);
+    if (!anime) continue;
+    const scoreWeight = entry.score ? entry.score / 10 : 0.7;
+    seeds.push({ id: anime.id, weight: scoreWeight * (index < RECENT_SEEDS ? 1 : 0.5) });
   }
-  if (anime.subtype === 'special' && runtime >= 100) return true;
   
-  return false;
+  logger.debug(`[CATALOG] ${anilistUser}: ${seeds.length}/${completed.length} completed titles in catalog`);
+  return databaseLoader.getSimilarIndex()
+    .recommendFor(seeds, { limit: RECOMMENDED_LIMIT })
+    .map(result => result.anime);
 }
 
 /**
- * Search the anime database with relevance scoring
- * @param {string} query - Search query
- * @param {string} targetType - 'series' or 'movie' to filter by subtype
- * @returns {Array} - Sorted array of matching anime
+ * Select a catalog before the combined filters, with the titles the user's content
+ * level hides left out
+ * @returns {Promise<Array|null>} Anime list, or null for an unknown catalog
  */
-function searchDatabase(query, targetType = null) {
-  if (!query || query.length < 2) return [];
-  
+async function selectCatalog(id, extra, config) {
+  const selection = await selectCatalogEntries(id, extra, config);
+  return selection && databaseLoader.getContentPolicy().filter(selection, config.contentLevel);
+}
+
+/**
+ * Select a catalog's entries (search results, a browse catalog, ...)
+ * @returns {Promise<Array|null>} Anime list, or null for an unknown catalog
+ */
+async function selectCatalogEntries(id, extra, config) {
   const catalog = databaseLoader.getCatalog();
-  const normalizedQuery = query.toLowerCase().trim();
-  const queryWords = normalizedQuery.split(/\s+/).filter(w => w.length > 1);
-  
-  const scored = [];
-  
-  for (const anime of catalog) {
-    // Filter by type if specified
-    if (targetType === 'series' && !isSeriesType(anime)) continue;
-    if (targetType === 'movie' && !isMovieType(anime)) continue;
-    
-    const name = (anime.name || '').toLowerCase();
-    const description = (anime.description || '').toLowerCase();
-    const genres = (anime.genres || []).map(g => g.toLowerCase());
-    const studios = (anime.studios || []).map(s => s.toLowerCase());
-    
-    let score = 0;
-    
-    // Exact title match (highest priority)
-    if (name === normalizedQuery) {
-      score += 1000;
-    }
-    // Title starts with query
-    else if (name.startsWith(normalizedQuery)) {
-      score += 500;
-    }
-    // Title contains exact query
-    else if (name.includes(normalizedQuery)) {
-      score += 200;
-    }
-    
-    // Word matching in title
-    for (const word of queryWords) {
-      if (name.includes(word)) {
-        score += 50;
-      }
-    }
-    
-    // Genre matching
-    for (const word of queryWords) {
-      if (genres.some(g => g.includes(word))) {
-        score += 30;
-      }
-    }
-    
-    // Studio matching
-    for (const word of queryWords) {
-      if (studios.some(s => s.includes(word))) {
-        score += 30;
-      }
-    }
-    
-    // Description matching (lower weight)
-    if (description.includes(normalizedQuery)) {
-      score += 20;
-    }
-    
-    // Only include if score > 0
-    if (score > 0) {
-      // Boost by rating for tie-breaking
-      score += (anime.rating || 0) / 10;
-      scored.push({ anime, score });
-    }
+
+  if (SEARCH_CATALOGS.includes(id)) {
+    const targetType = id === 'anime-movies-search' ? 'movie' : 'series';
+    // Ranked through the search index built at DB load (names, synonyms, typo tolerance)
+    return searchDatabase(catalog, extra.search, targetType, databaseLoader.getSearchIndex());
   }
-  
-  // Sort by score descending, then by rating for ties
-  scored.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    return (b.anime.rating || 0) - (a.anime.rating || 0);
-  });
-  
-  return scored.map(s => s.anime);
+
+  if (id === FRANCHISE_CATALOG) {
+    // Watch order from data/franchise-relations.json; unknown IDs give an empty list
+    const franchise = extra.franchise && databaseLoader.getFranchiseIndex().getFranchise(extra.franchise);
+    return franchise ? franchise.members : [];
+  }
+
+  if (id === SIMILAR_CATALOG) {
+    // Precomputed in data/similar-anime.json; the seed may be any supported anime ID
+    const seed = extra.seed && databaseLoader.resolveAnimeId(extra.seed);
+    return seed ? databaseLoader.getSimilarIndex().getSimilar(seed.anime.id, SIMILAR_LIMIT).map(result => result.anime) : [];
+  }
+
+  if (id === RECOMMENDED_CATALOG) {
+    return config.anilistUser ? getRecommendedForUser(config.anilistUser) : [];
+  }
+
+  if (id === AIRING_SCHEDULE_CATALOG) {
+    // Per-episode times from data/airing-schedule.json; genre is the view (default This Week)
+    return getAiringScheduleView(extra.genre);
+  }
+
+  return getCatalogSelection(catalog, id, extra.genre || null, config);
+}
+
+/**
+ * Filtered and sorted results for a catalog request
+ * Browse catalogs come from the precomputed views (of `version` while its snapshot is
+ * kept); other catalogs, and genre values without a view, are selected and sorted
+ * per request from the current database.
+ * @param {string|null} version - DB version to serve from (null = current)
+ * @returns {Promise<Object|null>} { total, page(skip, limit), selection, version }, or null for an unknown catalog
+ */
+async function getCatalogResults(id, extra, config, filters, sort, version = null) {
+  const views = databaseLoader.getCatalogViews(version);
+  const view = views?.get(id, extra.genre, config);
+  if (view && !filters) {
+    return { total: view.size, page: (skip, limit) => view.page(sort, skip, limit), selection: view.list(), version: views.version };
+  }
+
+  const selection = view ? view.list() : await selectCatalog(id, extra, config);
+  if (!selection) return null;
+
+  const results = view
+    ? applyCatalogFilters(view.list(sort), filters)
+    : sortCatalog(applyCatalogFilters(selection, filters), sort);
+  return {
+    total: results.length,
+    page: (skip, limit) => results.slice(skip, skip + limit),
+    selection,
+    version: view ? views.version : databaseLoader.getDatabaseVersion()
+  };
 }
 
 /**
@@ -240,15 +265,18 @@ function searchDatabase(query, targetType = null) {
  * @param {Object} args - Handler arguments
  * @param {string} args.type - Catalog type (anime, series, movie)
  * @param {string} args.id - Catalog ID (anime-top-rated, anime-airing, etc.)
- * @param {Object} args.extra - Extra parameters (skip, genre, search)
- * @param {Object} args.config - User configuration (excludeLongRunning)
+ * @param {Object} args.extra - Extra parameters (skip, genre, search, sort + combined filters)
+ * @param {Object} args.config - User configuration (excludeLongRunning, defaultSort, contentLevel)
+ * @param {string} args.client - Client key for pagination sessions (optional)
+ * @param {string} args.requestId - Request ID (carried by every log line)
  */
 async function catalogHandler(args) {
-  const { type, id, extra, config = {} } = args;
+  const { type, id, extra = {}, config = {}, client = null } = args;
+  const filters = parseCatalogFilters(extra);
   
   // Handle search catalogs (type can be 'series' or 'movie')
-  if (id === 'anime-series-search' || id === 'anime-movies-search') {
-    const searchQuery = extra?.search;
+  if (SEARCH_CATALOGS.includes(id)) {
+    const searchQuery = extra.search;
     if (!searchQuery) {
       return { metas: [] };
     }
@@ -258,15 +286,15 @@ async function catalogHandler(args) {
       await databaseLoader.loadDatabase();
     }
     
-    logger.info(`[SEARCH] Query: "${searchQuery}" Type: ${id}`);
+    const sort = getSortOption(id, extra, config);
+    logger.info(`[SEARCH] Query: "${searchQuery}" Type: ${id}${describeFilters(filters)}${sort ? ` sort=${sort}` : ''}`);
     
-    const targetType = id === 'anime-movies-search' ? 'movie' : 'series';
-    const results = searchDatabase(searchQuery, targetType);
+    const results = sortCatalog(applyCatalogFilters(await selectCatalog(id, extra, config), filters), sort);
     
     // Apply pagination
-    const skip = parseInt(extra?.skip) || 0;
+    const skip = parseInt(extra.skip) || 0;
     const paginated = results.slice(skip, skip + PAGE_SIZE);
-    const metas = paginated.map(formatAnimeMeta);
+    const metas = paginated.map(formatMeta);
     
     logger.info(`[SEARCH] Returning ${metas.length} results for "${searchQuery}"`);
     return { metas };
@@ -283,8 +311,9 @@ async function catalogHandler(args) {
   }
   
   // Log catalog requests at info level
-  const filterInfo = extra?.genre || extra?.season || 'no filter';
-  logger.info(`[CATALOG] ${id} skip=${extra?.skip || 0} filter="${filterInfo}" excludeLongRunning=${config.excludeLongRunning || false}`);
+  const sort = getSortOption(id, extra, config);
+  const filterInfo = extra.genre || extra.season || extra.franchise || extra.seed || 'no filter';
+  logger.info(`[CATALOG] ${id} skip=${extra.skip || 0} filter="${filterInfo}"${describeFilters(filters)} sort=${sort || 'default'} excludeLongRunning=${config.excludeLongRunning || false}`);
   
   // Ensure database is loaded
   if (!databaseLoader.isReady()) {
@@ -296,40 +325,18 @@ async function catalogHandler(args) {
     return { metas: [] };
   }
   
-  // Parse pagination
-  const skip = parseInt(extra?.skip) || 0;
-  const genre = extra?.genre || null;
-  
-  // Get full catalog
-  let catalog = databaseLoader.getCatalog();
-  
-  // Handle each catalog type
-  switch (id) {
-    case 'anime-top-rated':
-      catalog = handleTopRated(catalog, genre);
-      break;
-      
-    case 'anime-season-releases':
-      catalog = handleSeasonReleases(catalog, genre);
-      break;
-      
-    case 'anime-airing':
-      catalog = handleAiring(catalog, genre, config);
-      break;
-    
-    case 'anime-movies':
-      catalog = handleMovies(catalog, genre);
-      break;
-      
-    default:
-      return { metas: [] };
+  const skip = Math.max(parseInt(extra.skip) || 0, 0);
+  const version = getPagingVersion(client, id, extra, config, skip);
+  const results = await getCatalogResults(id, extra, config, filters, sort, version);
+  if (!results) {
+    return { metas: [] };
   }
   
   // Apply pagination
-  const paginated = catalog.slice(skip, skip + PAGE_SIZE);
+  const paginated = results.page(skip, PAGE_SIZE);
   
   // Format for Stremio
-  const metas = paginated.map(formatAnimeMeta);
+  const metas = paginated.map(formatMeta);
   
   logger.info(`[CATALOG] Returning ${metas.length} items for ${id}`);
   
@@ -337,242 +344,48 @@ async function catalogHandler(args) {
 }
 
 /**
- * Handle Top Rated catalog
- * Sorted by rating (highest first), filtered by genre
- * EXCLUDES movies and compilation specials (they have their own catalog)
+ * Query a catalog with combined filters (GET /api/catalog/:id)
+ * Returns the page plus the total and filter counts recomputed for the selection.
+ * nextCursor fetches the following page from the same DB version, even after a
+ * reload (while its snapshot is kept).
+ * @param {Object} args
+ * @param {string} args.id - Catalog ID (browse or search catalog)
+ * @param {Object} args.extra - genre, search, sort, skip or cursor, limit + combined filters
+ * @param {Object} args.config - User configuration
+ * @returns {Promise<Object|null>} { id, version, total, skip, sort, filters, counts, metas, nextCursor }, or null for an unknown catalog
  */
-function handleTopRated(catalog, genreFilter) {
-  // Exclude movies and compilation specials - they have their own catalog
-  let filtered = catalog.filter(isSeriesType);
-  
-  // Filter by genre if specified
-  if (genreFilter) {
-    const genre = parseGenreFilter(genreFilter);
-    filtered = filtered.filter(anime => 
-      anime.genres && anime.genres.some(g => 
-        g.toLowerCase() === genre.toLowerCase()
-      )
-    );
+async function queryCatalog({ id, extra = {}, config = {} }) {
+  if (!databaseLoader.isReady()) {
+    await databaseLoader.loadDatabase();
   }
-  
-  // Sort by rating (already sorted in database, but ensure it)
-  filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-  
-  return filtered;
-}
 
-/**
- * Get current anime season based on current month
- * Winter: Jan-Mar, Spring: Apr-Jun, Summer: Jul-Sep, Fall: Oct-Dec
- */
-function getCurrentSeason() {
-  const now = new Date();
-  const month = now.getMonth(); // 0-11
-  const year = now.getFullYear();
-  
-  let season;
-  if (month <= 2) season = 'winter';
-  else if (month <= 5) season = 'spring';
-  else if (month <= 8) season = 'summer';
-  else season = 'fall';
-  
-  return { year, season };
-}
+  if (SEARCH_CATALOGS.includes(id) && !extra.search) return null;
 
-/**
- * Check if a season is in the future (hasn't started yet)
- */
-function isFutureSeason(seasonYear, seasonName) {
-  const current = getCurrentSeason();
-  const seasonOrder = { winter: 0, spring: 1, summer: 2, fall: 3 };
-  
-  const seasonLower = seasonName?.toLowerCase() || '';
-  
-  // Future year
-  if (seasonYear > current.year) return true;
-  
-  // Same year but future season
-  if (seasonYear === current.year && seasonOrder[seasonLower] > seasonOrder[current.season]) {
-    return true;
-  }
-  
-  return false;
-}
+  const filters = parseCatalogFilters(extra);
+  const sort = getSortOption(id, extra, config);
+  const cursor = decodeCursor(extra.cursor);
+  const results = databaseLoader.isReady()
+    ? await getCatalogResults(id, extra, config, filters, sort, cursor?.version)
+    : { total: 0, page: () => [], selection: [], version: null };
+  if (!results) return null;
 
-/**
- * Handle Season Releases catalog
- * Filtered by anime season (year + season)
- * Supports "Upcoming" filter for future seasons
- * EXCLUDES movies and compilation specials (they have their own catalog)
- */
-function handleSeasonReleases(catalog, seasonFilter) {
-  // Exclude movies and compilation specials - they have their own catalog
-  let filtered = catalog.filter(isSeriesType);
-  
-  // Filter by season if specified
-  if (seasonFilter) {
-    // Remove count suffix from filter value (e.g., "Upcoming (24)" -> "Upcoming")
-    const cleanFilter = seasonFilter.replace(/\s*\(\d+\)$/, '').trim();
-    
-    if (cleanFilter.toLowerCase() === 'upcoming') {
-      // Show all future seasons combined
-      filtered = filtered.filter(anime => 
-        anime.year && anime.season && isFutureSeason(anime.year, anime.season)
-      );
-    } else {
-      const parsed = parseSeasonFilter(cleanFilter);
-      if (parsed) {
-        filtered = filtered.filter(anime => 
-          anime.year === parsed.year && 
-          anime.season?.toLowerCase() === parsed.season
-        );
-      }
-    }
-  } else {
-    // Default: show anime with season info from current and past seasons only (no future)
-    filtered = filtered.filter(anime => 
-      anime.year && anime.season && !isFutureSeason(anime.year, anime.season)
-    );
-  }
-  
-  // Sort by date (newest first), then by rating
-  filtered.sort((a, b) => {
-    // Year first
-    if (a.year !== b.year) return (b.year || 0) - (a.year || 0);
-    
-    // Season order: winter > fall > summer > spring (for same year)
-    const seasonOrder = { winter: 4, fall: 3, summer: 2, spring: 1 };
-    const aSeason = seasonOrder[a.season?.toLowerCase()] || 0;
-    const bSeason = seasonOrder[b.season?.toLowerCase()] || 0;
-    if (aSeason !== bSeason) return bSeason - aSeason;
-    
-    // Finally by rating
-    return (b.rating || 0) - (a.rating || 0);
-  });
-  
-  return filtered;
-}
+  const skip = cursor ? cursor.skip : Math.max(parseInt(extra.skip) || 0, 0);
+  const limit = Math.min(Math.max(parseInt(extra.limit) || PAGE_SIZE, 1), PAGE_SIZE);
 
-/**
- * Handle Airing catalog (renamed to "Currently Airing")
- * Shows currently airing anime, filtered by weekday (broadcast day)
- * EXCLUDES movies and compilation specials (they have their own catalog)
- * IMPORTANT: Excludes hentai content
- * @param {Array} catalog - Full catalog
- * @param {string} weekdayFilter - Weekday filter (Monday, Tuesday, etc.)
- * @param {Object} config - User configuration
- * @param {boolean} config.excludeLongRunning - If true, exclude long-running anime (500+ episodes or started before 2020)
- */
-function handleAiring(catalog, weekdayFilter, config = {}) {
-  // Exclude movies and compilation specials - they have their own catalog
-  let filtered = catalog.filter(isSeriesType);
-  
-  // Filter to only ONGOING status
-  filtered = filtered.filter(anime => anime.status === 'ONGOING');
-  
-  // CRITICAL: Filter out hentai content from airing catalog
-  // Check both tags array and genres for 'hentai'
-  filtered = filtered.filter(anime => {
-    const hasHentaiTag = anime.tags && anime.tags.some(tag => 
-      tag.toLowerCase() === 'hentai'
-    );
-    const hasHentaiGenre = anime.genres && anime.genres.some(genre => 
-      genre.toLowerCase() === 'hentai'
-    );
-    return !hasHentaiTag && !hasHentaiGenre;
-  });
-  
-  // Exclude long-running anime if config option is set
-  // Long-running = started many years ago and still ongoing (One Piece, Conan, Doraemon, etc.)
-  if (config.excludeLongRunning) {
-    const currentYear = new Date().getFullYear();
-    const longRunningCutoff = currentYear - 5; // Started more than 5 years ago
-    
-    filtered = filtered.filter(anime => {
-      // Exclude if 500+ episodes (definite long-runner)
-      if (anime.episodeCount && anime.episodeCount >= 500) {
-        return false;
-      }
-      
-      // Exclude if started before cutoff year (5+ years ago) - most long-runners
-      // This catches One Piece (1999), Conan (1996), Shin Chan (1992), etc.
-      if (anime.year && anime.year < longRunningCutoff) {
-        return false;
-      }
-      
-      // Exclude if 200+ episodes regardless of year
-      if (anime.episodeCount && anime.episodeCount >= 200) {
-        return false;
-      }
-      
-      return true;
-    });
-  }
-  
-  // Filter by weekday (broadcast day) if specified
-  if (weekdayFilter) {
-    const weekday = parseWeekdayFilter(weekdayFilter);
-    if (weekday) {
-      filtered = filtered.filter(anime => 
-        anime.broadcastDay && anime.broadcastDay.toLowerCase() === weekday
-      );
-    }
-  }
-  
-  // Sort by rating (highest first)
-  filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-  
-  return filtered;
-}
+  logger.info(`[CATALOG] API ${id} genre="${extra.genre || ''}"${describeFilters(filters)} sort=${sort || 'default'} -> ${results.total} results`);
 
-/**
- * Handle Movies catalog
- * Shows anime movies AND long compilation specials (100+ min runtime), filtered by genre or special filters (Upcoming, New Releases)
- * Sorted by rating (highest first)
- */
-function handleMovies(catalog, filterValue) {
-  // Movies AND long compilation specials (100+ min)
-  let filtered = catalog.filter(isMovieType);
-  
-  // Handle special filters
-  if (filterValue) {
-    const cleanFilter = parseGenreFilter(filterValue); // Removes count suffix
-    
-    if (cleanFilter === 'Upcoming') {
-      // Upcoming: movies not yet released (status != FINISHED)
-      filtered = filtered.filter(anime => anime.status !== 'FINISHED');
-      // Sort by year (newest first)
-      filtered.sort((a, b) => (b.year || 0) - (a.year || 0));
-    } 
-    else if (cleanFilter === 'New Releases') {
-      // New Releases: movies from the current year that are released
-      const currentYear = new Date().getFullYear();
-      filtered = filtered.filter(anime => 
-        anime.year >= currentYear - 1 && // Last 2 years
-        anime.status === 'FINISHED'
-      );
-      // Sort by year (newest first), then rating
-      filtered.sort((a, b) => {
-        if (a.year !== b.year) return (b.year || 0) - (a.year || 0);
-        return (b.rating || 0) - (a.rating || 0);
-      });
-    }
-    else {
-      // Regular genre filter
-      filtered = filtered.filter(anime => 
-        anime.genres && anime.genres.some(g => 
-          g.toLowerCase() === cleanFilter.toLowerCase()
-        )
-      );
-      // Sort by rating
-      filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-    }
-  } else {
-    // Default: all movies sorted by rating
-    filtered.sort((a, b) => (b.rating || 0) - (a.rating || 0));
-  }
-  
-  return filtered;
+  return {
+    id,
+    version: results.version,
+    total: results.total,
+    skip,
+    sort,
+    filters,
+    counts: computeFilterCounts(results.selection, filters),
+    metas: results.page(skip, limit).map(formatMeta),
+    nextCursor: skip + limit < results.total ? encodeCursor(results.version, skip + limit) : null
+  };
 }
 
 module.exports = catalogHandler;
+module.exports.queryCatalog = queryCatalog;
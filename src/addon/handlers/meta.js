@@ -2,70 +2,246 @@
  * Meta Handler
  * 
  * Returns detailed metadata for anime items.
- * Supports multiple ID formats: mal-{id}, tt{imdbId}, kitsu-{id}, anilist-{id}
+ * Supports multiple ID formats (see core/animeIds): tt{imdbId}, mal-{id},
+ * kitsu:{id}, mal:{id}, anilist:{id}, plus legacy kitsu-{id}/anilist-{id}/{malId}.
+ * Colon-prefixed requests get their own ID back, with videos as {prefix}{id}:{episode}
+ * (absolute numbering), the way Kitsu-based addons expect.
  * 
  * Fetches synopsis from Jikan API on-demand (with caching).
+ * Franchise relations (data/franchise-relations.json) become "Sequel"/"Prequel"/
+ * "Movie"/"Side Story" links plus a link to the whole franchise in watch order.
+ * Precomputed similar titles (data/similar-anime.json) become "Similar" links.
+ * Titles the user's content level hides (config nsfw=, src/core/contentPolicy.js)
+ * get no meta and never show up as links.
+ * Series get a full episode list (videos) built from the catalog's
+ * episodeCount, enriched with Cinemeta's season structure when available.
+ * Airing times (data/airing-schedule.json) set the videos' release dates, add
+ * announced episodes so Stremio lists them as upcoming, and give the meta an
+ * "Ep 7 in 2d 4h" releaseInfo.
  */
 
-const logger = require('../../utils/logger');
+const logger = require('../../utils/logger').child('meta');
 const databaseLoader = require('../../utils/databaseLoader');
 const cache = require('../../utils/cache');
+const appConfig = require('../../config/env');
+const { fetchCinemetaMeta } = require('../../services/cinemeta');
+const { trackUpstream } = require('../../utils/metrics');
+const { formatAiringInfo } = require('../../core/airingSchedule');
 
-// Synopsis cache (persists in memory, 24h TTL)
-const synopsisCache = new Map();
-const SYNOPSIS_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// Synopsis cache (namespace TTL in config.cache.namespaces)
+const synopsisCache = cache.namespace('synopsis');
+
+// Franchise/similar catalogs (see manifest) and the most links of each kind per meta
+const FRANCHISE_CATALOG_ID = 'anime-franchise';
+const SIMILAR_CATALOG_ID = 'anime-similar';
+const MAX_RELATION_LINKS = 20;
+const MAX_SIMILAR_LINKS = 10;
 
 /**
  * Fetch synopsis from Jikan API
  * Rate limited: max 3 req/sec, 60 req/min
  */
 async function fetchSynopsisFromJikan(malId) {
-  // Check cache first
-  const cached = synopsisCache.get(malId);
-  if (cached && Date.now() - cached.timestamp < SYNOPSIS_CACHE_TTL) {
-    return cached.synopsis;
+  // Cached as { synopsis } so titles without a synopsis aren't re-fetched; failures aren't cached
+  const cached = await synopsisCache.wrap(malId, async () => {
+    try {
+      const fetch = (await import('node-fetch')).default;
+      const response = await trackUpstream('jikan', () => fetch(`https://api.jikan.moe/v4/anime/${malId}`, {
+        timeout: 10000
+      }));
+      
+      if (response.ok) {
+        const data = await response.json();
+        return { synopsis: data.data?.synopsis || null };
+      }
+    } catch (err) {
+      logger.debug(`[JIKAN] Failed to fetch synopsis for MAL:${malId}: ${err.message}`);
+    }
+    
+    return null;
+  });
+  
+  return cached?.synopsis || null;
+}
+
+/**
+ * Fetch episode enrichment for a series from the configured provider
+ * Returns Cinemeta's videos array, or null if disabled/unavailable
+ */
+async function fetchEpisodeEnrichment(anime) {
+  if (appConfig.meta.enrichment !== 'cinemeta' || !anime.imdb_id) {
+    return null;
   }
   
-  try {
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch(`https://api.jikan.moe/v4/anime/${malId}`, {
-      timeout: 10000
-    });
+  const cinemeta = await fetchCinemetaMeta(anime.imdb_id, 'series');
+  if (!cinemeta?.videos || cinemeta.videos.length === 0) {
+    return null;
+  }
+  
+  return cinemeta.videos;
+}
+
+/**
+ * Build the Stremio videos (episode list) for a series
+ * Uses enrichment videos when available (proper seasons, titles, dates, thumbnails),
+ * otherwise lists episodes 1..episodeCount from catalog data, split into seasons
+ * via episode-mappings.json so IDs match what the stream handler expects.
+ * Scheduled episodes take their release date from the airing schedule, and
+ * announced episodes missing from the list are added.
+ * @param {Object} anime - Anime data from database
+ * @param {Array|null} enrichmentVideos - Videos from the enrichment provider
+ * @param {string|null} idPrefix - External ID prefix (e.g. 'kitsu:7442') for absolute video IDs
+ * @returns {Array} Stremio video objects sorted by season/episode
+ */
+function buildVideos(anime, enrichmentVideos = null, idPrefix = null) {
+  const baseId = anime.imdb_id || anime.id;
+  const mapper = databaseLoader.getEpisodeMapper();
+  
+  // tt123:1:5 normally; kitsu:7442:5 (absolute episode) for external IDs
+  const videoId = (season, episode, absolute) => idPrefix
+    ? `${idPrefix}:${absolute}`
+    : `${baseId}:${season}:${episode}`;
+  
+  // Absolute episode -> ISO air date (schedule episodes are numbered absolutely)
+  const airDates = new Map(databaseLoader.getAiringSchedule().getEpisodes(anime.id)
+    .map(({ episode, airingAt }) => [episode, new Date(airingAt).toISOString()]));
+  
+  let videos;
+  if (enrichmentVideos && enrichmentVideos.length > 0) {
+    videos = enrichmentVideos
+      .filter(video => video.season !== undefined && video.episode !== undefined)
+      .map(video => ({
+        video,
+        // Season 0 (specials) and episodes outside the episode mapping have no absolute number
+        absolute: video.season > 0 ? mapper.toAbsolute(baseId, video.season, video.episode) : null
+      }))
+      .filter(({ absolute }) => !idPrefix || absolute !== null)
+      .map(({ video, absolute }) => ({
+        id: videoId(video.season, video.episode, absolute),
+        title: video.name || video.title || `Episode ${video.episode}`,
+        season: video.season,
+        episode: video.episode,
+        released: airDates.get(absolute) || video.released || video.firstAired || undefined,
+        thumbnail: video.thumbnail || undefined,
+        overview: video.overview || video.description || undefined
+      }));
+  } else {
+    const episodeCount = anime.episodeCount || anime.episodes || 0;
+    videos = [];
     
-    if (response.ok) {
-      const data = await response.json();
-      const synopsis = data.data?.synopsis || null;
-      
-      // Cache the result
-      synopsisCache.set(malId, { synopsis, timestamp: Date.now() });
-      
-      // Limit cache size (max 1000 entries)
-      if (synopsisCache.size > 1000) {
-        const oldest = [...synopsisCache.entries()]
-          .sort((a, b) => a[1].timestamp - b[1].timestamp)[0];
-        synopsisCache.delete(oldest[0]);
-      }
-      
-      return synopsis;
+    // Catalog data has no per-episode thumbnails - only the count (and scheduled air dates)
+    for (let absolute = 1; absolute <= episodeCount; absolute++) {
+      const { season, episode } = mapper.fromAbsolute(baseId, absolute);
+      videos.push({
+        id: idPrefix ? `${idPrefix}:${absolute}` : `${baseId}:${season}:${episode}`,
+        title: `Episode ${absolute}`,
+        season,
+        episode,
+        released: airDates.get(absolute)
+      });
     }
-  } catch (err) {
-    logger.debug(`[JIKAN] Failed to fetch synopsis for MAL:${malId}: ${err.message}`);
   }
   
-  return null;
+  // Announced episodes the list doesn't have yet (ongoing shows without an episode count,
+  // or Cinemeta lagging behind) - dated, so Stremio shows them as upcoming
+  const listed = new Set(videos.filter(video => video.season > 0)
+    .map(video => mapper.toAbsolute(baseId, video.season, video.episode)));
+  for (const [absolute, released] of airDates) {
+    if (listed.has(absolute)) continue;
+    const { season, episode } = mapper.fromAbsolute(baseId, absolute);
+    videos.push({
+      id: idPrefix ? `${idPrefix}:${absolute}` : `${baseId}:${season}:${episode}`,
+      title: `Episode ${absolute}`,
+      season,
+      episode,
+      released
+    });
+  }
+  
+  return videos.sort((a, b) => (a.season - b.season) || (a.episode - b.episode));
+}
+
+/**
+ * Stremio deep link to another item's detail page
+ */
+function getDetailUrl(anime) {
+  const type = anime.subtype === 'movie' ? 'movie' : 'series';
+  return `stremio:///detail/${type}/${encodeURIComponent(anime.id)}`;
+}
+
+/**
+ * Build franchise links for an anime: related entries by category, then the franchise catalog
+ * @param {Object} anime - Anime data from database
+ * @param {string|null} manifestUrl - This addon's manifest URL (needed for the catalog link)
+ * @param {Function} isAllowed - anime => whether the user's content level shows it
+ * @returns {Array} Stremio link objects
+ */
+function buildRelationLinks(anime, manifestUrl = null, isAllowed = () => true) {
+  const franchiseIndex = databaseLoader.getFranchiseIndex();
+  const links = franchiseIndex.getRelations(anime.id)
+    .filter(relation => relation.category && isAllowed(relation.anime))
+    .slice(0, MAX_RELATION_LINKS)
+    .map(relation => ({
+      name: relation.anime.name,
+      category: relation.category,
+      url: getDetailUrl(relation.anime)
+    }));
+  
+  const franchise = franchiseIndex.getFranchise(anime.id);
+  if (franchise && manifestUrl) {
+    links.push({
+      name: `${franchise.name} (${franchise.members.length} titles)`,
+      category: 'Franchise',
+      url: `stremio:///discover/${encodeURIComponent(manifestUrl)}/anime/${FRANCHISE_CATALOG_ID}?franchise=${encodeURIComponent(franchise.id)}`
+    });
+  }
+  
+  return links;
+}
+
+/**
+ * Build "Similar" links: the closest titles, then the full anime-similar catalog
+ * @param {Object} anime - Anime data from database
+ * @param {string|null} manifestUrl - This addon's manifest URL (needed for the catalog link)
+ * @param {Function} isAllowed - anime => whether the user's content level shows it
+ * @returns {Array} Stremio link objects
+ */
+function buildSimilarLinks(anime, manifestUrl = null, isAllowed = () => true) {
+  const similar = databaseLoader.getSimilarIndex().getSimilar(anime.id, MAX_SIMILAR_LINKS)
+    .filter(result => isAllowed(result.anime));
+  const links = similar.map(({ anime: similarAnime }) => ({
+    name: similarAnime.name,
+    category: 'Similar',
+    url: getDetailUrl(similarAnime)
+  }));
+  
+  if (similar.length > 0 && manifestUrl) {
+    links.push({
+      name: `More like ${anime.name}`,
+      category: 'Similar',
+      url: `stremio:///discover/${encodeURIComponent(manifestUrl)}/anime/${SIMILAR_CATALOG_ID}?seed=${encodeURIComponent(anime.id)}`
+    });
+  }
+  
+  return links;
 }
 
 /**
  * Meta handler
+ * @param {Object} args
+ * @param {string} args.type - Stremio type
+ * @param {string} args.id - Any supported anime ID
+ * @param {string} args.manifestUrl - Manifest URL the request came through (for franchise catalog links)
+ * @param {Object} args.config - User configuration (contentLevel)
  */
 async function metaHandler(args) {
-  const { type, id } = args;
+  const { type, id, manifestUrl = null, config = {} } = args;
   
   // Log all meta requests at info level for tracking
   logger.info(`[META] Request for ${type}/${id}`);
   
-  // Accept both 'series' and 'anime' types
-  if (type !== 'series' && type !== 'anime') {
+  // Accept 'series', 'anime' and 'movie' types
+  if (type !== 'series' && type !== 'anime' && type !== 'movie') {
     logger.debug(`[META] Unsupported type: ${type}`);
     return { meta: null };
   }
@@ -75,54 +251,54 @@ async function metaHandler(args) {
     await databaseLoader.loadDatabase();
   }
   
-  // Try to find anime by ID
-  let anime = null;
-  
-  // Check by full ID first (mal-{id})
-  if (id.startsWith('mal-')) {
-    anime = databaseLoader.getById(id);
-  }
-  // Check by MAL ID number
-  else if (/^\d+$/.test(id)) {
-    anime = databaseLoader.getByMalId(parseInt(id));
-  }
-  // Check by IMDB ID
-  else if (id.startsWith('tt')) {
-    anime = databaseLoader.getByImdbId(id);
-  }
-  // Check by Kitsu ID
-  else if (id.startsWith('kitsu-')) {
-    const kitsuId = parseInt(id.replace('kitsu-', ''));
-    // Search through catalog for matching kitsuId
-    const catalog = databaseLoader.getCatalog();
-    anime = catalog.find(a => a.kitsuId === kitsuId);
-  }
-  // Check by AniList ID
-  else if (id.startsWith('anilist-')) {
-    const anilistId = parseInt(id.replace('anilist-', ''));
-    const catalog = databaseLoader.getCatalog();
-    anime = catalog.find(a => a.anilistId === anilistId);
+  // Find anime by any supported ID format
+  const resolved = databaseLoader.resolveAnimeId(id);
+  if (!resolved) {
+    logger.info(`[META] Not found: ${id}`);
+    return { meta: null };
   }
   
-  if (!anime) {
-    logger.info(`[META] Not found: ${id}`);
+  const { anime } = resolved;
+  const policy = databaseLoader.getContentPolicy();
+  const isAllowed = entry => policy.allows(entry, config.contentLevel);
+  if (!isAllowed(anime)) {
+    logger.info(`[META] Hidden by content policy (${config.contentLevel || 'default'}): ${id}`);
     return { meta: null };
   }
   
+  // Stremio matches the response to the requested ID, so kitsu:/mal:/anilist: requests keep theirs
+  const externalId = resolved.prefix ? `${resolved.prefix}${resolved.value}` : null;
+  
   // Get MAL ID (handle both malId and mal_id field names)
   const malId = anime.malId || anime.mal_id;
   
   // Log successful meta lookup with details
   logger.info(`[META] Found: "${anime.name}" (MAL:${malId}, IMDB:${anime.imdb_id || 'none'})`);
   
-  // Fetch synopsis from Jikan API (async, non-blocking with cache)
-  let synopsis = null;
-  if (malId) {
-    synopsis = await fetchSynopsisFromJikan(malId);
-  }
+  const isMovie = anime.subtype === 'movie';
+  
+  // Fetch synopsis (Jikan) and episode enrichment (series only) in parallel
+  const [synopsis, enrichmentVideos] = await Promise.all([
+    malId ? fetchSynopsisFromJikan(malId) : Promise.resolve(null),
+    isMovie ? Promise.resolve(null) : fetchEpisodeEnrichment(anime)
+  ]);
   
   // Build full meta response
-  const meta = buildMetaResponse(anime, synopsis);
+  const meta = buildMetaResponse(anime, synopsis, [
+    ...buildRelationLinks(anime, manifestUrl, isAllowed),
+    ...buildSimilarLinks(anime, manifestUrl, isAllowed)
+  ], databaseLoader.getAiringSchedule().getNextEpisode(anime.id));
+  if (externalId) {
+    meta.id = externalId;
+  }
+  
+  // Movies have no episode list - Stremio plays the meta ID directly
+  if (isMovie) {
+    meta.behaviorHints.defaultVideoId = externalId || anime.imdb_id || anime.id;
+  } else {
+    meta.videos = buildVideos(anime, enrichmentVideos, externalId);
+    logger.debug(`[META] ${meta.videos.length} videos for "${anime.name}" (${enrichmentVideos ? 'cinemeta' : 'catalog'})`);
+  }
   
   return { meta };
 }
@@ -131,8 +307,10 @@ async function metaHandler(args) {
  * Build full meta response from anime data
  * @param {Object} anime - Anime data from database
  * @param {string|null} synopsis - Synopsis fetched from Jikan API
+ * @param {Array} relationLinks - Franchise and similar-title links (see buildRelationLinks/buildSimilarLinks)
+ * @param {Object|null} nextEpisode - Next scheduled episode ({ episode, airingAt }) for the countdown
  */
-function buildMetaResponse(anime, synopsis = null) {
+function buildMetaResponse(anime, synopsis = null, relationLinks = [], nextEpisode = null) {
   // Build description WITHOUT metadata prefix (cleaner display)
   let description = '';
   
@@ -141,7 +319,7 @@ function buildMetaResponse(anime, synopsis = null) {
     description = synopsis;
   }
   
-  // Build links array (genres + studios)
+  // Build links array (genres + studios + franchise + similar)
   // NOTE: Don't add IMDB link - it interferes with imdbRating display in Stremio
   // The imdb_id field is already set and Stremio uses that for correlation
   const links = [];
@@ -168,6 +346,8 @@ function buildMetaResponse(anime, synopsis = null) {
     }
   }
   
+  links.push(...relationLinks);
+  
   // Build meta object
   const meta = {
     id: anime.id,
@@ -185,8 +365,8 @@ function buildMetaResponse(anime, synopsis = null) {
     // Runtime field - show episode duration for all types
     runtime: anime.runtime || undefined,
     
-    // Release info
-    releaseInfo: anime.year?.toString(),
+    // Release info - a countdown to the next episode while one is scheduled
+    releaseInfo: nextEpisode ? formatAiringInfo(nextEpisode) : anime.year?.toString(),
     year: anime.year,
     
     // Description - use our synopsis
@@ -203,9 +383,9 @@ function buildMetaResponse(anime, synopsis = null) {
     imdbRating: anime.rating ? anime.rating.toFixed(1) : undefined,
     
     // behaviorHints control Stremio behavior
+    // (defaultVideoId is set for movies only - it makes Stremio skip the episode list)
     behaviorHints: {
-      defaultVideoId: anime.imdb_id || anime.id,
-      hasScheduledVideos: anime.status === 'ONGOING'
+      hasScheduledVideos: anime.status === 'ONGOING' || Boolean(nextEpisode)
     }
   };
   
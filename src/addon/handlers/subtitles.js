@@ -0,0 +1,77 @@
+/**
+ * Subtitles Handler
+ *
+ * Returns soft subtitles for an episode from Kitsunekko and SubDL.
+ * Languages and the SubDL API key come from the user config (slang=, sk=).
+ */
+
+const databaseLoader = require('../../utils/databaseLoader');
+const logger = require('../../utils/logger').child('subtitles');
+const { scrapeKitsunekko, searchSubDL } = require('../../services/subtitles');
+
+/**
+ * Human-readable name for a subtitle language code
+ */
+function getLanguageName(lang) {
+  if (lang === 'jpn') return 'Japanese';
+  if (lang === 'eng') return 'English';
+  return lang;
+}
+
+/**
+ * Subtitles handler
+ * @param {Object} args - Handler arguments
+ * @param {string} args.type - 'movie' or 'series'
+ * @param {string} args.id - IMDB ID or IMDB:season:episode
+ * @param {Object} args.config - Parsed user config (subtitleLanguages, subdlApiKey)
+ * @param {string} args.requestId - Request ID (carried by every log line)
+ */
+async function subtitlesHandler(args) {
+  const { type, id, config = {} } = args;
+
+  // Stremio sometimes sends %3A instead of : and appends /filename=... extras
+  const cleanId = decodeURIComponent(id).split('/')[0];
+  const parts = cleanId.split(':');
+  const imdbId = parts[0];
+  const season = parts.length >= 2 ? parseInt(parts[1]) : 1;
+  const episode = parts.length >= 3 ? parseInt(parts[2]) : 1;
+
+  if (!databaseLoader.isReady()) {
+    await databaseLoader.loadDatabase();
+  }
+
+  const anime = databaseLoader.getByImdbId(imdbId);
+  const animeName = anime?.name || '';
+
+  logger.info(`[SUBTITLES] Request: ${type}/${imdbId} S${season}E${episode} "${animeName}"`);
+
+  // Fetch subtitles from Kitsunekko and SubDL in parallel
+  // NOTE: OpenSubtitles not included - users typically have it as a separate addon
+  const [kitsunekkoSubs, subdlSubs] = await Promise.all([
+    animeName ? scrapeKitsunekko(animeName) : Promise.resolve([]),
+    searchSubDL(animeName || imdbId, season, episode, config.subtitleLanguages || ['en'], imdbId, config.subdlApiKey)
+  ]);
+
+  // Kitsunekko lists whole-series folders - keep files for this episode (or undetected ones)
+  const filteredKitsunekko = kitsunekkoSubs.filter(sub => !sub.episode || sub.episode === episode);
+
+  // Deduplicate by URL
+  const seenUrls = new Set();
+  const subtitles = [...filteredKitsunekko, ...subdlSubs]
+    .filter(sub => {
+      if (seenUrls.has(sub.url)) return false;
+      seenUrls.add(sub.url);
+      return true;
+    })
+    .map(sub => ({
+      id: sub.id,
+      url: sub.url,
+      lang: `${getLanguageName(sub.lang)} (${sub.provider || 'Unknown'})`
+    }));
+
+  logger.info(`[SUBTITLES] Found ${subtitles.length} subtitles (Kitsunekko: ${filteredKitsunekko.length}, SubDL: ${subdlSubs.length})`);
+
+  return { subtitles };
+}
+
+module.exports = subtitlesHandler;
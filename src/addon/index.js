@@ -8,8 +8,11 @@
 const catalogHandler = require('./handlers/catalog');
 const metaHandler = require('./handlers/meta');
 const streamHandler = require('./handlers/stream');
+const subtitlesHandler = require('./handlers/subtitles');
+const calendarHandler = require('./handlers/calendar');
 const { getManifest } = require('./manifest');
-const logger = require('../utils/logger');
+const logger = require('../utils/logger').child('addon');
+const { runWithRequestId } = require('../utils/requestContext');
 
 /**
  * Get the manifest with optional user config
@@ -30,22 +33,31 @@ async function getManifestWithConfig(userConfig = {}) {
 
 /**
  * Catalog handler wrapper with error handling
+ * Handlers run in the request's context (args.requestId) so every log line carries it.
  */
 async function handleCatalog(args) {
   try {
-    return await catalogHandler(args);
+    return await runWithRequestId(args.requestId, () => catalogHandler(args));
   } catch (error) {
     logger.error('Catalog handler error:', error);
     return { metas: [] };
   }
 }
 
+/**
+ * Catalog query wrapper (GET /api/catalog/:id)
+ * Errors are left to the route so API clients get a 500 rather than an empty page.
+ */
+async function handleCatalogQuery(args) {
+  return runWithRequestId(args.requestId, () => catalogHandler.queryCatalog(args));
+}
+
 /**
  * Meta handler wrapper with error handling
  */
 async function handleMeta(args) {
   try {
-    return await metaHandler(args);
+    return await runWithRequestId(args.requestId, () => metaHandler(args));
   } catch (error) {
     logger.error('Meta handler error:', error);
     return { meta: null };
@@ -57,18 +69,41 @@ async function handleMeta(args) {
  */
 async function handleStream(args) {
   try {
-    return await streamHandler(args);
+    return await runWithRequestId(args.requestId, () => streamHandler(args));
   } catch (error) {
     logger.error('Stream handler error:', error);
     return { streams: [] };
   }
 }
 
+/**
+ * Subtitles handler wrapper with error handling
+ */
+async function handleSubtitles(args) {
+  try {
+    return await runWithRequestId(args.requestId, () => subtitlesHandler(args));
+  } catch (error) {
+    logger.error('Subtitles handler error:', error);
+    return { subtitles: [] };
+  }
+}
+
+/**
+ * Calendar wrapper (GET /calendar.ics)
+ * Errors are left to the route so calendar apps get a 500 rather than an empty calendar.
+ */
+async function handleCalendar(args) {
+  return runWithRequestId(args.requestId, () => calendarHandler(args));
+}
+
 logger.info('Addon handlers initialized');
 
 module.exports = {
   catalogHandler: handleCatalog,
+  catalogQuery: handleCatalogQuery,
   metaHandler: handleMeta,
   streamHandler: handleStream,
+  subtitlesHandler: handleSubtitles,
+  calendarHandler: handleCalendar,
   getManifest: getManifestWithConfig
 };
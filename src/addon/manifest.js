@@ -5,28 +5,51 @@
  * - Top Rated: Sorted by rating with genre filters (series only)
  * - Season Releases: Filtered by anime season (series only)
  * - Currently Airing: Currently airing anime with weekday filters
+ * - Airing Schedule: episodes airing Today / This Week, soonest first
  * - Movies: Anime movies with genre filters + Upcoming/New Releases
+ * - Franchise: one franchise in watch order (opened from meta "Franchise" links)
+ * - Similar: titles like a seed title (opened from meta "Similar" links)
+ * - Recommended for You: seeded from the user's AniList completed list (alu=<username>)
+ *
+ * Each browse catalog also lists the combined filter extras (genres, year, season,
+ * status, studio, ageRating, minRating, episodes) with counts for that catalog,
+ * and every catalog lists the sort extra. Catalogs built from a separately generated
+ * data file (DATA_CATALOGS) are left out while that file is missing.
  */
 
-const fs = require('fs');
-const path = require('path');
 const config = require('../config/env');
+const databaseLoader = require('../utils/databaseLoader');
+const {
+  getCurrentSeason,
+  isFutureSeason,
+  getCatalogSelection,
+  computeFilterCounts,
+  SORT_OPTIONS
+} = require('../core/catalog');
+const { STREMIO_ID_PREFIXES } = require('../core/animeIds');
+const { SCHEDULE_VIEWS } = require('../core/airingSchedule');
+
+const RATING_OPTIONS = ['9+', '8+', '7+', '6+', '5+'];
+const EPISODE_OPTIONS = ['1-13', '14-26', '27-100', '100+'];
+const MAX_STUDIO_OPTIONS = 50;
+
+// Filter counts per loaded catalog (a reload swaps in a new array, dropping the old counts)
+const filterCountsCache = new WeakMap();
+
+// Catalogs listed only while their generated data file has entries
+const DATA_CATALOGS = {
+  'anime-airing-schedule': () => databaseLoader.getAiringSchedule().size > 0,
+  'anime-franchise': () => databaseLoader.getFranchiseIndex().size > 0,
+  'anime-similar': () => databaseLoader.getSimilarIndex().size > 0,
+  'anime-recommended': () => databaseLoader.getSimilarIndex().size > 0
+};
 
 /**
  * Load dynamic filter options from database analysis
+ * Cached by the database loader and refreshed on reload, so manifests re-render without a restart
  */
 function loadFilterOptions() {
-  const optionsPath = path.join(__dirname, '..', '..', 'data', 'filter-options.json');
-  
-  try {
-    if (fs.existsSync(optionsPath)) {
-      return JSON.parse(fs.readFileSync(optionsPath, 'utf8'));
-    }
-  } catch (err) {
-    console.warn('[Manifest] Could not load filter-options.json:', err.message);
-  }
-  
-  return null;
+  return databaseLoader.loadFilterOptions();
 }
 
 /**
@@ -117,42 +140,6 @@ function getWeekdayOptions(showCounts = true) {
   return ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
 }
 
-/**
- * Get current anime season based on current month
- * Winter: Jan-Mar, Spring: Apr-Jun, Summer: Jul-Sep, Fall: Oct-Dec
- */
-function getCurrentSeason() {
-  const now = new Date();
-  const month = now.getMonth(); // 0-11
-  const year = now.getFullYear();
-  
-  let season;
-  if (month <= 2) season = 'Winter';
-  else if (month <= 5) season = 'Spring';
-  else if (month <= 8) season = 'Summer';
-  else season = 'Fall';
-  
-  return { year, season };
-}
-
-/**
- * Check if a season is in the future (hasn't started yet)
- */
-function isFutureSeason(seasonYear, seasonName) {
-  const current = getCurrentSeason();
-  const seasonOrder = { Winter: 0, Spring: 1, Summer: 2, Fall: 3 };
-  
-  // Future year
-  if (seasonYear > current.year) return true;
-  
-  // Same year but future season
-  if (seasonYear === current.year && seasonOrder[seasonName] > seasonOrder[current.season]) {
-    return true;
-  }
-  
-  return false;
-}
-
 /**
  * Get season options with counts for Season Releases catalog
  * Filters out future seasons (which haven't started yet)
@@ -232,6 +219,51 @@ function getSeasonOptions(showCounts = true) {
   return seasons;
 }
 
+/**
+ * Filter counts for a catalog's default selection (cached until the next reload)
+ */
+function getCatalogFilterCounts(catalogId, userConfig = {}) {
+  const catalog = databaseLoader.getCatalog();
+  const key = `${catalogId}:${userConfig.excludeLongRunning === true}`;
+  
+  let counts = filterCountsCache.get(catalog);
+  if (!counts) {
+    counts = new Map();
+    filterCountsCache.set(catalog, counts);
+  }
+  
+  if (!counts.has(key)) {
+    const selection = getCatalogSelection(catalog, catalogId, null, userConfig) || [];
+    counts.set(key, computeFilterCounts(selection));
+  }
+  return counts.get(key);
+}
+
+/**
+ * Combined filter extras for a browse catalog
+ * Catalogs whose `genre` extra is a season, weekday or Upcoming also get a `genres` extra.
+ */
+function getCombinedFilterExtras(catalogId, userConfig = {}, showCounts = true) {
+  const counts = getCatalogFilterCounts(catalogId, userConfig);
+  const format = values => values.map(({ value, count }) => showCounts ? `${value} (${count})` : value);
+  
+  const extras = [
+    { name: 'genres', options: catalogId === 'anime-top-rated' ? [] : format(counts.genres.filter(({ value }) => !value.toLowerCase().startsWith('animation'))) },
+    { name: 'year', options: format(counts.year) },
+    { name: 'season', options: format(counts.season) },
+    { name: 'status', options: format(counts.status) },
+    { name: 'studio', options: format(counts.studio.slice(0, MAX_STUDIO_OPTIONS)) },
+    { name: 'ageRating', options: format(counts.ageRating) },
+    { name: 'minRating', options: RATING_OPTIONS },
+    { name: 'episodes', options: EPISODE_OPTIONS }
+  ];
+  
+  // A filter with a single option (e.g. the one season in Season Releases) filters nothing
+  return extras
+    .filter(extra => extra.options.length > 1)
+    .map(extra => ({ ...extra, isRequired: false }));
+}
+
 /**
  * Generate manifest with dynamic filter options
  * @param {Object} config - User configuration options
@@ -244,20 +276,36 @@ function getManifest(userConfig = {}) {
   const weekdayOptions = getWeekdayOptions(showCounts);
   const movieFilterOptions = getMovieFilterOptions(showCounts);
   
+  // Every catalog takes a sort; without one it keeps its own order (or the user's default)
+  const sortExtra = { name: 'sort', options: Object.values(SORT_OPTIONS), isRequired: false };
+  
   return {
     id: 'community.animestream',
     version: '1.0.0',  // Bumped version for streaming capability
     name: 'AnimeStream',
     description: 'Comprehensive anime catalog with 7,000+ titles and streaming from AllAnime. Features Top Rated, Season Releases, Currently Airing, and Movies catalogs with genre filtering.',
     
-    // Resources we provide - catalog + stream from AllAnime
-    resources: ['catalog', 'stream'],
+    // Resources we provide - catalog + meta (episode lists) + streams (AllAnime, torrents/debrid) + soft subtitles
+    resources: [
+      'catalog',
+      {
+        name: 'meta',
+        types: ['anime', 'series', 'movie'],
+        idPrefixes: ['tt', 'mal-', ...STREMIO_ID_PREFIXES]
+      },
+      'stream',
+      {
+        name: 'subtitles',
+        types: ['series', 'movie'],
+        idPrefixes: ['tt']
+      }
+    ],
     
     // Types we handle - anime (custom) + series + movie for proper Stremio display
     types: ['anime', 'series', 'movie'],
     
-    // ID prefixes we respond to
-    idPrefixes: ['tt'],
+    // ID prefixes we respond to - IMDB plus the Kitsu/MAL/AniList IDs used by anime addons
+    idPrefixes: ['tt', ...STREMIO_ID_PREFIXES],
     
     // Catalogs with custom 'anime' type
     catalogs: [
@@ -271,6 +319,8 @@ function getManifest(userConfig = {}) {
             options: genreOptions,
             isRequired: false
           },
+          ...getCombinedFilterExtras('anime-top-rated', userConfig, showCounts),
+          sortExtra,
           {
             name: 'skip',
             isRequired: false
@@ -287,6 +337,8 @@ function getManifest(userConfig = {}) {
             options: seasonOptions,
             isRequired: false
           },
+          ...getCombinedFilterExtras('anime-season-releases', userConfig, showCounts),
+          sortExtra,
           {
             name: 'skip',
             isRequired: false
@@ -303,6 +355,25 @@ function getManifest(userConfig = {}) {
             options: weekdayOptions,  // Weekday filter (Monday, Tuesday, etc.)
             isRequired: false
           },
+          ...getCombinedFilterExtras('anime-airing', userConfig, showCounts),
+          sortExtra,
+          {
+            name: 'skip',
+            isRequired: false
+          }
+        ]
+      },
+      {
+        id: 'anime-airing-schedule',
+        type: 'anime',
+        name: 'Airing Schedule',
+        extra: [
+          {
+            name: 'genre',
+            options: SCHEDULE_VIEWS,  // Today / This Week (default)
+            isRequired: false
+          },
+          sortExtra,
           {
             name: 'skip',
             isRequired: false
@@ -319,12 +390,47 @@ function getManifest(userConfig = {}) {
             options: movieFilterOptions,
             isRequired: false
           },
+          ...getCombinedFilterExtras('anime-movies', userConfig, showCounts),
+          sortExtra,
           {
             name: 'skip',
             isRequired: false
           }
         ]
       },
+      // Franchise catalog - the required extra hides it from the board; meta links
+      // open it with franchise=<any member ID>
+      {
+        id: 'anime-franchise',
+        type: 'anime',
+        name: 'Franchise',
+        extra: [
+          { name: 'franchise', isRequired: true },
+          sortExtra,
+          { name: 'skip' }
+        ]
+      },
+      // Similar titles - hidden the same way, opened with seed=<catalog ID>
+      {
+        id: 'anime-similar',
+        type: 'anime',
+        name: 'Similar',
+        extra: [
+          { name: 'seed', isRequired: true },
+          sortExtra,
+          { name: 'skip' }
+        ]
+      },
+      // "Because you watched" - only for users with a public AniList profile configured
+      ...(userConfig.anilistUser ? [{
+        id: 'anime-recommended',
+        type: 'anime',
+        name: 'Recommended for You',
+        extra: [
+          sortExtra,
+          { name: 'skip', isRequired: false }
+        ]
+      }] : []),
       // Search-only catalogs (hidden from browse, used for search routing)
       // These ensure Stremio routes search queries to our addon
       {
@@ -333,6 +439,7 @@ function getManifest(userConfig = {}) {
         name: 'Anime Series',
         extra: [
           { name: 'search', isRequired: true },
+          sortExtra,
           { name: 'skip' }
         ]
       },
@@ -342,10 +449,11 @@ function getManifest(userConfig = {}) {
         name: 'Anime Movies',
         extra: [
           { name: 'search', isRequired: true },
+          sortExtra,
           { name: 'skip' }
         ]
       }
-    ],
+    ].filter(catalog => !DATA_CATALOGS[catalog.id] || DATA_CATALOGS[catalog.id]()),
     
     // Behavior hints
     behaviorHints: {
@@ -362,12 +470,23 @@ function getManifest(userConfig = {}) {
   };
 }
 
-// Export genres for use in handlers
-const GENRE_OPTIONS = getGenreOptions();
-const SEASON_OPTIONS = getSeasonOptions();
+/**
+ * IDs of every catalog the manifest can list, including the per-user ones and those
+ * whose data file is missing
+ */
+function getCatalogIds() {
+  const ids = getManifest({ anilistUser: true }).catalogs.map(catalog => catalog.id);
+  return [...new Set([...ids, ...Object.keys(DATA_CATALOGS)])];
+}
 
+// Export genres for use in handlers (getters so they follow filter-options reloads)
 module.exports = {
   getManifest,
-  GENRE_OPTIONS,
-  SEASON_OPTIONS
+  getCatalogIds,
+  get GENRE_OPTIONS() {
+    return getGenreOptions();
+  },
+  get SEASON_OPTIONS() {
+    return getSeasonOptions();
+  }
 };
@@ -0,0 +1,64 @@
+/**
+ * Admin Audit Log
+ *
+ * Records every admin action (and every rejected admin request) as one JSON line
+ * in ADMIN_AUDIT_LOG (default logs/admin-audit.log). The most recent entries are
+ * also kept in memory for GET /admin/audit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('../utils/logger').child('admin');
+
+const MAX_RECENT_ENTRIES = 200;
+const recentEntries = [];
+
+let directoryReady = false;
+
+/**
+ * Append an entry to the audit log
+ * @param {Object} entry - { action, target, success, ip, details }
+ */
+function record(entry) {
+  const line = {
+    timestamp: new Date().toISOString(),
+    ...entry
+  };
+
+  recentEntries.unshift(line);
+  recentEntries.length = Math.min(recentEntries.length, MAX_RECENT_ENTRIES);
+
+  logger.info(`[AUDIT] ${line.action}${line.target ? ` ${line.target}` : ''} from ${line.ip || 'unknown'} - ${line.success ? 'ok' : 'failed'}`);
+
+  const logPath = config.admin.auditLogPath;
+  if (!logPath) return line;
+
+  try {
+    if (!directoryReady) {
+      fs.mkdirSync(path.dirname(logPath), { recursive: true });
+      directoryReady = true;
+    }
+    // Appended asynchronously - a slow disk must not hold up the admin response
+    fs.appendFile(logPath, JSON.stringify(line) + '\n', err => {
+      if (err) logger.warn(`[AUDIT] Could not write ${logPath}: ${err.message}`);
+    });
+  } catch (err) {
+    logger.warn(`[AUDIT] Could not write ${logPath}: ${err.message}`);
+  }
+
+  return line;
+}
+
+/**
+ * Most recent audit entries, newest first
+ * @param {number} limit - Max entries to return
+ */
+function getRecent(limit = 50) {
+  return recentEntries.slice(0, limit);
+}
+
+module.exports = {
+  record,
+  getRecent
+};
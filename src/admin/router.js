@@ -0,0 +1,326 @@
+/**
+ * Admin API
+ *
+ * Token-protected maintenance endpoints mounted at /admin.
+ * Requests must send the ADMIN_TOKEN as `Authorization: Bearer <token>` or
+ * `X-Admin-Token: <token>`. Without ADMIN_TOKEN the whole API is disabled.
+ *
+ * Routes:
+ * - GET  /admin/stats                  Database, reload, cache, filter and stream provider stats
+ * - GET  /admin/audit                  Recent admin actions
+ * - POST /admin/reload                 Reload the catalog (atomic swap)
+ * - POST /admin/cache/clear            Clear utils/cache (all namespaces, or ?namespace=...)
+ * - POST /admin/title/:id              Inspect a title's cached meta/stream data
+ * - POST /admin/title/:id/invalidate   Drop a title's cached meta/stream data
+ * - GET  /admin/mappings               Title -> AllAnime mappings (?review=1 for low-confidence matches)
+ * - POST /admin/mappings/:key           Pin a show for a title (?showId=...&title=...)
+ * - POST /admin/mappings/:key/verify    Confirm a title's current mapping
+ * - POST /admin/mappings/:key/remove    Drop a mapping (the title is searched again)
+ *
+ * Every POST action and every rejected request (missing or wrong token) is written to
+ * the audit log. The read-only GET routes are not.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config/env');
+const logger = require('../utils/logger').child('admin');
+const cache = require('../utils/cache');
+const databaseLoader = require('../utils/databaseLoader');
+const allanimeMappings = require('../utils/allanimeMappings');
+const { getProviderHealth } = require('../providers');
+const auditLog = require('./auditLog');
+
+const CINEMETA_TYPES = ['series', 'movie'];
+
+// Cache namespaces holding per-title meta/stream data
+const titleCaches = {
+  cinemeta: cache.namespace('cinemeta'),
+  synopsis: cache.namespace('synopsis'),
+  torrents: cache.namespace('torrents')
+};
+
+/**
+ * Compare tokens without leaking their length/prefix through timing
+ */
+function tokensMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Read the admin token from the request headers
+ */
+function getRequestToken(req) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('x-admin-token') || null;
+}
+
+/**
+ * Reject requests without a valid admin token
+ */
+function requireAdminToken(req, res, next) {
+  if (!config.admin.token) {
+    return res.status(503).json({ error: 'Admin API disabled (set ADMIN_TOKEN)' });
+  }
+
+  const token = getRequestToken(req);
+  if (!token || !tokensMatch(token, config.admin.token)) {
+    auditLog.record({
+      action: 'auth_failed',
+      target: `${req.method} ${req.originalUrl}`,
+      ip: req.ip,
+      success: false
+    });
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+/**
+ * Resolve a title by catalog ID (mal-123 / tt123) or IMDB ID
+ */
+function findTitle(id) {
+  return databaseLoader.getById(id) || databaseLoader.getByImdbId(id) || null;
+}
+
+/**
+ * Cache keys holding a title's meta/stream data, per namespace
+ * Torrent searches are keyed by title (or AniDB ID), so they are matched by key segment.
+ */
+async function getTitleCacheKeys(anime) {
+  const malId = anime.malId || anime.mal_id;
+  const anidbId = anime.imdb_id && databaseLoader.getIdMapping(anime.imdb_id)?.adb;
+
+  const torrentKeys = (await titleCaches.torrents.keys()).filter(id => {
+    const segments = id.split(':');
+    if (anidbId && segments[0] === 'tosho-aid') return segments.includes(String(anidbId));
+    return segments.includes(anime.name);
+  });
+
+  return {
+    cinemeta: anime.imdb_id ? CINEMETA_TYPES.map(type => `${type}:${anime.imdb_id}`) : [],
+    synopsis: malId ? [String(malId)] : [],
+    torrents: torrentKeys
+  };
+}
+
+/**
+ * Cached meta/stream data held for a title across all caches
+ */
+async function inspectTitleCaches(anime) {
+  const keys = await getTitleCacheKeys(anime);
+
+  const cached = {};
+  for (const [name, ids] of Object.entries(keys)) {
+    cached[name] = {};
+    for (const id of ids) {
+      const entry = await titleCaches[name].peek(id);
+      if (!entry) continue;
+      // Cinemeta metas and torrent lists are large - summarise them
+      cached[name][id] = name === 'cinemeta' || name === 'torrents'
+        ? { fresh: entry.fresh, freshUntil: entry.freshUntil, staleUntil: entry.staleUntil, size: Array.isArray(entry.value) ? entry.value.length : undefined }
+        : entry;
+    }
+  }
+  return cached;
+}
+
+/**
+ * Drop a title's cached meta/stream data
+ * @returns {Object} Removed keys per namespace
+ */
+async function invalidateTitleCaches(anime) {
+  const keys = await getTitleCacheKeys(anime);
+
+  const removed = {};
+  for (const [name, ids] of Object.entries(keys)) {
+    removed[name] = [];
+    for (const id of ids) {
+      if (await titleCaches[name].delete(id)) removed[name].push(id);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Short summary of a catalog entry for admin responses
+ */
+function describeTitle(anime) {
+  return {
+    id: anime.id,
+    name: anime.name,
+    year: anime.year || null,
+    imdb_id: anime.imdb_id || null,
+    mal_id: anime.malId || anime.mal_id || null
+  };
+}
+
+/**
+ * Create the admin router
+ */
+function createAdminRouter() {
+  const router = express.Router();
+
+  router.use(requireAdminToken);
+
+  // === Stats ===
+  router.get('/stats', async (req, res) => {
+    const filterOptions = databaseLoader.loadFilterOptions();
+
+    res.json({
+      database: databaseLoader.getStats(),
+      reload: databaseLoader.getReloadStats(),
+      cache: await cache.getStats(),
+      providers: getProviderHealth(),
+      filters: {
+        genres: filterOptions?.genres?.list?.length || 0,
+        seasons: filterOptions?.seasons?.list?.length || 0,
+        weekdays: filterOptions?.weekdays?.list?.length || 0
+      }
+    });
+  });
+
+  // === Audit log ===
+  router.get('/audit', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    res.json({ entries: auditLog.getRecent(limit) });
+  });
+
+  // === Reload database ===
+  // The current database keeps serving requests until the new one is ready, then is swapped atomically
+  router.post('/reload', async (req, res) => {
+    try {
+      logger.info('[ADMIN] Reloading database...');
+      await databaseLoader.loadDatabase(true, 'admin');
+      const reload = databaseLoader.getReloadStats().lastReload;
+      const success = reload?.success !== false;
+
+      auditLog.record({
+        action: 'reload',
+        ip: req.ip,
+        success,
+        details: reload ? { previousCount: reload.previousCount, newCount: reload.newCount, durationMs: reload.durationMs, error: reload.error } : undefined
+      });
+
+      res.status(success ? 200 : 500).json({
+        success,
+        message: success ? 'Database reloaded' : 'Reload failed, previous database kept',
+        reload,
+        stats: databaseLoader.getStats()
+      });
+    } catch (error) {
+      logger.error('Reload error:', error);
+      auditLog.record({ action: 'reload', ip: req.ip, success: false, details: { error: error.message } });
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // === Clear caches ===
+  router.post('/cache/clear', async (req, res) => {
+    const namespace = req.query.namespace || null;
+    const cleared = namespace ? await cache.namespace(namespace).clear() : await cache.clear();
+
+    auditLog.record({ action: 'cache_clear', target: namespace || undefined, ip: req.ip, success: true, details: { cleared } });
+
+    res.json({ success: true, namespace, cleared });
+  });
+
+  // === Inspect a title ===
+  router.post('/title/:id', async (req, res) => {
+    const anime = findTitle(req.params.id);
+    auditLog.record({ action: 'title_inspect', target: req.params.id, ip: req.ip, success: !!anime });
+
+    if (!anime) {
+      return res.status(404).json({ error: 'Title not found' });
+    }
+
+    res.json({
+      title: describeTitle(anime),
+      cached: await inspectTitleCaches(anime),
+      allanimeMappings: allanimeMappings.getMappingStore().forTitle([anime.id, anime.imdb_id])
+    });
+  });
+
+  // === Invalidate a title ===
+  router.post('/title/:id/invalidate', async (req, res) => {
+    const anime = findTitle(req.params.id);
+
+    if (!anime) {
+      auditLog.record({ action: 'title_invalidate', target: req.params.id, ip: req.ip, success: false });
+      return res.status(404).json({ error: 'Title not found' });
+    }
+
+    const removed = await invalidateTitleCaches(anime);
+    auditLog.record({ action: 'title_invalidate', target: req.params.id, ip: req.ip, success: true, details: removed });
+
+    res.json({
+      success: true,
+      title: describeTitle(anime),
+      removed
+    });
+  });
+
+  // === AllAnime mappings ===
+  router.get('/mappings', (req, res) => {
+    const store = allanimeMappings.getMappingStore();
+    const maxScore = req.query.maxScore !== undefined ? parseFloat(req.query.maxScore) : undefined;
+
+    const mappings = req.query.review
+      ? store.review(maxScore ?? allanimeMappings.LOW_CONFIDENCE_SCORE)
+      : store.list({ maxScore, source: req.query.source, unverified: req.query.unverified === '1' });
+
+    res.json({ total: store.size, count: mappings.length, mappings });
+  });
+
+  router.post('/mappings/:key', (req, res) => {
+    const { key } = req.params;
+    const { showId, title = null } = req.query;
+
+    if (!allanimeMappings.isValidKey(key) || !showId) {
+      auditLog.record({ action: 'mapping_pin', target: key, ip: req.ip, success: false });
+      return res.status(400).json({ error: 'Expected /admin/mappings/<tt123|mal-123>[:season]?showId=...' });
+    }
+
+    const store = allanimeMappings.getMappingStore();
+    const previous = store.get(key);
+    const mapping = store.pin(key, { showId, title });
+    auditLog.record({ action: 'mapping_pin', target: key, ip: req.ip, success: true, details: { showId, previous: previous?.showId || null } });
+
+    res.json({ success: true, mapping, previous });
+  });
+
+  router.post('/mappings/:key/verify', (req, res) => {
+    const store = allanimeMappings.getMappingStore();
+    const mapping = store.get(req.params.key) ? store.verify(req.params.key) : null;
+    auditLog.record({ action: 'mapping_verify', target: req.params.key, ip: req.ip, success: !!mapping });
+
+    if (!mapping) {
+      return res.status(404).json({ error: 'Mapping not found' });
+    }
+    res.json({ success: true, mapping });
+  });
+
+  router.post('/mappings/:key/remove', (req, res) => {
+    const store = allanimeMappings.getMappingStore();
+    const previous = store.get(req.params.key);
+    const removed = previous ? store.remove(req.params.key) : false;
+    auditLog.record({ action: 'mapping_remove', target: req.params.key, ip: req.ip, success: removed, details: previous ? { showId: previous.showId } : undefined });
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Mapping not found' });
+    }
+    res.json({ success: true, removed: previous });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAdminRouter
+};
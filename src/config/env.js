@@ -2,15 +2,78 @@
  * Environment Configuration
  */
 
+const path = require('path');
+
+/**
+ * Apply CACHE_TTLS overrides to the default namespace TTLs
+ * Format: "namespace=ttl[/stale],..." in seconds, e.g. "torrents=300/600,debrid=1800"
+ */
+function parseCacheTtls(value, defaults) {
+  const namespaces = { ...defaults };
+  for (const part of (value || '').split(',')) {
+    const match = part.trim().match(/^([\w-]+)=(\d+)(?:\/(\d+))?$/);
+    if (!match) continue;
+    const [, name, ttl, stale] = match;
+    namespaces[name] = {
+      ttl: parseInt(ttl),
+      stale: stale !== undefined ? parseInt(stale) : (namespaces[name]?.stale || 0)
+    };
+  }
+  return namespaces;
+}
+
+/**
+ * Apply PROVIDER_TIMEOUTS overrides to the default stream provider timeouts
+ * Format: "provider=ms,..." e.g. "allanime=10000,nyaa=8000"
+ */
+function parseProviderTimeouts(value, defaults) {
+  const timeouts = { ...defaults };
+  for (const part of (value || '').split(',')) {
+    const match = part.trim().match(/^([\w-]+)=(\d+)$/);
+    if (match) timeouts[match[1]] = parseInt(match[2]);
+  }
+  return timeouts;
+}
+
 const config = {
   server: {
     port: parseInt(process.env.PORT) || 7000,
     baseUrl: process.env.BASE_URL || `http://localhost:${process.env.PORT || 7000}`
   },
+  database: {
+    // Catalog backend: 'json' (catalog.json.gz in memory) or 'sqlite' (data/catalog.db)
+    backend: process.env.DB_BACKEND || 'json',
+    sqlitePath: process.env.DB_SQLITE_PATH || null,
+    // Hot-reload the catalog when files in data/ change
+    watch: process.env.DB_WATCH === '1' || process.env.DB_WATCH === 'true',
+    // Seconds a replaced catalog keeps serving clients that started paging it before a reload
+    snapshotTtl: parseInt(process.env.DB_SNAPSHOT_TTL) || 1800
+  },
+  admin: {
+    // Bearer token for /admin/* - the admin API is disabled when unset
+    token: process.env.ADMIN_TOKEN || null,
+    // JSON-lines audit log of admin actions (empty string disables the file)
+    auditLogPath: process.env.ADMIN_AUDIT_LOG ?? path.join(__dirname, '..', '..', 'logs', 'admin-audit.log')
+  },
   cache: {
-    catalogTTL: 3600,    // 1 hour for catalog lists
-    metaTTL: 86400,      // 24 hours for metadata
-    searchTTL: 1800      // 30 minutes for search results
+    // Storage: 'memory' (default), 'sqlite' (CACHE_PATH file) or 'redis' (REDIS_URL)
+    backend: process.env.CACHE_BACKEND || 'memory',
+    path: process.env.CACHE_PATH || path.join(__dirname, '..', '..', '.cache', 'cache.db'),
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    redisTimeout: 2000,
+    maxEntries: 5000,    // memory backend only
+    // Per-namespace TTLs in seconds: `ttl` = fresh, `stale` = extra time a stale value
+    // is served while it refreshes in the background (override with CACHE_TTLS)
+    namespaces: parseCacheTtls(process.env.CACHE_TTLS, {
+      cinemeta: { ttl: 86400, stale: 604800 },   // 24h, then up to 7 days stale
+      synopsis: { ttl: 86400, stale: 604800 },   // 24h, then up to 7 days stale
+      allanime: { ttl: 604800, stale: 2592000 }, // AllAnime show details (MAL/AniList IDs), 7 days
+      scraper: { ttl: 180, stale: 0 },           // In-process scraper episode streams, 3 minutes
+      torrents: { ttl: 600, stale: 1800 },       // 10 minutes, then up to 30 minutes stale
+      debrid: { ttl: 3600, stale: 0 },           // Resolved links expire - never serve stale
+      anilist: { ttl: 3600, stale: 86400 },      // Public user lists (Recommended for You, calendar)
+      subtitles: { ttl: 86400, stale: 86400 }    // Kitsunekko/OpenSubtitles/SubDL results, 24h
+    })
   },
   jikan: {
     baseUrl: 'https://api.jikan.moe/v4',
@@ -18,8 +81,38 @@ const config = {
     rateLimitWindow: 60, // requests per minute
     timeout: 15000       // 15 second timeout
   },
+  streams: {
+    // Stream providers to query (src/providers), comma-separated - all of them when unset
+    providers: process.env.STREAM_PROVIDERS
+      ? process.env.STREAM_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+      : null,
+    // Per-provider time limit for a whole lookup (search + episode + streams), in ms
+    timeouts: parseProviderTimeouts(process.env.PROVIDER_TIMEOUTS, {
+      allanime: 20000,
+      nyaa: 15000,
+      animetosho: 15000,
+      debrid: 20000
+    }),
+    // Consecutive failures (errors or timeouts) before a provider is skipped, and for how long (s)
+    breakerThreshold: parseInt(process.env.PROVIDER_BREAKER_THRESHOLD) || 3,
+    breakerCooldown: parseInt(process.env.PROVIDER_BREAKER_COOLDOWN) || 60,
+    // AllAnime scraper deployment (e.g. the Cloudflare Worker in scrapers/allanime) -
+    // unset = the in-process scraper also served at /scraper
+    scraperUrl: process.env.SCRAPER_URL || null,
+    // Title -> AllAnime show table (src/utils/allanimeMappings.js): read-only seeds shipped
+    // with the repo, and the matches and corrections recorded at runtime (merged over them)
+    allanimeSeedMappingsPath: path.join(__dirname, '..', '..', 'data', 'allanime-mappings.json'),
+    allanimeMappingsPath: process.env.ALLANIME_MAPPINGS_PATH || path.join(__dirname, '..', '..', '.cache', 'allanime-mappings.json')
+  },
+  meta: {
+    // Episode list enrichment provider: 'cinemeta' or 'none' (catalog data only)
+    enrichment: process.env.META_ENRICHMENT || 'cinemeta'
+  },
   logging: {
-    level: process.env.LOG_LEVEL || 'info'
+    // Default level plus optional per-module overrides, e.g. "info,stream:debug,catalog:warn"
+    level: process.env.LOG_LEVEL || 'info',
+    // 'text' (default) or 'json' (one JSON object per line)
+    format: process.env.LOG_FORMAT || 'text'
   }
 };
 
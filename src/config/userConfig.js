@@ -0,0 +1,183 @@
+/**
+ * User Configuration Parser
+ *
+ * Parses the per-user config string embedded in addon URLs
+ * (e.g. /sm=both|dp=realdebrid|dk=KEY/manifest.json).
+ * Format matches the Cloudflare worker so the same install URL works on both.
+ */
+
+const logger = require('../utils/logger').child('config');
+const { DEBRID_PROVIDERS } = require('../services/debrid');
+const { parseSortOption } = require('../core/catalog');
+const { parseContentLevel, DEFAULT_CONTENT_LEVEL } = require('../core/contentPolicy');
+
+const VALID_CATALOGS = ['top', 'season', 'airing', 'movies'];
+const STREAM_MODES = ['https', 'torrents', 'both'];
+
+// Parameters holding API keys: config dk (debrid) and sk (SubDL), and /debrid/play's key
+const SECRET_PARAMS = /(^|[/|&?;])(dk|sk|key)=[^/|&?;]*/gi;
+
+/**
+ * Default config - returned if anything goes wrong
+ */
+function getDefaultConfig() {
+  return {
+    excludeLongRunning: false,
+    showCounts: true,
+    selectedCatalogs: [...VALID_CATALOGS],
+    debridProvider: '',
+    debridApiKey: '',
+    streamMode: 'both',
+    enableAllAnime: true,
+    preferRaw: false,
+    subtitleLanguages: ['en', 'ja'],
+    subdlApiKey: '',
+    torrentPrefs: [], // e.g. ['q_1080', 'q_720', 'a_sub', 'n_3']
+    anilistUser: '', // Public AniList profile seeding "Recommended for You"
+    defaultSort: '', // Browse catalog order when no sort extra is picked ('' = each catalog's own)
+    contentLevel: DEFAULT_CONTENT_LEVEL // Content policy: strict, default or ecchi
+  };
+}
+
+/**
+ * Parse configuration string from URL path.
+ * Format: key=value|key=value|... (Torrentio-style, pipe-separated)
+ * Legacy &-separated strings (showCounts=0&excludeLongRunning=1) are also accepted.
+ * Any malformed input returns defaults.
+ * @param {string} configStr - Raw config path segment
+ * @returns {Object} Parsed user config
+ */
+function parseConfig(configStr) {
+  const config = getDefaultConfig();
+
+  if (!configStr || typeof configStr !== 'string' || configStr.trim() === '') {
+    return config;
+  }
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(configStr);
+  } catch (error) {
+    logger.warn(`[Config] Failed to decode config string: ${redactSecrets(configStr)}`);
+    return config;
+  }
+
+  try {
+    const lower = decoded.toLowerCase();
+
+    // Flag-style options (presence means enabled)
+    if (lower.includes('nolongrunning') || lower.includes('excludelongrunning')) {
+      config.excludeLongRunning = true;
+    }
+    // Support both 'nocounts' and 'hidecounts' (Cloudflare blocks 'nocounts' in URL paths)
+    if (lower.includes('nocounts') || lower.includes('hidecounts')) {
+      config.showCounts = false;
+    }
+
+    // Split only on | and & (not . which appears in API keys)
+    for (const param of decoded.split(/[|&]/)) {
+      // Split on first = only to preserve values with = in them
+      const eqIndex = param.indexOf('=');
+      if (eqIndex === -1) continue;
+      const key = param.substring(0, eqIndex).toLowerCase(); // Key is case-insensitive
+      const value = param.substring(eqIndex + 1);
+      if (!value) continue;
+      const lowerValue = value.toLowerCase();
+
+      switch (key) {
+        case 'showcounts':
+          config.showCounts = lowerValue !== '0' && lowerValue !== 'false';
+          break;
+        case 'excludelongrunning':
+          config.excludeLongRunning = lowerValue === '1' || lowerValue === 'true';
+          break;
+        case 'sc':
+          config.selectedCatalogs = value.split(',').map(c => c.trim()).filter(Boolean);
+          break;
+        case 'hc': {
+          // Legacy: hidden catalogs converted to selected catalogs
+          const hidden = lowerValue.split(',').map(c => c.trim());
+          config.selectedCatalogs = VALID_CATALOGS.filter(c => !hidden.includes(c));
+          break;
+        }
+        case 'dp':
+          if (DEBRID_PROVIDERS[lowerValue]) {
+            config.debridProvider = lowerValue;
+          }
+          break;
+        case 'dk':
+          // Debrid API key (CASE SENSITIVE - AllDebrid keys are case-sensitive!)
+          config.debridApiKey = value;
+          break;
+        case 'sm':
+          if (STREAM_MODES.includes(lowerValue)) {
+            config.streamMode = lowerValue;
+          }
+          break;
+        case 'tor':
+          // Legacy: tor=0 means https only
+          if (lowerValue === '0' || lowerValue === 'false') {
+            config.streamMode = 'https';
+          }
+          break;
+        case 'aa':
+          if (lowerValue === '0' || lowerValue === 'false') {
+            config.enableAllAnime = false;
+          }
+          break;
+        case 'raw':
+          config.preferRaw = lowerValue === '1' || lowerValue === 'true';
+          break;
+        case 'slang':
+          config.subtitleLanguages = lowerValue.split(',').map(l => l.trim()).filter(Boolean);
+          break;
+        case 'sk':
+          config.subdlApiKey = value;
+          break;
+        case 'tp':
+          config.torrentPrefs = value.split(',').map(p => p.trim()).filter(Boolean);
+          break;
+        case 'alu':
+          // Ignore anything that can't be an AniList username
+          if (/^[A-Za-z0-9_]{2,40}$/.test(value)) {
+            config.anilistUser = value;
+          }
+          break;
+        case 'sort':
+          config.defaultSort = parseSortOption(value) || '';
+          break;
+        case 'nsfw':
+          config.contentLevel = parseContentLevel(value) || DEFAULT_CONTENT_LEVEL;
+          break;
+      }
+    }
+
+    return config;
+  } catch (error) {
+    logger.warn(`[Config] Parse error for "${redactSecrets(configStr)}": ${error.message}`);
+    return getDefaultConfig();
+  }
+}
+
+/**
+ * Mask the API keys in a request URL or config string, for logging
+ * The config segment may be percent-encoded, so it is decoded first.
+ * @param {string} value - Request URL, e.g. with a sm=both|dk=KEY config segment
+ * @returns {string} The value with each key replaced by *** (sm=both|dk=***)
+ */
+function redactSecrets(value) {
+  let decoded = value;
+  try {
+    decoded = decodeURIComponent(value);
+  } catch (error) {
+    // Malformed escapes - mask what can be matched as-is
+  }
+  return decoded.replace(SECRET_PARAMS, '$1$2=***');
+}
+
+module.exports = {
+  parseConfig,
+  redactSecrets,
+  getDefaultConfig,
+  STREAM_MODES
+};
@@ -0,0 +1,226 @@
+/**
+ * Airing Schedule
+ *
+ * Per-episode airing times for currently airing titles: "Ep 7 in 2d 4h" countdowns,
+ * the Today / This Week views of the Airing Schedule catalog, release dates for meta
+ * videos and the iCal export.
+ *
+ * Operates on the generated data/airing-schedule.json (built by
+ * scripts/build-airing-schedule.js, refreshed by incremental-update.js):
+ *   { version, generatedAt, from, to, schedule: { [catalogId]: [[episode, airingAt], ...] } }
+ * with airingAt in Unix seconds and episodes numbered absolutely (like kitsu: video IDs).
+ * Runtime-agnostic like the rest of src/core - the clock and catalog lookups are
+ * passed in by the caller.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Catalog views (the `genre` extra of anime-airing-schedule)
+const SCHEDULE_VIEWS = ['Today', 'This Week'];
+
+// Episodes that aired this recently still show up in the views
+const RECENTLY_AIRED = 6 * HOUR;
+
+// Length of a calendar event when the catalog has no runtime
+const DEFAULT_EPISODE_MINUTES = 24;
+
+/**
+ * Short countdown for a duration ("2d 4h", "5h 12m", "12m", "now")
+ */
+function formatCountdown(ms) {
+  if (!(ms > 0)) return 'now';
+
+  const days = Math.floor(ms / DAY);
+  const hours = Math.floor((ms % DAY) / HOUR);
+  const minutes = Math.floor((ms % HOUR) / MINUTE);
+
+  if (days > 0) return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+  if (hours > 0) return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+  return `${Math.max(minutes, 1)}m`;
+}
+
+/**
+ * releaseInfo for an episode ("Ep 7 in 2d 4h", or "Ep 6 aired 3h ago" once it is out)
+ * @param {Object} airing - { episode, airingAt } with airingAt in ms
+ * @param {number} now - Current time in ms
+ */
+function formatAiringInfo(airing, now = Date.now()) {
+  return airing.airingAt > now
+    ? `Ep ${airing.episode} in ${formatCountdown(airing.airingAt - now)}`
+    : `Ep ${airing.episode} aired ${formatCountdown(Math.max(now - airing.airingAt, 1))} ago`;
+}
+
+/**
+ * Time window for a catalog view (unknown views fall back to This Week)
+ * @returns {Object} { from, to } in ms
+ */
+function getViewWindow(view, now = Date.now()) {
+  const from = now - RECENTLY_AIRED;
+  const name = String(view || '').replace(/\s*\(\d+\)$/, '').toLowerCase();
+  return name === 'today'
+    ? { from, to: now + DAY }
+    : { from, to: now + 7 * DAY };
+}
+
+/**
+ * Create a lookup over generated airing schedule data
+ * @param {Object} data - Parsed airing-schedule.json ({ version, schedule })
+ * @param {Function} getAnime - Catalog lookup by catalog ID (unknown IDs return null)
+ * @returns {Object} { getEpisodes, getNextEpisode, getAiringBetween, size }
+ */
+function createAiringSchedule(data, getAnime) {
+  // [[episode, airingAt (s)]] -> [{ episode, airingAt (ms) }] sorted by air time, built on first use
+  const episodesById = new Map();
+
+  function getEpisodes(id) {
+    if (!episodesById.has(id)) {
+      const episodes = (data?.schedule?.[id] || [])
+        .map(([episode, airingAt]) => ({ episode, airingAt: airingAt * 1000 }))
+        .sort((a, b) => a.airingAt - b.airingAt);
+      episodesById.set(id, episodes);
+    }
+    return episodesById.get(id);
+  }
+
+  return {
+    /**
+     * All known episodes of a title, earliest first
+     * @returns {Array} [{ episode, airingAt }] (airingAt in ms)
+     */
+    getEpisodes,
+
+    /**
+     * The next episode to air after `now`
+     * @returns {Object|null} { episode, airingAt }
+     */
+    getNextEpisode(id, now = Date.now()) {
+      return getEpisodes(id).find(episode => episode.airingAt > now) || null;
+    },
+
+    /**
+     * Episodes airing in a time window, soonest first
+     * @param {number} from - Window start in ms
+     * @param {number} to - Window end in ms
+     * @param {Set} ids - Only these catalog IDs (optional)
+     * @returns {Array} [{ anime, episode, airingAt }]
+     */
+    getAiringBetween(from, to, ids = null) {
+      const results = [];
+      for (const id of Object.keys(data?.schedule || {})) {
+        if (ids && !ids.has(id)) continue;
+        const anime = getAnime(id);
+        if (!anime) continue;
+        for (const episode of getEpisodes(id)) {
+          if (episode.airingAt >= from && episode.airingAt < to) results.push({ anime, ...episode });
+        }
+      }
+      return results.sort((a, b) => (a.airingAt - b.airingAt) || (a.episode - b.episode));
+    },
+
+    size: Object.keys(data?.schedule || {}).length
+  };
+}
+
+// ===== iCAL =====
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+function escapeICalText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuation lines start with a space
+ */
+function foldICalLine(line) {
+  const encoder = new TextEncoder();
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = lines.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join('\r\n ');
+}
+
+/**
+ * UTC date-time (20250105T143000Z)
+ */
+function formatICalDate(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Episode length in minutes from a catalog runtime ("24 min", 24)
+ */
+function getEpisodeMinutes(anime) {
+  const minutes = parseInt(String(anime.runtime || '').match(/\d+/)?.[0], 10);
+  return minutes > 0 && minutes < 240 ? minutes : DEFAULT_EPISODE_MINUTES;
+}
+
+/**
+ * Build an iCalendar (.ics) document with one event per episode
+ * @param {Array} airings - [{ anime, episode, airingAt }] from getAiringBetween
+ * @param {Object} options
+ * @param {string} options.name - Calendar name
+ * @param {Function} options.getUrl - anime -> link for the event (optional)
+ * @param {number} options.now - Current time in ms (DTSTAMP)
+ * @returns {string} text/calendar body (CRLF line endings)
+ */
+function buildICalendar(airings, options = {}) {
+  const { name = 'Anime Airing Schedule', getUrl = null, now = Date.now() } = options;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AnimeStream//Airing Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(name)}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H'
+  ];
+
+  for (const { anime, episode, airingAt } of airings) {
+    const url = getUrl ? getUrl(anime) : null;
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${anime.id}-${episode}@animestream`,
+      `DTSTAMP:${formatICalDate(now)}`,
+      `DTSTART:${formatICalDate(airingAt)}`,
+      `DTEND:${formatICalDate(airingAt + getEpisodeMinutes(anime) * MINUTE)}`,
+      `SUMMARY:${escapeICalText(`${anime.name} - Episode ${episode}`)}`
+    );
+    if (url) lines.push(`URL:${url}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  SCHEDULE_VIEWS,
+  formatCountdown,
+  formatAiringInfo,
+  getViewWindow,
+  createAiringSchedule,
+  buildICalendar
+};
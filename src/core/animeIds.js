@@ -0,0 +1,94 @@
+/**
+ * Anime ID Parsing
+ *
+ * Parses the ID forms used for anime across Stremio addons:
+ *   tt0409591, tt0409591:1:5     IMDB ID (+ season:episode, Cinemeta numbering)
+ *   mal-20, mal-20:1:5           catalog ID of an anime without an IMDB ID
+ *   kitsu:11, kitsu:11:5         Kitsu ID (+ episode, absolute within that entry)
+ *   mal:20, anilist:20, anidb:239, tvdb:78857   same shape as kitsu:
+ *   kitsu-11, anilist-20, 20     legacy forms (dash prefix, bare MAL ID)
+ *
+ * Runtime-agnostic like the rest of src/core - lookups are left to the caller.
+ */
+
+// External ID sources, keyed by the prefix used in IDs
+const EXTERNAL_ID_SOURCES = ['kitsu', 'mal', 'anilist', 'anidb', 'tvdb'];
+
+// Prefixes advertised in the manifest so Kitsu-based addons and clients send them to us
+const STREMIO_ID_PREFIXES = ['kitsu:', 'mal:', 'anilist:'];
+
+function toPositiveInt(value) {
+  const number = parseInt(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Parse an anime ID
+ * @param {string} id - Stremio meta/video ID
+ * @returns {Object|null} {
+ *   source: 'imdb' | 'catalog' | 'kitsu' | 'mal' | 'anilist' | 'anidb' | 'tvdb',
+ *   value: the ID within that source ('tt0409591', 'mal-20' or a number),
+ *   prefix: 'kitsu:' etc. when given in colon form (null otherwise),
+ *   season, episode: numbers or null,
+ *   absolute: true when episode is an absolute number (external IDs)
+ * }
+ */
+function parseAnimeId(id) {
+  if (!id || typeof id !== 'string') return null;
+  const parts = id.trim().split(':');
+
+  // IMDB: tt123[:season:episode]
+  if (/^tt\d+$/.test(parts[0])) {
+    return {
+      source: 'imdb',
+      value: parts[0],
+      prefix: null,
+      season: toPositiveInt(parts[1]),
+      episode: toPositiveInt(parts[2]),
+      absolute: false
+    };
+  }
+
+  // Catalog IDs for non-IMDB entries: mal-123[:season:episode]
+  if (/^mal-\d+$/.test(parts[0])) {
+    return {
+      source: 'catalog',
+      value: parts[0],
+      prefix: null,
+      season: toPositiveInt(parts[1]),
+      episode: toPositiveInt(parts[2]),
+      absolute: false
+    };
+  }
+
+  // External IDs: kitsu:123[:episode]
+  if (EXTERNAL_ID_SOURCES.includes(parts[0]) && toPositiveInt(parts[1]) && /^\d+$/.test(parts[1])) {
+    return {
+      source: parts[0],
+      value: toPositiveInt(parts[1]),
+      prefix: `${parts[0]}:`,
+      season: null,
+      episode: toPositiveInt(parts[2]),
+      absolute: true
+    };
+  }
+
+  // Legacy dash forms: kitsu-123, anilist-123
+  const legacy = parts.length === 1 && parts[0].match(/^(kitsu|anilist|anidb|tvdb)-(\d+)$/);
+  if (legacy) {
+    return { source: legacy[1], value: toPositiveInt(legacy[2]), prefix: null, season: null, episode: null, absolute: true };
+  }
+
+  // Bare MAL ID
+  if (parts.length === 1 && /^\d+$/.test(parts[0]) && toPositiveInt(parts[0])) {
+    return { source: 'mal', value: toPositiveInt(parts[0]), prefix: null, season: null, episode: null, absolute: true };
+  }
+
+  return null;
+}
+
+module.exports = {
+  EXTERNAL_ID_SOURCES,
+  STREMIO_ID_PREFIXES,
+  parseAnimeId
+};
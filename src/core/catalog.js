@@ -0,0 +1,1318 @@
+/**
+ * AnimeStream Core Library
+ * 
+ * Runtime-agnostic catalog logic shared by the Express server (src/addon) and the
+ * Cloudflare worker (cloudflare-worker/). Everything here operates on plain catalog
+ * arrays passed in by the caller - no Node-only APIs, no I/O, no logging.
+ * 
+ * Node loads it with require(); worker-github.js imports it (wrangler bundles it) and
+ * build-worker.js inlines it into the template worker.
+ */
+
+// ===== SEASON HELPERS =====
+
+// Get current anime season based on date
+function getCurrentSeason(date = new Date()) {
+  const month = date.getMonth() + 1; // 1-12
+  const year = date.getFullYear();
+  
+  let season;
+  if (month >= 1 && month <= 3) {
+    season = 'Winter';
+  } else if (month >= 4 && month <= 6) {
+    season = 'Spring';
+  } else if (month >= 7 && month <= 9) {
+    season = 'Summer';
+  } else {
+    season = 'Fall';
+  }
+  
+  return { year, season, display: `${year} - ${season}` };
+}
+
+// Check if a season is in the future
+function isFutureSeason(seasonYear, seasonName, currentSeason = getCurrentSeason()) {
+  const seasonOrder = { 'winter': 0, 'spring': 1, 'summer': 2, 'fall': 3 };
+  
+  if (seasonYear > currentSeason.year) return true;
+  if (seasonYear < currentSeason.year) return false;
+  
+  // Same year - compare season order
+  const currentOrder = seasonOrder[currentSeason.season.toLowerCase()];
+  const checkOrder = seasonOrder[seasonName.toLowerCase()];
+  
+  return checkOrder > currentOrder;
+}
+
+// Check if anime belongs to a future season
+function isUpcomingSeason(anime, currentSeason = getCurrentSeason()) {
+  if (!anime.year || !anime.season) return false;
+  return isFutureSeason(anime.year, anime.season, currentSeason);
+}
+
+function parseGenreFilter(genre) {
+  if (!genre) return null;
+  return genre.replace(/\s*\(\d+\)$/, '').trim();
+}
+
+function parseWeekdayFilter(weekday) {
+  if (!weekday) return null;
+  return weekday.replace(/\s*\(\d+\)$/, '').trim().toLowerCase();
+}
+
+function parseSeasonFilter(seasonValue) {
+  if (!seasonValue) return null;
+  const cleanValue = seasonValue.replace(/\s*\(\d+\)$/, '').trim();
+  const match = cleanValue.match(/^(\d{4})\s*-\s*(\w+)$/);
+  if (match) {
+    return { year: parseInt(match[1]), season: match[2].toLowerCase() };
+  }
+  return null;
+}
+
+function isSeriesType(anime) {
+  if (anime.subtype === 'movie') return false;
+  let runtime = anime.runtime;
+  if (typeof runtime === 'string') {
+    const match = runtime.match(/(\d+)/);
+    runtime = match ? parseInt(match[1]) : 0;
+  }
+  if (anime.subtype === 'special' && runtime >= 100) return false;
+  return true;
+}
+
+// Filter out entries that are separate seasons of shows already covered by a main entry
+// These have IMDB IDs that cover all seasons, so we don't need separate catalog entries
+// NOTE: Only hide entries whose main series is ONGOING. If main is FINISHED but this season is ONGOING,
+// keep this entry visible so it appears in "Currently Airing"
+const HIDDEN_DUPLICATE_ENTRIES = new Set([
+  // Standalone season entries that should be hidden in favor of parent series
+  // These are separate catalog entries for seasons that are already covered by the main entry
+  'tt36956670',   // JJK: Hidden Inventory/Premature Death (S2 - covered by tt12343534)
+  'tt14331144',   // JJK 0 movie (covered by tt12343534 as a prequel movie)
+  'mal-57658',    // JJK: The Culling Game Part 1 (S3 - covered by tt12343534)
+  'mal-59978',    // Frieren 2nd Season (covered by tt22248376)
+  // Add more as needed
+]);
+
+// Map standalone season entries to their parent series ID
+// When a season is ONGOING, the parent series should appear in Currently Airing
+const SEASON_TO_PARENT_MAP = {
+  'mal-57658': 'tt12343534',    // JJK: The Culling Game Part 1 → Jujutsu Kaisen
+  'tt36956670': 'tt12343534',   // JJK: Hidden Inventory → Jujutsu Kaisen
+  'tt14331144': 'tt12343534',   // JJK 0 → Jujutsu Kaisen
+  'mal-59978': 'tt22248376',    // Frieren 2nd Season → Frieren: Beyond Journey's End
+  // Add more mappings as needed
+};
+
+// Reverse map: parent ID → list of season IDs (for stream checking)
+const PARENT_TO_SEASONS_MAP = {
+  'tt12343534': ['mal-57658', 'tt36956670', 'tt14331144'],  // JJK seasons
+  'tt22248376': ['mal-59978'],  // Frieren seasons
+  // Add more mappings as needed
+};
+
+// Map parent ID → which season number is currently airing
+// Only this season will be streamable, older seasons redirect to Torrentio
+const PARENT_ONGOING_SEASON = {
+  'tt12343534': 3,  // JJK Season 3 (The Culling Game) is currently airing
+  'tt22248376': 2,  // Frieren Season 2 is currently airing
+  // Add more as needed
+};
+
+// Get all parent IDs that have an ongoing season
+function getParentsWithOngoingSeasons(catalogData) {
+  const ongoingParents = new Set();
+  for (const anime of catalogData) {
+    if (anime.status === 'ONGOING') {
+      const parentId = SEASON_TO_PARENT_MAP[anime.id];
+      if (parentId) {
+        ongoingParents.add(parentId);
+      }
+    }
+  }
+  return ongoingParents;
+}
+
+// Check if a parent series has any ongoing season in the catalog
+function parentHasOngoingSeason(parentId, catalogData) {
+  const seasonIds = PARENT_TO_SEASONS_MAP[parentId];
+  if (!seasonIds) return false;
+  
+  for (const seasonId of seasonIds) {
+    const season = catalogData.find(a => a.id === seasonId);
+    if (season && season.status === 'ONGOING') {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Get the currently airing season number for a parent series
+function getOngoingSeasonNumber(parentId) {
+  return PARENT_ONGOING_SEASON[parentId] || null;
+}
+
+// Non-anime entries to filter from catalogs
+// These are Western animation, anime-inspired content, donghua (Chinese), or fan animations
+const NON_ANIME_BLACKLIST = new Set([
+  // Western Animation
+  'tt15248880', // Adventure Time: Fionna & Cake
+  'tt1305826',  // Adventure Time
+  'tt4501334',  // Adventure Time (duplicate)
+  'tt11165358', // Adventure Time: Distant Lands
+  'tt5161450',  // Adventure Time: The Wand
+  'tt0373732',  // The Boondocks
+  'tt0278238',  // Samurai Jack
+  'tt11126994', // Arcane
+  'tt8050756',  // The Owl House
+  'tt12895414', // The SpongeBob SquarePants Anime
+  'tt29661543', // #holoEN3DRepeat
+  'tt9362722',  // Spider-Man: Across the Spider-Verse
+  'tt4633694',  // Spider-Man: Into The Spider-Verse
+  'tt16360004', // Spider-Man: Beyond the Spider-Verse
+  'tt14205554', // K-POP DEMON HUNTERS (Netflix)
+  'tt0417299',  // Avatar: The Legend So Far
+  'tt3975938',  // The Legend of Korra Book 2
+  'tt13660822', // Avatar: Super Deformed Shorts
+  'tt16026746', // X-Men '97
+  'tt14069590', // DOTA: Dragon's Blood (Studio Mir)
+  'tt12605636', // Onyx Equinox (Crunchyroll Studios)
+  'tt8170404',  // Ballmastrz (Adult Swim)
+  'tt0127379',  // Johnny Cypher in Dimension Zero
+  'tt12588448', // Larva Island (Korean CGI)
+  'tt0934701',  // Ni Hao, Kai-Lan (Nickelodeon)
+  'tt10428604', // Magic: The Gathering (Netflix)
+  'tt0423746',  // Super Robot Monkey Team (Disney)
+  'tt2080922',  // Oscar's Oasis (French CGI)
+  'tt0077687',  // The Hobbit 1977 (Rankin/Bass)
+  'tt4499280',  // Solo: A Star Wars Story
+  'tt32915621', // Valoran Town (LoL, Chinese)
+  'tt28786861', // Justice League x RWBY Part 2 (DC/Rooster Teeth)
+  'tt4717402',  // MFKZ (French production)
+  'tt0343314',  // Teen Titans (US, Warner Bros. Animation)
+  'tt2218106',  // Teen Titans Go! (US, Warner Bros. Animation)
+  'tt2098999',  // Amphibia (Disney)
+  'mal-45749',  // Amphibia Season Three (Disney)
+  'tt6517102',  // Castlevania (Netflix, US production)
+  'tt14833612', // Castlevania: Nocturne (Netflix, US)
+  'tt11680642', // Pantheon (AMC, US production)
+  'tt21056886', // Scavengers Reign (Max, US production)
+  'tt9288848',  // Pacific Rim: The Black (Netflix, Polygon Pictures but US IP)
+  
+  // Avatar: The Last Airbender (US production, Nickelodeon)
+  'mal-7926',   // Avatar: The Last Airbender Book 3: Fire
+  'mal-7937',   // Avatar: The Last Airbender Book 2: Earth
+  'mal-7936',   // Avatar: The Last Airbender Book 1: Water
+  'mal-11839',  // Avatar: The Legend So Far
+  'mal-11842',  // Avatar Pilot
+  
+  // Legend of Korra (US production, Nickelodeon)
+  'mal-7927',   // The Legend of Korra Book 1: Air
+  'mal-7938',   // The Legend of Korra Book 2: Spirits
+  'mal-8077',   // The Legend of Korra Book 3: Change
+  'mal-8706',   // The Legend of Korra Book 4: Balance
+  'mal-11565',  // The Re-telling of Korra's Journey
+  
+  // DOTA: Dragon's Blood (Studio Mir, Korean/US)
+  'mal-44413',  // DOTA: Dragon's Blood Book II
+  'mal-46257',  // DOTA: Dragon's Blood: Book III
+  
+  // RWBY (Rooster Teeth, US production)
+  'tt3066242',  // RWBY
+  'tt21198914', // RWBY (duplicate IMDB)
+  'tt35253928', // RWBY II World of Remnant
+  'tt5660680',  // RWBY: Chibi
+  'tt19389868', // RWBY: Ice Queendom
+  'tt28695882', // RWBY Volume 9: Beyond
+  'mal-11013',  // RWBY Prologue Trailers
+  'mal-12629',  // RWBY IV Character Short
+  'mal-8707',   // RWBY II World of Remnant
+  'mal-13649',  // RWBY V: Character Shorts
+  'mal-11439',  // RWBY III World of Remnant
+  'mal-13248',  // RWBY Chibi 2
+  'mal-12669',  // RWBY IV World of Remnant
+  'mal-14240',  // RWBY Chibi 3
+  'mal-41936',  // RWBY VI: Character Short
+  'mal-12674',  // RWBY: The Story So Far
+  'mal-47335',  // RWBY Vol. X
+  'tt24548912', // Justice League x RWBY Part 1
+  'mal-48814',  // RWBY Volume 9: Bonus Ending Animatic
+  'mal-48799',  // RWBY Volume 9: Beyond
+  
+  // Adventure Time (Cartoon Network, US)
+  'mal-13768',  // Adventure Time Season 8
+  'mal-41118',  // Adventure Time Season 10
+  'mal-13766',  // Adventure Time Season 6
+  'mal-13767',  // Adventure Time Season 7
+  'mal-13770',  // Adventure Time: Graybles Allsorts
+  'mal-13771',  // Adventure Time Short: Frog Seasons
+  
+  // Steven Universe (Cartoon Network, US)
+  'mal-11215',  // Steven Universe Season 2 Specials
+  'mal-11100',  // Steven Universe Pilot
+  'mal-13424',  // Steven Universe Season 4 Specials
+  
+  // Star vs. the Forces of Evil (Disney, US)
+  'tt2758770',  // Star vs. the Forces of Evil
+  'mal-13533',  // Star vs. The Forces of Evil: The Battle for Mewni
+  
+  // Teen Titans (US, Warner Bros.)
+  'mal-11483',  // Teen Titans: The Lost Episode
+  'tt10548944', // Teen Titans Go! vs. Teen Titans
+  
+  // Voltron (US production)
+  'tt1669774',  // Voltron Force
+  'tt0164303',  // Voltron: The Third Dimension
+  
+  // The Dragon Prince (US, Wonderstorm)
+  'tt8688814',  // The Dragon Prince
+  
+  // Gen:Lock (Rooster Teeth, US)
+  'mal-42560',  // Gen:Lock Character Reveal Teasers
+  
+  // Gravity Falls (Disney, US)
+  'mal-47514',  // Gravity Falls Pilot
+  
+  // Amphibia (Disney, US)
+  'mal-45754',  // Disney Theme Song Takeover-Amphibia
+  'tt20190086', // Amphibia Chibi Tiny Tales
+  
+  // Donghua (Chinese Animation) - not Japanese anime
+  'tt11755260', // The Daily Life of the Immortal King
+  'tt14986786', // Perfect World
+  'tt15788086', // Stellar Transformation
+  'tt19902148', // Throne of Seal
+  'tt27517921', // Against the Gods
+  'tt27432264', // Renegade Immortal
+  'tt30629237', // Wan Jie Qi Yuan
+  'tt37578217', // Ling Cage
+  'tt32801071', // Perfect World Movie
+  'tt20603126', // Thousands of worlds
+  'tt33968201', // Spring and Autumn
+  'tt15832382', // Hong Ling Jin Xia
+  'tt28863606', // God of Ten Thousand Realms
+  'tt6859260',  // The King's Avatar
+]);
+
+// Manual poster overrides for anime with broken/missing metahub posters
+// These are typically new/upcoming anime that Metahub doesn't have yet
+// V5 cleanup: Removed items NOT IN CATALOG or with good Fribb/IMDB matches
+const POSTER_OVERRIDES = {
+  // === NEW/UPCOMING ANIME (Metahub doesn't have posters yet) ===
+  'tt38268282': 'https://media.kitsu.app/anime/49847/poster_image/large-f9a0fe19d2d2647e295046f779bc2e97.jpeg', // Steel Ball Run: JoJo's Bizarre Adventure
+  'tt36294552': 'https://media.kitsu.app/anime/47243/poster_image/large-5f135e0ade6ef5b784e4ddf0342c3330.jpeg', // Trigun Stargaze
+  'tt37532731': 'https://media.kitsu.app/anime/49372/poster_image/large-13c34534bcbb483eff2e4bd8c6124430.jpeg', // You and I are Polar Opposites
+  'tt36592708': 'https://media.kitsu.app/anime/48198/poster_image/large-b8e67c6a35c2a5e94b5c0b82e0f5a3c7.jpeg', // There's No Freaking Way I'll be Your Lover!
+  
+  // === LEGACY POSTER OVERRIDES ===
+  'tt38691315': 'https://media.kitsu.app/anime/50202/poster_image/large-b0a51e52146b1d81d8d0924b5a8bbe82.jpeg', // Style of Hiroshi Nohara Lunch - imdb_v5_medium
+  'tt12787182': 'https://media.kitsu.app/anime/poster_images/43256/large.jpg', // Fushigi Dagashiya: Zenitendou
+  'tt1978960': 'https://media.kitsu.app/anime/poster_images/5007/large.jpg', // Knyacki!
+  'tt37776400': 'https://media.kitsu.app/anime/50096/poster_image/large-9ca5e6ff11832a8bf554697c1f183dbf.jpeg', // Dungeons & Television
+  'tt37509404': 'https://media.kitsu.app/anime/49961/poster_image/large-3f376bc5492dd5de03c4d13295604f95.jpeg', // Gekkan! Nanmono Anime
+  'tt39281420': 'https://media.kitsu.app/anime/50253/poster_image/large-5c560f04c35705e046a945dfc5c5227f.jpeg', // Koala's Diary
+  'tt36270770': 'https://media.kitsu.app/anime/46581/poster_image/large-eb771819d7a6a152d1925f297bcf1928.jpeg', // ROAD OF NARUTO
+  'tt27551813': 'https://cdn.myanimelist.net/images/anime/1921/135489l.jpg', // Idol (fribb_kitsu but MAL poster better)
+  'tt39287518': 'https://media.kitsu.app/anime/49998/poster_image/large-16edb06a60a6644010b55d4df6a2012a.jpeg', // Kaguya-sama Stairway
+  'tt37196939': 'https://media.kitsu.app/anime/49966/poster_image/large-420c08752313cc1ad419f79aa4621a8d.jpeg', // Wash it All Away
+  'tt39050141': 'https://media.kitsu.app/anime/50371/poster_image/large-e9aaad3342085603c1e3d2667a5954ab.jpeg', // Love Through A Prism
+  'tt32482998': 'https://media.kitsu.app/anime/50431/poster_image/large-22e1364623ae07665ab286bdbad6d02c.jpeg', // Duel Masters LOST
+};
+
+
+// Manual metadata overrides for anime with incomplete catalog data
+// V5 cleanup: Removed items NOT IN CATALOG, kept items that still need enhancements
+// Items with fribb_kitsu/imdb_v5_high matches may still need background/cast overrides
+const METADATA_OVERRIDES = {
+  'tt12343534': { // Jujutsu Kaisen - catalog has ONA metadata (Kitsu 43748) instead of TV series (Kitsu 42765)
+    runtime: '24 min',
+    episodes: 24,
+    episodeCount: 24,
+    subtype: 'TV'
+  },
+  'tt38691315': { // Style of Hiroshi Nohara Lunch - imdb_v5_medium
+    runtime: '24 min',
+    rating: 6.4,
+    genres: ['Animation', 'Comedy']
+  },
+  'tt38037498': { // There was a Cute Girl in the Hero's Party - imdb_v5_medium
+    rating: 7.6,
+    genres: ['Animation', 'Action', 'Adventure', 'Fantasy']
+  },
+  'tt38798044': { // The Case Book of Arne - fribb_kitsu
+    rating: 6.5,
+    genres: ['Animation', 'Mystery']
+  },
+  'tt12787182': { // Fushigi Dagashiya - imdb_v5_high
+    runtime: '10 min',
+    rating: 6.15,
+    genres: ["Mystery"],
+    background: 'https://cdn.myanimelist.net/images/anime/1602/150098l.jpg',
+    cast: ["Iketani, Nobue","Katayama, Fukujuurou","Hasegawa, Ikumi"],
+  },
+  'tt38652044': { // Isekai no Sata - fribb_kitsu
+    runtime: '23 min',
+    rating: 5.48,
+    genres: ["Action","Adventure","Fantasy","Isekai"],
+    background: 'https://cdn.myanimelist.net/images/anime/1282/102248l.jpg',
+    cast: ["Takahashi, Rie","Amasaki, Kouhei","Kubo, Yurika","Mizumori, Chiko","Mano, Ayumi"],
+  },
+  'tt38646949': { // Majutsushi Kunon - fribb_kitsu
+    rating: 6.7,
+    genres: ["Fantasy"],
+    background: 'https://cdn.myanimelist.net/images/anime/1704/154459l.jpg',
+    cast: ["Hayami, Saori","Uchida, Maaya","Inomata, Satoshi","Shimazaki, Nobunaga","Okamura, Haruka"],
+  },
+  'tt37776400': { // Dungeons & Television - imdb_v5_medium
+    rating: 6.64,
+    genres: ["Adventure","Fantasy"],
+    background: 'https://cdn.myanimelist.net/images/anime/1874/151419l.jpg',
+    cast: ["Haneta, Chika","Matsuzaki, Nana","Ishiguro, Chihiro","Okada, Yuuki"],
+  },
+  'tt37509404': { // Gekkan! Nanmono Anime - imdb_v5_medium
+    genres: ["Slice of Life","Anthropomorphic"],
+    background: 'https://cdn.myanimelist.net/images/anime/1581/150017l.jpg',
+    cast: ["Hikasa, Youko","Izawa, Shiori","Kitou, Akari","Shiraishi, Haruka","Ootani, Ikue"],
+  },
+  'tt39281420': { // Koala Enikki - imdb_v5_medium
+    rating: 6.31,
+    genres: ["Slice of Life","Anthropomorphic"],
+    background: 'https://cdn.myanimelist.net/images/anime/1987/152302l.jpg',
+    cast: ["Uchida, Aya"],
+  },
+  'tt1978960': { // Knyacki! - imdb_v5_high
+    background: 'https://cdn.myanimelist.net/images/anime/2/55107l.jpg',
+  },
+  'tt34852231': { // Gnosia - fribb_kitsu
+    runtime: '25 min',
+    cast: ["Hasegawa, Ikumi","Anzai, Chika","Nakamura, Yuuichi","Sakura, Ayane","Seto, Asami"],
+  },
+  'tt32832424': { // Haigakura - fribb_kitsu
+    runtime: '23 min',
+    rating: 5.91,
+  },
+  'tt38980285': { // Darwin Jihen - fribb_kitsu
+    runtime: '24 min',
+    rating: 6.75,
+  },
+  'tt32336365': { // Ikoku Nikki - fribb_kitsu
+    runtime: '23 min',
+    rating: 7.97,
+  },
+  'tt38646611': { // Hanazakari no Kimitachi e - fribb_kitsu
+    runtime: '4 min',
+  },
+  'tt38978132': { // Kizoku Tensei - fribb_kitsu
+    rating: 6.43,
+    cast: ["Nanami, Karin","Tachibana, Azusa","Sumi, Tomomi Jiena","Yusa, Kouji","Kawanishi, Kengo"],
+  },
+  'tt27517921': { // Nitian Xie Shen - imdb_v5_medium
+    rating: 7.81,
+  },
+  'tt38980445': { // Mayonaka Heart Tune - fribb_kitsu
+    runtime: '23 min',
+    rating: 7.26,
+  },
+  'tt27432264': { // Xian Ni - imdb_v5_high
+    rating: 8.44,
+  },
+  'tt34710525': { // Cat's Eye (2025) - fribb_kitsu
+    runtime: '25 min',
+    rating: 7.22,
+  },
+  'tt27865962': { // Beyblade X - fribb_kitsu
+    runtime: '23 min',
+    rating: 6.8,
+  },
+  'tt37196939': { // Kirei ni Shitemoraemasu ka - fribb_kitsu
+    runtime: '23 min',
+    rating: 6.96,
+  },
+  'tt38969275': { // Maou no Musume - fribb_kitsu
+    runtime: '23 min',
+    rating: 7.24,
+  },
+  'tt38037470': { // SI-VIS - fribb_kitsu
+    runtime: '23 min',
+    rating: 5.98,
+  },
+  'tt31608637': { // Xianwu Dizun - imdb_v5_medium
+    rating: 7.24,
+  },
+  'tt33309549': { // Shibou Yuugi - fribb_kitsu
+    runtime: '26 min',
+    rating: 7.88,
+  },
+  'tt38253018': { // Osananajimi to wa - fribb_kitsu
+    runtime: '25 min',
+    rating: 7.35,
+  },
+  'tt37137805': { // Champignon no Majo - fribb_kitsu
+    runtime: '24 min',
+    rating: 7.31,
+  },
+  'tt38128737': { // Ganglion - fribb_kitsu
+    runtime: '3 min',
+    rating: 6.06,
+  },
+  'tt34623148': { // Kagaku×Bouken Survival! - imdb_v5_medium
+    description: 'The series follows children in various adventurous situations while weaving information about science into the story.',
+  },
+  'tt33349897': { // Kono Kaisha ni Suki - fribb_kitsu
+    runtime: '23 min',
+  },
+  'tt28197251': { // Chao Neng Lifang - imdb_v5_high
+    cast: ["Hioka, Natsumi","Yomichi, Yuki","Nanase, Ayaka","Takahashi, Shinya","Yamamoto, Kanehira"],
+  },
+  'tt0306365': { // Nintama Rantarou - fribb_kitsu
+    runtime: '10 min',
+  },
+  'tt0367414': { // Sore Ike! Anpanman - fribb_kitsu
+    runtime: '24 min',
+  },
+  'tt32832433': { // Touhai - fribb_kitsu
+    runtime: '23 min',
+  },
+  'tt38572776': { // Potion, Wagami wo Tasukeru - imdb_v5_high
+    runtime: '13 min',
+  },
+  'tt32535912': { // Watari-kun - fribb_kitsu
+    runtime: '23 min',
+  },
+  'tt35769369': { // Chitose-kun - fribb_kitsu
+    rating: 7.22,
+  },
+  'tt38648925': { // Jack-of-All-Trades - imdb_v5_high
+    rating: 6.1,
+  },
+  'tt37499375': { // Digimon Beatbreak - fribb_kitsu
+    rating: 7.05,
+  },
+  'tt28022382': { // Douluo Dalu 2 - imdb_v5_high
+    rating: 7.94,
+  },
+  'tt17163876': { // Ninjala - fribb_kitsu
+    rating: 5.75,
+  },
+  'tt15816496': { // Ni Tian Zhizun - imdb_v5_high
+    rating: 7.28,
+  },
+  'tt35346388': { // #Compass 2.0 - fribb_kitsu
+    rating: 5.86,
+  },
+  'tt38976904': { // Goumon Baito-kun - fribb_kitsu
+    rating: 6.35,
+  },
+  'tt34715295': { // Tono to Inu - fribb_kitsu
+    rating: 6.68,
+  },
+  'tt36632066': { // Odayaka Kizoku - fribb_kitsu
+    rating: 6.75,
+  },
+  'tt33501934': { // Mushen Ji - imdb_v5_high
+    rating: 8.24,
+  },
+  'tt36270770': { // ROAD OF NARUTO - imdb_v5_high
+    genres: ['Action', 'Fantasy', 'Martial Arts'],
+    cast: ['Sugiyama, Noriaki', 'Takeuchi, Junko'],
+  },
+  'tt27551813': { // Idol - fribb_kitsu
+    genres: ['School', 'Music', 'Slice of Life', 'Comedy', 'Sci-Fi', 'Mecha'],
+  },
+  'tt21030032': { // Oshi no Ko
+    runtime: '30 min',
+  },
+  // Removed (NOT IN CATALOG after v5):
+  // tt37578217 (Ling Cage), tt35348212 (Kaijuu Sekai Seifuku), tt37836273 (Shuukan Ranobe),
+  // tt26443616, tt37364267, tt37894464, tt32158870, tt13352178, tt37532599, tt12826684,
+  // tt0283783, tt26997679, tt37815384, tt34852961, tt27617390, tt36270200, tt37536527,
+  // tt34382834, tt32649136, tt36534643, tt13544716, tt38647635
+};
+
+function isHiddenDuplicate(anime) {
+  return HIDDEN_DUPLICATE_ENTRIES.has(anime.id);
+}
+
+function isNonAnime(anime) {
+  const id = anime.id || anime.imdb_id;
+  return NON_ANIME_BLACKLIST.has(id);
+}
+
+// Filter out "deleted" placeholder entries from Kitsu
+function isDeletedEntry(anime) {
+  const name = (anime.name || '').toLowerCase().trim();
+  // Match "delete", "deleted", "deleteg", "deleteasv", etc.
+  return /^delete/i.test(name);
+}
+
+// Filter out recap episodes - these are summary/compilation episodes, not proper anime
+function isRecap(anime) {
+  const name = (anime.name || '').toLowerCase();
+  // Check for recap patterns in name
+  if (/\brecaps?\b/i.test(name)) return true;
+  // Also filter "digest" episodes (Japanese term for recaps)
+  if (/\bdigest\b/i.test(name) && anime.subtype === 'special') return true;
+  return false;
+}
+
+// Filter out music videos from main catalogs (keep in search)
+// Exception: Keep notable music video anime like Interstella5555, Shelter
+const NOTABLE_MUSIC_ANIME = new Set([
+  'tt0368667',  // Interstella5555
+  'tt6443118',  // Shelter
+  'tt1827378',  // Black★Rock Shooter (original MV that spawned anime)
+  'mal-937',    // On Your Mark (Ghibli)
+  'tt27551813', // Idol
+]);
+
+function isMusicVideo(anime) {
+  if (anime.subtype !== 'music') return false;
+  // Keep notable music anime
+  if (NOTABLE_MUSIC_ANIME.has(anime.id)) return false;
+  return true;
+}
+
+// Fix HTML entities in descriptions
+function decodeHtmlEntities(str) {
+  if (!str) return str;
+  return str
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&apos;/g, "'")
+    .replace(/&#x2014;/g, '—')
+    .replace(/&#x2013;/g, '–')
+    .replace(/&#x27;/g, "'")
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCharCode(dec))
+    .replace(/&#x([0-9a-fA-F]+);/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Filter out OVA entries - these are often incomplete/broken in streaming
+// Keep only: TV series, movies, ONA (web series), and specials
+// Notable OVAs that should be kept (popular standalone OVAs with high ratings)
+const NOTABLE_OVA = new Set([
+  'tt0495212',  // Hellsing Ultimate
+  'tt0279077',  // FLCL
+  'tt0096633',  // Legend of the Galactic Heroes
+  'tt0248119',  // JoJo's Bizarre Adventure (1993)
+  'tt1992386',  // Black Lagoon: Roberta's Blood Trail
+  'tt4483100',  // Kidou Senshi Gundam: The Origin
+  'tt2496120',  // Space Battleship Yamato
+  'tt0315008',  // Shonan Junai Gumi!
+]);
+
+function isOVA(anime) {
+  if (anime.subtype !== 'OVA') return false;
+  // Keep notable OVAs
+  if (NOTABLE_OVA.has(anime.id)) return false;
+  return true;
+}
+
+// Combined filter for catalog exclusions
+// Adult content is left to the content policy (src/core/contentPolicy.js), which
+// depends on the user's level
+function shouldExcludeFromCatalog(anime) {
+  if (isHiddenDuplicate(anime)) return true;
+  if (isNonAnime(anime)) return true;
+  if (isRecap(anime)) return true;
+  if (isMusicVideo(anime)) return true;
+  if (isDeletedEntry(anime)) return true;
+  if (isOVA(anime)) return true;  // Filter out OVAs
+  return false;
+}
+
+function isMovieType(anime) {
+  if (anime.subtype === 'movie') return true;
+  let runtime = anime.runtime;
+  if (typeof runtime === 'string') {
+    const match = runtime.match(/(\d+)/);
+    runtime = match ? parseInt(match[1]) : 0;
+  }
+  if (anime.subtype === 'special' && runtime >= 100) return true;
+  return false;
+}
+
+// ===== FORMAT FUNCTIONS =====
+
+function formatAnimeMeta(anime) {
+  const formatted = { ...anime };
+  
+  // Apply metadata overrides first
+  if (METADATA_OVERRIDES[anime.id]) {
+    const overrides = METADATA_OVERRIDES[anime.id];
+    Object.assign(formatted, overrides);
+  }
+  
+  formatted.type = anime.subtype === 'movie' ? 'movie' : 'series';
+  
+  if (formatted.rating !== null && formatted.rating !== undefined && !isNaN(formatted.rating)) {
+    formatted.imdbRating = formatted.rating.toFixed(1);
+  }
+  
+  if (formatted.year) {
+    formatted.releaseInfo = formatted.year.toString();
+  }
+  
+  // Decode HTML entities in description (fixes &apos;, &#x2014;, etc.)
+  if (formatted.description) {
+    formatted.description = decodeHtmlEntities(formatted.description);
+    if (formatted.description.length > 200) {
+      formatted.description = formatted.description.substring(0, 200) + '...';
+    }
+  }
+  
+  // Poster priority:
+  // 1) Manual override (for specific broken posters via POSTER_OVERRIDES)
+  // 2) Metahub for any anime with IMDB ID (has nice title overlay like Cinemeta)
+  // 3) Fallback to catalog poster (Kitsu) for non-IMDB content
+  if (POSTER_OVERRIDES[anime.id]) {
+    formatted.poster = POSTER_OVERRIDES[anime.id];
+  } else if (anime.id && anime.id.startsWith('tt')) {
+    // Use Metahub for all IMDB content - has title overlays like Cinemeta
+    formatted.poster = `https://images.metahub.space/poster/medium/${anime.id}/img`;
+  }
+  // If no IMDB ID, keep the catalog poster (Kitsu)
+  
+  return formatted;
+}
+
+// ===== SEARCH FUNCTION =====
+
+/**
+ * Search the catalog
+ * With a search index (src/core/searchIndex.js) results are relevance-ranked over
+ * names and synonyms with typo tolerance; without one, falls back to a substring
+ * scan of names, genres, studios and descriptions.
+ * @param {Array} catalogData - Catalog to scan when there is no index
+ * @param {string} query - Search query
+ * @param {string} targetType - 'series', 'movie' or null for both
+ * @param {Object} searchIndex - Optional prebuilt index from createSearchIndex
+ */
+function searchDatabase(catalogData, query, targetType = null, searchIndex = null) {
+  if (!query || query.length < 2) return [];
+  
+  if (searchIndex) {
+    return searchIndex.search(query)
+      .map(result => result.anime)
+      .filter(anime => {
+        // In search, allow recaps and music videos (just exclude blacklisted non-anime)
+        if (isHiddenDuplicate(anime) || isNonAnime(anime)) return false;
+        if (targetType === 'series' && !isSeriesType(anime)) return false;
+        if (targetType === 'movie' && !isMovieType(anime)) return false;
+        return true;
+      });
+  }
+  
+  const normalizedQuery = query.toLowerCase().trim();
+  const queryWords = normalizedQuery.split(/\s+/).filter(w => w.length > 1);
+  
+  const scored = [];
+  
+  for (const anime of catalogData) {
+    // In search, allow recaps and music videos (just exclude blacklisted non-anime)
+    if (isHiddenDuplicate(anime)) continue;
+    if (isNonAnime(anime)) continue;
+    if (targetType === 'series' && !isSeriesType(anime)) continue;
+    if (targetType === 'movie' && !isMovieType(anime)) continue;
+    
+    const name = (anime.name || '').toLowerCase();
+    const description = (anime.description || '').toLowerCase();
+    const genres = (anime.genres || []).map(g => g.toLowerCase());
+    const studios = (anime.studios || []).map(s => s.toLowerCase());
+    
+    let score = 0;
+    
+    if (name === normalizedQuery) {
+      score += 1000;
+    } else if (name.startsWith(normalizedQuery)) {
+      score += 500;
+    } else if (name.includes(normalizedQuery)) {
+      score += 200;
+    }
+    
+    for (const word of queryWords) {
+      if (name.includes(word)) score += 50;
+    }
+    
+    for (const word of queryWords) {
+      if (genres.some(g => g.includes(word))) score += 30;
+      if (studios.some(s => s.includes(word))) score += 30;
+    }
+    
+    if (description.includes(normalizedQuery)) score += 20;
+    
+    if (score > 0) {
+      score += (anime.rating || 0) / 10;
+      scored.push({ anime, score });
+    }
+  }
+  
+  scored.sort((a, b) => {
+    if (b.score !== a.score) return b.score - a.score;
+    return ((b.anime.rating || 0) - (a.anime.rating || 0)) || compareStableKey(a.anime, b.anime);
+  });
+  
+  return scored.map(s => s.anime);
+}
+
+// ===== CATALOG HANDLERS =====
+
+/**
+ * Last-resort order for equal sort keys (catalog ID), so pages are the same on every
+ * request and don't depend on the order entries happen to have in catalog.json
+ */
+function compareStableKey(a, b) {
+  const idA = a.id || '';
+  const idB = b.id || '';
+  return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+function handleTopRated(catalogData, genreFilter) {
+  let filtered = catalogData.filter(anime => isSeriesType(anime) && !shouldExcludeFromCatalog(anime));
+  
+  if (genreFilter) {
+    const genre = parseGenreFilter(genreFilter);
+    filtered = filtered.filter(anime => 
+      anime.genres && anime.genres.some(g => 
+        g.toLowerCase() === genre.toLowerCase()
+      )
+    );
+  }
+  
+  filtered.sort((a, b) => ((b.rating || 0) - (a.rating || 0)) || compareStableKey(a, b));
+  return filtered;
+}
+
+function handleSeasonReleases(catalogData, seasonFilter) {
+  let filtered = catalogData.filter(anime => isSeriesType(anime) && !shouldExcludeFromCatalog(anime));
+  
+  const currentSeason = getCurrentSeason();
+  
+  if (seasonFilter) {
+    const cleanFilter = seasonFilter.replace(/\s*\(\d+\)$/, '').trim();
+    
+    // Handle "Upcoming" filter - all future seasons
+    if (cleanFilter.toLowerCase() === 'upcoming') {
+      filtered = filtered.filter(anime => {
+        if (!anime.year || !anime.season) return false;
+        return isUpcomingSeason(anime, currentSeason);
+      });
+    } else {
+      // Handle specific season filter (e.g., "2026 - Winter")
+      const parsed = parseSeasonFilter(seasonFilter);
+      if (parsed) {
+        filtered = filtered.filter(anime => {
+          if (!anime.year) return false;
+          if (anime.year !== parsed.year) return false;
+          // Also check season matches if we have that data
+          if (anime.season && parsed.season) {
+            return anime.season.toLowerCase() === parsed.season.toLowerCase();
+          }
+          return true;
+        });
+      }
+    }
+  } else {
+    // No filter - show current season by default
+    filtered = filtered.filter(anime => {
+      if (!anime.year || !anime.season) return false;
+      return anime.year === currentSeason.year && 
+             anime.season.toLowerCase() === currentSeason.season.toLowerCase();
+    });
+  }
+  
+  // Sort by rating, with newer anime prioritized
+  filtered.sort((a, b) => {
+    // First by year (newer first)
+    if ((b.year || 0) !== (a.year || 0)) return (b.year || 0) - (a.year || 0);
+    // Then by rating
+    return ((b.rating || 0) - (a.rating || 0)) || compareStableKey(a, b);
+  });
+  return filtered;
+}
+
+/**
+ * Handle the "Currently Airing" catalog
+ * Uses pre-scraped broadcastDay data from catalog.json (updated via incremental-update.js)
+ * @param {Array} catalogData - Full catalog data
+ * @param {string} genreFilter - Optional weekday filter (e.g., "Monday", "Friday")
+ * @param {Object} config - User configuration
+ * @returns {Array} Filtered and sorted anime list
+ */
+function handleAiring(catalogData, genreFilter, config = {}) {
+  // Get parent series that have ongoing seasons (e.g., JJK main entry when S3 is airing)
+  const parentsWithOngoingSeasons = getParentsWithOngoingSeasons(catalogData);
+  
+  // Build a map of parent ID → ongoing season's broadcast day
+  // This allows us to show the correct broadcast day for parent series
+  const parentBroadcastDays = {};
+  for (const anime of catalogData) {
+    if (anime.status === 'ONGOING') {
+      const parentId = SEASON_TO_PARENT_MAP[anime.id];
+      if (parentId && anime.broadcastDay) {
+        parentBroadcastDays[parentId] = anime.broadcastDay;
+      }
+    }
+  }
+  
+  // Include anime that are either:
+  // 1. Directly marked as ONGOING in our catalog
+  // 2. Parent series that have an ongoing season (even if parent is marked FINISHED)
+  let filtered = catalogData.filter(anime => {
+    if (!isSeriesType(anime) || shouldExcludeFromCatalog(anime)) return false;
+    return anime.status === 'ONGOING' || parentsWithOngoingSeasons.has(anime.id);
+  });
+  
+  // For anime, enhance broadcast day information for parent series
+  filtered = filtered.map(anime => {
+    // Inherit broadcast day from ongoing season for parent series
+    if (parentsWithOngoingSeasons.has(anime.id) && parentBroadcastDays[anime.id] && !anime.broadcastDay) {
+      return { ...anime, broadcastDay: parentBroadcastDays[anime.id] };
+    }
+    return anime;
+  });
+  
+  // Apply exclude long-running filter ONLY if explicitly enabled
+  // By default, long-running anime like Detective Conan ARE included
+  if (config.excludeLongRunning === true) {
+    const currentYear = new Date().getFullYear();
+    filtered = filtered.filter(anime => {
+      const year = anime.year || currentYear;
+      const episodeCount = anime.episodes || null;
+      
+      // If anime started more than 10 years ago and we don't have episode data,
+      // assume it's long-running (safer to exclude than include)
+      if (year < currentYear - 10 && episodeCount === null) {
+        return false;
+      }
+      
+      // If we have episode data, use it
+      if (episodeCount !== null) {
+        return episodeCount < 100;
+      }
+      
+      // For recent anime without episode data, include them
+      return true;
+    });
+  }
+  
+  // Filter by weekday if specified
+  if (genreFilter) {
+    const weekday = parseWeekdayFilter(genreFilter);
+    if (weekday) {
+      filtered = filtered.filter(anime => 
+        anime.broadcastDay && anime.broadcastDay.toLowerCase() === weekday
+      );
+    }
+  }
+  
+  filtered.sort((a, b) => ((b.rating || 0) - (a.rating || 0)) || compareStableKey(a, b));
+  return filtered;
+}
+
+function handleMovies(catalogData, genreFilter) {
+  let filtered = catalogData.filter(anime => isMovieType(anime) && !shouldExcludeFromCatalog(anime));
+  
+  if (genreFilter) {
+    const cleanFilter = parseGenreFilter(genreFilter);
+    
+    if (cleanFilter === 'Upcoming') {
+      filtered = filtered.filter(anime => anime.status !== 'FINISHED');
+      filtered.sort((a, b) => ((b.year || 0) - (a.year || 0)) || compareStableKey(a, b));
+    } else if (cleanFilter === 'New Releases') {
+      const currentYear = new Date().getFullYear();
+      filtered = filtered.filter(anime => 
+        anime.year >= currentYear - 1 && anime.status === 'FINISHED'
+      );
+      filtered.sort((a, b) => {
+        if (a.year !== b.year) return (b.year || 0) - (a.year || 0);
+        return ((b.rating || 0) - (a.rating || 0)) || compareStableKey(a, b);
+      });
+    } else {
+      filtered = filtered.filter(anime => 
+        anime.genres && anime.genres.some(g => 
+          g.toLowerCase() === cleanFilter.toLowerCase()
+        )
+      );
+      filtered.sort((a, b) => ((b.rating || 0) - (a.rating || 0)) || compareStableKey(a, b));
+    }
+  } else {
+    filtered.sort((a, b) => ((b.rating || 0) - (a.rating || 0)) || compareStableKey(a, b));
+  }
+
+  return filtered;
+}
+
+/**
+ * Run the handler for a browse catalog
+ * @returns {Array|null} Filtered and sorted anime, or null for an unknown catalog id
+ */
+function getCatalogSelection(catalogData, catalogId, genreFilter, config = {}) {
+  switch (catalogId) {
+    case 'anime-top-rated':
+      return handleTopRated(catalogData, genreFilter);
+    case 'anime-season-releases':
+      return handleSeasonReleases(catalogData, genreFilter);
+    case 'anime-airing':
+      return handleAiring(catalogData, genreFilter, config);
+    case 'anime-movies':
+      return handleMovies(catalogData, genreFilter);
+    default:
+      return null;
+  }
+}
+
+// ===== COMBINED FILTERS =====
+// Extra filters that combine with each catalog's own `genre` extra (which stays a
+// genre, season, weekday or Upcoming depending on the catalog):
+//   genres=Action,Drama     every listed genre must match
+//   year=2019 | 2015-2020 | 2015- | 2015+
+//   season=Fall,Winter      status=Airing,Finished,Upcoming
+//   studio=MAPPA            ageRating=PG,R
+//   minRating=8 | 8+        episodes=1-13 | 100+
+// Lists are comma-separated and match any value (except genres). Values may carry
+// the " (123)" count suffix used by manifest options.
+
+const CATALOG_FILTER_KEYS = ['genres', 'year', 'season', 'status', 'studio', 'ageRating', 'minRating', 'episodes'];
+
+const SEASON_NAMES = ['winter', 'spring', 'summer', 'fall'];
+
+// Catalog statuses come from several sources (Kitsu, AniList, MAL) - fold them into three
+const STATUS_NAMES = {
+  ongoing: 'Airing',
+  current: 'Airing',
+  finished: 'Finished',
+  upcoming: 'Upcoming',
+  unreleased: 'Upcoming',
+  tba: 'Upcoming'
+};
+
+function normalizeStatus(status) {
+  return STATUS_NAMES[(status || '').toLowerCase()] || null;
+}
+
+function stripFilterCount(value) {
+  return String(value).replace(/\s*\(\d+\)$/, '').trim();
+}
+
+function parseFilterList(value) {
+  return String(value)
+    .split(',')
+    .map(part => stripFilterCount(part).toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse "2019", "2015-2020", "2015-", "-2010" or "100+" into { min, max } (null = open end)
+ */
+function parseFilterRange(value) {
+  const clean = stripFilterCount(value);
+
+  let match = clean.match(/^(\d+)$/);
+  if (match) return { min: parseInt(match[1]), max: parseInt(match[1]) };
+
+  match = clean.match(/^(\d+)\s*\+$/);
+  if (match) return { min: parseInt(match[1]), max: null };
+
+  match = clean.match(/^(\d*)\s*-\s*(\d*)$/);
+  if (match && (match[1] || match[2])) {
+    return {
+      min: match[1] ? parseInt(match[1]) : null,
+      max: match[2] ? parseInt(match[2]) : null
+    };
+  }
+
+  return null;
+}
+
+function inFilterRange(value, range) {
+  if (value === null || value === undefined || isNaN(value)) return false;
+  if (range.min !== null && value < range.min) return false;
+  if (range.max !== null && value > range.max) return false;
+  return true;
+}
+
+/**
+ * Parse the combined filters out of catalog extras / query params
+ * Invalid values are ignored rather than emptying the catalog.
+ * @param {Object} extra - e.g. { genres: 'Action', year: '2019', studio: 'MAPPA' }
+ * @returns {Object|null} Parsed filters, or null if none were given
+ */
+function parseCatalogFilters(extra = {}) {
+  if (!extra) return null;
+  const filters = {};
+
+  if (extra.genres) {
+    const genres = parseFilterList(extra.genres);
+    if (genres.length > 0) filters.genres = genres;
+  }
+
+  for (const key of ['year', 'episodes']) {
+    if (!extra[key]) continue;
+    const range = parseFilterRange(extra[key]);
+    if (range) filters[key] = range;
+  }
+
+  if (extra.season) {
+    const seasons = parseFilterList(extra.season).filter(season => SEASON_NAMES.includes(season));
+    if (seasons.length > 0) filters.season = seasons;
+  }
+
+  if (extra.status) {
+    const statuses = parseFilterList(extra.status).map(status => (normalizeStatus(status) || status).toLowerCase());
+    if (statuses.length > 0) filters.status = statuses;
+  }
+
+  for (const key of ['studio', 'ageRating']) {
+    if (!extra[key]) continue;
+    const values = parseFilterList(extra[key]);
+    if (values.length > 0) filters[key] = values;
+  }
+
+  if (extra.minRating) {
+    const minRating = parseFloat(stripFilterCount(extra.minRating).replace(/\+$/, ''));
+    if (!isNaN(minRating)) filters.minRating = minRating;
+  }
+
+  return Object.keys(filters).length > 0 ? filters : null;
+}
+
+const CATALOG_FILTER_MATCHERS = {
+  genres: (anime, wanted) => {
+    const genres = (anime.genres || []).map(g => g.toLowerCase());
+    return wanted.every(genre => genres.includes(genre));
+  },
+  year: (anime, range) => inFilterRange(anime.year, range),
+  season: (anime, wanted) => !!anime.season && wanted.includes(anime.season.toLowerCase()),
+  status: (anime, wanted) => wanted.includes((normalizeStatus(anime.status) || '').toLowerCase()),
+  studio: (anime, wanted) => (anime.studios || []).some(studio => wanted.includes(studio.toLowerCase())),
+  ageRating: (anime, wanted) => !!anime.ageRating && wanted.includes(anime.ageRating.toLowerCase()),
+  minRating: (anime, minRating) => (anime.rating || 0) >= minRating,
+  episodes: (anime, range) => inFilterRange(anime.episodeCount, range)
+};
+
+/**
+ * Filter keys an anime fails (empty array = matches every filter)
+ */
+function getFailedFilters(anime, filters) {
+  const failed = [];
+  for (const key of Object.keys(filters)) {
+    if (!CATALOG_FILTER_MATCHERS[key](anime, filters[key])) failed.push(key);
+  }
+  return failed;
+}
+
+/**
+ * Apply combined filters to an already-selected catalog (keeps its sort order)
+ */
+function applyCatalogFilters(catalogData, filters) {
+  if (!filters) return catalogData;
+  return catalogData.filter(anime => getFailedFilters(anime, filters).length === 0);
+}
+
+// Values each anime contributes to the filter counts
+const FILTER_COUNT_VALUES = {
+  genres: anime => anime.genres || [],
+  year: anime => anime.year ? [String(anime.year)] : [],
+  season: anime => anime.season ? [anime.season.charAt(0).toUpperCase() + anime.season.slice(1).toLowerCase()] : [],
+  status: anime => normalizeStatus(anime.status) ? [normalizeStatus(anime.status)] : [],
+  studio: anime => anime.studios || [],
+  ageRating: anime => anime.ageRating ? [anime.ageRating] : []
+};
+
+/**
+ * Count filter values for a combined selection
+ * Genres combine with AND, so they are counted over the full selection (what adding
+ * one more genre would leave). The other filters pick one of several values, so each
+ * is counted with its own filter left out - switching to another year or status
+ * still shows how many titles it would return.
+ * @param {Array} catalogData - Catalog selection before the combined filters
+ * @param {Object|null} filters - Parsed combined filters
+ * @returns {Object} { genres: [{ value, count }], year: [...], season, status, studio, ageRating }
+ */
+function computeFilterCounts(catalogData, filters = null) {
+  const counts = {};
+  for (const key of Object.keys(FILTER_COUNT_VALUES)) counts[key] = new Map();
+
+  for (const anime of catalogData) {
+    const failed = filters ? getFailedFilters(anime, filters) : [];
+    if (failed.length > 1) continue;
+
+    for (const [key, getValues] of Object.entries(FILTER_COUNT_VALUES)) {
+      // Fails only this key's own filter: still counts towards its alternatives
+      if (failed.length === 1 && (failed[0] !== key || key === 'genres')) continue;
+      for (const value of new Set(getValues(anime))) {
+        counts[key].set(value, (counts[key].get(value) || 0) + 1);
+      }
+    }
+  }
+
+  const result = {};
+  for (const [key, valueCounts] of Object.entries(counts)) {
+    result[key] = [...valueCounts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => key === 'year'
+        ? Number(b.value) - Number(a.value)
+        : b.count - a.count || a.value.localeCompare(b.value));
+  }
+  return result;
+}
+
+// ===== SORT ORDER =====
+// `sort` extra accepted by every catalog (and the per-user default, config sort=<key>).
+// Manifest options show the labels; keys and labels both parse. Without a sort each
+// catalog keeps its own order (rating, year/rating, relevance, watch order, ...).
+
+const SORT_OPTIONS = {
+  rating: 'Rating',
+  popularity: 'Popularity',
+  newest: 'Newest',
+  oldest: 'Oldest',
+  title: 'Title A-Z',
+  episodes: 'Episode Count',
+  trending: 'Trending'
+};
+
+// Trending weight halves for every this many seasons since a title aired
+const TRENDING_HALF_LIFE_SEASONS = 2;
+
+/**
+ * Parse a sort key or label ("newest", "Title A-Z (…)") into a SORT_OPTIONS key
+ * @returns {string|null} Sort key, or null for a missing/unknown sort
+ */
+function parseSortOption(value) {
+  if (!value) return null;
+  const clean = stripFilterCount(value).toLowerCase().replace(/[–—]/g, '-').replace(/\s+/g, ' ');
+  for (const [key, label] of Object.entries(SORT_OPTIONS)) {
+    if (clean === key || clean === label.toLowerCase()) return key;
+  }
+  return null;
+}
+
+// Sortable season position (year * 4 + season), titles without a season sit mid-year
+function getSeasonIndex(anime) {
+  if (!anime.year) return null;
+  const season = SEASON_NAMES.indexOf((anime.season || '').toLowerCase());
+  return anime.year * 4 + (season === -1 ? 1.5 : season);
+}
+
+/**
+ * Popularity discounted by how long ago a title started airing
+ * Titles still airing count as at most one half-life old, so long-runners don't
+ * crowd out this season's shows.
+ */
+function getTrendingScore(anime, currentIndex) {
+  const seasonIndex = getSeasonIndex(anime);
+  if (seasonIndex === null) return 0;
+  let seasonsAgo = Math.abs(currentIndex - seasonIndex);
+  if (normalizeStatus(anime.status) === 'Airing') seasonsAgo = Math.min(seasonsAgo, TRENDING_HALF_LIFE_SEASONS);
+  return (anime.popularity || 0) * Math.pow(0.5, seasonsAgo / TRENDING_HALF_LIFE_SEASONS);
+}
+
+// Title order ignores case and accents; a shared collator is far faster than localeCompare
+const TITLE_COLLATOR = new Intl.Collator('en', { sensitivity: 'base' });
+
+// Comparators per sort key - missing values always sort last
+const SORT_COMPARATORS = {
+  rating: (a, b) => (b.rating || 0) - (a.rating || 0),
+  popularity: (a, b) => (b.popularity || 0) - (a.popularity || 0),
+  newest: (a, b) => (getSeasonIndex(b) ?? -Infinity) - (getSeasonIndex(a) ?? -Infinity),
+  oldest: (a, b) => (getSeasonIndex(a) ?? Infinity) - (getSeasonIndex(b) ?? Infinity),
+  title: (a, b) => TITLE_COLLATOR.compare(a.name || '', b.name || ''),
+  episodes: (a, b) => (b.episodeCount || 0) - (a.episodeCount || 0)
+};
+
+/**
+ * Comparator for a sort key (equal keys fall back to the catalog ID)
+ * @param {string} sort - SORT_OPTIONS key
+ * @param {Date} date - "Now" for the trending sort
+ * @returns {Function|null} (a, b) => number over anime, or null for an unknown sort
+ */
+function getSortComparator(sort, date = new Date()) {
+  if (sort === 'trending') {
+    const current = getCurrentSeason(date);
+    const currentIndex = current.year * 4 + SEASON_NAMES.indexOf(current.season.toLowerCase());
+    // Scores are computed once per title, not once per comparison
+    const scores = new Map();
+    const score = anime => {
+      if (!scores.has(anime)) scores.set(anime, getTrendingScore(anime, currentIndex));
+      return scores.get(anime);
+    };
+    return (a, b) => (score(b) - score(a)) || compareStableKey(a, b);
+  }
+  const comparator = SORT_COMPARATORS[sort];
+  return comparator ? (a, b) => comparator(a, b) || compareStableKey(a, b) : null;
+}
+
+/**
+ * Sort a catalog selection (returns a new array)
+ * @param {Array} catalogData - Selected and filtered catalog
+ * @param {string|null} sort - SORT_OPTIONS key (null keeps the order as is)
+ * @param {Date} date - "Now" for the trending sort
+ */
+function sortCatalog(catalogData, sort, date = new Date()) {
+  const comparator = sort && SORT_OPTIONS[sort] ? getSortComparator(sort, date) : null;
+  if (!comparator) return catalogData;
+  return [...catalogData].sort(comparator);
+}
+
+module.exports = {
+  // Seasons and filter values
+  getCurrentSeason,
+  isFutureSeason,
+  isUpcomingSeason,
+  parseGenreFilter,
+  parseWeekdayFilter,
+  parseSeasonFilter,
+  
+  // Content classification
+  isSeriesType,
+  isMovieType,
+  isHiddenDuplicate,
+  isNonAnime,
+  isRecap,
+  isMusicVideo,
+  isOVA,
+  shouldExcludeFromCatalog,
+  
+  // Franchise season → parent series maps
+  HIDDEN_DUPLICATE_ENTRIES,
+  SEASON_TO_PARENT_MAP,
+  PARENT_TO_SEASONS_MAP,
+  PARENT_ONGOING_SEASON,
+  getParentsWithOngoingSeasons,
+  parentHasOngoingSeason,
+  getOngoingSeasonNumber,
+  
+  // Formatting and search
+  NON_ANIME_BLACKLIST,
+  POSTER_OVERRIDES,
+  METADATA_OVERRIDES,
+  decodeHtmlEntities,
+  formatAnimeMeta,
+  searchDatabase,
+  
+  // Catalog handlers
+  compareStableKey,
+  handleTopRated,
+  handleSeasonReleases,
+  handleAiring,
+  handleMovies,
+  getCatalogSelection,
+
+  // Combined filters (genres, year, season, status, studio, age rating, rating, episodes)
+  CATALOG_FILTER_KEYS,
+  normalizeStatus,
+  parseCatalogFilters,
+  applyCatalogFilters,
+  computeFilterCounts,
+
+  // Sort order (sort extra / per-user default)
+  SORT_OPTIONS,
+  parseSortOption,
+  getSortComparator,
+  sortCatalog
+};
@@ -0,0 +1,242 @@
+/**
+ * Catalog Views
+ *
+ * Precomputed browse catalogs: every (catalog, genre extra value) selection of the
+ * four browse catalogs is run through its handler once, and kept together with one
+ * sorted index array per sort option and content level (src/core/contentPolicy.js).
+ * A request for a precomputed view is then a slice of a page instead of filtering
+ * and sorting the whole catalog.
+ *
+ * Views are built at database load/reload (src/utils/databaseLoader.js) for the
+ * values the catalog actually contains - genres, weekdays, seasons and the special
+ * entries (Upcoming, New Releases) - plus the unfiltered catalogs. Other values fall
+ * back to getCatalogSelection(). Several handlers depend on the current season or
+ * year, so views remember the period they were built for and are rebuilt when it
+ * changes. Runtime-agnostic like the rest of src/core.
+ */
+
+const {
+  getCurrentSeason,
+  isSeriesType,
+  isMovieType,
+  shouldExcludeFromCatalog,
+  parseGenreFilter,
+  getCatalogSelection,
+  SEASON_TO_PARENT_MAP,
+  SORT_OPTIONS,
+  getSortComparator
+} = require('./catalog');
+const { CONTENT_LEVELS, DEFAULT_CONTENT_LEVEL, createContentPolicy } = require('./contentPolicy');
+const { runSteps } = require('./steps');
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Period a set of views is valid for (handlers read the current season and year)
+ */
+function getViewPeriod(date = new Date()) {
+  const { year, season } = getCurrentSeason(date);
+  return `${year}-${season}`;
+}
+
+/**
+ * Lookup key for a view - the genre extra without its count suffix; only the
+ * airing catalog reads the user config (nolongrunning)
+ */
+function getViewKey(catalogId, genre, config = {}) {
+  const longRunning = catalogId === 'anime-airing' && config.excludeLongRunning === true ? 'nolongrunning' : '';
+  return `${catalogId}|${parseGenreFilter(genre) || ''}|${longRunning}`;
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+}
+
+function addTo(groups, key, anime) {
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(anime);
+}
+
+/**
+ * Genre extra values worth precomputing per browse catalog, from the catalog itself
+ * Each value comes with the part of the catalog its handler can match (in catalog
+ * order), so building a view doesn't scan the whole catalog - the handler still
+ * applies all of its own rules to that part.
+ * @returns {Object} { [catalogId]: [[value, source], ...] } (value null = no genre extra)
+ */
+function getViewSources(catalogData) {
+  const series = [];
+  const movies = [];
+  const seriesByGenre = new Map();
+  const moviesByGenre = new Map();
+  const seriesByYear = new Map();
+  const seasons = new Set();
+  const airing = [];
+  const parentIds = new Set(Object.values(SEASON_TO_PARENT_MAP));
+
+  for (const anime of catalogData) {
+    // Parent series inherit status and broadcast day from their season entries
+    // (excluded or not), so the airing handler needs both
+    if (anime.status === 'ONGOING' || parentIds.has(anime.id)) airing.push(anime);
+    if (shouldExcludeFromCatalog(anime)) continue;
+    if (isSeriesType(anime)) {
+      series.push(anime);
+      for (const genre of anime.genres || []) addTo(seriesByGenre, genre.toLowerCase(), anime);
+      if (anime.year) addTo(seriesByYear, anime.year, anime);
+      if (anime.year && anime.season) seasons.add(`${anime.year} - ${capitalize(anime.season)}`);
+    }
+    if (isMovieType(anime)) {
+      movies.push(anime);
+      for (const genre of anime.genres || []) addTo(moviesByGenre, genre.toLowerCase(), anime);
+    }
+  }
+
+  // Genre names as the manifest lists them (first spelling seen)
+  const genreNames = (groups) => [...groups.values()].map(group =>
+    group[0].genres.find(genre => groups.get(genre.toLowerCase()) === group));
+
+  return {
+    'anime-top-rated': [
+      [null, series],
+      ...genreNames(seriesByGenre).map(genre => [genre, seriesByGenre.get(genre.toLowerCase())])
+    ],
+    'anime-season-releases': [
+      [null, series],
+      ['Upcoming', series],
+      ...[...seasons].map(season => [season, seriesByYear.get(parseInt(season, 10))])
+    ],
+    'anime-airing': [null, ...WEEKDAYS].map(weekday => [weekday, airing]),
+    'anime-movies': [
+      [null, movies],
+      ['Upcoming', movies],
+      ['New Releases', movies],
+      ...genreNames(moviesByGenre).map(genre => [genre, moviesByGenre.get(genre.toLowerCase())])
+    ]
+  };
+}
+
+/**
+ * A view at one content level: index arrays into the selection per sort order
+ * (`default` is the catalog's own order)
+ */
+function createLevelView(items, orders) {
+  // Everything allowed and unsorted: the stored array itself
+  const whole = orders.default.length === items.length;
+
+  const pick = (order, start, end) => {
+    const list = new Array(Math.max(end - start, 0));
+    for (let i = start; i < end; i++) list[i - start] = items[order[i]];
+    return list;
+  };
+
+  return {
+    size: orders.default.length,
+
+    /**
+     * The whole selection in a sort order (null keeps the catalog's own order)
+     * May be the stored array itself - callers must not modify it.
+     */
+    list(sort = null) {
+      if (!sort && whole) return items;
+      const order = orders[sort] || orders.default;
+      return pick(order, 0, order.length);
+    },
+
+    /**
+     * One page of the selection - O(limit) whatever the sort
+     */
+    page(sort = null, skip = 0, limit = items.length) {
+      if (!sort && whole) return items.slice(skip, skip + limit);
+      const order = orders[sort] || orders.default;
+      return pick(order, Math.min(skip, order.length), Math.min(skip + limit, order.length));
+    }
+  };
+}
+
+/**
+ * One precomputed selection, sorted once per sort option and then narrowed to the
+ * titles each content level may see - in steps, one sort or level each
+ * @returns {Object} { [level]: { size, list(sort), page(sort, skip, limit) } }
+ */
+function* viewSteps(items, date, policy) {
+  const sorted = { default: Uint32Array.from(items.keys()) };
+  for (const sort of Object.keys(SORT_OPTIONS)) {
+    yield;
+    const comparator = getSortComparator(sort, date);
+    const indexes = Array.from(items.keys()).sort((a, b) => comparator(items[a], items[b]));
+    sorted[sort] = Uint32Array.from(indexes);
+  }
+
+  const levels = {};
+  for (const level of CONTENT_LEVELS) {
+    yield;
+    const allowed = items.map(anime => policy.allows(anime, level));
+    const orders = {};
+    for (const [sort, order] of Object.entries(sorted)) {
+      orders[sort] = allowed.every(Boolean) ? order : order.filter(index => allowed[index]);
+    }
+    levels[level] = createLevelView(items, orders);
+  }
+  return levels;
+}
+
+/**
+ * Precompute the browse catalog views for a catalog
+ * @param {Array} catalogData - Full catalog
+ * @param {Object} options
+ * @param {Date} options.date - "Now" (current season, trending sort)
+ * @param {string} options.version - DB version the views were built from (pagination snapshots)
+ * @param {Object} options.policy - Content policy (createContentPolicy) for the per-level views
+ * @returns {Object} { get, version, period, size, entries }
+ */
+function createCatalogViews(catalogData, options = {}) {
+  return runSteps(catalogViewsSteps(catalogData, options));
+}
+
+/**
+ * Build the catalog views in steps (see core/steps) - same arguments and result as
+ * createCatalogViews
+ */
+function* catalogViewsSteps(catalogData, options = {}) {
+  const { date = new Date(), version = null, policy = createContentPolicy() } = options;
+  const views = new Map();
+  let entries = 0;
+
+  for (const [catalogId, sources] of Object.entries(getViewSources(catalogData))) {
+    const configs = catalogId === 'anime-airing' ? [{}, { excludeLongRunning: true }] : [{}];
+    for (const [value, source] of sources) {
+      for (const config of configs) {
+        const key = getViewKey(catalogId, value, config);
+        if (views.has(key)) continue;
+        yield;
+        const items = getCatalogSelection(source, catalogId, value, config) || [];
+        views.set(key, yield* viewSteps(items, date, policy));
+        entries += items.length;
+      }
+    }
+  }
+
+  return {
+    /**
+     * Precomputed view for a browse catalog request, at the user's content level
+     * @returns {Object|null} { size, list(sort), page(sort, skip, limit) }, or null if not precomputed
+     */
+    get(catalogId, genre, config = {}) {
+      const levels = views.get(getViewKey(catalogId, genre, config));
+      if (!levels) return null;
+      return levels[config.contentLevel] || levels[DEFAULT_CONTENT_LEVEL];
+    },
+
+    version,
+    period: getViewPeriod(date),
+    size: views.size,
+    entries
+  };
+}
+
+module.exports = {
+  getViewPeriod,
+  getViewKey,
+  createCatalogViews,
+  catalogViewsSteps
+};
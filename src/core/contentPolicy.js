@@ -0,0 +1,170 @@
+/**
+ * Content Policy
+ *
+ * Decides which titles a user gets to see, the same way for every catalog, search
+ * result, meta and stream (Express server and Cloudflare worker alike).
+ *
+ * Titles are classified from their genres/tags, ageRating, the ID lists below and
+ * the generated data/hentai-blacklist.json (scripts/detect-hentai.js):
+ * - explicit:   hentai/adult genres, ageRating R18, known hentai IDs - never shown
+ * - borderline: flagged by the hentai detection (blacklist file or BORDERLINE_IDS)
+ * - ecchi:      Ecchi genre or tag
+ * The manual data/nsfw-allowlist.json overrides the ID lists and the blacklist for
+ * false positives.
+ *
+ * Levels (config nsfw=<level>):
+ * - strict:  explicit, borderline and ecchi titles are hidden
+ * - default: explicit and borderline titles are hidden
+ * - ecchi:   only explicit titles are hidden
+ *
+ * Runtime-agnostic like the rest of src/core - the blacklist and allowlist are passed
+ * in by the caller.
+ */
+
+const CONTENT_LEVELS = ['strict', 'default', 'ecchi'];
+const DEFAULT_CONTENT_LEVEL = 'default';
+
+// Genres/tags that mark a title as explicit
+const EXPLICIT_GENRES = new Set(['hentai', 'erotica', 'adult', '18+', 'r-18', 'r18', 'xxx', 'smut']);
+
+// Age ratings that mark a title as explicit (Kitsu rates hentai R18)
+const EXPLICIT_AGE_RATINGS = new Set(['r18', 'r18+']);
+
+const ECCHI_GENRES = new Set(['ecchi']);
+
+// Known hentai entries (MAL IDs from airing hentai)
+const EXPLICIT_IDS = new Set([
+  'tt5235870','mal-48755','mal-49944','mal-59407','mal-61232','mal-62328','mal-60494','mal-61790',
+  'mal-53204','mal-62315','mal-59185','mal-60553','mal-57044','mal-61599','mal-60784','mal-62689',
+  'mal-62406','mal-55003','mal-62316','mal-62380','mal-61764','mal-32587','mal-58891','mal-59840',
+  'mal-61694','mal-61628','mal-61935','mal-60351','mal-50622','mal-61164','mal-62921','mal-60980',
+  'mal-60720','mal-61538','mal-51088','mal-62578','mal-61788','mal-38817','mal-61936','mal-60470',
+  'mal-61353','mal-61583','mal-58890','mal-62339','mal-62369','mal-42141','mal-62353','mal-61165',
+  'mal-61789','mal-62314','mal-59697','mal-60495','mal-62106','mal-61911','mal-63096','mal-62897',
+  'mal-61166','mal-60642','mal-58122','mal-62537','mal-59173','mal-60857','mal-61539','mal-59404',
+  'mal-58123','mal-60044','mal-56154','mal-61937','mal-48392','mal-60147'
+]);
+
+// Detected via the hentai detection script (hentai/borderline content) - also in
+// hentai-blacklist.json, kept here for runtimes without the data file
+const BORDERLINE_IDS = new Set([
+  'tt3140358',  // Nozoki Ana
+  'tt8819706',  // Kagaku na Yatsura
+  'tt0331810',  // 1+2=Paradise
+  'tt0295622',  // My My Mai
+  'tt3396174',  // Magical Kanan
+  'tt6096690',  // Seikimatsu Darling
+  'tt2263353',  // Kakyusei
+  'tt14642362', // Akahori's Heretical Hour
+  'tt3215348',  // Body Jack
+  'tt0251936',  // Pia Carrot
+  'tt13087006', // Bouken Shite mo Ii Koro
+]);
+
+// Blacklist names are normalized like scripts/detect-hentai.js does
+function normalizeTitle(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a level from the config ("strict", "default", "ecchi", "allow ecchi")
+ * @returns {string|null} CONTENT_LEVELS entry, or null for a missing/unknown level
+ */
+function parseContentLevel(value) {
+  if (!value) return null;
+  const clean = String(value).toLowerCase().replace(/^allow[\s_-]*/, '').trim();
+  return CONTENT_LEVELS.includes(clean) ? clean : null;
+}
+
+function hasLabel(anime, labels) {
+  for (const label of [...(anime.genres || []), ...(anime.tags || [])]) {
+    if (labels.has(String(label).toLowerCase())) return true;
+  }
+  return false;
+}
+
+/**
+ * Create a content policy
+ * @param {Object} options
+ * @param {Object} options.blacklist - Parsed hentai-blacklist.json ({ entries, imdbIds, names }), optional
+ * @param {Object} options.allowlist - Parsed nsfw-allowlist.json ({ entries: [{ id, imdb_id }] }), optional
+ * @returns {Object} { classify, allows, filter, size, allowed }
+ */
+function createContentPolicy(options = {}) {
+  const { blacklist = null, allowlist = null } = options;
+
+  const blacklistedIds = new Set(BORDERLINE_IDS);
+  for (const entry of blacklist?.entries || []) {
+    if (entry.id) blacklistedIds.add(entry.id);
+    if (entry.imdb_id) blacklistedIds.add(entry.imdb_id);
+  }
+  for (const imdbId of blacklist?.imdbIds || []) blacklistedIds.add(imdbId);
+  const blacklistedNames = new Set((blacklist?.names || []).filter(Boolean));
+
+  const allowlistedIds = new Set();
+  for (const entry of allowlist?.entries || []) {
+    if (entry.id) allowlistedIds.add(entry.id);
+    if (entry.imdb_id) allowlistedIds.add(entry.imdb_id);
+  }
+
+  /**
+   * Classify a title
+   * @returns {string|null} 'explicit', 'borderline', 'ecchi', or null for a safe title
+   */
+  function classify(anime) {
+    const allowlisted = allowlistedIds.has(anime.id) || (!!anime.imdb_id && allowlistedIds.has(anime.imdb_id));
+
+    if (hasLabel(anime, EXPLICIT_GENRES)) return 'explicit';
+    if (anime.ageRating && EXPLICIT_AGE_RATINGS.has(String(anime.ageRating).toLowerCase())) return 'explicit';
+    if (!allowlisted && EXPLICIT_IDS.has(anime.id)) return 'explicit';
+
+    if (!allowlisted && (
+      blacklistedIds.has(anime.id) ||
+      (anime.imdb_id && blacklistedIds.has(anime.imdb_id)) ||
+      (blacklistedNames.size > 0 && blacklistedNames.has(normalizeTitle(anime.name)))
+    )) return 'borderline';
+
+    if (hasLabel(anime, ECCHI_GENRES)) return 'ecchi';
+    return null;
+  }
+
+  /**
+   * Whether a title may be shown at a level (unknown levels act as the default)
+   */
+  function allows(anime, level = DEFAULT_CONTENT_LEVEL) {
+    const rating = classify(anime);
+    if (!rating) return true;
+    if (rating === 'explicit') return false;
+    if (rating === 'borderline') return level === 'ecchi';
+    return level !== 'strict';
+  }
+
+  return {
+    classify,
+    allows,
+
+    /**
+     * Titles of a list that may be shown at a level
+     */
+    filter(catalogData, level = DEFAULT_CONTENT_LEVEL) {
+      return catalogData.filter(anime => allows(anime, level));
+    },
+
+    size: blacklistedIds.size + blacklistedNames.size,
+    allowed: allowlistedIds.size
+  };
+}
+
+module.exports = {
+  CONTENT_LEVELS,
+  DEFAULT_CONTENT_LEVEL,
+  EXPLICIT_GENRES,
+  EXPLICIT_IDS,
+  BORDERLINE_IDS,
+  parseContentLevel,
+  createContentPolicy
+};
@@ -0,0 +1,87 @@
+/**
+ * Episode Mapping Engine
+ *
+ * Converts between Stremio season:episode numbering (Cinemeta/TVDB seasons) and the
+ * absolute episode numbers used by AllAnime and most torrent releases.
+ *
+ * Operates on the generated data/episode-mappings.json (built by
+ * scripts/build-episode-mappings.js). Runtime-agnostic like the rest of src/core.
+ *
+ * Each show has a list of season segments:
+ *   { season, start, end, firstEpisode }
+ * meaning episodes firstEpisode.. of `season` are absolute episodes start..end
+ * (end === null means open-ended / still airing, firstEpisode defaults to 1).
+ */
+
+/**
+ * Number of episodes a segment covers (Infinity for open-ended segments)
+ */
+function segmentLength(segment) {
+  return segment.end === null || segment.end === undefined
+    ? Infinity
+    : segment.end - segment.start + 1;
+}
+
+/**
+ * Create a mapper over generated episode mapping data
+ * @param {Object} data - Parsed episode-mappings.json ({ version, shows })
+ * @returns {Object} { toAbsolute, fromAbsolute, getMapping, size }
+ */
+function createEpisodeMapper(data) {
+  const shows = data?.shows || {};
+
+  function getMapping(imdbId) {
+    return shows[imdbId] || null;
+  }
+
+  /**
+   * Convert Stremio S{season}E{episode} to an absolute episode number
+   * Episodes no segment covers keep their number, except for hand-verified (manual)
+   * mappings: those list every season, so an episode outside them (an unknown season,
+   * or past the end of a closed one) returns null rather than a guess.
+   */
+  function toAbsolute(imdbId, season, episode) {
+    const mapping = shows[imdbId];
+    if (!mapping || !episode) return episode;
+
+    for (const segment of mapping.seasons) {
+      if (segment.season !== (season || 1)) continue;
+      const offset = episode - (segment.firstEpisode || 1);
+      if (offset >= 0 && offset < segmentLength(segment)) {
+        return segment.start + offset;
+      }
+    }
+
+    return mapping.source === 'manual' ? null : episode;
+  }
+
+  /**
+   * Convert an absolute episode number to Stremio { season, episode }
+   * Shows without a mapping are treated as a single season.
+   */
+  function fromAbsolute(imdbId, absoluteEpisode) {
+    const mapping = shows[imdbId];
+
+    if (mapping) {
+      for (const segment of mapping.seasons) {
+        const offset = absoluteEpisode - segment.start;
+        if (offset >= 0 && offset < segmentLength(segment)) {
+          return { season: segment.season, episode: (segment.firstEpisode || 1) + offset };
+        }
+      }
+    }
+
+    return { season: 1, episode: absoluteEpisode };
+  }
+
+  return {
+    toAbsolute,
+    fromAbsolute,
+    getMapping,
+    size: Object.keys(shows).length
+  };
+}
+
+module.exports = {
+  createEpisodeMapper
+};
@@ -0,0 +1,252 @@
+/**
+ * Franchise Relations
+ *
+ * Sequel/prequel/side-story relations between catalog entries and the franchises
+ * (connected groups of entries) they form, listed in watch order.
+ *
+ * Operates on the generated data/franchise-relations.json (built by
+ * scripts/build-franchise-relations.js or the database build):
+ *   { version, generatedAt, relations: { [catalogId]: [{ id, type }] } }
+ * where type is one of RELATION_TYPES. Runtime-agnostic like the rest of src/core -
+ * catalog lookups are left to the caller.
+ */
+
+// Canonical relation types, with the AniList (SEQUEL) and Kitsu (sequel, side_story)
+// spellings folded in. 'related' is an untyped anime-offline-database relation.
+const RELATION_TYPES = {
+  sequel: 'sequel',
+  prequel: 'prequel',
+  side_story: 'side_story',
+  parent: 'parent_story',
+  parent_story: 'parent_story',
+  full_story: 'parent_story',
+  spin_off: 'spin_off',
+  spinoff: 'spin_off',
+  alternative: 'alternative',
+  alternative_setting: 'alternative',
+  alternative_version: 'alternative',
+  summary: 'summary',
+  compilation: 'summary',
+  contains: 'related',
+  related: 'related',
+  character: 'character',
+  adaptation: 'adaptation',
+  source: 'adaptation',
+  other: 'other'
+};
+
+// Relations that put two entries in the same franchise. Character crossovers and
+// "other" relations link unrelated shows, so they are only shown as links.
+const FRANCHISE_RELATION_TYPES = new Set([
+  'sequel', 'prequel', 'side_story', 'parent_story', 'spin_off', 'alternative', 'summary', 'related'
+]);
+
+// Meta link category per relation type (movies get their own category)
+const RELATION_CATEGORIES = {
+  sequel: 'Sequel',
+  prequel: 'Prequel',
+  side_story: 'Side Story',
+  parent_story: 'Parent Story',
+  spin_off: 'Spin-off',
+  alternative: 'Alternative',
+  summary: 'Summary',
+  related: 'Related'
+};
+
+// More specific types win when two sources disagree about the same pair
+const TYPE_PRIORITY = ['sequel', 'prequel', 'parent_story', 'side_story', 'spin_off', 'alternative', 'summary', 'related', 'character', 'adaptation', 'other'];
+
+const SEASON_ORDER = { winter: 0, spring: 1, summer: 2, fall: 3 };
+
+/**
+ * Fold an AniList/Kitsu relation type into a canonical one (null if unknown)
+ */
+function normalizeRelationType(type) {
+  if (!type) return null;
+  return RELATION_TYPES[String(type).toLowerCase().replace(/[\s-]+/g, '_')] || null;
+}
+
+/**
+ * Pick the more specific of two relation types
+ */
+function preferRelationType(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  return TYPE_PRIORITY.indexOf(a) <= TYPE_PRIORITY.indexOf(b) ? a : b;
+}
+
+/**
+ * Meta link category for a relation ('Movie' for related movies, null to hide it)
+ */
+function getRelationCategory(type, related) {
+  if (!RELATION_CATEGORIES[type]) return null;
+  if (related?.subtype === 'movie') return 'Movie';
+  return RELATION_CATEGORIES[type];
+}
+
+/**
+ * Air-date sort key: year, then season, then popularity
+ */
+function compareAirDate(a, b) {
+  const yearA = a.year || Infinity;
+  const yearB = b.year || Infinity;
+  if (yearA !== yearB) return yearA - yearB;
+
+  const seasonA = SEASON_ORDER[(a.season || '').toLowerCase()] ?? 4;
+  const seasonB = SEASON_ORDER[(b.season || '').toLowerCase()] ?? 4;
+  if (seasonA !== seasonB) return seasonA - seasonB;
+
+  if ((b.popularity || 0) !== (a.popularity || 0)) return (b.popularity || 0) - (a.popularity || 0);
+  return String(a.id).localeCompare(String(b.id));
+}
+
+/**
+ * Order franchise members for watching: prequels before sequels, otherwise by air date
+ * Relation cycles (bad upstream data) fall back to air-date order for the entries involved.
+ * @param {Array} members - Catalog entries
+ * @param {Function} getEdges - id -> [{ id, type }]
+ */
+function orderByWatchOrder(members, getEdges) {
+  const ids = new Set(members.map(anime => anime.id));
+  const after = new Map(members.map(anime => [anime.id, new Set()]));
+  const pending = new Map(members.map(anime => [anime.id, 0]));
+
+  const addEdge = (from, to) => {
+    if (from === to || after.get(from).has(to)) return;
+    after.get(from).add(to);
+    pending.set(to, pending.get(to) + 1);
+  };
+
+  for (const anime of members) {
+    for (const edge of getEdges(anime.id)) {
+      if (!ids.has(edge.id)) continue;
+      if (edge.type === 'sequel') addEdge(anime.id, edge.id);
+      if (edge.type === 'prequel') addEdge(edge.id, anime.id);
+    }
+  }
+
+  const byId = new Map(members.map(anime => [anime.id, anime]));
+  const ready = members.filter(anime => pending.get(anime.id) === 0);
+  const ordered = [];
+
+  while (ordered.length < members.length) {
+    if (ready.length === 0) {
+      // Cycle - release the earliest remaining entry
+      const remaining = members.filter(anime => pending.get(anime.id) > 0).sort(compareAirDate);
+      pending.set(remaining[0].id, 0);
+      ready.push(remaining[0]);
+    }
+
+    ready.sort(compareAirDate);
+    const next = ready.shift();
+    pending.set(next.id, -1);
+    ordered.push(next);
+
+    for (const id of after.get(next.id)) {
+      if (pending.get(id) <= 0) continue;
+      pending.set(id, pending.get(id) - 1);
+      if (pending.get(id) === 0) ready.push(byId.get(id));
+    }
+  }
+
+  return ordered;
+}
+
+/**
+ * Create a franchise index over generated relation data
+ * @param {Object} data - Parsed franchise-relations.json ({ version, relations })
+ * @param {Function} getAnime - Catalog lookup by catalog ID (unknown IDs return null)
+ * @returns {Object} { getRelations, getFranchise, size }
+ */
+function createFranchiseIndex(data, getAnime) {
+  // Relations are stored one way per source - make them symmetric
+  const edges = new Map();
+  const inverse = { sequel: 'prequel', prequel: 'sequel', side_story: 'parent_story', spin_off: 'parent_story', parent_story: 'side_story' };
+
+  const addEdge = (from, to, type) => {
+    if (!from || !to || from === to || !type) return;
+    if (!edges.has(from)) edges.set(from, new Map());
+    const existing = edges.get(from).get(to);
+    edges.get(from).set(to, preferRelationType(existing, type));
+  };
+
+  for (const [fromId, relations] of Object.entries(data?.relations || {})) {
+    for (const relation of relations || []) {
+      const type = normalizeRelationType(relation.type);
+      addEdge(fromId, relation.id, type);
+      addEdge(relation.id, fromId, inverse[type] || type);
+    }
+  }
+
+  const getEdges = id => Array.from(edges.get(id) || [], ([to, type]) => ({ id: to, type }));
+
+  // Franchises are built on first use: connected components over franchise relations
+  let franchiseOf = null;
+
+  function buildFranchises() {
+    franchiseOf = new Map();
+
+    for (const startId of edges.keys()) {
+      if (franchiseOf.has(startId)) continue;
+
+      const members = [];
+      const seen = new Set([startId]);
+      const queue = [startId];
+      while (queue.length > 0) {
+        const id = queue.shift();
+        const anime = getAnime(id);
+        if (anime) members.push(anime);
+
+        for (const edge of getEdges(id)) {
+          if (!FRANCHISE_RELATION_TYPES.has(edge.type) || seen.has(edge.id)) continue;
+          seen.add(edge.id);
+          queue.push(edge.id);
+        }
+      }
+
+      const franchise = members.length > 1 ? createFranchise(orderByWatchOrder(members, getEdges)) : null;
+      for (const id of seen) franchiseOf.set(id, franchise);
+    }
+  }
+
+  function createFranchise(members) {
+    // Named after (and identified by) the first entry in watch order
+    return { id: members[0].id, name: members[0].name, members };
+  }
+
+  return {
+    /**
+     * Related catalog entries for an entry, most important first
+     * @returns {Array} [{ type, category, anime }] (category null = not shown as a link)
+     */
+    getRelations(id) {
+      return getEdges(id)
+        .map(edge => {
+          const anime = getAnime(edge.id);
+          return anime ? { type: edge.type, category: getRelationCategory(edge.type, anime), anime } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => (TYPE_PRIORITY.indexOf(a.type) - TYPE_PRIORITY.indexOf(b.type)) || compareAirDate(a.anime, b.anime));
+    },
+
+    /**
+     * The franchise an entry belongs to (any member ID works)
+     * @returns {Object|null} { id, name, members } with members in watch order
+     */
+    getFranchise(id) {
+      if (franchiseOf === null) buildFranchises();
+      return franchiseOf.get(id) || null;
+    },
+
+    size: edges.size
+  };
+}
+
+module.exports = {
+  RELATION_TYPES,
+  FRANCHISE_RELATION_TYPES,
+  normalizeRelationType,
+  preferRelationType,
+  getRelationCategory,
+  createFranchiseIndex
+};
@@ -0,0 +1,235 @@
+/**
+ * Content-Based Recommendations
+ *
+ * "Similar" lists per title, from the catalog's own metadata:
+ * - genres, tags and studios as IDF-weighted features (cosine similarity)
+ * - year proximity and rating closeness
+ * - same format (TV/movie) and age rating as small bonuses
+ * - a popularity prior, so well-known titles win near-ties against obscure ones
+ *
+ * computeSimilarLists() runs at build time (scripts/build-recommendations.js) and
+ * produces data/similar-anime.json:
+ *   { version, generatedAt, limit, similar: { [catalogId]: [[catalogId, score], ...] } }
+ * createSimilarIndex() serves it at runtime. Runtime-agnostic like the rest of src/core.
+ */
+
+const DEFAULT_LIMIT = 20;
+
+// Feature kinds and their weight relative to a genre
+const FEATURE_WEIGHTS = {
+  genre: 1,
+  tag: 0.6,
+  studio: 1.5
+};
+
+// Final score = cosine * CONTENT_WEIGHT + year/rating/format/age bonuses + popularity prior
+const CONTENT_WEIGHT = 0.7;
+const YEAR_WEIGHT = 0.12;
+const RATING_WEIGHT = 0.1;
+const FORMAT_WEIGHT = 0.05;
+const AGE_RATING_WEIGHT = 0.03;
+const POPULARITY_WEIGHT = 0.1;
+
+// Year distance at which the year bonus halves
+const YEAR_HALF_LIFE = 6;
+
+// Entries need at least this much content overlap to count as similar at all
+const MIN_CONTENT_SIMILARITY = 0.3;
+
+/**
+ * Normalised feature keys for an anime ("genre:action", "studio:mappa", ...)
+ */
+function getFeatureKeys(anime) {
+  const keys = [];
+  const add = (kind, values) => {
+    for (const value of values || []) {
+      if (typeof value === 'string' && value.trim()) keys.push(`${kind}:${value.trim().toLowerCase()}`);
+    }
+  };
+  add('genre', anime.genres);
+  add('tag', anime.tags);
+  add('studio', anime.studios);
+  return [...new Set(keys)];
+}
+
+function getFormat(anime) {
+  return anime.subtype === 'movie' ? 'movie' : 'series';
+}
+
+/**
+ * Similarity of everything but the content features, 0..1 per component
+ */
+function metadataSimilarity(a, b) {
+  let score = 0;
+
+  if (a.year && b.year) {
+    score += YEAR_WEIGHT * Math.pow(0.5, Math.abs(a.year - b.year) / YEAR_HALF_LIFE);
+  }
+  if (a.rating && b.rating) {
+    // Ratings are 0-10; a 3-point gap or more gets no bonus
+    score += RATING_WEIGHT * Math.max(0, 1 - Math.abs(a.rating - b.rating) / 3);
+  }
+  if (getFormat(a) === getFormat(b)) score += FORMAT_WEIGHT;
+  if (a.ageRating && a.ageRating === b.ageRating) score += AGE_RATING_WEIGHT;
+
+  return score;
+}
+
+/**
+ * Compute the top-N similar titles for every catalog entry
+ * Uses an inverted index over features, so only entries sharing a feature are compared.
+ * @param {Array} catalog - Catalog entries (duplicate IDs keep the first entry)
+ * @param {Object} options
+ * @param {number} options.limit - Similar titles per entry (default 20)
+ * @param {Function} options.exclude - (seed, candidate) => true to skip a pair (e.g. same franchise)
+ * @returns {Object} { [catalogId]: [[catalogId, score], ...] } sorted by score
+ */
+function computeSimilarLists(catalog, options = {}) {
+  const { limit = DEFAULT_LIMIT, exclude = null } = options;
+
+  const seen = new Set();
+  const entries = [];
+  for (const anime of catalog || []) {
+    if (!anime?.id || seen.has(anime.id)) continue;
+    seen.add(anime.id);
+    entries.push(anime);
+  }
+
+  // Feature IDs, document frequencies and postings (entry indexes per feature)
+  const featureIds = new Map();
+  const postings = [];
+  const entryFeatures = entries.map(anime => getFeatureKeys(anime).map(key => {
+    if (!featureIds.has(key)) {
+      featureIds.set(key, postings.length);
+      postings.push([]);
+    }
+    return featureIds.get(key);
+  }));
+  entryFeatures.forEach((features, index) => {
+    for (const feature of features) postings[feature].push(index);
+  });
+
+  // IDF * kind weight per feature, and each entry's vector norm
+  const featureWeights = new Float64Array(postings.length);
+  for (const [key, feature] of featureIds) {
+    const kind = key.slice(0, key.indexOf(':'));
+    featureWeights[feature] = FEATURE_WEIGHTS[kind] * Math.log(1 + entries.length / postings[feature].length);
+  }
+  const norms = entryFeatures.map(features =>
+    Math.sqrt(features.reduce((sum, feature) => sum + featureWeights[feature] ** 2, 0)));
+
+  // Popularity prior on a log scale, 0..1 relative to the most popular entry
+  const maxPopularity = Math.log10(1 + Math.max(0, ...entries.map(anime => anime.popularity || 0)));
+  const popularityPrior = entries.map(anime =>
+    maxPopularity > 0 ? Math.log10(1 + (anime.popularity || 0)) / maxPopularity : 0);
+
+  const dots = new Float64Array(entries.length);
+  const similar = {};
+
+  entries.forEach((seed, seedIndex) => {
+    if (norms[seedIndex] === 0) return;
+
+    // Accumulate dot products over shared features
+    const touched = [];
+    for (const feature of entryFeatures[seedIndex]) {
+      const weight = featureWeights[feature] ** 2;
+      for (const candidate of postings[feature]) {
+        if (candidate === seedIndex) continue;
+        if (dots[candidate] === 0) touched.push(candidate);
+        dots[candidate] += weight;
+      }
+    }
+
+    const scored = [];
+    for (const candidate of touched) {
+      const content = dots[candidate] / (norms[seedIndex] * norms[candidate]);
+      dots[candidate] = 0;
+      if (content < MIN_CONTENT_SIMILARITY) continue;
+
+      const other = entries[candidate];
+      if (exclude && exclude(seed, other)) continue;
+
+      const score = CONTENT_WEIGHT * content + metadataSimilarity(seed, other) + POPULARITY_WEIGHT * popularityPrior[candidate];
+      scored.push([other.id, Math.round(score * 1000) / 1000, other.popularity || 0]);
+    }
+
+    // Popularity breaks ties between equally similar titles
+    scored.sort((a, b) => (b[1] - a[1]) || (b[2] - a[2]));
+    if (scored.length > 0) {
+      similar[seed.id] = scored.slice(0, limit).map(([id, score]) => [id, score]);
+    }
+  });
+
+  return similar;
+}
+
+/**
+ * Create a lookup over generated similar lists
+ * @param {Object} data - Parsed similar-anime.json ({ version, similar })
+ * @param {Function} getAnime - Catalog lookup by catalog ID (unknown IDs return null)
+ * @returns {Object} { getSimilar, recommendFor, size }
+ */
+function createSimilarIndex(data, getAnime) {
+  const lists = data?.similar || {};
+
+  return {
+    /**
+     * Titles similar to one seed, most similar first
+     * @returns {Array} [{ anime, score }]
+     */
+    getSimilar(id, limit = DEFAULT_LIMIT) {
+      const results = [];
+      for (const [similarId, score] of lists[id] || []) {
+        const anime = getAnime(similarId);
+        if (anime) results.push({ anime, score });
+        if (results.length >= limit) break;
+      }
+      return results;
+    },
+
+    /**
+     * Titles similar to several seeds (e.g. a user's completed list)
+     * Scores add up across seeds, so titles close to many of them rank first.
+     * @param {Array} seeds - [{ id, weight }] (weight defaults to 1)
+     * @param {Object} options
+     * @param {Set} options.exclude - Catalog IDs to leave out (the seeds are always left out)
+     * @param {number} options.limit - Max results
+     * @returns {Array} [{ anime, score, because }] - because = ID of the strongest seed
+     */
+    recommendFor(seeds, options = {}) {
+      const { exclude = new Set(), limit = 100 } = options;
+      const seedIds = new Set(seeds.map(seed => seed.id));
+      const totals = new Map();
+
+      for (const { id, weight = 1 } of seeds) {
+        for (const [similarId, score] of lists[id] || []) {
+          if (seedIds.has(similarId) || exclude.has(similarId)) continue;
+          const total = totals.get(similarId) || { score: 0, best: 0, because: id };
+          total.score += score * weight;
+          if (score * weight > total.best) {
+            total.best = score * weight;
+            total.because = id;
+          }
+          totals.set(similarId, total);
+        }
+      }
+
+      const results = [];
+      for (const [id, total] of [...totals].sort((a, b) => b[1].score - a[1].score)) {
+        const anime = getAnime(id);
+        if (anime) results.push({ anime, score: Math.round(total.score * 1000) / 1000, because: total.because });
+        if (results.length >= limit) break;
+      }
+      return results;
+    },
+
+    size: Object.keys(lists).length
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  getFeatureKeys,
+  computeSimilarLists,
+  createSimilarIndex
+};
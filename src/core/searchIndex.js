@@ -0,0 +1,377 @@
+/**
+ * Search Index
+ *
+ * Inverted index over anime titles, shared by the server (built at DB load) and
+ * the Cloudflare worker (built on first search). Pure JS, no Node APIs.
+ *
+ * Indexed per anime:
+ * - name, synonyms (romaji / English / native titles from id-mappings.json `syn`,
+ *   plus `synonyms` / `aliases` fields when the catalog has them)
+ * - acronyms of multi-word titles ("Attack on Titan" -> aot)
+ * - genres and studios (low weight)
+ *
+ * Scoring is BM25-style per query word, taking the best-matching title (shorter
+ * titles score higher). Each query word also matches vocabulary words it prefixes
+ * ("shingek" -> shingeki) and, when it is not a known word, the closest words
+ * within one or two typos (trigram candidates checked with Damerau-Levenshtein).
+ * Exact and prefix matches of a whole title get a bonus. Popularity adds a small
+ * log-scaled nudge so near-equal matches favour well-known shows, and breaks ties.
+ */
+
+// Field weights (term frequency in BM25 is the weight of the best title the word appears in)
+const FIELD_WEIGHTS = {
+  name: 3,
+  synonym: 2,
+  acronym: 1.5,
+  tag: 0.5
+};
+
+// Expansion weights relative to an exact word match
+const PREFIX_WEIGHT = 0.8;
+const TYPO_WEIGHTS = [1, 0.6, 0.4];
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const EXACT_TITLE_BONUS = { name: 6, synonym: 4 };
+const TITLE_PREFIX_BONUS = 2;
+const POPULARITY_WEIGHT = 0.3;
+
+const MAX_PREFIX_EXPANSIONS = 30;
+const MAX_TYPO_EXPANSIONS = 10;
+const MAX_RESULTS = 500;
+
+// Anime or words handled between two yields of searchIndexSteps
+const STEP_SIZE = 100;
+
+const CJK_CHAR = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/;
+
+/**
+ * Lowercase, strip accents and punctuation ("JoJo's" -> "jojos", "Pokémon" -> "pokemon")
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Fold romaji long-vowel spellings so "shounen", "shonen" and "shōnen" match
+ */
+function foldRomaji(word) {
+  return word
+    .replace(/ou/g, 'o')
+    .replace(/oo/g, 'o')
+    .replace(/uu/g, 'u')
+    .replace(/aa/g, 'a')
+    .replace(/ii/g, 'i');
+}
+
+/**
+ * Split text into index words
+ * CJK runs have no spaces, so they become overlapping character bigrams.
+ */
+function tokenize(text) {
+  const words = [];
+  for (const part of normalizeText(text).split(' ')) {
+    if (!part) continue;
+    if (CJK_CHAR.test(part)) {
+      const chars = [...part];
+      if (chars.length <= 2) {
+        words.push(part);
+      } else {
+        for (let i = 0; i < chars.length - 1; i++) words.push(chars[i] + chars[i + 1]);
+      }
+    } else {
+      words.push(foldRomaji(part));
+    }
+  }
+  return words;
+}
+
+/**
+ * Initials of a title with three or more words ("Attack on Titan" -> aot)
+ */
+function getAcronym(text) {
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  if (words.length < 3 || words.some(word => CJK_CHAR.test(word))) return null;
+  return words.map(word => word[0]).join('');
+}
+
+function trigrams(word) {
+  const padded = `^${word}$`;
+  const grams = new Set();
+  for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  return grams;
+}
+
+/**
+ * Edit distance counting a swap of adjacent letters as one edit ("naruot" -> naruto),
+ * giving up once it exceeds maxDistance
+ */
+function boundedDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = a[i - 1] === b[j - 1]
+        ? previous[j - 1]
+        : 1 + Math.min(previous[j], current[j - 1], previous[j - 1]);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function getTitles(anime, getSynonyms) {
+  const synonyms = [
+    ...(getSynonyms ? getSynonyms(anime) || [] : []),
+    ...(anime.synonyms || []),
+    ...(anime.aliases || [])
+  ];
+  return { name: anime.name || '', synonyms: [...new Set(synonyms)].filter(s => typeof s === 'string' && s) };
+}
+
+/**
+ * Build the search index
+ * @param {Array} catalogData - Catalog entries
+ * @param {Object} options
+ * @param {Function} options.getSynonyms - anime => extra titles (e.g. id-mappings `syn`)
+ * @returns {Object} { size, search(query, { limit }) }
+ */
+function createSearchIndex(catalogData, options = {}) {
+  // Drained here rather than with steps.js runSteps(): the worker build inlines this
+  // module on its own, where there is no require()
+  const steps = searchIndexSteps(catalogData, options);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
+
+/**
+ * Build the search index in steps (see core/steps) - same arguments and result as createSearchIndex
+ */
+function* searchIndexSteps(catalogData, { getSynonyms = null } = {}) {
+  const docs = [];
+  const postings = new Map();  // word -> [docIndex, bm25Tf, docIndex, bm25Tf, ...]
+  const entries = [];
+
+  // First pass: tokenized titles per anime (BM25 needs the average title length)
+  let titleCount = 0;
+  let titleWords = 0;
+  for (const anime of catalogData || []) {
+    if (entries.length % STEP_SIZE === 0) yield;
+    const { name, synonyms } = getTitles(anime, getSynonyms);
+    const titles = [
+      { words: tokenize(name), weight: FIELD_WEIGHTS.name },
+      ...synonyms.map(synonym => ({ words: tokenize(synonym), weight: FIELD_WEIGHTS.synonym }))
+    ].filter(title => title.words.length > 0);
+
+    for (const title of titles) {
+      titleCount++;
+      titleWords += title.words.length;
+    }
+    entries.push({ anime, name, synonyms, titles });
+  }
+  const averageLength = titleCount > 0 ? titleWords / titleCount : 1;
+
+  // BM25 term-frequency component for a word in a title of the given length
+  const saturate = (weight, length) =>
+    (weight * (BM25_K1 + 1)) / (weight + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+
+  for (const { anime, name, synonyms, titles } of entries) {
+    if (docs.length % STEP_SIZE === 0) yield;
+    const scores = new Map();
+    const add = (word, score) => {
+      if (word && (scores.get(word) || 0) < score) scores.set(word, score);
+    };
+
+    for (const { words, weight } of titles) {
+      for (const word of words) add(word, saturate(weight, words.length));
+    }
+    for (const title of [name, ...synonyms]) {
+      add(getAcronym(title), saturate(FIELD_WEIGHTS.acronym, 1));
+    }
+    for (const tag of [...(anime.genres || []), ...(anime.studios || [])]) {
+      tokenize(tag).forEach(word => add(word, saturate(FIELD_WEIGHTS.tag, averageLength)));
+    }
+
+    const docIndex = docs.length;
+    docs.push({
+      anime,
+      name: titles.length > 0 && titles[0].weight === FIELD_WEIGHTS.name ? titles[0].words.join(' ') : '',
+      synonyms: titles.filter(title => title.weight === FIELD_WEIGHTS.synonym).map(title => title.words.join(' ')),
+      popularity: anime.popularity || 0
+    });
+
+    for (const [word, score] of scores) {
+      let list = postings.get(word);
+      if (!list) {
+        list = [];
+        postings.set(word, list);
+      }
+      list.push(docIndex, score);
+    }
+  }
+
+  // Sorted vocabulary for prefix lookups, trigram map for typo candidates
+  const vocabulary = [...postings.keys()].sort();
+  const wordTrigrams = new Map();
+  for (const [i, word] of vocabulary.entries()) {
+    if (i % STEP_SIZE === 0) yield;
+    if (word.length < 4 || CJK_CHAR.test(word)) continue;
+    for (const gram of trigrams(word)) {
+      let words = wordTrigrams.get(gram);
+      if (!words) {
+        words = [];
+        wordTrigrams.set(gram, words);
+      }
+      words.push(word);
+    }
+  }
+
+  function idf(word) {
+    const documentFrequency = postings.get(word).length / 2;
+    return Math.log(1 + (docs.length - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  function prefixExpansions(word) {
+    const expansions = [];
+    let low = 0;
+    let high = vocabulary.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (vocabulary[mid] < word) low = mid + 1;
+      else high = mid;
+    }
+    for (let i = low; i < vocabulary.length && expansions.length < MAX_PREFIX_EXPANSIONS; i++) {
+      if (!vocabulary[i].startsWith(word)) break;
+      if (vocabulary[i] !== word) expansions.push({ word: vocabulary[i], weight: PREFIX_WEIGHT });
+    }
+    return expansions;
+  }
+
+  function typoExpansions(word) {
+    if (word.length < 4 || CJK_CHAR.test(word)) return [];
+    const maxDistance = word.length <= 5 ? 1 : 2;
+    const shared = new Map();
+    const grams = trigrams(word);
+    for (const gram of grams) {
+      for (const candidate of wordTrigrams.get(gram) || []) {
+        shared.set(candidate, (shared.get(candidate) || 0) + 1);
+      }
+    }
+
+    const expansions = [];
+    for (const [candidate, count] of shared) {
+      // Each edit breaks at most three trigrams
+      if (count < grams.size - 3 * maxDistance) continue;
+      const distance = boundedDistance(word, candidate, maxDistance);
+      if (distance > 0 && distance <= maxDistance) {
+        expansions.push({ word: candidate, weight: TYPO_WEIGHTS[distance], distance });
+      }
+    }
+    // Only the closest tier: a one-typo match beats any two-typo one
+    const closest = Math.min(...expansions.map(expansion => expansion.distance));
+    return expansions
+      .filter(expansion => expansion.distance === closest)
+      .sort((a, b) => postings.get(b.word).length - postings.get(a.word).length)
+      .slice(0, MAX_TYPO_EXPANSIONS);
+  }
+
+  /**
+   * Search the index
+   * @param {string} query - Free-text query
+   * @param {Object} options
+   * @param {number} options.limit - Max results (default 500)
+   * @returns {Array} [{ anime, score }] best first
+   */
+  function search(query, { limit = MAX_RESULTS } = {}) {
+    const queryWords = [...new Set(tokenize(query))];
+    if (queryWords.length === 0) return [];
+
+    // docIndex -> { score, matched }
+    const matches = new Map();
+
+    for (const queryWord of queryWords) {
+      const expansions = [];
+      if (postings.has(queryWord)) expansions.push({ word: queryWord, weight: 1 });
+      if (queryWord.length >= 3 || queryWords.length === 1) expansions.push(...prefixExpansions(queryWord));
+      if (!postings.has(queryWord)) expansions.push(...typoExpansions(queryWord));
+
+      // Best expansion per document, so one query word counts once
+      const best = new Map();
+      for (const { word, weight } of expansions) {
+        const wordIdf = idf(word);
+        const list = postings.get(word);
+        for (let i = 0; i < list.length; i += 2) {
+          const score = weight * wordIdf * list[i + 1];
+          if (score > (best.get(list[i]) || 0)) best.set(list[i], score);
+        }
+      }
+
+      for (const [docIndex, score] of best) {
+        const match = matches.get(docIndex);
+        if (match) {
+          match.score += score;
+          match.matched++;
+        } else {
+          matches.set(docIndex, { score, matched: 1 });
+        }
+      }
+    }
+
+    const normalizedQuery = queryWords.join(' ');
+    const results = [];
+
+    for (const [docIndex, { score, matched }] of matches) {
+      const coverage = matched / queryWords.length;
+      if (coverage < 0.5) continue;
+
+      const doc = docs[docIndex];
+      let total = score * coverage;
+      if (doc.name === normalizedQuery) {
+        total += EXACT_TITLE_BONUS.name;
+      } else if (doc.synonyms.includes(normalizedQuery)) {
+        total += EXACT_TITLE_BONUS.synonym;
+      } else if (doc.name.startsWith(normalizedQuery) || doc.synonyms.some(title => title.startsWith(normalizedQuery))) {
+        total += TITLE_PREFIX_BONUS;
+      }
+
+      total += POPULARITY_WEIGHT * Math.log10(1 + doc.popularity);
+      results.push({ doc, score: Math.round(total * 10) / 10 });
+    }
+
+    // Catalog ID as the last resort, so equal scores come back in the same order every time
+    results.sort((a, b) => b.score - a.score || b.doc.popularity - a.doc.popularity ||
+      (a.doc.anime.id < b.doc.anime.id ? -1 : a.doc.anime.id > b.doc.anime.id ? 1 : 0));
+
+    return results.slice(0, limit).map(({ doc, score }) => ({ anime: doc.anime, score }));
+  }
+
+  return {
+    size: docs.length,
+    words: vocabulary.length,
+    search
+  };
+}
+
+module.exports = {
+  normalizeText,
+  tokenize,
+  createSearchIndex,
+  searchIndexSteps
+};
@@ -0,0 +1,54 @@
+/**
+ * Steps
+ *
+ * Long builds (search index, catalog views) are written as generators that yield
+ * between chunks of work. runSteps() finishes one in a single go; runStepsAsync()
+ * hands control back to the event loop every few milliseconds, so a server keeps
+ * answering requests while it builds. Runtime-agnostic like the rest of src/core.
+ */
+
+// Work done between two pauses in runStepsAsync, in ms
+const DEFAULT_SLICE_MS = 20;
+
+/**
+ * Let pending I/O and timers run before continuing
+ */
+const pause = typeof setImmediate === 'function'
+  ? () => new Promise(resolve => setImmediate(resolve))
+  : () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * Run a build to the end synchronously
+ * @param {Generator} steps - Build generator
+ * @returns {*} The build's result
+ */
+function runSteps(steps) {
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+}
+
+/**
+ * Run a build in slices, letting other work run in between
+ * @param {Generator} steps - Build generator
+ * @param {number} sliceMs - Time to work before pausing
+ * @returns {Promise<*>} The build's result
+ */
+async function runStepsAsync(steps, sliceMs = DEFAULT_SLICE_MS) {
+  let sliceStart = Date.now();
+  let step = steps.next();
+  while (!step.done) {
+    if (Date.now() - sliceStart >= sliceMs) {
+      await pause();
+      sliceStart = Date.now();
+    }
+    step = steps.next();
+  }
+  return step.value;
+}
+
+module.exports = {
+  pause,
+  runSteps,
+  runStepsAsync
+};
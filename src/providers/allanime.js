@@ -0,0 +1,354 @@
+/**
+ * AllAnime Provider
+ *
+ * Direct HTTPS streams (hardsubbed SUB and DUB) through the AllAnime scraper - the
+ * in-process one (src/scraper/router.js), or the deployment at SCRAPER_URL.
+ * The title's AllAnime show comes from the mapping table (src/utils/allanimeMappings.js)
+ * or, when it has none, from a search recorded there: AllAnime is searched by the
+ * title and its synonyms, and a candidate is accepted when its MAL or AniList ID
+ * (from the scraper's show info) agrees with the catalog entry. Title similarity only
+ * decides when no candidate can be verified - those matches are listed for review.
+ * Then the episode's sources are fetched with extraction.
+ */
+
+const http = require('http');
+const https = require('https');
+const appConfig = require('../config/env');
+const logger = require('../utils/logger').child('providers');
+const { stringSimilarity } = require('../utils/similarity');
+const cache = require('../utils/cache');
+const { getMappingStore } = require('../utils/allanimeMappings');
+const { trackUpstream } = require('../utils/metrics');
+const { getRequestId } = require('../utils/requestContext');
+const { scrape } = require('../scraper/router');
+
+// Titles searched at a time (catalog name first, then synonyms) - every title is
+// searched until a candidate is verified by ID
+const SEARCH_BATCH_SIZE = 4;
+
+// Best-scoring new candidates whose MAL/AniList IDs are checked after each batch
+const MAX_VERIFIED_CANDIDATES = 6;
+
+// Title score a match needs when no candidate could be verified by ID
+const MIN_TITLE_SCORE = 60;
+
+// Show details (MAL/AniList IDs) by showId, namespace TTL in config.cache.namespaces
+const showInfoCache = cache.namespace('allanime');
+
+// Searches in flight by mapping key, so concurrent misses share one search
+const pendingSearches = new Map();
+
+/**
+ * Call the scraper API (timed as the 'allanime' upstream)
+ * @param {string} path - '/?action=...' query, as on the scraper deployment
+ */
+function fetchFromScraper(path) {
+  const scraperUrl = appConfig.streams.scraperUrl;
+  return trackUpstream('allanime', () => scraperUrl ? requestScraper(scraperUrl, path) : callScraper(path));
+}
+
+/**
+ * Body of a scraper answer, or an error for a failed request
+ * 404 is an answer (unknown show); anything else non-2xx is a failure, so it counts
+ * against the upstream metrics and the provider's circuit breaker.
+ */
+function checkScraperResponse(status, body) {
+  if ((status < 200 || status >= 300) && status !== 404) {
+    throw new Error(`Scraper returned ${status}${body?.error ? `: ${body.error}` : ''}`);
+  }
+  return body;
+}
+
+/**
+ * Run a scraper API request in-process
+ */
+async function callScraper(path) {
+  const params = Object.fromEntries(new URL(path, 'http://localhost').searchParams);
+  const { status, body } = await scrape(params);
+  return checkScraperResponse(status, body);
+}
+
+/**
+ * Raw GET against a scraper deployment, parsed as JSON
+ * The path is appended to the base URL, so the scraper may live under a prefix
+ * (another addon's /scraper).
+ */
+function requestScraper(scraperUrl, path) {
+  const requestId = getRequestId();
+
+  return new Promise((resolve, reject) => {
+    const url = new URL(scraperUrl.replace(/\/+$/, '') + path);
+    const client = url.protocol === 'http:' ? http : https;
+
+    const req = client.get(url.toString(), {
+      headers: {
+        'User-Agent': 'AnimeStream/1.0',
+        'Accept': 'application/json',
+        // Lets scraper logs be matched to the addon request that triggered them
+        ...(requestId && { 'X-Request-Id': requestId })
+      },
+      timeout: 15000
+    }, res => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let body;
+        try {
+          body = JSON.parse(data);
+        } catch (e) {
+          return reject(new Error(`Invalid JSON: ${data.slice(0, 100)}`));
+        }
+        try {
+          resolve(checkScraperResponse(res.statusCode, body));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    req.on('error', reject);
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error('Request timeout'));
+    });
+  });
+}
+
+/**
+ * Find the AllAnime show for a title
+ * A mapping for the season (or the whole title) wins; otherwise AllAnime is searched
+ * and a match is recorded under the catalog ID. Misses aren't recorded, so they are
+ * retried on the next request. Rejects when the scraper can't be reached.
+ * @returns {Promise<Object|null>} { showId, seasonal } - seasonal shows number episodes per season
+ */
+async function findAllAnimeShow(anime, season = null) {
+  const store = getMappingStore();
+  const mapping = store.find([anime.id, anime.imdb_id], season);
+  if (mapping) {
+    logger.debug(`[MATCH] "${anime.name}" -> ${mapping.showId} (${mapping.source} mapping ${mapping.key})`);
+    return { showId: mapping.showId, seasonal: mapping.seasonal };
+  }
+
+  const key = anime.id;
+  if (!pendingSearches.has(key)) {
+    pendingSearches.set(key, searchAllAnimeShow(anime)
+      .then(match => {
+        if (match) store.record(key, match);
+        return match;
+      })
+      .finally(() => pendingSearches.delete(key)));
+  }
+
+  const match = await pendingSearches.get(key);
+  return match ? { showId: match.showId, seasonal: false } : null;
+}
+
+function normalizeTitle(title) {
+  return (title || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function toId(value) {
+  const id = parseInt(value, 10);
+  return id > 0 ? id : null;
+}
+
+/**
+ * Titles to search AllAnime for - the catalog name, then synonyms
+ * Synonyms without latin letters are skipped (AllAnime searches romaji and English).
+ */
+function getSearchTitles(anime) {
+  const seen = new Set();
+  const titles = [];
+  for (const title of [anime.name, ...(anime.synonyms || [])]) {
+    const normalized = normalizeTitle(title);
+    if (!normalized || seen.has(normalized)) continue;
+    seen.add(normalized);
+    titles.push(title);
+  }
+  return titles;
+}
+
+/**
+ * Title similarity of a search result to the best of the searched titles (0-100+)
+ */
+function scoreTitle(show, titles) {
+  const showTitle = normalizeTitle(show.title);
+  const nativeTitle = normalizeTitle(show.nativeTitle);
+
+  let best = 0;
+  for (const title of titles) {
+    const normalized = normalizeTitle(title);
+    let score;
+    if (showTitle === normalized || nativeTitle === normalized) {
+      score = 100;
+    } else if (showTitle && (showTitle.includes(normalized) || normalized.includes(showTitle))) {
+      score = 85;
+    } else {
+      // Levenshtein similarity, scaled down slightly
+      score = Math.max(stringSimilarity(normalized, showTitle), stringSimilarity(normalized, nativeTitle)) * 0.9;
+    }
+    best = Math.max(best, score);
+  }
+
+  // Prefer TV series over movies/specials, and movies for single-episode content
+  if (show.type === 'TV') best += 3;
+  if (show.type === 'Movie' && show.episodes === '1') best += 2;
+  return Math.round(best * 10) / 10;
+}
+
+/**
+ * MAL/AniList IDs of an AllAnime show (scraper ?action=info, cached)
+ * @returns {Promise<Object|null>} { malId, aniListId }, or null when the show is unknown
+ */
+async function getShowIds(showId) {
+  return showInfoCache.wrap(showId, async () => {
+    const info = await fetchFromScraper(`/?action=info&showId=${encodeURIComponent(showId)}`);
+    return info?.id ? { malId: toId(info.malId), aniListId: toId(info.aniListId) } : null;
+  });
+}
+
+/**
+ * Search AllAnime for a catalog entry
+ * Titles are searched SEARCH_BATCH_SIZE at a time; after each batch the new candidates
+ * are checked against the entry's MAL/AniList ID, best title score first, and the
+ * first ID match ends the search. Without one the best-scoring candidate not
+ * contradicted by its IDs is taken, if it scores at least MIN_TITLE_SCORE.
+ * Rejects when no search reached the scraper.
+ * @returns {Promise<Object|null>} { showId, title, score, source: 'id' | 'search' }
+ */
+async function searchAllAnimeShow(anime) {
+  const titles = getSearchTitles(anime);
+  const malId = toId(anime.mal_id || anime.malId);
+  const aniListId = toId(anime.anilist_id);
+
+  const candidates = new Map();
+  const checked = new Set();
+  const contradicted = new Set();
+  let unavailable = 0;
+  let searched = 0;
+
+  for (let start = 0; start < titles.length; start += SEARCH_BATCH_SIZE) {
+    const batch = titles.slice(start, start + SEARCH_BATCH_SIZE);
+    const searches = await Promise.allSettled(batch.map(title =>
+      fetchFromScraper(`/?action=search&query=${encodeURIComponent(title)}&limit=10`)
+    ));
+    if (searches.every(search => search.status === 'rejected')) {
+      // Scraper unreachable - give up, or decide on what the earlier batches found
+      if (searched === 0) throw searches[0].reason;
+      logger.warn(`[SEARCH] "${anime.name}": searches failed after ${searched}/${titles.length} titles`);
+      break;
+    }
+    searched += batch.length;
+
+    for (const search of searches) {
+      for (const show of search.value?.results || []) {
+        if (show.id && !candidates.has(show.id)) candidates.set(show.id, show);
+      }
+    }
+    if (!malId && !aniListId) continue;
+
+    const unchecked = rankCandidates(candidates, titles)
+      .filter(({ show }) => !checked.has(show.id))
+      .slice(0, MAX_VERIFIED_CANDIDATES);
+    const details = await Promise.allSettled(unchecked.map(({ show }) => getShowIds(show.id)));
+
+    for (let i = 0; i < unchecked.length; i++) {
+      const { show, score } = unchecked[i];
+      checked.add(show.id);
+      const ids = details[i].status === 'fulfilled' ? details[i].value : null;
+      if (!ids) {
+        unavailable++;
+        continue;
+      }
+
+      if ((malId && ids.malId === malId) || (aniListId && ids.aniListId === aniListId)) {
+        const via = malId && ids.malId === malId ? `MAL ${malId}` : `AniList ${aniListId}`;
+        logger.info(`[MATCH] "${anime.name}" -> "${show.title}" (${show.id}) verified by ${via} (${searched}/${titles.length} titles searched)`);
+        return { showId: show.id, title: show.title, score, source: 'id' };
+      }
+      if ((malId && ids.malId) || (aniListId && ids.aniListId)) contradicted.add(show.id);
+    }
+  }
+
+  if (candidates.size === 0) {
+    logger.debug(`[SEARCH] No results for "${anime.name}" (${titles.length} titles)`);
+    return null;
+  }
+
+  const reason = !malId && !aniListId
+    ? 'catalog entry has no MAL/AniList ID'
+    : `no MAL/AniList ID match among ${checked.size} candidates from ${searched} titles` +
+      (contradicted.size ? `, ${contradicted.size} belong to other titles` : '') +
+      (unavailable ? `, ${unavailable} without show info` : '');
+  const best = rankCandidates(candidates, titles).find(({ show }) => !contradicted.has(show.id));
+
+  if (best && best.score >= MIN_TITLE_SCORE) {
+    logger.info(`[MATCH] "${anime.name}" -> "${best.show.title}" (${best.show.id}) by title, score=${best.score} (${reason})`);
+    return { showId: best.show.id, title: best.show.title, score: best.score, source: 'search' };
+  }
+
+  logger.debug(`[SEARCH] No good match for "${anime.name}" (${reason}; best title score: ${best ? best.score : 'none'})`);
+  return null;
+}
+
+/**
+ * Search results ranked by title similarity, best first
+ */
+function rankCandidates(candidates, titles) {
+  return [...candidates.values()]
+    .map(show => ({ show, score: scoreTitle(show, titles) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  name: 'allanime',
+
+  isEnabled({ config }) {
+    const streamMode = config.streamMode || 'both';
+    return (streamMode === 'https' || streamMode === 'both') && config.enableAllAnime !== false;
+  },
+
+  async search({ anime, type, season }) {
+    const match = await findAllAnimeShow(anime, type === 'series' ? season : null);
+    if (!match) {
+      logger.warn(`[ALLANIME] Could not find AllAnime match for: ${anime.name}`);
+      return null;
+    }
+    return match;
+  },
+
+  // AllAnime numbers episodes absolutely, except shows split into one entry per season
+  resolveEpisode({ seasonal }, { episode, seasonEpisode }) {
+    return { episode: seasonal ? seasonEpisode || episode : episode };
+  },
+
+  async getStreams({ showId }, { episode }, { anime }) {
+    const result = await fetchFromScraper(`/?action=streams&showId=${showId}&episode=${episode}&extract=1`);
+
+    if (!result.streams || result.streams.length === 0) {
+      logger.warn(`[ALLANIME] No streams found for ${anime.name} E${episode}`);
+      return [];
+    }
+
+    // Only direct playable streams
+    const candidates = result.streams
+      .filter(stream => stream.isDirect)
+      .map(stream => ({
+        kind: 'direct',
+        quality: stream.quality || 'HD',
+        audio: stream.type || 'SUB',
+        seeders: 0,
+        instant: true,
+        stream: {
+          name: `AllAnime\n${stream.quality || 'HD'}`,
+          title: `${stream.provider || 'Direct'} - ${stream.type || 'SUB'}\n${stream.quality || 'HD'}`,
+          url: stream.url,
+          // Streams that need special headers
+          ...(stream.behaviorHints && { behaviorHints: stream.behaviorHints })
+        }
+      }));
+
+    logger.info(`[ALLANIME] Found ${candidates.length} direct streams for ${anime.name} E${episode}`);
+    return candidates;
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * AnimeTosho Provider
+ *
+ * Torrents from AnimeTosho, served as plain torrent streams when no debrid is configured.
+ * Titles with an AniDB ID are also looked up by that ID, which matches exactly; its
+ * results come before the title search's.
+ */
+
+const { scrapeAnimeTosho, scrapeAnimeToshoByAniDbId } = require('../services/torrents');
+const { getTorrentTarget, toMagnetCandidate, wantsTorrents, hasDebrid } = require('./torrentStreams');
+
+module.exports = {
+  name: 'animetosho',
+
+  isEnabled({ config }) {
+    return wantsTorrents(config) && !hasDebrid(config);
+  },
+
+  search({ anime }) {
+    return anime.name || anime.anidb_id ? { name: anime.name, anidbId: anime.anidb_id || null } : null;
+  },
+
+  resolveEpisode(match, request) {
+    return getTorrentTarget(request);
+  },
+
+  async getStreams({ name, anidbId }, { episode, season, isMovie }, request) {
+    const searches = await Promise.allSettled([
+      anidbId ? scrapeAnimeToshoByAniDbId(anidbId, episode, season, isMovie) : [],
+      name ? scrapeAnimeTosho(name, episode, season, isMovie) : []
+    ]);
+
+    // Only a failure of every search counts as the provider failing
+    if (searches.every(search => search.status === 'rejected')) {
+      throw searches[0].reason;
+    }
+
+    const seen = new Set();
+    const torrents = searches
+      .flatMap(search => search.status === 'fulfilled' ? search.value : [])
+      .filter(torrent => !seen.has(torrent.infoHash) && seen.add(torrent.infoHash));
+    return torrents.map(torrent => toMagnetCandidate(torrent, request));
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Debrid Provider
+ *
+ * Torrents from every torrent source (src/services/torrents.js getTorrentStreams)
+ * played through the user's debrid provider: streams point at /debrid/play, which
+ * resolves the torrent when the user clicks play. The top torrents are cache-checked
+ * so cached (instant) ones rank first. Replaces the Nyaa/AnimeTosho providers when
+ * a debrid provider and key are configured.
+ */
+
+const logger = require('../utils/logger').child('providers');
+const { getTorrentStreams } = require('../services/torrents');
+const { checkDebridCacheBatch } = require('../services/debrid');
+const { MAX_TORRENT_STREAMS, getTorrentTarget, toDebridCandidate, wantsTorrents, hasDebrid } = require('./torrentStreams');
+
+module.exports = {
+  name: 'debrid',
+
+  isEnabled({ config }) {
+    return wantsTorrents(config) && hasDebrid(config);
+  },
+
+  search({ anime }) {
+    return anime.name ? { anime } : null;
+  },
+
+  resolveEpisode(match, request) {
+    return getTorrentTarget(request);
+  },
+
+  async getStreams({ anime }, { episode, season, isMovie }, request) {
+    const { config } = request;
+    const torrents = (await getTorrentStreams(anime, episode, season, isMovie ? 'movie' : null))
+      .slice(0, MAX_TORRENT_STREAMS);
+    if (torrents.length === 0) return [];
+
+    const hashes = torrents.map(torrent => torrent.infoHash).filter(Boolean);
+    const cacheStatus = await checkDebridCacheBatch(hashes, config.debridProvider, config.debridApiKey);
+    const cachedCount = Array.from(cacheStatus.values()).filter(cached => cached === true).length;
+    logger.info(`[DEBRID] Cache check: ${cachedCount}/${hashes.length} torrents cached on ${config.debridProvider}`);
+
+    return torrents.map(torrent => {
+      const hash = torrent.infoHash?.toLowerCase();
+      return toDebridCandidate(torrent, request, cacheStatus.has(hash) ? cacheStatus.get(hash) : null);
+    });
+  }
+};
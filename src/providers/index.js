@@ -0,0 +1,139 @@
+/**
+ * Stream Providers
+ *
+ * Every stream source is a provider module in this directory with the same interface:
+ *
+ *   {
+ *     name,                                      // 'allanime' - logs, health, STREAM_PROVIDERS
+ *     isEnabled(request) -> boolean,             // for this user's config (stream mode, debrid, ...)
+ *     search(request) -> match | null,           // find the title on the source
+ *     resolveEpisode(match, request) -> target | null,   // the requested episode on the source
+ *     getStreams(match, target, request) -> [candidate]  // its streams (see ./ranking.js)
+ *   }
+ *
+ *   request = { anime, imdbId, type, episode (absolute), season, seasonEpisode, config, baseUrl }
+ *
+ * Each method may be async. getStreams() below runs the enabled providers in parallel,
+ * each within its own time limit (config.streams.timeouts) and behind its own circuit
+ * breaker, then ranks the merged candidates. A lookup that throws or runs out of time
+ * counts as a failure; an empty result does not. A provider that times out keeps
+ * running in the background (its upstream requests have their own timeouts) - the
+ * request just stops waiting for it.
+ *
+ * Adding a source: a new module here, listed in PROVIDERS.
+ */
+
+const appConfig = require('../config/env');
+const logger = require('../utils/logger').child('providers');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
+const { rankStreams } = require('./ranking');
+
+// In priority order (ties in the ranking go to the earlier provider)
+const PROVIDERS = [
+  require('./allanime'),
+  require('./animetosho'),
+  require('./nyaa'),
+  require('./debrid')
+];
+
+// Used for providers without an entry in config.streams.timeouts
+const DEFAULT_TIMEOUT = 15000;
+
+const breakers = new Map(PROVIDERS.map(provider => [provider.name, createCircuitBreaker({
+  threshold: appConfig.streams.breakerThreshold,
+  cooldown: appConfig.streams.breakerCooldown * 1000
+})]));
+
+/**
+ * Providers switched on for this server (STREAM_PROVIDERS), in priority order
+ */
+function getProviders() {
+  const names = appConfig.streams.providers;
+  return names ? PROVIDERS.filter(provider => names.includes(provider.name)) : PROVIDERS;
+}
+
+function getTimeout(provider) {
+  return appConfig.streams.timeouts[provider.name] || DEFAULT_TIMEOUT;
+}
+
+/**
+ * Reject if a promise hasn't settled in time
+ */
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * search -> resolveEpisode -> getStreams for one provider
+ */
+async function lookup(provider, request) {
+  const match = await provider.search(request);
+  if (!match) return [];
+
+  const target = await provider.resolveEpisode(match, request);
+  if (!target) return [];
+
+  return (await provider.getStreams(match, target, request)) || [];
+}
+
+/**
+ * Run one provider behind its circuit breaker and time limit
+ * Never rejects - a skipped or failed provider contributes no streams.
+ */
+async function runProvider(provider, request, priority) {
+  const breaker = breakers.get(provider.name);
+  if (!breaker.allowRequest()) {
+    logger.debug(`[PROVIDERS] ${provider.name} skipped (circuit open)`);
+    return [];
+  }
+
+  const start = Date.now();
+  try {
+    const candidates = await withTimeout(lookup(provider, request), getTimeout(provider), provider.name);
+    breaker.recordSuccess();
+    logger.debug(`[PROVIDERS] ${provider.name}: ${candidates.length} streams in ${Date.now() - start}ms`);
+    return candidates.map(candidate => ({ ...candidate, provider: provider.name, priority }));
+  } catch (error) {
+    breaker.recordFailure(error);
+    const { state } = breaker.getState();
+    logger.warn(`[PROVIDERS] ${provider.name} failed after ${Date.now() - start}ms: ${error.message}${state === 'open' ? ' (circuit open)' : ''}`);
+    return [];
+  }
+}
+
+/**
+ * Streams for an episode from every enabled provider, ranked
+ * @param {Object} request - { anime, imdbId, type, episode, season, seasonEpisode, config, baseUrl }
+ * @returns {Promise<Array>} Stremio stream objects
+ */
+async function getStreams(request) {
+  const providers = getProviders();
+  const results = await Promise.all(providers.map((provider, priority) =>
+    provider.isEnabled(request) ? runProvider(provider, request, priority) : []
+  ));
+  return rankStreams(results.flat(), request.config);
+}
+
+/**
+ * Per-provider health: circuit state, counters and time limit
+ * @returns {Array} [{ name, active, timeout, state, consecutiveFailures, retryAt, ... }]
+ */
+function getProviderHealth() {
+  const active = getProviders();
+  return PROVIDERS.map(provider => ({
+    name: provider.name,
+    active: active.includes(provider),
+    timeout: getTimeout(provider),
+    ...breakers.get(provider.name).getState()
+  }));
+}
+
+module.exports = {
+  getProviders,
+  getStreams,
+  getProviderHealth
+};
@@ -0,0 +1,34 @@
+/**
+ * Nyaa Provider
+ *
+ * Torrents from Nyaa.si, served as plain torrent streams when no debrid is configured.
+ * Nyaa has no title lookup - searches are per episode - so search() only picks the
+ * titles to query: the catalog name, then id-mappings synonyms if it finds nothing.
+ */
+
+const { scrapeNyaa, scrapeNyaaWithSynonyms } = require('../services/torrents');
+const { getTorrentTarget, toMagnetCandidate, wantsTorrents, hasDebrid } = require('./torrentStreams');
+
+module.exports = {
+  name: 'nyaa',
+
+  isEnabled({ config }) {
+    return wantsTorrents(config) && !hasDebrid(config);
+  },
+
+  search({ anime }) {
+    return anime.name ? { name: anime.name, synonyms: anime.synonyms || [] } : null;
+  },
+
+  resolveEpisode(match, request) {
+    return getTorrentTarget(request);
+  },
+
+  async getStreams({ name, synonyms }, { episode, season, isMovie }, request) {
+    let torrents = await scrapeNyaa(name, episode, season, isMovie);
+    if (torrents.length === 0 && synonyms.length > 0) {
+      torrents = await scrapeNyaaWithSynonyms(synonyms, episode, season, isMovie);
+    }
+    return torrents.map(torrent => toMagnetCandidate(torrent, request));
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * Stream Ranking
+ *
+ * One order for the merged streams of every provider. Providers return candidates:
+ *   { kind: 'direct' | 'torrent', quality, audio, seeders, instant, infoHash, stream }
+ * where `stream` is the Stremio stream object and the rest are ranking fields.
+ *
+ * Order:
+ * 1. Instantly playable first - direct HTTPS and debrid-cached torrents
+ * 2. Preferred audio - RAW with raw=1, then the a_* torrent preferences in their order
+ * 3. Quality, best first - the q_* torrent preferences in their order, then the rest
+ * 4. Seeders
+ * 5. Provider priority (the order of PROVIDERS in ./index.js)
+ *
+ * Torrent preferences (tp=) also narrow the torrents: q_* / a_* keep only the listed
+ * qualities / audio types, n_* caps torrents per quality. A torrent several providers
+ * found is kept once.
+ */
+
+const { MAX_TORRENT_STREAMS } = require('./torrentStreams');
+
+const QUALITY_ORDER = ['4K', '1080p', '720p', '480p', 'Unknown'];
+
+// Torrent preference keys (configure page "Torrent Preferences")
+const QUALITY_PREFS = { q_4k: '4K', q_1080: '1080p', q_720: '720p', q_480: '480p' };
+const AUDIO_PREFS = { a_raw: 'RAW', a_sub: 'SUB', a_dub: 'DUB', a_dual: 'DUAL' };
+
+/**
+ * Quality bucket of a candidate (AllAnime reports HD/360p, torrents 4K..480p/Unknown)
+ */
+function getQualityBucket(quality) {
+  if (quality === 'HD') return '720p';
+  if (quality === '360p') return '480p';
+  return QUALITY_ORDER.includes(quality) ? quality : 'Unknown';
+}
+
+/**
+ * Ranking preferences from the user config
+ * @returns {Object} { qualities, audios, audioOrder, perQuality } (empty lists = no preference)
+ */
+function getRankingPrefs(config = {}) {
+  const prefs = config.torrentPrefs || [];
+  const qualities = prefs.map(pref => QUALITY_PREFS[pref]).filter(Boolean);
+  const audios = prefs.map(pref => AUDIO_PREFS[pref]).filter(Boolean);
+  const perQuality = prefs.map(pref => parseInt(/^n_(\d+)$/.exec(pref)?.[1], 10)).find(n => n > 0) || null;
+
+  // raw=1 puts RAW first, ahead of any other audio preference
+  const audioOrder = config.preferRaw ? ['RAW', ...audios.filter(audio => audio !== 'RAW')] : audios;
+  return { qualities, audios, audioOrder, perQuality };
+}
+
+/**
+ * Position in a preference list - unlisted values after the listed ones
+ */
+function rankIn(list, value) {
+  const index = list.indexOf(value);
+  return index === -1 ? list.length : index;
+}
+
+/**
+ * Rank the merged candidates of all providers
+ * @param {Array} candidates - Provider candidates, each with `priority` (provider order)
+ * @param {Object} config - Parsed user config (preferRaw, torrentPrefs)
+ * @returns {Array} Stremio stream objects
+ */
+function rankStreams(candidates, config = {}) {
+  const { qualities, audios, audioOrder, perQuality } = getRankingPrefs(config);
+  const qualityOrder = [...qualities, ...QUALITY_ORDER.filter(quality => !qualities.includes(quality))];
+
+  const seenHashes = new Set();
+  const eligible = candidates.filter(candidate => {
+    if (candidate.kind !== 'torrent') return true;
+    if (candidate.infoHash) {
+      if (seenHashes.has(candidate.infoHash)) return false;
+      seenHashes.add(candidate.infoHash);
+    }
+    if (qualities.length > 0 && !qualities.includes(getQualityBucket(candidate.quality))) return false;
+    if (audios.length > 0 && !audios.includes(candidate.audio)) return false;
+    return true;
+  });
+
+  const ranked = eligible.sort((a, b) =>
+    (Number(b.instant) - Number(a.instant)) ||
+    (rankIn(audioOrder, a.audio) - rankIn(audioOrder, b.audio)) ||
+    (rankIn(qualityOrder, getQualityBucket(a.quality)) - rankIn(qualityOrder, getQualityBucket(b.quality))) ||
+    ((b.seeders || 0) - (a.seeders || 0)) ||
+    (a.priority - b.priority)
+  );
+
+  // Cap torrents per quality (n_*) and in total
+  const perQualityCount = new Map();
+  let torrentCount = 0;
+  const selected = ranked.filter(candidate => {
+    if (candidate.kind !== 'torrent') return true;
+    const bucket = getQualityBucket(candidate.quality);
+    const count = perQualityCount.get(bucket) || 0;
+    if ((perQuality && count >= perQuality) || torrentCount >= MAX_TORRENT_STREAMS) return false;
+    perQualityCount.set(bucket, count + 1);
+    torrentCount++;
+    return true;
+  });
+
+  return selected.map(candidate => candidate.stream);
+}
+
+module.exports = {
+  getRankingPrefs,
+  rankStreams
+};
@@ -0,0 +1,140 @@
+/**
+ * Torrent Streams
+ *
+ * Shared by the torrent providers (Nyaa, AnimeTosho, debrid): the episode a torrent
+ * search is for, and torrents from src/services/torrents.js as stream candidates -
+ * plain infoHash streams for Stremio's built-in client, or /debrid/play links.
+ */
+
+const { getAudioType } = require('../services/torrents');
+const { DEBRID_PROVIDERS } = require('../services/debrid');
+
+// Public trackers attached to magnet streams when no debrid is configured
+const MAGNET_SOURCES = [
+  'tracker:udp://tracker.opentrackr.org:1337/announce',
+  'tracker:udp://open.stealth.si:80/announce',
+  'tracker:udp://tracker.torrent.eu.org:451/announce',
+  'tracker:udp://tracker.bittor.pw:1337/announce',
+  'tracker:udp://public.popcorn-tracker.org:6969/announce',
+  'tracker:udp://tracker.dler.org:6969/announce',
+  'tracker:udp://exodus.desync.com:6969/announce'
+];
+
+// Max torrent streams returned (and cache-checked) per request
+const MAX_TORRENT_STREAMS = 15;
+
+/**
+ * What a torrent search looks for - movies skip episode filtering
+ * Torrent releases mostly use absolute episode numbers; the season helps match S01E05-style names.
+ * @returns {Object} { episode, season, isMovie }
+ */
+function getTorrentTarget(request) {
+  const isMovie = request.type === 'movie';
+  return {
+    episode: isMovie ? null : request.episode,
+    season: request.season || 1,
+    isMovie
+  };
+}
+
+/**
+ * Title like Torrentio: "AnimeName - 1080p HEVC [DUB]\n👤 32 💾 542.13 MB 🔊 DUB"
+ */
+function formatTorrentTitle(torrent, animeName) {
+  const qualityLabel = torrent.quality !== 'Unknown' ? torrent.quality : '';
+  const codecTag = /hevc|x265|h\.?265/i.test(torrent.title) ? ' HEVC' :
+                   /x264|h\.?264/i.test(torrent.title) ? ' x264' : '';
+  const audioType = getAudioType(torrent.title, torrent.isRaw);
+  const audioTag = audioType !== 'SUB' ? ` [${audioType}]` : ''; // Only show non-default
+
+  const metaLine = [
+    torrent.seeders > 0 ? `👤 ${torrent.seeders}` : '',
+    torrent.size ? `💾 ${torrent.size}` : '',
+    `🔊 ${audioType}`
+  ].filter(Boolean).join(' ');
+  const titleLine = `${animeName} - ${qualityLabel}${codecTag}${audioTag}`.trim().replace(/- $/, '').trim();
+  return metaLine ? `${titleLine}\n${metaLine}` : titleLine;
+}
+
+/**
+ * Ranking fields shared by every torrent candidate
+ */
+function describeTorrent(torrent) {
+  return {
+    kind: 'torrent',
+    quality: torrent.quality || 'Unknown',
+    audio: getAudioType(torrent.title, torrent.isRaw),
+    seeders: torrent.seeders || 0,
+    infoHash: torrent.infoHash?.toLowerCase() || null
+  };
+}
+
+/**
+ * Candidate for a torrent played by Stremio's built-in client
+ */
+function toMagnetCandidate(torrent, request) {
+  return {
+    ...describeTorrent(torrent),
+    instant: false,
+    stream: {
+      name: '🧲 AnimeStream',
+      title: formatTorrentTitle(torrent, request.anime.name || 'Unknown'),
+      infoHash: torrent.infoHash,
+      sources: MAGNET_SOURCES,
+      behaviorHints: { bingeGroup: `torrent-${request.imdbId}-${request.season || 1}` }
+    }
+  };
+}
+
+/**
+ * Candidate for a torrent resolved by the user's debrid provider when played
+ * @param {boolean|null} cached - Debrid cache status (null = unknown)
+ */
+function toDebridCandidate(torrent, request, cached) {
+  const { config } = request;
+  const animeName = request.anime.name || 'Unknown';
+  const providerShort = DEBRID_PROVIDERS[config.debridProvider]?.shortName || 'DB';
+  // ⚡ = cached (instant), ⏳ = not cached (will download), ❓ = unknown/error
+  const cacheEmoji = cached === true ? '⚡' : cached === false ? '⏳' : '❓';
+
+  const params = new URLSearchParams({
+    ih: torrent.infoHash,
+    p: config.debridProvider,
+    key: config.debridApiKey,
+    ep: String(request.episode),
+    s: String(request.season || 1),
+    an: animeName
+  });
+
+  return {
+    ...describeTorrent(torrent),
+    instant: cached === true,
+    stream: {
+      name: `${cacheEmoji} AnimeStream (${providerShort})`,
+      title: formatTorrentTitle(torrent, animeName),
+      url: `${request.baseUrl}/debrid/play?${params.toString()}`,
+      behaviorHints: { bingeGroup: `torrent-${request.imdbId}-${request.season || 1}` }
+    }
+  };
+}
+
+/**
+ * Whether the user's config asks for torrent streams, and through debrid
+ */
+function wantsTorrents(config) {
+  const streamMode = config.streamMode || 'both';
+  return streamMode === 'torrents' || streamMode === 'both';
+}
+
+function hasDebrid(config) {
+  return Boolean(config.debridProvider && config.debridApiKey);
+}
+
+module.exports = {
+  MAX_TORRENT_STREAMS,
+  getTorrentTarget,
+  toMagnetCandidate,
+  toDebridCandidate,
+  wantsTorrents,
+  hasDebrid
+};
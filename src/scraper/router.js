@@ -0,0 +1,66 @@
+/**
+ * AllAnime Scraper (in-process)
+ *
+ * Serves the AllAnime scraper (scrapers/allanime/allanime.js) from the addon itself,
+ * mounted at /scraper with the same API as the Cloudflare Worker deployment:
+ *
+ * - GET /scraper/?action=streams&showId=ABC123&episode=1[&extract=1]
+ * - GET /scraper/?action=search&query=naruto
+ * - GET /scraper/?action=info&showId=ABC123
+ * - GET /scraper/health
+ *
+ * The AllAnime provider calls scrape() directly unless SCRAPER_URL points it at a
+ * separate deployment, so a self-hosted install needs no third-party scraper.
+ */
+
+const express = require('express');
+const cache = require('../utils/cache');
+const logger = require('../utils/logger').child('allanime');
+const { handleScraperRequest, getHealth, setLogger } = require('../../scrapers/allanime/allanime');
+
+// Scraper log lines go through the addon's logger (LOG_FORMAT, LOG_LEVEL, request IDs)
+setLogger(logger);
+
+// Episode streams, namespace TTL in config.cache.namespaces
+const streamCache = cache.namespace('scraper');
+
+const scraperCache = {
+  async get(key) {
+    return (await streamCache.get(key)) ?? null;
+  },
+  set(key, value) {
+    return streamCache.set(key, value);
+  }
+};
+
+/**
+ * Answer a scraper API request in-process
+ * @param {Object} params - Query parameters (action, showId, episode, extract, query, limit)
+ * @returns {Promise<Object>} { status, body }
+ */
+function scrape(params) {
+  return handleScraperRequest(params, { cache: scraperCache });
+}
+
+/**
+ * Create the /scraper router
+ */
+function createScraperRouter() {
+  const router = express.Router();
+
+  router.get('/health', (req, res) => {
+    res.json(getHealth());
+  });
+
+  router.get('/', async (req, res) => {
+    const { status, body } = await scrape(req.query);
+    res.status(status).json(body);
+  });
+
+  return router;
+}
+
+module.exports = {
+  scrape,
+  createScraperRouter
+};
@@ -8,11 +8,19 @@
 const express = require('express');
 const path = require('path');
 const config = require('./config/env');
-const logger = require('./utils/logger');
+const logger = require('./utils/logger').child('server');
 const databaseLoader = require('./utils/databaseLoader');
+const cache = require('./utils/cache');
+const metrics = require('./utils/metrics');
+const { createRequestId, runWithRequestId } = require('./utils/requestContext');
+const { parseConfig, redactSecrets } = require('./config/userConfig');
+const { buildMagnetWithTrackers } = require('./services/torrents');
+const { resolveDebrid } = require('./services/debrid');
+const { createAdminRouter } = require('./admin/router');
+const { createScraperRouter } = require('./scraper/router');
 
 // Import handlers
-const { catalogHandler, metaHandler, streamHandler, getManifest } = require('./addon');
+const { catalogHandler, catalogQuery, metaHandler, streamHandler, subtitlesHandler, calendarHandler, getManifest } = require('./addon');
 
 /**
  * Initialize the database on startup
@@ -40,6 +48,7 @@ app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id');
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -47,13 +56,24 @@ app.use((req, res, next) => {
   next();
 });
 
-// === Request Logging ===
+// === Request ID ===
+// Reuses a proxy's X-Request-Id when present; every log line and scraper call made
+// while handling the request carries it (utils/requestContext)
 app.use((req, res, next) => {
-  const start = Date.now();
+  req.id = createRequestId(req.get('x-request-id'));
+  res.setHeader('X-Request-Id', req.id);
+  runWithRequestId(req.id, next);
+});
+
+// === Request Logging + Metrics ===
+app.use((req, res, next) => {
+  const start = process.hrtime.bigint();
   res.on('finish', () => {
-    const duration = Date.now() - start;
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    metrics.observeRequest(req.path, res.statusCode, seconds);
     if (!req.url.includes('/health')) {
-      logger.debug(`${req.method} ${req.url} - ${res.statusCode} (${duration}ms)`);
+      // The config segment and /debrid/play carry API keys
+      logger.debug(`${req.method} ${redactSecrets(req.url)} - ${res.statusCode} (${Math.round(seconds * 1000)}ms)`);
     }
   });
   next();
@@ -94,6 +114,24 @@ app.get('/api/stats', (req, res) => {
   });
 });
 
+// === API: Catalog query ===
+// GET /api/catalog/anime-top-rated?genre=Action&year=2019&studio=MAPPA&sort=newest&skip=0&limit=20
+// Same filters as the catalog extras, plus the total and filter counts for the selection;
+// pass the returned nextCursor as ?cursor= for the next page of the same DB version
+app.get('/api/catalog/:id', async (req, res) => {
+  try {
+    const extra = parseCatalogExtra(req);
+    const result = await catalogQuery({ id: req.params.id, extra, config: parseConfig(req.query.config), requestId: req.id });
+    if (!result) {
+      return res.status(404).json({ error: `Unknown catalog or missing search: ${req.params.id}` });
+    }
+    res.json(result);
+  } catch (error) {
+    logger.error('Catalog query error:', error);
+    res.status(500).json({ error: 'Catalog query failed' });
+  }
+});
+
 // === Health Check ===
 app.get('/health', (req, res) => {
   const stats = databaseLoader.getStats();
@@ -105,32 +143,22 @@ app.get('/health', (req, res) => {
   });
 });
 
-// === Parse config from path ===
-function parseConfigFromPath(configStr) {
-  const config = {
-    showCounts: true,
-    excludeLongRunning: false
-  };
-  
-  if (!configStr) return config;
-  
-  configStr.split('&').forEach(part => {
-    const [key, value] = part.split('=');
-    if (key === 'showCounts') {
-      config.showCounts = value !== '0';
-    }
-    if (key === 'excludeLongRunning') {
-      config.excludeLongRunning = value === '1';
-    }
-  });
-  
-  return config;
+// === Prometheus Metrics ===
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metrics.CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// === Public base URL (for links back to this server, e.g. debrid play) ===
+function getBaseUrl(req) {
+  const protocol = req.get('x-forwarded-proto') || req.protocol;
+  return `${protocol}://${req.get('host')}`;
 }
 
 // === Config-based Manifest Route ===
 app.get('/:config/manifest.json', async (req, res) => {
   try {
-    const userConfig = parseConfigFromPath(req.params.config);
+    const userConfig = parseConfig(req.params.config);
     const manifest = await getManifest(userConfig);
     res.json(manifest);
   } catch (error) {
@@ -150,30 +178,47 @@ app.get('/manifest.json', async (req, res) => {
   }
 });
 
+/**
+ * Catalog extras from the path segment (skip=100&genre=Action&year=2019) and the query string
+ * Query params win, so /catalog/anime/anime-top-rated.json?studio=MAPPA works too.
+ */
+function parseCatalogExtra(req) {
+  const extra = {};
+  const extraParam = req.params.extra || '';
+  
+  if (extraParam) {
+    const parts = extraParam.split('&');
+    for (const part of parts) {
+      const [key, value] = part.split('=');
+      if (key && value) {
+        extra[key] = decodeURIComponent(value);
+      }
+    }
+  }
+  
+  for (const [key, value] of Object.entries(req.query)) {
+    if (typeof value === 'string' && value) extra[key] = value;
+  }
+  
+  return extra;
+}
+
+/**
+ * Client key for catalog pagination sessions (later pages stay on the DB version of
+ * the first one across reloads)
+ */
+function getClientKey(req) {
+  return `${req.ip}|${req.get('user-agent') || ''}`;
+}
+
 // === Config-based Catalog Route ===
 app.get('/:config/catalog/:type/:id/:extra?.json', async (req, res) => {
   try {
     const { type, id, config: configStr } = req.params;
-    const userConfig = parseConfigFromPath(configStr);
-    const extraParam = req.params.extra || '';
-    
-    // Parse extra parameters (skip=100&genre=Action)
-    const extra = {};
-    if (extraParam) {
-      const parts = extraParam.split('&');
-      for (const part of parts) {
-        const [key, value] = part.split('=');
-        if (key && value) {
-          extra[key] = decodeURIComponent(value);
-        }
-      }
-    }
-    
-    // Also check query params
-    if (req.query.skip) extra.skip = req.query.skip;
-    if (req.query.genre) extra.genre = req.query.genre;
+    const userConfig = parseConfig(configStr);
+    const extra = parseCatalogExtra(req);
     
-    const result = await catalogHandler({ type, id, extra, config: userConfig });
+    const result = await catalogHandler({ type, id, extra, config: userConfig, client: getClientKey(req), requestId: req.id });
     res.json(result);
   } catch (error) {
     logger.error('Catalog error:', error);
@@ -186,25 +231,9 @@ app.get('/:config/catalog/:type/:id/:extra?.json', async (req, res) => {
 app.get('/catalog/:type/:id/:extra?.json', async (req, res) => {
   try {
     const { type, id } = req.params;
-    const extraParam = req.params.extra || '';
+    const extra = parseCatalogExtra(req);
     
-    // Parse extra parameters (skip=100&genre=Action)
-    const extra = {};
-    if (extraParam) {
-      const parts = extraParam.split('&');
-      for (const part of parts) {
-        const [key, value] = part.split('=');
-        if (key && value) {
-          extra[key] = decodeURIComponent(value);
-        }
-      }
-    }
-    
-    // Also check query params
-    if (req.query.skip) extra.skip = req.query.skip;
-    if (req.query.genre) extra.genre = req.query.genre;
-    
-    const result = await catalogHandler({ type, id, extra });
+    const result = await catalogHandler({ type, id, extra, client: getClientKey(req), requestId: req.id });
     res.json(result);
   } catch (error) {
     logger.error('Catalog error:', error);
@@ -215,8 +244,10 @@ app.get('/catalog/:type/:id/:extra?.json', async (req, res) => {
 // === Config-based Meta Route ===
 app.get('/:config/meta/:type/:id.json', async (req, res) => {
   try {
-    const { type, id } = req.params;
-    const result = await metaHandler({ type, id });
+    const { type, id, config: configStr } = req.params;
+    // Franchise links open a catalog of this same (configured) addon
+    const manifestUrl = `${getBaseUrl(req)}/${configStr}/manifest.json`;
+    const result = await metaHandler({ type, id, manifestUrl, config: parseConfig(configStr), requestId: req.id });
     res.json(result);
   } catch (error) {
     logger.error('Meta error:', error);
@@ -229,7 +260,7 @@ app.get('/:config/meta/:type/:id.json', async (req, res) => {
 app.get('/meta/:type/:id.json', async (req, res) => {
   try {
     const { type, id } = req.params;
-    const result = await metaHandler({ type, id });
+    const result = await metaHandler({ type, id, manifestUrl: `${getBaseUrl(req)}/manifest.json`, config: parseConfig(), requestId: req.id });
     res.json(result);
   } catch (error) {
     logger.error('Meta error:', error);
@@ -241,7 +272,8 @@ app.get('/meta/:type/:id.json', async (req, res) => {
 app.get('/:config/stream/:type/:id.json', async (req, res) => {
   try {
     const { type, id } = req.params;
-    const result = await streamHandler({ type, id });
+    const userConfig = parseConfig(req.params.config);
+    const result = await streamHandler({ type, id, config: userConfig, baseUrl: getBaseUrl(req), requestId: req.id });
     res.json(result);
   } catch (error) {
     logger.error('Stream error:', error);
@@ -254,7 +286,7 @@ app.get('/:config/stream/:type/:id.json', async (req, res) => {
 app.get('/stream/:type/:id.json', async (req, res) => {
   try {
     const { type, id } = req.params;
-    const result = await streamHandler({ type, id });
+    const result = await streamHandler({ type, id, config: parseConfig(), baseUrl: getBaseUrl(req), requestId: req.id });
     res.json(result);
   } catch (error) {
     logger.error('Stream error:', error);
@@ -262,38 +294,114 @@ app.get('/stream/:type/:id.json', async (req, res) => {
   }
 });
 
-// === Admin: Reload Database ===
-app.get('/admin/reload', async (req, res) => {
+// === Config-based Subtitles Route ===
+// Pattern: /:config/subtitles/:type/:id/:extra?.json (extra = videoHash/filename from the player)
+app.get('/:config/subtitles/:type/:id/:extra?.json', async (req, res) => {
   try {
-    logger.info('[ADMIN] Reloading database...');
-    await databaseLoader.loadDatabase(true);
-    const stats = databaseLoader.getStats();
-    res.json({
-      success: true,
-      message: 'Database reloaded',
-      stats
-    });
+    const { type, id } = req.params;
+    const userConfig = parseConfig(req.params.config);
+    const result = await subtitlesHandler({ type, id, config: userConfig, requestId: req.id });
+    res.json(result);
   } catch (error) {
-    logger.error('Reload error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    logger.error('Subtitles error:', error);
+    res.json({ subtitles: [] });
   }
 });
 
-// === Admin: Database Stats ===
-app.get('/admin/stats', (req, res) => {
-  const stats = databaseLoader.getStats();
-  const filterOptions = databaseLoader.loadFilterOptions();
+// === Subtitles Route ===
+app.get('/subtitles/:type/:id/:extra?.json', async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const result = await subtitlesHandler({ type, id, config: parseConfig(), requestId: req.id });
+    res.json(result);
+  } catch (error) {
+    logger.error('Subtitles error:', error);
+    res.json({ subtitles: [] });
+  }
+});
+
+// === Airing Calendar (iCal) ===
+// Subscribable in calendar apps; /:config/calendar.ics follows the user's AniList "Watching" list (alu=)
+async function sendCalendar(req, res, userConfig) {
+  try {
+    const body = await calendarHandler({ config: userConfig, requestId: req.id });
+    if (body === null) {
+      return res.status(404).json({ error: 'No airing schedule' });
+    }
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="animestream.ics"');
+    res.send(body);
+  } catch (error) {
+    logger.error('Calendar error:', error);
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+}
+
+app.get('/:config/calendar.ics', (req, res) => sendCalendar(req, res, parseConfig(req.params.config)));
+
+app.get('/calendar.ics', (req, res) => sendCalendar(req, res, parseConfig()));
+
+// === Debrid Play (click-time resolution) ===
+// Resolves a torrent to a direct HTTPS stream via the user's debrid provider and redirects to it
+app.get('/debrid/play', async (req, res) => {
+  const { ih: infoHash, p: provider, key: apiKey } = req.query;
+  const fileIndex = parseInt(req.query.idx || '0');
+  const episode = req.query.ep ? parseInt(req.query.ep) : null;
+  const season = req.query.s ? parseInt(req.query.s) : 1;
+  const expectedAnimeName = req.query.an || '';
   
-  res.json({
-    database: stats,
-    filters: {
-      genres: filterOptions?.genres?.values?.length || 0,
-      seasons: filterOptions?.seasons?.values?.length || 0,
-      studios: filterOptions?.studios?.values?.length || 0
+  if (!infoHash || !provider || !apiKey) {
+    return res.status(400).json({
+      error: 'Missing parameters',
+      required: ['ih (infoHash)', 'p (provider)', 'key (apiKey)']
+    });
+  }
+  
+  logger.info(`[DEBRID] Resolving ${infoHash} via ${provider}${episode ? ` for S${season}E${episode}` : ''}`);
+  
+  try {
+    const magnet = buildMagnetWithTrackers(infoHash);
+    const result = await resolveDebrid(magnet, infoHash, provider, apiKey, fileIndex, episode, season, expectedAnimeName);
+    
+    // Torrent not cached - debrid service started downloading it
+    if (result && typeof result === 'object' && result.status === 'downloading') {
+      return res.status(503).json({
+        error: 'Torrent not cached',
+        message: result.message || 'This torrent is not cached on the debrid service. Choose a ⚡ cached torrent for instant playback.',
+        hint: 'Look for streams marked with ⚡ (instant) instead of ⏳ (download)'
+      });
     }
-  });
+    
+    // Torrent contains different content than expected
+    if (result && typeof result === 'object' && result.status === 'mislabeled') {
+      return res.status(409).json({
+        error: 'Mislabeled torrent',
+        message: result.message || 'This torrent appears to contain different content than expected.',
+        hint: 'Try a different torrent source - this one may have been mislabeled by the uploader.',
+        filename: result.filename
+      });
+    }
+    
+    if (!result || typeof result !== 'string') {
+      return res.status(500).json({
+        error: 'Failed to resolve torrent',
+        message: 'Torrent may not be cached on debrid service. Try a ⚡ cached torrent.'
+      });
+    }
+    
+    res.redirect(302, result);
+  } catch (error) {
+    logger.error('Debrid play error:', error);
+    res.status(500).json({ error: 'Debrid resolution failed', message: error.message });
+  }
 });
 
+// === Admin API (token-protected, see src/admin/router.js) ===
+app.use('/admin', createAdminRouter());
+
+// === AllAnime Scraper (in-process, see src/scraper/router.js) ===
+app.use('/scraper', createScraperRouter());
+
 // === 404 Handler ===
 app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
@@ -310,6 +418,11 @@ async function startServer() {
   // Initialize database first
   await initializeDatabase();
   
+  // Hot-reload the catalog when data/ changes (DB_WATCH=1)
+  if (config.database.watch) {
+    databaseLoader.watchDataFiles();
+  }
+  
   // Start listening
   app.listen(config.server.port, () => {
     logger.info('============================================================');
@@ -318,6 +431,9 @@ async function startServer() {
     logger.info(`[SERVER] Running at http://localhost:${config.server.port}`);
     logger.info(`[MANIFEST] http://localhost:${config.server.port}/manifest.json`);
     logger.info(`[HEALTH] http://localhost:${config.server.port}/health`);
+    if (!config.admin.token) {
+      logger.info('[ADMIN] Admin API disabled (set ADMIN_TOKEN to enable)');
+    }
     logger.info('============================================================');
     
     // Log database status
@@ -333,12 +449,12 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down...');
-  process.exit(0);
+  cache.close().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down...');
-  process.exit(0);
+  cache.close().finally(() => process.exit(0));
 });
 
 // Start
@@ -0,0 +1,86 @@
+/**
+ * AniList Service
+ *
+ * Reads a user's public AniList anime list (no OAuth needed for public profiles).
+ * Completed titles seed the "Recommended for You" catalog; titles being watched make
+ * up the user's /calendar.ics.
+ */
+
+const logger = require('../utils/logger').child('anilist');
+const cache = require('../utils/cache');
+const { trackUpstream } = require('../utils/metrics');
+
+const ANILIST_API = 'https://graphql.anilist.co';
+
+// Timeout for AniList requests
+const UPSTREAM_TIMEOUT = 10000;
+
+const listCache = cache.namespace('anilist');
+
+const LIST_QUERY = `
+  query ($userName: String, $status: MediaListStatus) {
+    MediaListCollection(userName: $userName, type: ANIME, status: $status, sort: UPDATED_TIME_DESC) {
+      lists {
+        entries { mediaId score(format: POINT_10_DECIMAL) updatedAt }
+      }
+    }
+  }
+`;
+
+/**
+ * Fetch one of a user's anime lists, most recently updated first
+ * @param {string} userName - AniList username
+ * @param {string} status - AniList list status (COMPLETED, CURRENT, ...)
+ * @returns {Promise<Array>} [{ anilistId, score, updatedAt }] (empty if private/unknown/unreachable)
+ */
+async function fetchList(userName, status) {
+  if (!userName) return [];
+
+  const cached = await listCache.wrap(`${status.toLowerCase()}:${userName.toLowerCase()}`, async () => {
+    try {
+      const response = await trackUpstream('anilist', () => fetch(ANILIST_API, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({ query: LIST_QUERY, variables: { userName, status } }),
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+      }));
+
+      if (!response.ok) {
+        logger.debug(`[ANILIST] ${status} list for ${userName} returned HTTP ${response.status}`);
+        return null;
+      }
+
+      const data = await response.json();
+      const entries = (data?.data?.MediaListCollection?.lists || []).flatMap(list => list.entries || []);
+      return {
+        entries: entries
+          .map(entry => ({ anilistId: entry.mediaId, score: entry.score || 0, updatedAt: entry.updatedAt || 0 }))
+          .sort((a, b) => b.updatedAt - a.updatedAt)
+      };
+    } catch (error) {
+      logger.debug(`[ANILIST] Failed to fetch list for ${userName}: ${error.message}`);
+      return null;
+    }
+  });
+
+  return cached?.entries || [];
+}
+
+/**
+ * A user's completed anime (seeds for "Recommended for You")
+ */
+function fetchCompletedList(userName) {
+  return fetchList(userName, 'COMPLETED');
+}
+
+/**
+ * Anime the user is currently watching (their airing calendar)
+ */
+function fetchWatchingList(userName) {
+  return fetchList(userName, 'CURRENT');
+}
+
+module.exports = {
+  fetchCompletedList,
+  fetchWatchingList
+};
@@ -0,0 +1,54 @@
+/**
+ * Cinemeta Service
+ *
+ * Fetches metadata from Stremio's Cinemeta addon for IMDB IDs.
+ * Used by the meta handler to enrich episode lists with proper season
+ * structure, episode titles, release dates and thumbnails.
+ */
+
+const logger = require('../utils/logger').child('cinemeta');
+const cache = require('../utils/cache');
+const { buildBrowserHeaders } = require('../utils/http');
+const { trackUpstream } = require('../utils/metrics');
+
+const CINEMETA_BASE = 'https://v3-cinemeta.strem.io';
+
+// Timeout for Cinemeta requests
+const UPSTREAM_TIMEOUT = 10000;
+
+const cinemetaCache = cache.namespace('cinemeta');
+
+/**
+ * Fetch metadata from Cinemeta
+ * @param {string} imdbId - IMDB ID (tt...)
+ * @param {string} type - 'series' or 'movie'
+ * @returns {Object|null} Cinemeta meta object (with videos) or null
+ */
+async function fetchCinemetaMeta(imdbId, type = 'series') {
+  if (!imdbId || !imdbId.startsWith('tt')) return null;
+
+  const cinemetaType = type === 'movie' ? 'movie' : 'series';
+
+  return cinemetaCache.wrap(`${cinemetaType}:${imdbId}`, async () => {
+    try {
+      const response = await trackUpstream('cinemeta', () => fetch(`${CINEMETA_BASE}/meta/${cinemetaType}/${imdbId}.json`, {
+        headers: buildBrowserHeaders(),
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+      }));
+
+      if (!response.ok) return null;
+
+      const data = await response.json();
+      if (!data?.meta?.name) return null;
+
+      return data.meta;
+    } catch (error) {
+      logger.debug(`[CINEMETA] Failed to fetch ${cinemetaType}/${imdbId}: ${error.message}`);
+      return null;
+    }
+  });
+}
+
+module.exports = {
+  fetchCinemetaMeta
+};
@@ -0,0 +1,942 @@
+/**
+ * Debrid Service
+ * 
+ * Cache checks and click-time magnet resolution for debrid providers
+ * (Real-Debrid, AllDebrid, TorBox, ...). Ported from the Cloudflare worker.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger').child('debrid');
+const cache = require('../utils/cache');
+const { extractEpisodeInfo } = require('./torrents');
+
+const DEBRID_PROVIDERS = {
+  realdebrid: {
+    key: 'realdebrid',
+    name: 'Real-Debrid',
+    shortName: 'RD',
+    apiBaseUrl: 'https://api.real-debrid.com/rest/1.0'
+  },
+  alldebrid: {
+    key: 'alldebrid',
+    name: 'AllDebrid',
+    shortName: 'AD',
+    apiBaseUrl: 'https://api.alldebrid.com/v4'
+  },
+  premiumize: {
+    key: 'premiumize',
+    name: 'Premiumize',
+    shortName: 'PM',
+    apiBaseUrl: 'https://www.premiumize.me/api'
+  },
+  torbox: {
+    key: 'torbox',
+    name: 'TorBox',
+    shortName: 'TB',
+    apiBaseUrl: 'https://api.torbox.app/v1/api'
+  },
+  debridlink: {
+    key: 'debridlink',
+    name: 'Debrid-Link',
+    shortName: 'DL',
+    apiBaseUrl: 'https://debrid-link.com/api/v2'
+  },
+  easydebrid: {
+    key: 'easydebrid',
+    name: 'EasyDebrid',
+    shortName: 'ED',
+    apiBaseUrl: 'https://easydebrid.com/api/v1'
+  },
+  offcloud: {
+    key: 'offcloud',
+    name: 'Offcloud',
+    shortName: 'OC',
+    apiBaseUrl: 'https://offcloud.com/api'
+  },
+  putio: {
+    key: 'putio',
+    name: 'Put.io',
+    shortName: 'PI',
+    apiBaseUrl: 'https://api.put.io/v2'
+  }
+};
+
+// Debrid resolution cache (namespace TTL in config.cache.namespaces)
+const debridCache = cache.namespace('debrid');
+
+/**
+ * Check if a torrent is cached on Real-Debrid
+ */
+async function checkRealDebridCache(infoHash, apiKey) {
+  try {
+    const response = await fetch(
+      `https://api.real-debrid.com/rest/1.0/torrents/instantAvailability/${infoHash}`,
+      { headers: { 'Authorization': `Bearer ${apiKey}` } }
+    );
+    
+    if (!response.ok) return null;
+    
+    const data = await response.json();
+    return data[infoHash.toLowerCase()]?.rd?.[0] || null;
+  } catch (error) {
+    logger.error(`[RD] Cache check error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Add magnet to Real-Debrid and get download link
+ */
+async function resolveRealDebrid(magnet, apiKey, fileIndex = 0, episode = null, season = 1, expectedAnimeName = '') {
+  try {
+    // Step 1: Add magnet
+    const addResponse = await fetch('https://api.real-debrid.com/rest/1.0/torrents/addMagnet', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: `magnet=${encodeURIComponent(magnet)}`
+    });
+    
+    if (!addResponse.ok) {
+      throw new Error(`Failed to add magnet: ${addResponse.status}`);
+    }
+    
+    const addData = await addResponse.json();
+    const torrentId = addData.id;
+    
+    // Step 2: Get torrent info
+    const infoResponse = await fetch(
+      `https://api.real-debrid.com/rest/1.0/torrents/info/${torrentId}`,
+      { headers: { 'Authorization': `Bearer ${apiKey}` } }
+    );
+    
+    if (!infoResponse.ok) {
+      throw new Error(`Failed to get torrent info: ${infoResponse.status}`);
+    }
+    
+    const infoData = await infoResponse.json();
+    
+    // Step 3: Select files (if needed)
+    if (infoData.status === 'waiting_files_selection') {
+      const files = infoData.files || [];
+      const videoFiles = files.filter(f => /\.(mkv|mp4|avi|webm|ts|m2ts)$/i.test(f.path));
+      
+      // Smart file selection for batch torrents using episode extraction
+      let selectedFile = null;
+      
+      if (episode && videoFiles.length > 1) {
+        logger.debug(`[RD Files] Looking for episode ${episode} in ${videoFiles.length} files...`);
+        
+        const candidates = [];
+        
+        for (const file of videoFiles) {
+          // Skip obvious non-episode files
+          if (/(NCOP|NCED|Preview|Special|SP[^a-z]|OVA|Menu|Trailer|PV|CM|Bonus)/i.test(file.path)) {
+            continue;
+          }
+          
+          // Extract episode info from filename (use path's filename part)
+          const filename = file.path.split('/').pop();
+          const info = extractEpisodeInfo(filename);
+          
+          if (info.episode === episode) {
+            // Check season if specified in filename
+            if (info.season !== null && info.season !== season) {
+              continue;
+            }
+            candidates.push({ file, info });
+            logger.debug(`[RD Files] Match: ${filename} (E${info.episode})`);
+          }
+        }
+        
+        // Select best candidate by file size
+        if (candidates.length > 0) {
+          candidates.sort((a, b) => b.file.bytes - a.file.bytes);
+          selectedFile = candidates[0].file;
+          logger.debug(`[RD Files] Selected: ${selectedFile.path}`);
+        }
+      }
+      
+      // Fallback to specified index or largest video file
+      if (!selectedFile) {
+        const sortedBySize = [...videoFiles].sort((a, b) => b.bytes - a.bytes);
+        selectedFile = videoFiles[fileIndex] || sortedBySize[0];
+      }
+      
+      if (!selectedFile) {
+        throw new Error('No video files found in torrent');
+      }
+      
+      await fetch(`https://api.real-debrid.com/rest/1.0/torrents/selectFiles/${torrentId}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: `files=${selectedFile.id}`
+      });
+      
+      // Wait for processing
+      await new Promise(r => setTimeout(r, 2000));
+    }
+    
+    // Step 4: Get updated info with links
+    const finalResponse = await fetch(
+      `https://api.real-debrid.com/rest/1.0/torrents/info/${torrentId}`,
+      { headers: { 'Authorization': `Bearer ${apiKey}` } }
+    );
+    
+    const finalData = await finalResponse.json();
+    
+    if (finalData.links && finalData.links.length > 0) {
+      // Step 5: Unrestrict the link
+      const unrestrictResponse = await fetch('https://api.real-debrid.com/rest/1.0/unrestrict/link', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: `link=${encodeURIComponent(finalData.links[0])}`
+      });
+      
+      const unrestrictData = await unrestrictResponse.json();
+      return unrestrictData.download || null;
+    }
+    
+    return null;
+  } catch (error) {
+    logger.error(`[RD] Resolve error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Check if torrents are cached on AllDebrid (batch check via magnet/upload)
+ * AllDebrid returns ready=true if torrent is already cached
+ * @param {string[]} infoHashes - Array of info hashes to check
+ * @param {string} apiKey - AllDebrid API key
+ * @returns {Promise<Map<string, boolean>>} - Map of infoHash -> cached status
+ */
+async function checkAllDebridCacheBatch(infoHashes, apiKey) {
+  const results = new Map();
+  
+  try {
+    // AllDebrid magnet/upload accepts multiple magnets and returns ready status
+    const magnetsParam = infoHashes.map(h => `magnets[]=${h}`).join('&');
+    const response = await fetch(
+      `https://api.alldebrid.com/v4/magnet/upload`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: magnetsParam
+      }
+    );
+    
+    if (!response.ok) {
+      logger.error(`[AD] Cache check failed: ${response.status}`);
+      infoHashes.forEach(h => results.set(h.toLowerCase(), null));
+      return results;
+    }
+    
+    const data = await response.json();
+    
+    // Check for API errors
+    if (data.status === 'error') {
+      logger.error(`[AD] API error: ${data.error?.code} - ${data.error?.message}`);
+      infoHashes.forEach(h => results.set(h.toLowerCase(), null));
+      return results;
+    }
+    
+    const magnets = data.data?.magnets || [];
+    logger.debug(`[AD] Cache check returned ${magnets.length} results`);
+    
+    // Process results and delete non-cached magnets to not clutter user's account
+    for (const magnet of magnets) {
+      const hash = magnet.hash?.toLowerCase();
+      if (hash) {
+        results.set(hash, magnet.ready === true);
+        
+        // If not cached (ready=false), delete the magnet to clean up
+        if (!magnet.ready && magnet.id) {
+          // Fire and forget - don't await
+          fetch(`https://api.alldebrid.com/v4/magnet/delete`, {
+            method: 'POST',
+            headers: {
+              'Authorization': `Bearer ${apiKey}`,
+              'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: `id=${magnet.id}`
+          }).catch(() => {});
+        }
+      }
+    }
+    
+    // Mark any missing hashes as unknown
+    infoHashes.forEach(h => {
+      if (!results.has(h.toLowerCase())) {
+        results.set(h.toLowerCase(), null);
+      }
+    });
+    
+    return results;
+  } catch (error) {
+    logger.error(`[AD] Cache check error: ${error.message}`);
+    infoHashes.forEach(h => results.set(h.toLowerCase(), null));
+    return results;
+  }
+}
+
+/**
+ * Check if torrents are cached on Real-Debrid (batch check)
+ * @param {string[]} infoHashes - Array of info hashes to check
+ * @param {string} apiKey - Real-Debrid API key
+ * @returns {Promise<Map<string, boolean>>} - Map of infoHash -> cached status
+ */
+async function checkRealDebridCacheBatch(infoHashes, apiKey) {
+  const results = new Map();
+  
+  try {
+    // Real-Debrid instant availability accepts multiple hashes separated by /
+    const hashesPath = infoHashes.join('/');
+    logger.debug(`[RD] Checking cache for ${infoHashes.length} hashes`);
+    
+    const response = await fetch(
+      `https://api.real-debrid.com/rest/1.0/torrents/instantAvailability/${hashesPath}`,
+      { headers: { 'Authorization': `Bearer ${apiKey}` } }
+    );
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      logger.error(`[RD] Cache check failed: ${response.status} - ${errorText.substring(0, 200)}`);
+      infoHashes.forEach(h => results.set(h.toLowerCase(), null));
+      return results;
+    }
+    
+    const data = await response.json();
+    logger.debug(`[RD] Cache check response keys: ${Object.keys(data).length}`);
+    
+    // Real-Debrid returns { "hash": { "rd": [...] } } for cached torrents
+    // If hash is not in response at all, it's not cached
+    let cachedCount = 0;
+    for (const hash of infoHashes) {
+      const lowerHash = hash.toLowerCase();
+      // Check if the hash exists in response and has rd array with content
+      const hashData = data[lowerHash] || data[hash];
+      const cached = hashData?.rd && Array.isArray(hashData.rd) && hashData.rd.length > 0;
+      results.set(lowerHash, cached);
+      if (cached) cachedCount++;
+    }
+    
+    logger.debug(`[RD] Cache check results: ${results.size} hashes, ${cachedCount} cached`);
+    return results;
+  } catch (error) {
+    logger.error(`[RD] Cache check error: ${error.message}`);
+    infoHashes.forEach(h => results.set(h.toLowerCase(), null));
+    return results;
+  }
+}
+
+/**
+ * Check if torrents are cached on TorBox (batch check)
+ * Uses POST method with hashes in body, following Torrentio's implementation
+ * @param {string[]} infoHashes - Array of info hashes to check
+ * @param {string} apiKey - TorBox API key
+ * @returns {Promise<Map<string, boolean>>} - Map of infoHash -> cached status
+ */
+async function checkTorBoxCacheBatch(infoHashes, apiKey) {
+  const results = new Map();
+  
+  try {
+    // TorBox uses POST /api/torrents/checkcached with hashes in body
+    // Reference: https://api.torbox.app/v1/api/torrents/checkcached
+    const response = await fetch(
+      `https://api.torbox.app/v1/api/torrents/checkcached?format=list&list_files=true`,
+      {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ hashes: infoHashes })
+      }
+    );
+    
+    if (!response.ok) {
+      logger.error(`[TB] Cache check failed: ${response.status}`);
+      infoHashes.forEach(h => results.set(h.toLowerCase(), null));
+      return results;
+    }
+    
+    const data = await response.json();
+    logger.debug(`[TB] Cache check response: ${JSON.stringify(data).substring(0, 200)}`);
+    
+    // TorBox with format=list returns { "success": true, "data": [{hash, files, ...}, ...] }
+    if (data.success && Array.isArray(data.data)) {
+      // Create a set of cached hashes
+      const cachedHashes = new Set(data.data.map(item => item.hash?.toLowerCase()));
+      
+      for (const hash of infoHashes) {
+        const lowerHash = hash.toLowerCase();
+        results.set(lowerHash, cachedHashes.has(lowerHash));
+      }
+    } else if (data.success && typeof data.data === 'object') {
+      // Fallback for object format
+      for (const hash of infoHashes) {
+        const lowerHash = hash.toLowerCase();
+        results.set(lowerHash, data.data[lowerHash] === true || data.data[hash] === true);
+      }
+    } else {
+      logger.error(`[TB] Unexpected response format:`, data);
+      infoHashes.forEach(h => results.set(h.toLowerCase(), null));
+    }
+    
+    logger.debug(`[TB] Cache check results: ${results.size} hashes, ${Array.from(results.values()).filter(v => v === true).length} cached`);
+    return results;
+  } catch (error) {
+    logger.error(`[TB] Cache check error: ${error.message}`);
+    infoHashes.forEach(h => results.set(h.toLowerCase(), null));
+    return results;
+  }
+}
+
+/**
+ * Check cache status for multiple torrents on the configured debrid provider
+ * @param {string[]} infoHashes - Array of info hashes
+ * @param {string} provider - Debrid provider key
+ * @param {string} apiKey - API key
+ * @returns {Promise<Map<string, boolean|null>>} - Map of hash -> cached (true/false/null for unknown)
+ */
+async function checkDebridCacheBatch(infoHashes, provider, apiKey) {
+  if (!infoHashes.length || !provider || !apiKey) {
+    return new Map();
+  }
+  
+  switch (provider) {
+    case 'alldebrid':
+      return checkAllDebridCacheBatch(infoHashes, apiKey);
+    case 'realdebrid':
+      return checkRealDebridCacheBatch(infoHashes, apiKey);
+    case 'torbox':
+      return checkTorBoxCacheBatch(infoHashes, apiKey);
+    default:
+      // Unknown provider - return all as unknown
+      const results = new Map();
+      infoHashes.forEach(h => results.set(h.toLowerCase(), null));
+      return results;
+  }
+}
+
+/**
+ * Add magnet to AllDebrid and get download link
+ * IMPROVED: Fail fast for non-cached torrents, better magnet handling
+ */
+async function resolveAllDebrid(magnet, apiKey, fileIndex = 0, episode = null, season = 1, expectedAnimeName = '') {
+  try {
+    logger.debug(`[AD Resolve] Starting resolution for magnet${episode ? ` (looking for S${season}E${episode})` : ''}${expectedAnimeName ? ` (expecting: "${expectedAnimeName}")` : ''}`);
+    
+    // Step 1: Upload magnet (POST method)
+    const uploadResponse = await fetch(
+      `https://api.alldebrid.com/v4/magnet/upload`,
+      { 
+        method: 'POST',
+        headers: { 
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: `magnets[]=${encodeURIComponent(magnet)}`
+      }
+    );
+    
+    if (!uploadResponse.ok) {
+      throw new Error(`Failed to upload magnet: ${uploadResponse.status}`);
+    }
+    
+    const uploadData = await uploadResponse.json();
+    logger.debug(`[AD Resolve] Upload response: ${JSON.stringify(uploadData).substring(0, 200)}`);
+    
+    if (uploadData.status === 'error') {
+      throw new Error(`AllDebrid error: ${uploadData.error?.message || 'Unknown'}`);
+    }
+    
+    const magnetInfo = uploadData.data?.magnets?.[0];
+    
+    // Check for magnet-level errors
+    if (magnetInfo?.error) {
+      throw new Error(`AllDebrid magnet error: ${magnetInfo.error.message || magnetInfo.error.code || 'Unknown'}`);
+    }
+    
+    const magnetId = magnetInfo?.id;
+    
+    if (!magnetId) {
+      throw new Error('Failed to get magnet ID');
+    }
+    
+    // If already ready (cached), get files directly - FAST PATH
+    if (magnetInfo.ready === true) {
+      logger.debug(`[AD Resolve] Magnet already cached, getting files`);
+      return await getAllDebridFiles(magnetId, apiKey, fileIndex, episode, season, expectedAnimeName);
+    }
+    
+    // NOT CACHED - Let AllDebrid download it and poll for completion
+    logger.debug(`[AD Resolve] Torrent NOT cached - starting download on AllDebrid`);
+    
+    // Step 2: Wait for processing using v4.1 endpoint (POST method)
+    // Poll every 2 seconds for up to 60 seconds (30 attempts)
+    let attempts = 0;
+    const maxAttempts = 30;
+    
+    while (attempts < maxAttempts) {
+      await new Promise(r => setTimeout(r, 2000)); // Wait 2 seconds between checks
+      attempts++;
+      
+      logger.debug(`[AD Resolve] Checking download status ${attempts}/${maxAttempts}`);
+      
+      const statusResponse = await fetch(
+        `https://api.alldebrid.com/v4.1/magnet/status`,
+        { 
+          method: 'POST',
+          headers: { 
+            'Authorization': `Bearer ${apiKey}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: `id=${magnetId}`
+        }
+      );
+      
+      const statusData = await statusResponse.json();
+      
+      if (statusData.status === 'error') {
+        logger.error(`[AD Resolve] Status error: ${statusData.error?.message}`);
+        continue; // Try again
+      }
+      
+      // v4.1 returns magnets as object not array when querying single ID
+      const magnetStatus = statusData.data?.magnets;
+      const statusCode = magnetStatus?.statusCode;
+      const status = magnetStatus?.status;
+      
+      logger.debug(`[AD Resolve] Status: ${status} (code: ${statusCode})`);
+      
+      // Status 4 = Ready
+      if (statusCode === 4) {
+        logger.debug(`[AD Resolve] Download complete! Getting files...`);
+        return await getAllDebridFiles(magnetId, apiKey, fileIndex, episode, season, expectedAnimeName);
+      }
+      
+      // Status >= 5 = Error
+      if (statusCode >= 5) {
+        logger.error(`[AD Resolve] Download failed with status: ${status}`);
+        return { status: 'error', message: `Download failed: ${status}` };
+      }
+      
+      // Status 0-3 = Still downloading, show progress
+      if (magnetStatus?.downloaded && magnetStatus?.size) {
+        const progress = Math.round((magnetStatus.downloaded / magnetStatus.size) * 100);
+        logger.debug(`[AD Resolve] Downloading: ${progress}%`);
+      }
+    }
+    
+    // Timeout - torrent is still downloading but taking too long
+    logger.debug(`[AD Resolve] Timeout waiting for download - still in progress on AllDebrid`);
+    return { status: 'downloading', message: 'Download started on AllDebrid but taking a while. Check your AllDebrid account or try a cached ⚡ torrent.' };
+  } catch (error) {
+    logger.error(`[AD Resolve] Error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Add magnet to TorBox and get download link
+ * @param {string} magnet - Magnet link
+ * @param {string} apiKey - TorBox API key
+ * @param {number} fileIndex - File index to select (default 0)
+ * @param {number|null} episode - Episode number for smart file selection
+ * @param {number} season - Season number
+ * @param {string} expectedAnimeName - Expected anime name for validation
+ * @returns {Promise<string|object|null>} - Direct URL, status object, or null on error
+ */
+async function resolveTorBox(magnet, apiKey, fileIndex = 0, episode = null, season = 1, expectedAnimeName = '') {
+  try {
+    logger.debug(`[TB Resolve] Starting resolution${episode ? ` for S${season}E${episode}` : ''}${expectedAnimeName ? ` (expecting: "${expectedAnimeName}")` : ''}`);
+    
+    // Step 1: Create torrent
+    const formData = new FormData();
+    formData.append('magnet', magnet);
+    formData.append('seed', '1'); // Seed ratio
+    formData.append('allow_zip', 'false');
+    
+    const createResponse = await fetch('https://api.torbox.app/v1/api/torrents/createtorrent', {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      body: formData
+    });
+    
+    if (!createResponse.ok) {
+      const errorText = await createResponse.text();
+      logger.error(`[TB Resolve] Create failed: ${createResponse.status} - ${errorText}`);
+      throw new Error(`Failed to create torrent: ${createResponse.status}`);
+    }
+    
+    const createData = await createResponse.json();
+    logger.debug(`[TB Resolve] Create response: ${JSON.stringify(createData).substring(0, 200)}`);
+    
+    if (!createData.success) {
+      throw new Error(`TorBox error: ${createData.detail || 'Unknown error'}`);
+    }
+    
+    const torrentId = createData.data?.torrent_id;
+    if (!torrentId) {
+      throw new Error('Failed to get torrent ID');
+    }
+    
+    // Step 2: Wait for torrent to be ready (poll status)
+    let attempts = 0;
+    const maxAttempts = 30;
+    
+    while (attempts < maxAttempts) {
+      await new Promise(r => setTimeout(r, 2000)); // Wait 2 seconds
+      attempts++;
+      
+      logger.debug(`[TB Resolve] Checking status ${attempts}/${maxAttempts}`);
+      
+      const infoResponse = await fetch(
+        `https://api.torbox.app/v1/api/torrents/mylist?id=${torrentId}`,
+        { headers: { 'Authorization': `Bearer ${apiKey}` } }
+      );
+      
+      if (!infoResponse.ok) {
+        logger.error(`[TB Resolve] Info failed: ${infoResponse.status}`);
+        continue;
+      }
+      
+      const infoData = await infoResponse.json();
+      
+      if (!infoData.success) {
+        logger.error(`[TB Resolve] Info error: ${infoData.detail}`);
+        continue;
+      }
+      
+      const torrent = infoData.data;
+      const status = torrent?.download_state;
+      
+      logger.debug(`[TB Resolve] Status: ${status}, Progress: ${torrent?.progress}%`);
+      
+      // "completed" or "cached" means ready
+      if (status === 'completed' || status === 'cached' || torrent?.download_finished === true) {
+        logger.debug(`[TB Resolve] Torrent ready! Getting download link...`);
+        
+        // Get files
+        const files = torrent?.files || [];
+        const videoFiles = files.filter(f => /\.(mkv|mp4|avi|webm|ts|m2ts)$/i.test(f.name || f.short_name));
+        
+        if (videoFiles.length === 0) {
+          logger.error(`[TB Resolve] No video files found`);
+          return null;
+        }
+        
+        // Smart file selection for episode
+        let selectedFile = videoFiles[0];
+        
+        if (episode && videoFiles.length > 1) {
+          logger.debug(`[TB Resolve] Looking for episode ${episode} in ${videoFiles.length} files`);
+          
+          for (const file of videoFiles) {
+            const filename = file.name || file.short_name || '';
+            const epMatch = extractEpisodeNumber(filename);
+            if (epMatch === episode) {
+              selectedFile = file;
+              logger.debug(`[TB Resolve] Found episode ${episode}: ${filename}`);
+              break;
+            }
+          }
+        }
+        
+        // Request download link for the selected file
+        const fileId = selectedFile.id;
+        const linkResponse = await fetch(
+          `https://api.torbox.app/v1/api/torrents/requestdl?token=${apiKey}&torrent_id=${torrentId}&file_id=${fileId}`,
+          { headers: { 'Authorization': `Bearer ${apiKey}` } }
+        );
+        
+        if (!linkResponse.ok) {
+          logger.error(`[TB Resolve] Link request failed: ${linkResponse.status}`);
+          return null;
+        }
+        
+        const linkData = await linkResponse.json();
+        
+        if (linkData.success && linkData.data) {
+          logger.debug(`[TB Resolve] Got download link`);
+          return linkData.data;
+        } else {
+          logger.error(`[TB Resolve] No download link in response`);
+          return null;
+        }
+      }
+      
+      // "downloading" or "pending" - still in progress
+      if (status === 'error' || status === 'stalled') {
+        logger.error(`[TB Resolve] Torrent failed with status: ${status}`);
+        return { status: 'error', message: `Download failed: ${status}` };
+      }
+    }
+    
+    // Timeout
+    logger.debug(`[TB Resolve] Timeout waiting for torrent`);
+    return { status: 'downloading', message: 'Download started on TorBox but taking a while. Check your TorBox account or try a cached ⚡ torrent.' };
+    
+  } catch (error) {
+    logger.error(`[TB Resolve] Error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Check if a filename likely matches the expected anime
+ * Uses fuzzy matching to detect mislabeled torrents
+ * @param {string} filename - The video filename
+ * @param {string} expectedName - The expected anime name
+ * @returns {boolean} True if file seems to match, false if likely mislabeled
+ */
+function validateFileMatchesAnime(filename, expectedName) {
+  if (!expectedName || !filename) return true; // Skip validation if no name available
+  
+  // Normalize both names for comparison
+  const normalizeForMatch = (str) => str
+    .toLowerCase()
+    .replace(/[^\w\s]/g, '') // Remove special chars
+    .replace(/\s+/g, ' ')    // Normalize whitespace
+    .trim();
+  
+  const normFile = normalizeForMatch(filename);
+  const normExpected = normalizeForMatch(expectedName);
+  
+  // Direct substring check (handles "Re Zero" matching "ReZero" after normalization)
+  // Remove all spaces for a condensed comparison too
+  const condensedFile = normFile.replace(/\s+/g, '');
+  const condensedExpected = normExpected.replace(/\s+/g, '');
+  
+  // If condensed names match or one contains the other, it's valid
+  if (condensedFile.includes(condensedExpected) || condensedExpected.includes(condensedFile)) {
+    return true;
+  }
+  
+  // Check if any significant word from expected name appears in filename
+  const expectedWords = normExpected.split(' ').filter(w => w.length > 2);
+  const matchingWords = expectedWords.filter(word => normFile.includes(word));
+  
+  // If at least 30% of significant words match, consider it valid
+  const matchRatio = matchingWords.length / Math.max(expectedWords.length, 1);
+  
+  // Also check for common anime title patterns
+  // e.g., "Ranma" in file when expecting "Dan Da Dan" = mismatch
+  if (matchRatio < 0.3) {
+    logger.debug(`[AD Validation] ⚠️ Potential mislabel detected!`);
+    logger.debug(`[AD Validation]   Expected: "${expectedName}" → words: [${expectedWords.join(', ')}]`);
+    logger.debug(`[AD Validation]   File: "${filename}"`);
+    logger.debug(`[AD Validation]   Matching words: [${matchingWords.join(', ')}] (${(matchRatio * 100).toFixed(0)}%)`);
+    return false;
+  }
+  
+  return true;
+}
+
+/**
+ * Get files from AllDebrid magnet and unlock the video link
+ * Implements smart file selection for batch torrents based on episode number
+ * @param {string} magnetId - The AllDebrid magnet ID
+ * @param {string} apiKey - The AllDebrid API key
+ * @param {number} fileIndex - Preferred file index (fallback)
+ * @param {number} episode - Target episode number
+ * @param {number} season - Target season number
+ * @param {string} expectedAnimeName - The anime name we expect (for validation)
+ */
+async function getAllDebridFiles(magnetId, apiKey, fileIndex = 0, episode = null, season = 1, expectedAnimeName = '') {
+  try {
+    // Get files using /magnet/files endpoint
+    const filesResponse = await fetch(
+      `https://api.alldebrid.com/v4/magnet/files`,
+      { 
+        method: 'POST',
+        headers: { 
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: `id[]=${magnetId}`
+      }
+    );
+    
+    const filesData = await filesResponse.json();
+    logger.debug(`[AD Files] Response: ${JSON.stringify(filesData).substring(0, 500)}`);
+    
+    if (filesData.status === 'error') {
+      throw new Error(`Files error: ${filesData.error?.message || 'Unknown'}`);
+    }
+    
+    const magnetFiles = filesData.data?.magnets?.[0]?.files || [];
+    
+    // Flatten the file tree and find video files
+    const videoFiles = [];
+    function extractFiles(items) {
+      for (const item of items) {
+        if (item.e) {
+          // It's a folder, recurse
+          extractFiles(item.e);
+        } else if (item.l && /\.(mkv|mp4|avi|webm|ts|m2ts)$/i.test(item.n)) {
+          // It's a video file with a link
+          videoFiles.push({ filename: item.n, size: item.s || 0, link: item.l });
+        }
+      }
+    }
+    extractFiles(magnetFiles);
+    
+    logger.debug(`[AD Files] Found ${videoFiles.length} video files`);
+    
+    if (videoFiles.length === 0) {
+      throw new Error('No video files found in torrent');
+    }
+    
+    // Smart file selection when episode is specified and there are multiple files
+    let selectedFile = null;
+    
+    if (episode && videoFiles.length > 1) {
+      logger.debug(`[AD Files] Looking for episode ${episode} in ${videoFiles.length} files...`);
+      
+      // Use the episode extraction system for accurate file matching
+      const candidates = [];
+      
+      for (const file of videoFiles) {
+        // Skip obvious non-episode files
+        if (/(NCOP|NCED|Preview|Special|SP[^a-z]|OVA|Menu|Trailer|PV|CM|Bonus)/i.test(file.filename)) {
+          logger.debug(`[AD Files] Skipping non-episode: ${file.filename}`);
+          continue;
+        }
+        
+        // Extract episode info from filename
+        const info = extractEpisodeInfo(file.filename);
+        
+        if (info.episode === episode) {
+          // Check season if specified in filename
+          if (info.season !== null && info.season !== season) {
+            logger.debug(`[AD Files] Season mismatch: ${file.filename} (S${info.season} != S${season})`);
+            continue;
+          }
+          
+          candidates.push({ file, info, exactMatch: true });
+          logger.debug(`[AD Files] Exact match: ${file.filename} (E${info.episode})`);
+        }
+      }
+      
+      // Select best candidate (prefer exact matches, then by file size)
+      if (candidates.length > 0) {
+        // Sort by size descending (prefer larger files = higher quality)
+        candidates.sort((a, b) => b.file.size - a.file.size);
+        selectedFile = candidates[0].file;
+        logger.debug(`[AD Files] Selected: ${selectedFile.filename}`);
+      } else {
+        // STRICT MODE: No fallback to position-based selection
+        // This prevents wrong episode selection in batch torrents
+        logger.debug(`[AD Files] WARNING: No file matched episode ${episode} - will use largest file`);
+      }
+    }
+    
+    // Fallback to specified index or largest file
+    if (!selectedFile) {
+      selectedFile = videoFiles[fileIndex] || videoFiles.sort((a, b) => b.size - a.size)[0];
+    }
+    
+    logger.debug(`[AD Files] Selected: ${selectedFile.filename}`);
+    
+    // VALIDATION: Check if the selected file actually matches the expected anime
+    // This catches mislabeled torrents (e.g., torrent says "Dan Da Dan" but files are "Ranma")
+    if (expectedAnimeName && !validateFileMatchesAnime(selectedFile.filename, expectedAnimeName)) {
+      logger.error(`[AD Files] ❌ MISLABELED TORRENT DETECTED!`);
+      logger.error(`[AD Files]   Expected anime: "${expectedAnimeName}"`);
+      logger.error(`[AD Files]   Actual file: "${selectedFile.filename}"`);
+      
+      // Return a special error status so we can show user a helpful message
+      return { 
+        status: 'mislabeled', 
+        message: `Torrent appears mislabeled: expected "${expectedAnimeName}" but file is "${selectedFile.filename}". Try a different torrent source.`,
+        filename: selectedFile.filename
+      };
+    }
+    
+    // Unlock the link (POST method)
+    const unlockResponse = await fetch(
+      `https://api.alldebrid.com/v4/link/unlock`,
+      { 
+        method: 'POST',
+        headers: { 
+          'Authorization': `Bearer ${apiKey}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: `link=${encodeURIComponent(selectedFile.link)}`
+      }
+    );
+    
+    const unlockData = await unlockResponse.json();
+    logger.debug(`[AD Unlock] Response: ${JSON.stringify(unlockData).substring(0, 300)}`);
+    
+    if (unlockData.status === 'error') {
+      throw new Error(`Unlock error: ${unlockData.error?.message || 'Unknown'}`);
+    }
+    
+    return unlockData.data?.link || null;
+  } catch (error) {
+    logger.error(`[AD Files] Error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolve magnet to direct link using configured debrid provider
+ */
+async function resolveDebrid(magnet, infoHash, provider, apiKey, fileIndex = 0, episode = null, season = 1, expectedAnimeName = '') {
+  // Include episode in cache key for batch torrents; resolved links belong to one
+  // account, so the key is scoped by a hash of the API key (the cache may be shared)
+  const account = crypto.createHash('sha256').update(apiKey || '').digest('hex').slice(0, 16);
+  const cacheKey = `${provider}:${account}:${infoHash}:${episode || 'all'}`;
+  
+  // Only cache successful URL strings, not status objects
+  return debridCache.wrap(cacheKey, async () => {
+    switch (provider) {
+      case 'realdebrid':
+        return resolveRealDebrid(magnet, apiKey, fileIndex, episode, season, expectedAnimeName);
+      case 'alldebrid':
+        return resolveAllDebrid(magnet, apiKey, fileIndex, episode, season, expectedAnimeName);
+      case 'torbox':
+        return resolveTorBox(magnet, apiKey, fileIndex, episode, season, expectedAnimeName);
+      // Add more providers as needed
+      default:
+        logger.error(`[Debrid] Unknown provider: ${provider}`);
+        return null;
+    }
+  }, { cacheIf: result => typeof result === 'string' });
+}
+
+/**
+ * Build play URL for debrid resolution (click-time resolution)
+ */
+function buildDebridPlayUrl(baseUrl, infoHash, magnet, provider, apiKey, fileIndex = 0) {
+  const params = new URLSearchParams({
+    ih: infoHash,
+    p: provider,
+    idx: String(fileIndex)
+  });
+  
+  // Don't include API key in URL - it will be pulled from user config
+  return `${baseUrl}/debrid/play?${params.toString()}`;
+}
+
+module.exports = {
+  DEBRID_PROVIDERS,
+  checkDebridCacheBatch,
+  resolveDebrid,
+  buildDebridPlayUrl
+};
@@ -0,0 +1,368 @@
+/**
+ * Subtitle Service
+ * 
+ * Soft subtitles from Kitsunekko, OpenSubtitles and SubDL.
+ * Ported from the Cloudflare worker. Results are cached in the 'subtitles' cache
+ * namespace; failed lookups aren't cached.
+ */
+
+const logger = require('../utils/logger').child('subtitles');
+const cache = require('../utils/cache');
+const { buildBrowserHeaders } = require('../utils/http');
+const { trackUpstream } = require('../utils/metrics');
+
+// Timeout for subtitle provider requests
+const UPSTREAM_TIMEOUT = 15000;
+
+const subtitleCache = cache.namespace('subtitles');
+
+/**
+ * Generate folder name patterns to try for Kitsunekko
+ * Kitsunekko uses inconsistent folder naming, so we try multiple patterns
+ */
+function generateKitsunekkoPatterns(animeName) {
+  const patterns = [];
+  
+  // Clean the base name (remove special characters but keep spaces)
+  const baseName = animeName.replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+  
+  // Pattern 1: Original with spaces (e.g., "Dan Da Dan")
+  if (baseName) patterns.push(baseName);
+  
+  // Pattern 2: With underscores (e.g., "Dan_Da_Dan") 
+  const underscored = baseName.replace(/\s+/g, '_');
+  if (underscored !== baseName) patterns.push(underscored);
+  
+  // Pattern 3: No spaces (e.g., "DanDaDan")
+  const noSpaces = baseName.replace(/\s+/g, '');
+  if (noSpaces !== baseName) patterns.push(noSpaces);
+  
+  // Pattern 4: Lowercase with spaces
+  const lowerSpaces = baseName.toLowerCase();
+  if (lowerSpaces !== baseName) patterns.push(lowerSpaces);
+  
+  // Pattern 5: Lowercase with underscores
+  const lowerUnderscored = underscored.toLowerCase();
+  if (!patterns.includes(lowerUnderscored)) patterns.push(lowerUnderscored);
+  
+  // Pattern 6: Title case (first letter of each word capitalized)
+  const titleCase = baseName.replace(/\w\S*/g, w => w.charAt(0).toUpperCase() + w.substr(1).toLowerCase());
+  if (!patterns.includes(titleCase)) patterns.push(titleCase);
+  
+  // Pattern 7: Handle "X: Y" becoming "X Y" or just "X"
+  if (animeName.includes(':')) {
+    const beforeColon = animeName.split(':')[0].replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+    if (beforeColon && !patterns.includes(beforeColon)) patterns.push(beforeColon);
+  }
+  
+  // Pattern 8: Handle parenthetical part removal "X (Y)" -> "X"
+  if (animeName.includes('(')) {
+    const withoutParens = animeName.replace(/\s*\([^)]*\)/g, '').replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
+    if (withoutParens && !patterns.includes(withoutParens)) patterns.push(withoutParens);
+  }
+  
+  return patterns;
+}
+
+/**
+ * Scrape subtitles from Kitsunekko (Japanese/English anime subs)
+ * @param {string} animeName - The anime name to search for
+ * @returns {Promise<Array>} Array of subtitle objects
+ */
+async function scrapeKitsunekko(animeName) {
+  const subtitles = await subtitleCache.wrap(`kitsunekko:${animeName}`, () => fetchKitsunekko(animeName));
+  return subtitles || [];
+}
+
+/**
+ * Search Kitsunekko (uncached - see scrapeKitsunekko)
+ * @returns {Promise<Array|null>} Subtitles (empty when the show has none), or null on error (not cached)
+ */
+async function fetchKitsunekko(animeName) {
+  const subtitles = [];
+  
+  try {
+    // Generate multiple folder name patterns to try
+    const patterns = generateKitsunekkoPatterns(animeName);
+    logger.debug(`[Kitsunekko] Trying ${patterns.length} patterns for "${animeName}"`);
+    
+    let html = null;
+    let successfulPattern = null;
+    
+    // Try each pattern until one works
+    for (const pattern of patterns) {
+      const url = `https://kitsunekko.net/dirlist.php?dir=subtitles%2Fjapanese%2F${encodeURIComponent(pattern)}%2F`;
+      
+      logger.debug(`[Kitsunekko] Trying: ${pattern}`);
+      
+      const response = await trackUpstream('kitsunekko', () => fetch(url, {
+        headers: buildBrowserHeaders(),
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+      }));
+      
+      if (!response.ok) continue;
+      
+      const text = await response.text();
+      
+      // Check if response contains subtitle files (not just an empty directory)
+      if (/href="[^"]+\.(ass|srt|ssa|sub)"/i.test(text)) {
+        html = text;
+        successfulPattern = pattern;
+        logger.debug(`[Kitsunekko] Found subtitles with pattern: "${pattern}"`);
+        break;
+      }
+    }
+    
+    if (!html) {
+      logger.debug(`[Kitsunekko] No subtitles found for "${animeName}" (tried ${patterns.length} patterns)`);
+      return [];
+    }
+    
+    // Parse directory listing for subtitle files
+    const fileRegex = /href="([^"]+\.(ass|srt|ssa|sub))"[^>]*>([^<]+)</gi;
+    let match;
+    
+    while ((match = fileRegex.exec(html)) !== null) {
+      const filename = match[3];
+      const filePath = match[1];
+      const ext = match[2].toLowerCase();
+      
+      // Detect episode from filename
+      const epMatch = filename.match(/(?:ep?|episode|e)(\d+)/i) || filename.match(/(\d{2,3})/);
+      const episode = epMatch ? parseInt(epMatch[1]) : null;
+      
+      // Detect language
+      const isJapanese = /\[JP\]|\[JPN\]|japanese|日本語/i.test(filename);
+      const lang = isJapanese ? 'jpn' : 'eng';
+      
+      subtitles.push({
+        id: `kitsunekko-${lang}-${filename.replace(/\W/g, '')}`,
+        url: `https://kitsunekko.net${filePath.startsWith('/') ? '' : '/'}${filePath}`,
+        lang,
+        episode,
+        filename,
+        format: ext,
+        provider: 'Kitsunekko'
+      });
+    }
+    
+    logger.debug(`[Kitsunekko] Found ${subtitles.length} subtitles for "${animeName}"`);
+    return subtitles;
+    
+  } catch (error) {
+    logger.error(`[Kitsunekko] Error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Search subtitles from OpenSubtitles API
+ * @param {string} imdbId - IMDB ID (tt1234567)
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ * @param {Array} languages - Array of language codes (e.g., ['en', 'ja'])
+ * @returns {Promise<Array>} Array of subtitle objects
+ */
+async function searchOpenSubtitles(imdbId, season, episode, languages = ['en']) {
+  const cacheKey = `opensubs:${imdbId}:${season}:${episode}:${languages.join(',')}`;
+  const subtitles = await subtitleCache.wrap(cacheKey, () => fetchOpenSubtitles(imdbId, season, episode, languages));
+  return subtitles || [];
+}
+
+/**
+ * Search OpenSubtitles (uncached - see searchOpenSubtitles)
+ * @returns {Promise<Array|null>} Subtitles, or null on error (not cached)
+ */
+async function fetchOpenSubtitles(imdbId, season, episode, languages) {
+  const subtitles = [];
+  
+  try {
+    // OpenSubtitles requires API key - check if configured
+    // For now, use public (limited) endpoint
+    const url = `https://rest.opensubtitles.org/search/imdbid-${imdbId.replace('tt', '')}/season-${season}/episode-${episode}`;
+    
+    logger.debug(`[OpenSubtitles] Searching: ${url}`);
+    
+    const response = await trackUpstream('opensubtitles', () => fetch(url, {
+      headers: {
+        'User-Agent': 'AnimeStream v1.0',
+        ...buildBrowserHeaders()
+      },
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+    }));
+    
+    if (!response.ok) {
+      logger.error(`[OpenSubtitles] Error: ${response.status}`);
+      return null;
+    }
+    
+    const data = await response.json();
+    
+    // Filter by requested languages and format results
+    for (const sub of data) {
+      const langCode = sub.ISO639?.toLowerCase() || sub.SubLanguageID?.toLowerCase();
+      
+      if (languages.length === 0 || languages.includes(langCode) || languages.includes(sub.SubLanguageID)) {
+        subtitles.push({
+          id: `opensubs-${sub.IDSubtitleFile}`,
+          url: sub.SubDownloadLink?.replace('.gz', ''),
+          lang: langCode,
+          episode: parseInt(sub.SeriesEpisode) || episode,
+          filename: sub.SubFileName,
+          format: sub.SubFormat || 'srt',
+          provider: 'OpenSubtitles',
+          rating: parseFloat(sub.SubRating) || 0
+        });
+      }
+    }
+    
+    // Sort by rating
+    subtitles.sort((a, b) => b.rating - a.rating);
+    
+    logger.debug(`[OpenSubtitles] Found ${subtitles.length} subtitles`);
+    return subtitles;
+    
+  } catch (error) {
+    logger.error(`[OpenSubtitles] Error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get all subtitles for an anime episode from multiple sources
+ */
+async function getSubtitles(animeName, imdbId, season, episode, languages = ['en', 'ja'], subdlApiKey = '') {
+  // Fetch from both sources in parallel
+  const [kitsunekkoSubs, openSubs, subdlSubs] = await Promise.all([
+    scrapeKitsunekko(animeName),
+    imdbId ? searchOpenSubtitles(imdbId, season, episode, languages) : Promise.resolve([]),
+    searchSubDL(animeName, season, episode, languages, imdbId, subdlApiKey)
+  ]);
+  
+  // Filter Kitsunekko subs by episode
+  const episodeSubs = kitsunekkoSubs.filter(s => !s.episode || s.episode === episode);
+  
+  // Combine and deduplicate
+  const combined = [...episodeSubs, ...openSubs, ...subdlSubs];
+  
+  // Sort by: 1) SRT format first (better customization), 2) Language preference
+  // SRT subtitles allow custom formatting/scaling which is easier on the eyes vs SSA/ASS
+  const formatOrder = { 'srt': 0, 'vtt': 0, 'sub': 1, 'ssa': 2, 'ass': 2 };
+  const langOrder = { 'jpn': 0, 'ja': 0, 'eng': 1, 'en': 1 };
+  combined.sort((a, b) => {
+    // First prioritize SRT format
+    const aFormat = formatOrder[a.format?.toLowerCase()] ?? 99;
+    const bFormat = formatOrder[b.format?.toLowerCase()] ?? 99;
+    if (aFormat !== bFormat) return aFormat - bFormat;
+    
+    // Then by language
+    const aOrder = langOrder[a.lang] ?? 99;
+    const bOrder = langOrder[b.lang] ?? 99;
+    return aOrder - bOrder;
+  });
+  
+  return combined;
+}
+
+/**
+ * Search subtitles from SubDL API (good anime coverage)
+ * @param {string} animeNameOrImdbId - Anime name or IMDB ID to search
+ * @param {number} season - Season number
+ * @param {number} episode - Episode number
+ * @param {Array} languages - Array of language codes
+ * @param {string} imdbId - Optional IMDB ID for more accurate search
+ * @param {string} subdlApiKey - User's SubDL API key from config
+ * @returns {Promise<Array>} Array of subtitle objects
+ */
+async function searchSubDL(animeNameOrImdbId, season, episode, languages = ['en'], imdbId = null, subdlApiKey = '') {
+  // SubDL requires API key - users can get free key from subdl.com/panel/apikey
+  if (!subdlApiKey) {
+    logger.debug(`[SubDL] Skipping - no API key configured (get one at subdl.com/panel/apikey)`);
+    return [];
+  }
+  
+  // Determine if we have an IMDB ID (from parameter or if animeNameOrImdbId looks like one)
+  const effectiveImdbId = imdbId || (animeNameOrImdbId?.startsWith('tt') ? animeNameOrImdbId : null);
+  
+  // SubDL requires IMDB ID for TV shows (not name search)
+  if (!effectiveImdbId || !effectiveImdbId.startsWith('tt')) {
+    logger.debug(`[SubDL] Skipping - no valid IMDB ID (got: ${effectiveImdbId})`);
+    return [];
+  }
+  
+  const cacheKey = `subdl:${animeNameOrImdbId}:${season}:${episode}`;
+  const subtitles = await subtitleCache.wrap(cacheKey, () => fetchSubDL(effectiveImdbId, season, episode, subdlApiKey));
+  return subtitles || [];
+}
+
+/**
+ * Search SubDL (uncached - see searchSubDL)
+ * @returns {Promise<Array|null>} Subtitles, or null on error (not cached)
+ */
+async function fetchSubDL(effectiveImdbId, season, episode, subdlApiKey) {
+  const subtitles = [];
+  
+  try {
+    const url = `https://api.subdl.com/api/v1/subtitles?api_key=${subdlApiKey}&subs_per_page=30&type=tv&imdb_id=${effectiveImdbId.replace('tt', '')}&season_number=${season}&episode_number=${episode}`;
+    
+    logger.debug(`[SubDL] Searching: ${url.replace(subdlApiKey, '***')}`);
+    
+    const response = await trackUpstream('subdl', () => fetch(url, {
+      headers: buildBrowserHeaders(),
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+    }));
+    
+    if (!response.ok) {
+      logger.error(`[SubDL] Error: ${response.status}`);
+      return null;
+    }
+    
+    const data = await response.json();
+    
+    if (data.status && data.subtitles) {
+      for (const sub of data.subtitles) {
+        // SubDL uses 2-letter codes
+        const langCode = sub.language?.toLowerCase() || 'en';
+        const lang3 = langCode === 'ja' || langCode === 'japanese' ? 'jpn' : 
+                      langCode === 'en' || langCode === 'english' ? 'eng' : langCode;
+        
+        subtitles.push({
+          id: `subdl-${sub.id || Math.random().toString(36).substr(2, 9)}`,
+          url: sub.url || `https://dl.subdl.com${sub.subtitlePage}`,
+          lang: lang3,
+          episode,
+          filename: sub.releaseName || sub.name,
+          format: 'srt',
+          provider: 'SubDL'
+        });
+      }
+    }
+    
+    logger.debug(`[SubDL] Found ${subtitles.length} subtitles`);
+    return subtitles;
+    
+  } catch (error) {
+    logger.error(`[SubDL] Error: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Format subtitles for Stremio response
+ */
+function formatSubtitlesForStremio(subtitles) {
+  return subtitles.map(sub => ({
+    id: sub.id,
+    url: sub.url,
+    lang: sub.lang === 'jpn' || sub.lang === 'ja' ? 'jpn' : 
+          sub.lang === 'eng' || sub.lang === 'en' ? 'eng' : sub.lang
+  }));
+}
+
+module.exports = {
+  scrapeKitsunekko,
+  searchOpenSubtitles,
+  searchSubDL,
+  getSubtitles,
+  formatSubtitlesForStremio
+};
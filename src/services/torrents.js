@@ -0,0 +1,1672 @@
+/**
+ * Torrent Service
+ * 
+ * Searches Nyaa and AnimeTosho for anime torrents (RAW, SUB, DUB and DUAL releases).
+ * Ported from the Cloudflare worker so self-hosted servers get the same torrent results.
+ * 
+ * Results are validated against the requested show and episode before being returned.
+ */
+
+const logger = require('../utils/logger').child('torrents');
+const { buildBrowserHeaders } = require('../utils/http');
+const { stringSimilarity } = require('../utils/similarity');
+const cache = require('../utils/cache');
+const { trackUpstream } = require('../utils/metrics');
+
+// Timeout for Nyaa/AnimeTosho requests
+const UPSTREAM_TIMEOUT = 15000;
+
+// Torrent search cache (namespace TTL in config.cache.namespaces)
+const torrentCache = cache.namespace('torrents');
+
+// Known RAW release groups (no subtitles)
+const RAW_GROUPS = [
+  'DBD-Raws', 'Reinforce', 'Ohys-Raws', 'Snow-Raws', 
+  'LowPower-Raws', 'U3-Web', 'Moozzi2', 'VCB-Studio',
+  'ASC', 'Cleo', 'LoliHouse', 'Rasetsu', 'Koi-Raws', 'shincaps'
+];
+
+// Anime trackers for better torrent resolution (from Torrentio)
+const ANIME_TRACKERS = [
+  'http://nyaa.tracker.wf:7777/announce',
+  'udp://tracker.opentrackr.org:1337/announce',
+  'udp://open.stealth.si:80/announce',
+  'udp://tracker.torrent.eu.org:451/announce',
+  'udp://tracker.bittor.pw:1337/announce',
+  'udp://public.popcorn-tracker.org:6969/announce',
+  'udp://tracker.dler.org:6969/announce',
+  'udp://exodus.desync.com:6969/announce',
+  'udp://open.demonii.com:1337/announce',
+  'http://anidex.moe:6969/announce'
+];
+
+/**
+ * Build magnet link with trackers for better resolution
+ */
+function buildMagnetWithTrackers(infoHash, title = '') {
+  const trackerParams = ANIME_TRACKERS.map(t => `&tr=${encodeURIComponent(t)}`).join('');
+  const nameParam = title ? `&dn=${encodeURIComponent(title)}` : '';
+  return `magnet:?xt=urn:btih:${infoHash}${nameParam}${trackerParams}`;
+}
+
+// Quality keywords - also detect resolution format like 1920x1080
+const QUALITY_PATTERNS = {
+  '4K': /4K|2160p|UHD|3840x2160/i,
+  '1080p': /1080p|1920x1080|1440x1080/i,
+  '720p': /720p|1280x720/i,
+  '480p': /480p|DVD|848x480|640x480/i
+};
+
+// Source type detection
+const SOURCE_PATTERNS = {
+  'BD': /BD|Blu-?ray|BDMV|Remux/i,
+  'WEB-DL': /WEB-?DL|AMZN|CR|DSNP/i,
+  'WEBRip': /WEB-?Rip|WEBRip/i,
+  'TV': /HDTV|TV-?Rip|BS11|ANIMAX|AT-X/i
+};
+
+/**
+ * Detect quality from torrent title
+ */
+function detectTorrentQuality(title) {
+  for (const [quality, pattern] of Object.entries(QUALITY_PATTERNS)) {
+    if (pattern.test(title)) return quality;
+  }
+  return 'Unknown';
+}
+
+/**
+ * Detect source type from torrent title
+ */
+function detectSourceType(title) {
+  for (const [source, pattern] of Object.entries(SOURCE_PATTERNS)) {
+    if (pattern.test(title)) return source;
+  }
+  return 'Unknown';
+}
+
+/**
+ * Check if release is RAW (no subtitles)
+ */
+function isRAWRelease(title) {
+  // Check for RAW groups
+  if (RAW_GROUPS.some(g => title.includes(g))) return true;
+  // Check for explicit RAW tags
+  if (/\bRAW\b|生肉/i.test(title)) return true;
+  // Japanese-only indicators
+  if (/\[JPN?\]|\bJapanese\s+Only\b/i.test(title)) return true;
+  return false;
+}
+
+/**
+ * Check if release is DUBBED (English or other language audio)
+ * Common DUB indicators in torrent titles
+ */
+function isDubbedRelease(title) {
+  // Explicit DUB tags
+  if (/\b(?:DUB(?:BED)?|DUAL|ENG?\s*DUB|ENGLISH\s*DUB(?:BED)?)\b/i.test(title)) return true;
+  // Funimation/Crunchyroll English releases often have English audio
+  if (/\b(?:Funimation|FUNI|CR\s*DUB)\b/i.test(title)) return true;
+  // [ENG] or (English) audio tag
+  if (/\[ENG(?:LISH)?\]|\(ENG(?:LISH)?\)/i.test(title)) return true;
+  // Multi audio indicator without subtitles mention
+  if (/\bMulti[\s-]?Audio\b/i.test(title)) return true;
+  return false;
+}
+
+/**
+ * Check if release has DUAL audio (Japanese + English/other)
+ */
+function isDualAudioRelease(title) {
+  // Explicit DUAL tags
+  if (/\bDUAL[\s-]?AUDIO\b/i.test(title)) return true;
+  // Multiple language audio tags
+  if (/\b(?:JPN?\s*\+\s*ENG?|ENG?\s*\+\s*JPN?)\b/i.test(title)) return true;
+  if (/\[JPN?\s*\+?\s*ENG?(?:LISH)?\]/i.test(title)) return true;
+  // "Multi" without being multi-sub
+  if (/\bMulti[\s-]?Audio\b/i.test(title) && !/\bMulti[\s-]?Sub/i.test(title)) return true;
+  return false;
+}
+
+/**
+ * Get audio type indicator for a torrent
+ * Returns: 'DUAL' | 'DUB' | 'RAW' | 'SUB' (default)
+ */
+function getAudioType(title, isRaw) {
+  if (isDualAudioRelease(title)) return 'DUAL';
+  if (isDubbedRelease(title)) return 'DUB';
+  if (isRaw) return 'RAW';
+  return 'SUB'; // Default: Japanese audio with subtitles
+}
+
+// ===== EPISODE MATCHING SYSTEM =====
+// Robust episode extraction and validation for torrent titles
+// Supports both absolute (E156) and seasonal (S01E05) formats
+
+/**
+ * Extract episode information from a torrent title
+ * Returns: { episode: number|null, season: number|null, isBatch: boolean, batchRange: [start, end]|null, isAbsolute: boolean }
+ * 
+ * Handles many patterns including:
+ * - S01E05, S1E5, 1x05 (Western style with season)
+ * - Season 8 Episode 1, Season 8 Ep 1, Season 8: Episode 1
+ * - Season 8 Episodes 1-11 (batch with season)
+ * - [01-12], (01~12), 01-24 Complete (batch)
+ * - " - 05", Episode 05, #05 (anime absolute numbering)
+ * - 2nd Season, Part 2, II (ordinal/roman seasons)
+ * - Episode title without number (rejected as undetectable)
+ */
+function extractEpisodeInfo(title) {
+  const result = { 
+    episode: null, 
+    season: null, 
+    isBatch: false, 
+    batchRange: null, 
+    isAbsolute: false,
+    contentType: 'episode', // 'episode' | 'movie' | 'special' | 'batch'
+    year: null,
+    movieNumber: null,
+    specialNumber: null
+  };
+  if (!title) return result;
+  
+  // Normalize title: decode HTML entities, replace underscores with spaces, collapse multiple spaces
+  const normalized = title
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/_/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STEP 0: DETECT CONTENT TYPE (Movie, Special, etc.)
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  // Detect MOVIES
+  const moviePatterns = [
+    /\b(?:Movie|Film|Gekijouban|劇場版|Gekijō-ban)\b/i,
+    /\b(?:Mugen\s*Train|Infinity\s*Castle|World\s*Heroes|Two\s*Heroes|Heroes\s*Rising|You'?re\s*Next)\b/i,
+    /\bthe\s*movie\b/i
+  ];
+  
+  const isMovie = moviePatterns.some(p => p.test(normalized));
+  
+  // Movie with number: "Movie 04"
+  const movieNumMatch = normalized.match(/\bMovie\s*0?(\d{1,2})\b/i);
+  if (movieNumMatch) {
+    result.contentType = 'movie';
+    result.movieNumber = parseInt(movieNumMatch[1], 10);
+  } else if (isMovie) {
+    result.contentType = 'movie';
+  }
+  
+  // Detect year in movie titles (allow year at end or followed by brackets)
+  const yearMatch = normalized.match(/\b(20[0-2][0-9])\b(?![0-9]|p\b)/);
+  if (yearMatch && result.contentType === 'movie') {
+    result.year = parseInt(yearMatch[1], 10);
+  }
+  
+  // Detect SPECIALS (OVA, ONA, OAV, Special)
+  const specialPatterns = [
+    /\b(?:OVA|ONA|OAV|OAD)\s*0?(\d{1,2})?\b/i,
+    /\bSpecial\s*0?(\d{1,2})?\b/i,
+    /\bSP\s*0?(\d{1,2})\b/i,
+    /\b(?:Extra|Bonus|Omake|Picture\s*Drama)\b/i
+  ];
+  
+  for (const pattern of specialPatterns) {
+    const match = normalized.match(pattern);
+    if (match) {
+      result.contentType = 'special';
+      if (match[1]) {
+        result.specialNumber = parseInt(match[1], 10);
+      }
+      break;
+    }
+  }
+  
+  // Detect PREVIEW/TRAILER (should be excluded from normal matching)
+  // Include NCOP/NCED with optional number suffix (NCOP01, NCED02)
+  if (/\b(?:Preview|Trailer|PV\d*|CM\d*|Teaser|NCOP\d*|NCED\d*)\b/i.test(normalized)) {
+    result.contentType = 'preview';
+    return result; // Don't try to match episodes for previews
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STEP 1: EXTRACT SEASON from title (even if episode is extracted later)
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  // Season patterns to extract season number regardless of episode format
+  const seasonPatterns = [
+    // "Season 8", "Season 08", "Season  8"
+    /\bSeason\s*0?(\d{1,2})\b/i,
+    // French: "Saison 2"
+    /\bSaison\s*0?(\d{1,2})\b/i,
+    // "S8", "S08", "S 1" (with optional space, but not S01E05)
+    /\bS\s*0?(\d{1,2})(?!\s*E|\d)/i,
+    // "8th Season", "1st Season", "2nd Season", "3rd Season"
+    /\b(\d{1,2})(?:st|nd|rd|th)\s*Season\b/i,
+    // "Part 2", "Part 1" (often used as season equivalent)
+    /\bPart\s*0?(\d{1,2})\b/i,
+    // "Cour 2", "Cour 1" (anime broadcast term)
+    /\bCour\s*0?(\d{1,2})\b/i,
+    // "2nd Part", "3rd Cour" 
+    /\b(\d{1,2})(?:st|nd|rd|th)\s*(?:Part|Cour)\b/i,
+    // Roman numerals: II, III, IV (up to X=10)
+    /\s(I{1,3}|IV|VI{0,3}|IX|X)(?:\s|$|\]|\))/,
+  ];
+  
+  // Try to extract season
+  for (const pattern of seasonPatterns) {
+    const match = normalized.match(pattern);
+    if (match) {
+      if (pattern.source.includes('I{1,3}')) {
+        // Roman numeral conversion
+        const romanMap = { 'I': 1, 'II': 2, 'III': 3, 'IV': 4, 'V': 5, 'VI': 6, 'VII': 7, 'VIII': 8, 'IX': 9, 'X': 10 };
+        result.season = romanMap[match[1]] || null;
+      } else {
+        result.season = parseInt(match[1], 10);
+      }
+      break;
+    }
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STEP 2: BATCH/SEASON PACK DETECTION
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  // "Season X Episodes Y-Z" or "Season X Ep Y-Z" pattern
+  const seasonEpisodesMatch = normalized.match(/\bSeason\s*0?(\d{1,2})\s*(?:Episodes?|Eps?\.?)\s*(\d{1,3})\s*[-~]\s*(\d{1,3})\b/i);
+  if (seasonEpisodesMatch) {
+    result.isBatch = true;
+    result.season = parseInt(seasonEpisodesMatch[1], 10);
+    const start = parseInt(seasonEpisodesMatch[2], 10);
+    const end = parseInt(seasonEpisodesMatch[3], 10);
+    if (start <= end && end - start < 100) {
+      result.batchRange = [start, end];
+    }
+    return result;
+  }
+  
+  // "S01 [01-12]" or "Season 1 (01-12)" - season followed by episode range in brackets
+  const seasonPackMatch = normalized.match(/\b(?:S0?(\d{1,2})|Season\s*(\d{1,2}))\b.*?[\[\(](\d{1,3})\s*[-~]\s*(\d{1,3})[\]\)]/i);
+  if (seasonPackMatch) {
+    result.isBatch = true;
+    result.season = parseInt(seasonPackMatch[1] || seasonPackMatch[2], 10);
+    const start = parseInt(seasonPackMatch[3], 10);
+    const end = parseInt(seasonPackMatch[4], 10);
+    if (start <= end && end - start < 100) {
+      result.batchRange = [start, end];
+    }
+    return result;
+  }
+  
+  // "(Season 8)" or "[Season 8]" alone without episode - entire season batch
+  const seasonOnlyMatch = normalized.match(/[\[\(]Season\s*0?(\d{1,2})[\]\)]/i);
+  if (seasonOnlyMatch) {
+    result.isBatch = true;
+    result.season = parseInt(seasonOnlyMatch[1], 10);
+    return result;
+  }
+  
+  // Multi-season: "S1-S7", "Season 1-8", "Seasons 1~4", "S1+S2+S3", "S01-04P1"
+  const multiSeasonMatch = normalized.match(/\b(?:S0?(\d{1,2})\s*[-~]\s*S0?(\d{1,2})|Seasons?\s*(\d{1,2})\s*[-~]\s*(\d{1,2}))\b/i);
+  if (multiSeasonMatch) {
+    result.isBatch = true;
+    result.season = null;
+    result.isMultiSeason = true;
+    return result;
+  }
+  
+  // Multi-season with + separator: "S1+S2+S3", "S01+S02+Movies"
+  const multiSeasonPlusMatch = normalized.match(/\bS0?(\d{1,2})\s*\+\s*S0?(\d{1,2})/i);
+  if (multiSeasonPlusMatch) {
+    result.isBatch = true;
+    result.season = null;
+    result.isMultiSeason = true;
+    return result;
+  }
+  
+  // Multi-season range without S prefix: "S01-04" meaning Season 1-4 (when followed by P or nothing else)
+  const seasonRangeMatch = normalized.match(/\bS0?(\d{1,2})\s*-\s*0?(\d{1,2})(?:P|[+]|\s|$)/i);
+  if (seasonRangeMatch) {
+    const first = parseInt(seasonRangeMatch[1], 10);
+    const second = parseInt(seasonRangeMatch[2], 10);
+    // If second number is small (1-10), it's likely Season X-Y, not S01E04
+    if (second <= 10 && second > first) {
+      result.isBatch = true;
+      result.season = null;
+      result.isMultiSeason = true;
+      return result;
+    }
+  }
+  
+  // Explicit batch keywords - but try to extract episode range first
+  const batchKeywords = /\b(?:Complete|Batch|全话|全集|Season\s*Pack|Full\s*Season|BD\s*Box|Boxset)\b/i;
+  if (batchKeywords.test(normalized)) {
+    result.isBatch = true;
+    // Try to extract episode range before returning
+    const batchRangeMatch = normalized.match(/(?:\s-\s|[\[\(])0?(\d{1,4})\s*[-~]\s*0?(\d{1,4})(?:\s|[\]\)\[]|$)/);
+    if (batchRangeMatch) {
+      const start = parseInt(batchRangeMatch[1], 10);
+      const end = parseInt(batchRangeMatch[2], 10);
+      if (start < end && end - start >= 2 && end - start < 200) {
+        result.batchRange = [start, end];
+      }
+    }
+    return result;
+  }
+  
+  // Single season with BD/BDRip/Bluray indicator (full season releases)
+  // e.g., "[Judas] Boku no Hero Academia (Season 1) [BD 1080p]"
+  const bdSeasonMatch = normalized.match(/\b(?:Season|S)\s*0?(\d{1,2})\b.*?\b(?:BD|BDRip|Blu-?ray|WEB-DL)\s*(?:\d{3,4}p)?\s*[\]\)]/i);
+  if (bdSeasonMatch && !normalized.match(/E0?\d{1,4}/i) && !normalized.match(/\s-\s\d{1,4}(?:\s|$|\[|\()/)) {
+    // Has season + BD indicator but no episode number = full season release
+    result.isBatch = true;
+    result.season = parseInt(bdSeasonMatch[1], 10);
+    return result;
+  }
+  
+  // "(Season X Part Y)" pattern - indicates partial season batch
+  const seasonPartMatch = normalized.match(/\bSeason\s*0?(\d{1,2})\s*Part\s*0?(\d{1,2})\b/i);
+  if (seasonPartMatch) {
+    result.isBatch = true;
+    result.season = parseInt(seasonPartMatch[1], 10);
+    return result;
+  }
+  
+  // S01 with quality indicator but NO episode = season pack
+  // e.g., "[HorribleRips] My Hero Academia S1 [720p]", "Solo Leveling - S01 (BD 1080p)"
+  // Also handles: "Solo Leveling S02 BDRIP 1080p", "S 1 dvd"
+  const seasonQualityOnlyMatch = normalized.match(/\bS\s*0?(\d{1,2})\b(?!\s*E|\s*-\s*\d{1,4}(?:\s|\[|$))/i);
+  if (seasonQualityOnlyMatch && !normalized.match(/E0?\d{1,4}/i) && !normalized.match(/\s-\s\d{1,4}(?:\s|\[|\(|$)/)) {
+    result.isBatch = true;
+    result.season = parseInt(seasonQualityOnlyMatch[1], 10);
+    return result;
+  }
+  
+  // French "saison X & Y" multi-season
+  const frenchMultiSeason = normalized.match(/\bsaison\s*(\d+)\s*[&+]\s*(\d+)/i);
+  if (frenchMultiSeason) {
+    result.isBatch = true;
+    result.isMultiSeason = true;
+    return result;
+  }
+  
+  // Episode range without brackets: "1100-1155", "01-26", "1089-1100.5"
+  const epRangeNoBrackets = normalized.match(/(?:\s|^)(\d{1,4})\s*[-~]\s*(\d{1,4}(?:\.\d)?)(?:\s|\[|$)/i);
+  if (epRangeNoBrackets) {
+    const start = parseInt(epRangeNoBrackets[1], 10);
+    const end = parseFloat(epRangeNoBrackets[2]);
+    // Valid range: start < end, reasonable span, not resolution (1920-1080)
+    if (start < end && end - start >= 2 && end - start < 200 && start > 0 && start !== 1920 && end !== 1080) {
+      result.isBatch = true;
+      result.batchRange = [start, Math.ceil(end)];
+      return result;
+    }
+  }
+  
+  // Episode range in brackets: [01-12], (01~24), [01-28 Fin]
+  const rangeMatch = normalized.match(/[\[\(](\d{1,3})\s*[-~]\s*(\d{1,3})(?:\s*(?:Fin|End))?[\]\)]/i);
+  if (rangeMatch) {
+    const start = parseInt(rangeMatch[1], 10);
+    const end = parseInt(rangeMatch[2], 10);
+    if (start < end && end - start >= 2 && end - start < 100) {
+      result.isBatch = true;
+      result.batchRange = [start, end];
+      return result;
+    }
+  }
+  
+  // Range without brackets after dash: "- 01-100", "- 01 ~ 26"
+  const dashRangeMatch = normalized.match(/\s-\s0?(\d{1,3})\s*[-~]\s*0?(\d{1,3})(?:\s|\[|\(|$)/);
+  if (dashRangeMatch) {
+    const start = parseInt(dashRangeMatch[1], 10);
+    const end = parseInt(dashRangeMatch[2], 10);
+    if (start < end && end - start >= 2 && end - start < 100) {
+      result.isBatch = true;
+      result.batchRange = [start, end];
+      return result;
+    }
+  }
+  
+  // Range with keywords: "01-12 Complete", "01~24 END"
+  const rangeKeywordMatch = normalized.match(/\b(\d{1,3})\s*[-~]\s*(\d{1,3})\s*(?:END|Complete|Batch|Fin)\b/i);
+  if (rangeKeywordMatch) {
+    result.isBatch = true;
+    const start = parseInt(rangeKeywordMatch[1], 10);
+    const end = parseInt(rangeKeywordMatch[2], 10);
+    if (start < end && end - start < 100) {
+      result.batchRange = [start, end];
+    }
+    return result;
+  }
+  
+  // Volume releases: "Vol.1-4", "Volume 1~3"
+  const volMatch = normalized.match(/\bVol(?:ume)?\.?\s*(\d+)\s*[-~]\s*(\d+)\b/i);
+  if (volMatch) {
+    result.isBatch = true;
+    return result;
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STEP 3: SINGLE EPISODE EXTRACTION
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  // Pattern 1: S01E05 / S1E5 / S01 E05 format (Western style) - most specific
+  const sxeMatch = normalized.match(/\bS0?(\d{1,2})\s*E0?(\d{1,4})(?:v\d+)?(?!\d)/i);
+  if (sxeMatch) {
+    result.season = parseInt(sxeMatch[1], 10);
+    result.episode = parseInt(sxeMatch[2], 10);
+    return result;
+  }
+  
+  // Pattern 1b: S1 - 04 format (season prefix, dash, episode) - common in fansub batches
+  // e.g., "[Judas] Boku no Hero Academia S1 - 04.mkv"
+  const sDashMatch = normalized.match(/\bS0?(\d{1,2})\s*-\s*0?(\d{1,4})(?:v\d+)?(?!\d)/i);
+  if (sDashMatch) {
+    result.season = parseInt(sDashMatch[1], 10);
+    result.episode = parseInt(sDashMatch[2], 10);
+    return result;
+  }
+  
+  // Pattern 2: 1x05 format (alternative Western style)
+  const xMatch = normalized.match(/\b(\d{1,2})x(\d{1,4})(?:v\d+)?(?!\d)/i);
+  if (xMatch) {
+    result.season = parseInt(xMatch[1], 10);
+    result.episode = parseInt(xMatch[2], 10);
+    return result;
+  }
+  
+  // Pattern 3: "Season X Episode Y" / "Season X Ep Y" / "Season X: Episode Y" / "Season X - Episode Y"
+  const seasonEpMatch = normalized.match(/\bSeason\s*0?(\d{1,2})\s*(?:[-:]?\s*)?(?:Episode|Ep\.?)\s*0?(\d{1,4})(?:v\d+)?(?!\d)/i);
+  if (seasonEpMatch) {
+    result.season = parseInt(seasonEpMatch[1], 10);
+    result.episode = parseInt(seasonEpMatch[2], 10);
+    return result;
+  }
+  
+  // Pattern 4: "Season X - Y" where Y is episode number (e.g., "Season 8 - 01")
+  const seasonDashMatch = normalized.match(/\bSeason\s*0?(\d{1,2})\s*-\s*0?(\d{1,3})(?:v\d+)?(?!\d)/i);
+  if (seasonDashMatch) {
+    result.season = parseInt(seasonDashMatch[1], 10);
+    result.episode = parseInt(seasonDashMatch[2], 10);
+    return result;
+  }
+  
+  // === ABSOLUTE NUMBERING (no season in episode marker) ===
+  
+  // Pattern 5: Anime standard " - 05" or " - 05v2" (e.g., "[SubsPlease] Frieren - 05 (1080p).mkv")
+  const dashEpMatch = normalized.match(/\s-\s0?(\d{1,4})(?:v\d+)?(?:\s|\(|\[|$)/);
+  if (dashEpMatch) {
+    result.episode = parseInt(dashEpMatch[1], 10);
+    result.isAbsolute = true;
+    return result;
+  }
+  
+  // Pattern 6: "Episode 05" / "Ep.05" / "Ep 5" (standalone, not after Season)
+  // But NOT "Season X Episode Y" which was already handled
+  if (!normalized.match(/\bSeason\s*\d/i)) {
+    const epWordMatch = normalized.match(/\b(?:Episode|Ep\.?)\s*0?(\d{1,4})(?:v\d+)?(?!\d)/i);
+    if (epWordMatch) {
+      result.episode = parseInt(epWordMatch[1], 10);
+      result.isAbsolute = true;
+      return result;
+    }
+  }
+  
+  // Pattern 7: #05 or 第05話 or 第05回 (Japanese episode marker)
+  const jpEpMatch = normalized.match(/(?:#|第)0?(\d{1,4})(?:話|回|v\d+)?/);
+  if (jpEpMatch) {
+    result.episode = parseInt(jpEpMatch[1], 10);
+    result.isAbsolute = true;
+    return result;
+  }
+  
+  // Pattern 8: [05] or (05) - common in older fansub releases
+  // But avoid [1080], [2024], [720p], etc.
+  const bracketEpMatch = normalized.match(/[\[\(]0?(\d{1,3})(?:v\d+)?[\]\)](?!\s*(?:p|P)\b)/);
+  if (bracketEpMatch) {
+    const num = parseInt(bracketEpMatch[1], 10);
+    // Must be reasonable episode number (not year, not resolution)
+    if (num > 0 && num < 500 && num !== 720 && num !== 1080 && num !== 480 && num !== 360) {
+      // Check if it looks like a year (19xx, 20xx)
+      if (num < 1900 || num > 2100) {
+        result.episode = num;
+        result.isAbsolute = true;
+        return result;
+      }
+    }
+  }
+  
+  // Pattern 9: "_05_" or ".05." (underscore/dot separated)
+  const sepEpMatch = normalized.match(/[._]0?(\d{1,3})(?:v\d+)?[._]/);
+  if (sepEpMatch) {
+    const num = parseInt(sepEpMatch[1], 10);
+    if (num > 0 && num < 500) {
+      result.episode = num;
+      result.isAbsolute = true;
+      return result;
+    }
+  }
+  
+  // Pattern 10: "E05" standalone (not part of SxE)
+  const eOnlyMatch = normalized.match(/\bE0?(\d{1,4})(?:v\d+)?(?!\d)/i);
+  if (eOnlyMatch && !normalized.match(/\bS\d+\s*E\d/i)) {
+    result.episode = parseInt(eOnlyMatch[1], 10);
+    result.isAbsolute = true;
+    return result;
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STEP 4: SPECIAL CASE - Episode with title but no number
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  // "Season 8: The End of an Era" - has season but episode is a title not number
+  // We detect this but can't extract episode number, so it fails validation
+  if (result.season !== null && normalized.match(/(?:Episode|Ep\.?)[:\s]+[A-Za-z]/i)) {
+    // Season detected but episode is a title - can't validate
+    return result; // episode stays null
+  }
+  
+  // Pattern 11: Trailing episode number - "Title 1100 [" or "Title 1100 ("
+  // Common in fansub releases after underscore normalization
+  const trailingEpMatch = normalized.match(/\s(\d{2,4})(?:\s*[\[\(]|$)/);
+  if (trailingEpMatch) {
+    const num = parseInt(trailingEpMatch[1], 10);
+    // Must be reasonable episode number (not resolution like 1080, 720, 1920, etc.)
+    if (num > 0 && num < 2000 && num !== 720 && num !== 1080 && num !== 480 && num !== 360 && 
+        num !== 1920 && num !== 2160 && num !== 4320) {
+      result.episode = num;
+      result.isAbsolute = true;
+      return result;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Normalize an anime title for comparison
+ * Removes common suffixes, punctuation, and standardizes format
+ */
+function normalizeAnimeTitle(title) {
+  if (!title) return '';
+  return title
+    .toLowerCase()
+    .replace(/[:\-–—'"!?,\.]+/g, ' ')                    // Punctuation to space
+    .replace(/\s+(the|a|an)\s+/gi, ' ')                  // Remove articles
+    .replace(/\s+/g, ' ')                                // Normalize whitespace
+    .replace(/\s*(season|part|cour)\s*\d+.*$/i, '')      // Remove "Season X" suffix
+    .replace(/\s*(ii|iii|iv|v|vi|vii|viii|ix|x)$/i, '')  // Remove roman numeral suffix
+    .replace(/\s*[2-9]nd?\s*(season)?$/i, '')            // Remove "2nd Season" suffix
+    .replace(/\s*\d+(st|nd|rd|th)\s*(season)?$/i, '')    // Remove ordinal season suffix
+    .trim();
+}
+
+// We reuse that function for show title matching
+
+/**
+ * Extract anime name from torrent title
+ * Handles various fansub naming conventions
+ * Goal: Extract JUST the anime name, removing all metadata
+ */
+function extractAnimeNameFromTorrent(title) {
+  if (!title) return '';
+  
+  // Remove release group: [SubsPlease], [Erai-raws], etc.
+  let cleaned = title.replace(/^\[[^\]]+\]\s*/g, '');
+  
+  // Remove ALL bracketed content: [1080p], (HEVC), [Dual Audio], etc.
+  cleaned = cleaned.replace(/[\[\(][^\]\)]*[\]\)]/g, ' ');
+  
+  // Remove season/episode patterns FIRST (before other cleanup)
+  cleaned = cleaned.replace(/\s+S0?\d+E0?\d+/gi, ' ');                     // S01E05, S1E5
+  cleaned = cleaned.replace(/\s+S0?\d+\b/gi, ' ');                         // S01, S1 standalone
+  cleaned = cleaned.replace(/\s+\d+x\d+/gi, ' ');                          // 1x05
+  cleaned = cleaned.replace(/\s+-\s+\d+(?:v\d+)?(?:\s|$)/g, ' ');          // " - 05"
+  cleaned = cleaned.replace(/\s+(?:Episode|Ep\.?)\s*\d+/gi, ' ');          // "Episode 05"
+  cleaned = cleaned.replace(/\bSeason\s*\d+/gi, ' ');                      // "Season 1", "Season 01"
+  cleaned = cleaned.replace(/\b\d+(?:st|nd|rd|th)\s*Season\b/gi, ' ');     // "1st Season", "6th Season"
+  cleaned = cleaned.replace(/\b\d+(?:st|nd|rd|th)\s*Cour\b/gi, ' ');       // "1st Cour"
+  cleaned = cleaned.replace(/\bPart\s*\d+/gi, ' ');                        // "Part 2"
+  cleaned = cleaned.replace(/\bCour\s*\d+/gi, ' ');                        // "Cour 2"
+  
+  // Remove common metadata patterns
+  cleaned = cleaned.replace(/\b(?:BD|BDREMUX|WEB-DL|WEBRip|HDTV|BluRay|BDRip)\b/gi, ' ');
+  cleaned = cleaned.replace(/\b(?:HEVC|x265|x264|AV1|H\.?264|H\.?265|10bit|Hi10P)\b/gi, ' ');
+  cleaned = cleaned.replace(/\b(?:AAC|FLAC|AC3|DTS|Opus|TrueHD)\b/gi, ' ');
+  cleaned = cleaned.replace(/\b(?:Dual\s*Audio|Multi\s*Audio|English\s*Dub|Dub\s*Ita)\b/gi, ' ');
+  cleaned = cleaned.replace(/\b\d+p\b/gi, ' ');                            // 1080p, 720p
+  cleaned = cleaned.replace(/\b(?:Complete|Batch|END|Fin|Extras)\b/gi, ' ');
+  cleaned = cleaned.replace(/\b(?:VOSTFR|SoftSub|HardSub|Multi\s*Subs?)\b/gi, ' ');
+  
+  // Remove file extension
+  cleaned = cleaned.replace(/\.(mkv|mp4|avi|webm)$/i, '');
+  
+  // Remove trailing episode numbers that weren't caught
+  cleaned = cleaned.replace(/\s+\d{1,3}(?:v\d+)?$/g, '');
+  
+  // Remove hash codes like [5bbb1483]
+  cleaned = cleaned.replace(/\[[a-f0-9]{6,10}\]/gi, '');
+  
+  // Normalize whitespace and punctuation
+  cleaned = cleaned.replace(/[-_]/g, ' ');
+  cleaned = cleaned.replace(/\s+/g, ' ').trim();
+  
+  return cleaned;
+}
+
+/**
+ * Known spinoff/sequel indicators that change the show identity
+ * These words after the main title indicate a DIFFERENT show
+ */
+const SPINOFF_INDICATORS = [
+  'vigilantes', 'vigilante',
+  'shippuden', 'shippuuden',
+  'super', 'gt', 'z', 'kai',
+  'zero', 're',
+  'brotherhood',
+  'origins', 'origin',
+  'gaiden',
+  'after story', 'afterstory',
+  'movie', 'film',
+  'ova', 'ona', 'special', 'specials',
+  'recap',
+  'illegals'
+];
+
+/**
+ * Score how well a torrent title matches the expected anime
+ * Returns a score from 0-100 where:
+ * - 100 = Perfect match (exact match with main name or synonym)
+ * - 90+ = Very high confidence match
+ * - 70-89 = Good match (fuzzy/partial)
+ * - 50-69 = Uncertain match
+ * - <50 = Likely different show
+ * 
+ * @param {string} torrentTitle - Full torrent title
+ * @param {string} expectedAnimeName - Main anime name (usually English)
+ * @param {Array} synonyms - Alternative names (Japanese, romanized, etc.)
+ * @returns {{ score: number, reason: string, extractedName: string }}
+ */
+function scoreShowMatch(torrentTitle, expectedAnimeName, synonyms = []) {
+  const extractedName = extractAnimeNameFromTorrent(torrentTitle);
+  const normalizedExtracted = normalizeAnimeTitle(extractedName);
+  
+  if (!normalizedExtracted || normalizedExtracted.length < 2) {
+    return { score: 0, reason: 'empty_extraction', extractedName };
+  }
+  
+  // Build list of all acceptable names (main + synonyms)
+  // All of these should score 100 on exact match
+  const acceptableNames = new Set();
+  
+  // Add main name
+  const normalizedMain = normalizeAnimeTitle(expectedAnimeName);
+  if (normalizedMain) acceptableNames.add(normalizedMain);
+  
+  // Add all synonyms (these include Japanese names, romanizations, etc.)
+  if (synonyms && Array.isArray(synonyms)) {
+    for (const syn of synonyms) {
+      const normalized = normalizeAnimeTitle(syn);
+      if (normalized && normalized.length > 2) {
+        acceptableNames.add(normalized);
+      }
+    }
+  }
+  
+  const acceptableArray = Array.from(acceptableNames);
+  
+  // === EXACT MATCH CHECK (Score: 100) ===
+  if (acceptableNames.has(normalizedExtracted)) {
+    return { score: 100, reason: 'exact_match', extractedName };
+  }
+  
+  // === CONTAINMENT CHECKS ===
+  let bestContainmentScore = 0;
+  let containmentReason = '';
+  
+  for (const acceptable of acceptableArray) {
+    // Check if extracted name contains an acceptable name
+    if (normalizedExtracted.includes(acceptable)) {
+      const afterMatch = normalizedExtracted.substring(
+        normalizedExtracted.indexOf(acceptable) + acceptable.length
+      ).trim();
+      
+      // Nothing after = almost exact match
+      if (afterMatch.length === 0) {
+        if (bestContainmentScore < 98) {
+          bestContainmentScore = 98;
+          containmentReason = 'contains_exact_end';
+        }
+        continue;
+      }
+      
+      // Check for spinoff indicators
+      const hasSpinoff = SPINOFF_INDICATORS.some(indicator => 
+        afterMatch.toLowerCase().startsWith(indicator)
+      );
+      
+      if (hasSpinoff) {
+        // This is likely a spinoff - very low score
+        if (bestContainmentScore < 20) {
+          bestContainmentScore = 20;
+          containmentReason = 'spinoff_detected';
+        }
+        continue;
+      }
+      
+      // Has something after but not a spinoff - could be season/metadata remnants
+      // Score based on how much extra content there is
+      const extraRatio = afterMatch.length / normalizedExtracted.length;
+      const containScore = Math.max(70, Math.round(95 - (extraRatio * 30)));
+      if (containScore > bestContainmentScore) {
+        bestContainmentScore = containScore;
+        containmentReason = 'contains_with_extra';
+      }
+    }
+    
+    // Check if acceptable name contains extracted name (shortened torrent title)
+    if (acceptable.includes(normalizedExtracted) && normalizedExtracted.length > 4) {
+      const coverageRatio = normalizedExtracted.length / acceptable.length;
+      const shortScore = Math.round(60 + (coverageRatio * 35)); // 60-95 based on coverage
+      if (shortScore > bestContainmentScore) {
+        bestContainmentScore = shortScore;
+        containmentReason = 'shortened_title';
+      }
+    }
+  }
+  
+  if (bestContainmentScore > 0) {
+    return { score: bestContainmentScore, reason: containmentReason, extractedName };
+  }
+  
+  // === FUZZY SIMILARITY CHECK ===
+  let bestSimilarity = 0;
+  for (const acceptable of acceptableArray) {
+    const similarity = stringSimilarity(normalizedExtracted, acceptable);
+    bestSimilarity = Math.max(bestSimilarity, similarity);
+  }
+  
+  // Convert similarity (0-1) to score (0-100) with threshold
+  if (bestSimilarity >= 0.9) {
+    return { score: Math.round(bestSimilarity * 100), reason: 'high_similarity', extractedName };
+  }
+  if (bestSimilarity >= 0.7) {
+    return { score: Math.round(bestSimilarity * 95), reason: 'fuzzy_match', extractedName };
+  }
+  
+  // === WORD-BASED MATCHING ===
+  const extractedWords = normalizedExtracted.split(' ').filter(w => w.length > 2);
+  
+  let bestWordScore = 0;
+  for (const acceptable of acceptableArray) {
+    const acceptableWords = acceptable.split(' ').filter(w => w.length > 2);
+    
+    if (acceptableWords.length === 0) continue;
+    
+    // Count how many words from the acceptable name appear in extracted
+    let matchedWords = 0;
+    for (const aw of acceptableWords) {
+      if (extractedWords.some(ew => ew === aw || ew.includes(aw) || aw.includes(ew))) {
+        matchedWords++;
+      }
+    }
+    
+    const wordMatchRatio = matchedWords / acceptableWords.length;
+    const wordScore = Math.round(wordMatchRatio * 80); // Max 80 for word matching
+    bestWordScore = Math.max(bestWordScore, wordScore);
+  }
+  
+  if (bestWordScore >= 60) {
+    return { score: bestWordScore, reason: 'word_match', extractedName };
+  }
+  
+  // === NO GOOD MATCH ===
+  // Return whatever fuzzy similarity we found (likely low)
+  return { 
+    score: Math.round(bestSimilarity * 50), // Cap at 50 for no-match cases
+    reason: 'no_match', 
+    extractedName 
+  };
+}
+
+/**
+ * Check if torrent title matches the expected anime (wrapper for backward compatibility)
+ * Uses scoreShowMatch internally with a threshold
+ * 
+ * @param {string} torrentTitle - Full torrent title
+ * @param {string} expectedAnimeName - Main anime name
+ * @param {Array} synonyms - Alternative names
+ * @param {number} threshold - Minimum score to consider a match (default: 60)
+ * @returns {{ matches: boolean, confidence: number, reason: string }}
+ */
+function validateTorrentShowMatch(torrentTitle, expectedAnimeName, synonyms = [], threshold = 60) {
+  const result = scoreShowMatch(torrentTitle, expectedAnimeName, synonyms);
+  
+  return {
+    matches: result.score >= threshold,
+    confidence: result.score / 100,
+    reason: result.reason,
+    score: result.score,
+    extractedName: result.extractedName
+  };
+}
+
+/**
+ * Check if a torrent matches the requested episode
+ * @param {string} title - Torrent title
+ * @param {number} requestedEpisode - Episode number user wants (can be absolute or seasonal)
+ * @param {number} requestedSeason - Season number (1 = first season)
+ * @returns {{ matches: boolean, reason: string, info: object }}
+ */
+function validateTorrentEpisode(title, requestedEpisode, requestedSeason = 1, contentTypeHint = null) {
+  const info = extractEpisodeInfo(title);
+  
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CONTENT TYPE HANDLING
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  // Skip previews/trailers entirely
+  if (info.contentType === 'preview') {
+    return { matches: false, reason: 'preview_trailer_excluded', info };
+  }
+  
+  // MOVIE CONTENT: When user requests a movie (contentTypeHint='movie'), accept movie torrents
+  if (contentTypeHint === 'movie') {
+    if (info.contentType === 'movie') {
+      // If movie has a number and episode was provided, match it
+      if (info.movieNumber && requestedEpisode) {
+        if (info.movieNumber === requestedEpisode) {
+          return { matches: true, reason: 'movie_number_match', info };
+        }
+        return { matches: false, reason: 'movie_number_mismatch', info };
+      }
+      // Otherwise, just accept the movie torrent (show match will filter)
+      return { matches: true, reason: 'movie_content_match', info };
+    }
+    // If user wants movie but torrent is episode, skip
+    return { matches: false, reason: 'expected_movie_got_episode', info };
+  }
+  
+  // SPECIAL CONTENT: When user requests S00Exx (specials), accept special torrents
+  if (requestedSeason === 0 || contentTypeHint === 'special') {
+    if (info.contentType === 'special') {
+      if (info.specialNumber && requestedEpisode) {
+        if (info.specialNumber === requestedEpisode) {
+          return { matches: true, reason: 'special_number_match', info };
+        }
+        return { matches: false, reason: 'special_number_mismatch', info };
+      }
+      return { matches: true, reason: 'special_content_match', info };
+    }
+    // Check S00Exx episode number
+    if (info.season === 0 && info.episode === requestedEpisode) {
+      return { matches: true, reason: 'season_0_episode_match', info };
+    }
+  }
+  
+  // If torrent is a movie/special but user wants regular episode, reject
+  if (info.contentType === 'movie' && contentTypeHint !== 'movie') {
+    return { matches: false, reason: 'movie_not_requested', info };
+  }
+  if (info.contentType === 'special' && requestedSeason !== 0 && contentTypeHint !== 'special') {
+    return { matches: false, reason: 'special_not_requested', info };
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════════
+  // BATCH/SEASON PACK HANDLING
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  if (info.isBatch) {
+    // CRITICAL: Check season mismatch first for batches that have a detected season
+    // This prevents "Season 8 Episodes 1-11" from matching when user wants Season 1
+    if (info.season !== null && info.season !== requestedSeason) {
+      return { matches: false, reason: 'batch_season_mismatch', info };
+    }
+    
+    // Multi-season batches (S1-S7) - these are too broad, reject them
+    if (info.isMultiSeason) {
+      return { matches: false, reason: 'multi_season_batch_rejected', info };
+    }
+    
+    // If we have an episode range, validate the episode is within it
+    if (info.batchRange) {
+      const [start, end] = info.batchRange;
+      if (requestedEpisode >= start && requestedEpisode <= end) {
+        return { matches: true, reason: 'batch_contains_episode', info };
+      } else {
+        return { matches: false, reason: 'batch_episode_out_of_range', info };
+      }
+    }
+    
+    // Unknown range but season matches (or no season detected) - allow it (we'll select file later)
+    return { matches: true, reason: 'batch_unknown_range', info };
+  }
+  
+  // ═══════════════════════════════════════════════════════════════════════════
+  // REGULAR EPISODE HANDLING
+  // ═══════════════════════════════════════════════════════════════════════════
+  
+  // If we couldn't extract episode info, reject (strict mode)
+  if (info.episode === null) {
+    return { matches: false, reason: 'no_episode_detected', info };
+  }
+  
+  // Check for season match if torrent specifies a season
+  if (info.season !== null && info.season !== requestedSeason) {
+    return { matches: false, reason: 'season_mismatch', info };
+  }
+  
+  // Direct episode match
+  if (info.episode === requestedEpisode) {
+    return { matches: true, reason: 'exact_match', info };
+  }
+  
+  // No match
+  return { matches: false, reason: 'episode_mismatch', info };
+}
+
+/**
+ * Filter torrents to only include those matching the requested episode AND show
+ * @param {Array} torrents - Array of torrent objects with 'title' field
+ * @param {number} episode - Requested episode number
+ * @param {number} season - Requested season number
+ * @param {string} animeName - Expected anime name (optional but recommended)
+ * @param {Array} synonyms - Alternative names for the anime (optional)
+ * @param {number} showMatchThreshold - Minimum score for show match (default: 60)
+ * @returns {Array} Filtered torrents with match info
+ */
+function filterTorrentsByEpisode(torrents, episode, season = 1, animeName = null, synonyms = [], showMatchThreshold = 60, contentTypeHint = null) {
+  const filtered = [];
+  
+  for (const torrent of torrents) {
+    // First, validate the show title matches (if animeName provided)
+    if (animeName) {
+      const showMatch = validateTorrentShowMatch(torrent.title, animeName, synonyms, showMatchThreshold);
+      if (!showMatch.matches) {
+        logger.debug(`[Show Filter] Rejected (score: ${showMatch.score}): "${torrent.title.substring(0, 55)}..." - ${showMatch.reason} (extracted: "${showMatch.extractedName}", wanted: "${animeName}")`);
+        continue; // Skip to next torrent
+      }
+      // Log accepted matches with their score for debugging
+      if (showMatch.score < 90) {
+        logger.debug(`[Show Filter] Accepted (score: ${showMatch.score}): "${torrent.title.substring(0, 55)}..." - ${showMatch.reason}`);
+      }
+    }
+    
+    // Then validate the episode/content matches
+    const validation = validateTorrentEpisode(torrent.title, episode, season, contentTypeHint);
+    
+    if (validation.matches) {
+      // Add match info to torrent for later use (e.g., batch file selection)
+      filtered.push({
+        ...torrent,
+        _episodeInfo: validation.info,
+        _matchReason: validation.reason
+      });
+    } else {
+      // Build informative debug string
+      const info = validation.info;
+      let detected = '';
+      if (info.contentType === 'movie') {
+        detected = `Movie${info.movieNumber ? ' #' + info.movieNumber : ''}${info.year ? ' (' + info.year + ')' : ''}`;
+      } else if (info.contentType === 'special') {
+        detected = `Special${info.specialNumber ? ' #' + info.specialNumber : ''}`;
+      } else if (info.isBatch) {
+        detected = `Batch S${info.season || '?'}`;
+        if (info.batchRange) detected += ` [${info.batchRange[0]}-${info.batchRange[1]}]`;
+        if (info.isMultiSeason) detected += ' (multi-season)';
+      } else {
+        detected = `E${info.episode || '?'}`;
+        if (info.season) detected = `S${info.season}${detected}`;
+        if (info.isAbsolute) detected += ' (abs)';
+      }
+      const wantedStr = contentTypeHint === 'movie' ? 'Movie' : `S${season}E${episode}`;
+      logger.debug(`[Episode Filter] Rejected: "${torrent.title.substring(0, 70)}..." - ${validation.reason} (detected: ${detected}, wanted: ${wantedStr})`);
+    }
+  }
+  
+  return filtered;
+}
+
+/**
+ * Extract info hash from magnet link
+ */
+function extractInfoHash(magnet) {
+  const match = magnet.match(/urn:btih:([a-fA-F0-9]{40})/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Parse XML RSS to extract items (simple parser for Cloudflare Workers)
+ */
+function parseRSSItems(xml) {
+  const items = [];
+  const itemRegex = /<item>([\s\S]*?)<\/item>/gi;
+  let match;
+  
+  while ((match = itemRegex.exec(xml)) !== null) {
+    const itemXml = match[1];
+    
+    const getTag = (tag) => {
+      const tagMatch = itemXml.match(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`, 'i'));
+      return tagMatch ? tagMatch[1].replace(/<!\[CDATA\[|\]\]>/g, '').trim() : '';
+    };
+    
+    // Extract info hash from nyaa:infoHash tag
+    const infoHashTag = getTag('nyaa:infoHash');
+    
+    // Also try to extract from link if it contains magnet
+    let infoHashFromLink = '';
+    const linkContent = getTag('link');
+    if (linkContent) {
+      const magnetMatch = linkContent.match(/urn:btih:([a-fA-F0-9]{40})/i);
+      if (magnetMatch) infoHashFromLink = magnetMatch[1];
+    }
+    
+    items.push({
+      title: getTag('title'),
+      link: linkContent,
+      pubDate: getTag('pubDate'),
+      size: getTag('nyaa:size') || getTag('size'),
+      seeders: parseInt(getTag('nyaa:seeders') || '0'),
+      leechers: parseInt(getTag('nyaa:leechers') || '0'),
+      infoHash: infoHashTag || infoHashFromLink,
+      category: getTag('nyaa:category') || getTag('category')
+    });
+  }
+  
+  return items;
+}
+
+/**
+ * Scrape RAW anime torrents from Nyaa.si
+ * @param {string} animeName - The anime name to search for
+ * @param {number} episode - Optional specific episode number
+ * @returns {Promise<Array>} Array of torrent objects (rejects when Nyaa couldn't be searched)
+ */
+async function scrapeNyaa(animeName, episode = null, season = 1, isMovie = false) {
+  const cacheKey = isMovie ? `nyaa:movie:${animeName}` : `nyaa:S${season}:${animeName}:${episode || 'all'}`;
+  const torrents = await torrentCache.wrap(cacheKey, () => fetchNyaa(animeName, episode, season, isMovie));
+  if (!torrents) throw new Error(`Nyaa search failed for "${animeName}"`);
+  return torrents;
+}
+
+/**
+ * Search Nyaa.si (uncached - see scrapeNyaa)
+ * @returns {Promise<Array|null>} Validated torrents, or null on error (not cached)
+ */
+async function fetchNyaa(animeName, episode, season, isMovie) {
+  const torrents = [];
+  
+  try {
+    // Build search queries for anime torrents
+    const episodeQuery = episode ? `${episode}`.padStart(2, '0') : '';
+    const paddedSeason = String(season).padStart(2, '0');
+    const paddedEpisode = episode ? String(episode).padStart(2, '0') : '';
+    
+    // Clean up anime name for better search results
+    // Remove special characters and curly quotes that might break search
+    const cleanName = animeName
+      .replace(/[:'!?""'']/g, '') // Remove punctuation including curly quotes
+      .replace(/\s+/g, ' ')       // Normalize whitespace
+      .trim();
+    
+    // Extract short name for better Nyaa matching
+    // Nyaa titles often use Japanese names or shortened versions
+    // E.g., "Frieren: Beyond Journey's End" -> "Frieren"
+    const shortName = cleanName.split(/[:-]/)[0].replace(/^The\s+/i, '').trim();
+    
+    // Build search queries based on season
+    // For season 1, use simpler queries; for season 2+, include season info
+    let searchQueries;
+    if (season > 1) {
+      // Multi-season show - must include season identifier
+      searchQueries = [
+        `${shortName} S${paddedSeason}E${paddedEpisode}`.trim(),           // S02E03 format
+        `${shortName} Season ${season} ${episodeQuery}`.trim(),            // "Season 2 03" format
+        `${cleanName} S${paddedSeason}E${paddedEpisode}`.trim(),           // Full name S02E03
+      ];
+    } else {
+      // Season 1 - simpler queries (most anime don't explicitly say S01)
+      searchQueries = [
+        `${shortName} ${episodeQuery}`.trim(),                              // Short name (e.g., "Frieren 02")
+        `${cleanName} ${episodeQuery}`.trim(),                              // Full clean name
+        `${shortName} S${paddedSeason}E${paddedEpisode}`.trim(),           // Also try S01E03 format
+      ];
+    }
+    
+    // Remove duplicates
+    const uniqueQueries = [...new Set(searchQueries)].slice(0, 2);
+    
+    for (const query of uniqueQueries) {
+      // Category 1_0 = ALL Anime (includes subbed, raw, everything)
+      // f=0 = no filter, f=2 = trusted uploaders only
+      const url = `https://nyaa.si/?page=rss&q=${encodeURIComponent(query)}&c=1_0&f=0`;
+      
+      logger.debug(`[Nyaa] Searching: ${url}`);
+      
+      const response = await trackUpstream('nyaa', () => fetch(url, {
+        headers: buildBrowserHeaders(),
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+      }));
+      
+      if (!response.ok) {
+        logger.error(`[Nyaa] Error: ${response.status}`);
+        continue;
+      }
+      
+      const xml = await response.text();
+      const items = parseRSSItems(xml);
+      
+      // If we found results, no need to try other queries
+      if (items.length > 0 && torrents.length === 0) {
+        for (const item of items) {
+          if (!item.title) continue;
+          
+          // Extract magnet link (nyaa puts it in the link or we construct it)
+        let magnet = '';
+        let infoHash = item.infoHash;
+        
+        if (item.link && item.link.includes('magnet:')) {
+          magnet = item.link;
+          infoHash = extractInfoHash(magnet);
+        } else if (infoHash) {
+          magnet = `magnet:?xt=urn:btih:${infoHash}&dn=${encodeURIComponent(item.title)}`;
+        }
+        
+        if (!infoHash) continue;
+        
+        // Detect release info
+        const quality = detectTorrentQuality(item.title);
+        const source = detectSourceType(item.title);
+        const isRaw = isRAWRelease(item.title);
+        
+        // Extract release group
+        const groupMatch = item.title.match(/^\[([^\]]+)\]/);
+        const releaseGroup = groupMatch ? groupMatch[1] : 'Unknown';
+        
+        torrents.push({
+          title: item.title,
+          infoHash: infoHash.toUpperCase(),
+          magnet,
+          quality,
+          source,
+          isRaw,
+          releaseGroup,
+          seeders: item.seeders,
+          size: item.size,
+          pubDate: item.pubDate,
+          provider: 'Nyaa'
+        });
+        }
+      }
+      
+      // If we found results, don't search other queries
+      if (torrents.length > 0) break;
+    }
+    
+    // Sort by: 1) Quality, 2) Seeders (most seeded first)
+    // Note: Cache status (⚡) sorting happens later when we have debrid info
+    const qualityOrder = { '4K': 0, '1080p': 1, '720p': 2, '480p': 3, 'Unknown': 4 };
+    torrents.sort((a, b) => {
+      const qualityDiff = qualityOrder[a.quality] - qualityOrder[b.quality];
+      if (qualityDiff !== 0) return qualityDiff;
+      return b.seeders - a.seeders;
+    });
+    
+    // EPISODE VALIDATION: Filter to only torrents matching requested episode
+    // For movies, pass contentTypeHint='movie' to accept movie torrents
+    let validatedTorrents = torrents;
+    if (isMovie) {
+      // For movies, filter using movie content type hint
+      const beforeCount = torrents.length;
+      validatedTorrents = filterTorrentsByEpisode(torrents, 1, 1, animeName, [], 60, 'movie');
+      logger.debug(`[Nyaa] Movie validation: ${validatedTorrents.length}/${beforeCount} torrents match movie pattern`);
+    } else if (episode) {
+      const beforeCount = torrents.length;
+      validatedTorrents = filterTorrentsByEpisode(torrents, episode, season, animeName);
+      logger.debug(`[Nyaa] Episode validation: ${validatedTorrents.length}/${beforeCount} torrents match E${episode} S${season}`);
+    }
+    
+    logger.debug(`[Nyaa] Found ${validatedTorrents.length} validated torrents for "${animeName}" E${episode || 'all'}`);
+    return validatedTorrents;
+    
+  } catch (error) {
+    logger.error(`[Nyaa] Error scraping: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Scrape torrents from AnimeTosho (aggregator)
+ * @param {string} animeName - The anime name to search for
+ * @param {number} episode - Optional specific episode number
+ * @param {boolean} isMovie - Whether this is a movie (skip episode filtering)
+ * @returns {Promise<Array>} Array of torrent objects (rejects when AnimeTosho couldn't be searched)
+ */
+async function scrapeAnimeTosho(animeName, episode = null, season = 1, isMovie = false) {
+  const cacheKey = isMovie ? `tosho:movie:${animeName}` : `tosho:${animeName}:S${season}:${episode || 'all'}`;
+  const torrents = await torrentCache.wrap(cacheKey, () => fetchAnimeTosho(animeName, episode, season, isMovie));
+  if (!torrents) throw new Error(`AnimeTosho search failed for "${animeName}"`);
+  return torrents;
+}
+
+/**
+ * Search AnimeTosho by title (uncached - see scrapeAnimeTosho)
+ * @returns {Promise<Array|null>} Validated torrents, or null on error (not cached)
+ */
+async function fetchAnimeTosho(animeName, episode, season, isMovie) {
+  const torrents = [];
+  
+  try {
+    // Format episode/season numbers
+    const paddedEpisode = episode ? String(episode).padStart(2, '0') : '';
+    const paddedSeason = String(season).padStart(2, '0');
+    
+    // Build search queries based on season
+    let searchQueries;
+    if (season > 1) {
+      // Multi-season show - must include season identifier
+      searchQueries = [
+        `${animeName} S${paddedSeason}E${paddedEpisode}`.trim(),      // S02E03 format
+        `${animeName} Season ${season} ${paddedEpisode}`.trim(),       // "Season 2 03" format
+      ];
+    } else {
+      // Season 1 - simpler queries
+      searchQueries = [
+        `${animeName} ${paddedEpisode}`.trim(),                        // Simple: "Anime 03"
+        `${animeName} S${paddedSeason}E${paddedEpisode}`.trim(),      // Also try S01E03
+      ];
+    }
+    
+    // Remove duplicates and empty queries
+    const uniqueQueries = [...new Set(searchQueries.filter(q => q.length > 0))];
+    
+    for (const query of uniqueQueries) {
+      const url = `https://feed.animetosho.org/rss2?q=${encodeURIComponent(query)}&filter[0][t]=nyaa_class&filter[0][v]=trusted`;
+    
+      logger.debug(`[AnimeTosho] Searching: ${url}`);
+    
+      const response = await trackUpstream('animetosho', () => fetch(url, {
+        headers: buildBrowserHeaders(),
+        signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+      }));
+      
+      if (!response.ok) {
+        logger.error(`[AnimeTosho] Error: ${response.status}`);
+        continue; // Try next query instead of returning
+      }
+      
+      const xml = await response.text();
+      const items = parseRSSItems(xml);
+      
+      for (const item of items) {
+        if (!item.title) continue;
+        
+        // AnimeTosho provides magnet in enclosure or link
+        let magnet = '';
+        let infoHash = '';
+        
+        // Try to find torrent hash in the link
+        const hashMatch = item.link.match(/\/([a-f0-9]{40})/i);
+        if (hashMatch) {
+          infoHash = hashMatch[1].toUpperCase();
+          magnet = `magnet:?xt=urn:btih:${infoHash}&dn=${encodeURIComponent(item.title)}`;
+        }
+        
+        if (!infoHash) continue;
+        
+        // Skip if we already have this torrent (from another query)
+        if (torrents.find(t => t.infoHash === infoHash)) continue;
+        
+        const quality = detectTorrentQuality(item.title);
+        const source = detectSourceType(item.title);
+        const isRaw = isRAWRelease(item.title);
+        
+        const groupMatch = item.title.match(/^\[([^\]]+)\]/);
+        const releaseGroup = groupMatch ? groupMatch[1] : 'Unknown';
+        
+        torrents.push({
+          title: item.title,
+          infoHash,
+          magnet,
+          quality,
+          source,
+          isRaw,
+          releaseGroup,
+          seeders: item.seeders || 0,
+          size: item.size,
+          pubDate: item.pubDate,
+          provider: 'AnimeTosho'
+        });
+      }
+      
+      // If we found results, don't need to try more queries
+      if (torrents.length > 0) break;
+    }
+    
+    // Sort by quality and seeders
+    const qualityOrder = { '4K': 0, '1080p': 1, '720p': 2, '480p': 3, 'Unknown': 4 };
+    torrents.sort((a, b) => {
+      const qualityDiff = qualityOrder[a.quality] - qualityOrder[b.quality];
+      if (qualityDiff !== 0) return qualityDiff;
+      return b.seeders - a.seeders;
+    });
+    
+    // EPISODE VALIDATION: Filter to only torrents matching requested episode
+    // For movies, pass contentTypeHint='movie' to accept movie torrents
+    let validatedTorrents = torrents;
+    if (isMovie) {
+      const beforeCount = torrents.length;
+      validatedTorrents = filterTorrentsByEpisode(torrents, 1, 1, animeName, [], 60, 'movie');
+      logger.debug(`[AnimeTosho] Movie validation: ${validatedTorrents.length}/${beforeCount} torrents match movie pattern`);
+    } else if (episode) {
+      const beforeCount = torrents.length;
+      validatedTorrents = filterTorrentsByEpisode(torrents, episode, season, animeName);
+      logger.debug(`[AnimeTosho] Episode validation: ${validatedTorrents.length}/${beforeCount} torrents match E${episode} S${season}`);
+    }
+    
+    logger.debug(`[AnimeTosho] Found ${validatedTorrents.length} validated torrents for "${animeName}" E${episode || 'all'}`);
+    return validatedTorrents;
+    
+  } catch (error) {
+    logger.error(`[AnimeTosho] Error scraping: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Scrape torrents from AnimeTosho using AniDB ID (most accurate method)
+ * Uses JSON endpoint for structured data with AniDB episode IDs
+ * @param {number} anidbId - The AniDB ID to search for
+ * @param {number} episode - Optional specific episode number
+ * @param {number} season - Season number for multi-season shows
+ * @param {boolean} isMovie - Whether this is a movie (skip episode filtering)
+ * @returns {Promise<Array>} Array of torrent objects (rejects when AnimeTosho couldn't be searched)
+ */
+async function scrapeAnimeToshoByAniDbId(anidbId, episode = null, season = 1, isMovie = false) {
+  if (!anidbId) {
+    logger.debug('[AnimeTosho-AniDB] No AniDB ID provided');
+    return [];
+  }
+  
+  const cacheKey = isMovie ? `tosho-aid:movie:${anidbId}` : `tosho-aid:${anidbId}:S${season}:${episode || 'all'}`;
+  const torrents = await torrentCache.wrap(cacheKey, () => fetchAnimeToshoByAniDbId(anidbId, episode, season, isMovie));
+  if (!torrents) throw new Error(`AnimeTosho search failed for AniDB ID ${anidbId}`);
+  return torrents;
+}
+
+/**
+ * Search AnimeTosho by AniDB ID (uncached - see scrapeAnimeToshoByAniDbId)
+ * @returns {Promise<Array|null>} Validated torrents, or null on error (not cached)
+ */
+async function fetchAnimeToshoByAniDbId(anidbId, episode, season, isMovie) {
+  const torrents = [];
+  
+  try {
+    // Use JSON endpoint for structured data (includes anidb_eid for exact episode matching!)
+    // The `aid` parameter filters to only torrents for this specific anime
+    const url = `https://feed.animetosho.org/json?aid=${anidbId}`;
+    
+    logger.debug(`[AnimeTosho-AniDB] Fetching JSON for AniDB ID ${anidbId}`);
+    
+    const response = await trackUpstream('animetosho', () => fetch(url, {
+      headers: buildBrowserHeaders(),
+      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+    }));
+    
+    if (!response.ok) {
+      logger.error(`[AnimeTosho-AniDB] Error: ${response.status}`);
+      return null;
+    }
+    
+    const items = await response.json();
+    
+    if (!Array.isArray(items)) {
+      logger.error('[AnimeTosho-AniDB] Invalid JSON response');
+      return null;
+    }
+    
+    logger.debug(`[AnimeTosho-AniDB] Found ${items.length} raw items for AniDB ID ${anidbId}`);
+    
+    for (const item of items) {
+      if (!item.title || !item.info_hash) continue;
+      
+      const infoHash = item.info_hash.toUpperCase();
+      const magnet = item.magnet_uri || `magnet:?xt=urn:btih:${infoHash}&dn=${encodeURIComponent(item.title)}`;
+      
+      const quality = detectTorrentQuality(item.title);
+      const source = detectSourceType(item.title);
+      const isRaw = isRAWRelease(item.title);
+      
+      const groupMatch = item.title.match(/^\[([^\]]+)\]/);
+      const releaseGroup = groupMatch ? groupMatch[1] : 'Unknown';
+      
+      // Format size from bytes
+      let sizeStr = '';
+      if (item.total_size) {
+        const bytes = item.total_size;
+        if (bytes >= 1073741824) sizeStr = `${(bytes / 1073741824).toFixed(2)} GB`;
+        else if (bytes >= 1048576) sizeStr = `${(bytes / 1048576).toFixed(1)} MB`;
+        else sizeStr = `${Math.round(bytes / 1024)} KB`;
+      }
+      
+      torrents.push({
+        title: item.title,
+        infoHash,
+        magnet,
+        quality,
+        source,
+        isRaw,
+        releaseGroup,
+        seeders: item.seeders || 0,
+        leechers: item.leechers || 0,
+        size: sizeStr,
+        totalSize: item.total_size || 0,
+        pubDate: item.timestamp ? new Date(item.timestamp * 1000).toISOString() : null,
+        provider: 'AnimeTosho-AniDB',
+        // AniDB episode ID for exact matching (when available)
+        anidbEpisodeId: item.anidb_eid || null,
+        anidbFileId: item.anidb_fid || null,
+        nyaaId: item.nyaa_id || null,
+      });
+    }
+    
+    // Sort by quality and seeders
+    const qualityOrder = { '4K': 0, '1080p': 1, '720p': 2, '480p': 3, 'Unknown': 4 };
+    torrents.sort((a, b) => {
+      const qualityDiff = qualityOrder[a.quality] - qualityOrder[b.quality];
+      if (qualityDiff !== 0) return qualityDiff;
+      return b.seeders - a.seeders;
+    });
+    
+    // EPISODE VALIDATION: Filter to only torrents matching requested episode
+    // Note: AniDB-based search is already accurate, but we still validate episode patterns
+    let validatedTorrents = torrents;
+    if (isMovie) {
+      // For movies, skip strict episode filtering - just return all torrents for this AniDB ID
+      const beforeCount = torrents.length;
+      validatedTorrents = filterTorrentsByEpisode(torrents, 1, 1, null, [], 60, 'movie');
+      logger.debug(`[AnimeTosho-AniDB] Movie validation: ${validatedTorrents.length}/${beforeCount} torrents match movie pattern`);
+    } else if (episode) {
+      const beforeCount = torrents.length;
+      validatedTorrents = filterTorrentsByEpisode(torrents, episode, season, null);
+      logger.debug(`[AnimeTosho-AniDB] Episode validation: ${validatedTorrents.length}/${beforeCount} torrents match E${episode} S${season}`);
+    }
+    
+    logger.debug(`[AnimeTosho-AniDB] Found ${validatedTorrents.length} validated torrents for AniDB ID ${anidbId} E${episode || 'all'}`);
+    return validatedTorrents;
+    
+  } catch (error) {
+    logger.error(`[AnimeTosho-AniDB] Error scraping: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Scrape Nyaa with synonym support for better matching
+ * @param {Array<string>} synonyms - Alternative titles for the anime
+ * @param {number} episode - Optional specific episode number
+ * @param {number} season - Season number
+ * @param {boolean} isMovie - Whether this is a movie (skip episode filtering)
+ * @returns {Promise<Array>} Array of torrent objects
+ */
+async function scrapeNyaaWithSynonyms(synonyms, episode = null, season = 1, isMovie = false) {
+  if (!synonyms || synonyms.length === 0) {
+    return [];
+  }
+  
+  const allResults = [];
+  const seenHashes = new Set();
+  
+  // Try each synonym until we find results (max 3 to avoid rate limiting)
+  for (const synonym of synonyms.slice(0, 3)) {
+    if (!synonym || synonym.length < 3) continue;
+    
+    try {
+      const results = await scrapeNyaa(synonym, episode, season, isMovie);
+      
+      for (const torrent of results) {
+        if (!seenHashes.has(torrent.infoHash)) {
+          seenHashes.add(torrent.infoHash);
+          allResults.push(torrent);
+        }
+      }
+      
+      // If we found results, return them (synonyms are tried in priority order)
+      if (allResults.length > 0) {
+        logger.debug(`[Nyaa-Synonyms] Found ${allResults.length} torrents using synonym: "${synonym}"`);
+        break;
+      }
+    } catch (error) {
+      logger.error(`[Nyaa-Synonyms] Error with "${synonym}": ${error.message}`);
+    }
+  }
+  
+  return allResults;
+}
+
+/**
+ * Get all torrent results for an anime (from multiple sources)
+ * Enhanced version that uses AniDB ID for accurate results when available
+ * 
+ * @param {Object|string} anime - Either anime object with IDs or just the name
+ * @param {number} episode - Optional specific episode number
+ * @param {number} season - Season number (default 1)
+ * @returns {Promise<Array>} Combined and deduplicated torrent results
+ * 
+ * Search priority:
+ * 1. AnimeTosho by AniDB ID (most accurate, 100% reliable when available)
+ * 2. Title-based search on Nyaa and AnimeTosho
+ * 3. Synonym-based search if primary title yields no results
+ * @param {string} contentType - 'movie', 'episode', or null (for regular episodes)
+ */
+async function getTorrentStreams(anime, episode = null, season = 1, contentType = null) {
+  // Handle both old string-based calls and new object-based calls
+  const animeName = typeof anime === 'string' ? anime : 
+    (anime.name || anime.title?.userPreferred || anime.title?.romaji || 'Unknown');
+  const anidbId = typeof anime === 'object' ? (anime.anidb_id || anime.adb) : null;
+  const synonyms = typeof anime === 'object' ? (anime.synonyms || []) : [];
+  const isMovie = contentType === 'movie';
+  
+  logger.debug(`[TorrentStreams] Searching for "${animeName}" ${isMovie ? '(MOVIE)' : `E${episode || 'all'} S${season}`}${anidbId ? ` (AniDB: ${anidbId})` : ''}`);
+  
+  // Build parallel search tasks
+  const searchTasks = [];
+  
+  // Priority 1: AniDB ID-based search (most accurate)
+  // For movies, skip episode filtering by passing isMovie flag
+  if (anidbId) {
+    searchTasks.push(scrapeAnimeToshoByAniDbId(anidbId, isMovie ? null : episode, season, isMovie));
+  }
+  
+  // Priority 2: Title-based search on both Nyaa and AnimeTosho
+  searchTasks.push(scrapeNyaa(animeName, isMovie ? null : episode, season, isMovie));
+  searchTasks.push(scrapeAnimeTosho(animeName, isMovie ? null : episode, season, isMovie));
+  
+  // Execute all searches in parallel (a source that fails counts as no results - already logged)
+  const results = await Promise.all(searchTasks.map(task => task.catch(() => [])));
+  
+  // Flatten results based on search order
+  let anidbResults = [];
+  let nyaaResults = [];
+  let toshoResults = [];
+  
+  if (anidbId) {
+    anidbResults = results[0] || [];
+    nyaaResults = results[1] || [];
+    toshoResults = results[2] || [];
+  } else {
+    nyaaResults = results[0] || [];
+    toshoResults = results[1] || [];
+  }
+  
+  // Combine and deduplicate by info hash
+  // Priority: AniDB results first (most accurate), then others
+  const seen = new Set();
+  const combined = [];
+  
+  // Add AniDB results first (highest priority)
+  for (const torrent of anidbResults) {
+    if (!seen.has(torrent.infoHash)) {
+      seen.add(torrent.infoHash);
+      combined.push(torrent);
+    }
+  }
+  
+  // Add title-based results
+  for (const torrent of [...nyaaResults, ...toshoResults]) {
+    if (!seen.has(torrent.infoHash)) {
+      seen.add(torrent.infoHash);
+      combined.push(torrent);
+    }
+  }
+  
+  // If no results and we have synonyms, try synonym search
+  if (combined.length === 0 && synonyms.length > 0) {
+    logger.debug(`[TorrentStreams] No results for primary title, trying ${synonyms.length} synonyms...`);
+    const synonymResults = await scrapeNyaaWithSynonyms(synonyms, episode, season, isMovie);
+    
+    for (const torrent of synonymResults) {
+      if (!seen.has(torrent.infoHash)) {
+        seen.add(torrent.infoHash);
+        combined.push(torrent);
+      }
+    }
+  }
+  
+  // Re-sort combined results
+  const qualityOrder = { '4K': 0, '1080p': 1, '720p': 2, '480p': 3, 'Unknown': 4 };
+  combined.sort((a, b) => {
+    // RAW releases first
+    if (a.isRaw !== b.isRaw) return a.isRaw ? -1 : 1;
+    // Prefer AniDB results (more accurate)
+    if (a.provider?.includes('AniDB') !== b.provider?.includes('AniDB')) {
+      return a.provider?.includes('AniDB') ? -1 : 1;
+    }
+    const qualityDiff = qualityOrder[a.quality] - qualityOrder[b.quality];
+    if (qualityDiff !== 0) return qualityDiff;
+    return b.seeders - a.seeders;
+  });
+  
+  logger.debug(`[TorrentStreams] Total: ${combined.length} torrents (AniDB: ${anidbResults.length}, Nyaa: ${nyaaResults.length}, Tosho: ${toshoResults.length})`);
+  
+  return combined;
+}
+
+module.exports = {
+  ANIME_TRACKERS,
+  buildMagnetWithTrackers,
+  detectTorrentQuality,
+  getAudioType,
+  extractEpisodeInfo,
+  validateTorrentEpisode,
+  scrapeNyaa,
+  scrapeAnimeTosho,
+  scrapeAnimeToshoByAniDbId,
+  scrapeNyaaWithSynonyms,
+  getTorrentStreams
+};
@@ -0,0 +1,354 @@
+/**
+ * AllAnime Mappings
+ *
+ * Title -> AllAnime show table. Keys are catalog IDs (tt123 / mal-123), optionally with
+ * a season for shows AllAnime splits into one entry per season:
+ *
+ *   "tt5626028:3": { showId, title, score, source, verified, updatedAt }
+ *
+ * source is 'seed' (shipped with the repo), 'id' (search match confirmed by its
+ * MAL/AniList ID), 'search' (title similarity only, score 0-100+) or 'manual' (pinned
+ * by an admin). Seed, ID and manual mappings are verified. Mappings take precedence
+ * over search; verified ones are never replaced by a search result.
+ *
+ * The seeds (data/allanime-mappings.json) are read-only. Everything recorded at runtime
+ * goes to a separate file (.cache/allanime-mappings.json, override with
+ * ALLANIME_MAPPINGS_PATH) that is merged over them; removing a seed stores a null
+ * entry there. Runtime changes apply in memory at once and are written in the
+ * background. The runtime file is re-read when it changes on disk, so edits made by
+ * scripts/allanime-mappings.js reach a running server, and every write re-reads it
+ * first so neither side overwrites the other's changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const appConfig = require('../config/env');
+const logger = require('./logger').child('providers');
+
+const FILE_VERSION = 1;
+
+// Search matches scoring below this (and not verified) are listed for review
+const LOW_CONFIDENCE_SCORE = 90;
+
+// How often the runtime file's mtime is checked for outside changes, in ms
+const REFRESH_INTERVAL = 5000;
+
+/**
+ * Whether a key looks like catalogId[:season]
+ */
+function isValidKey(key) {
+  return /^(tt\d+|mal-\d+)(:\d+)?$/.test(String(key));
+}
+
+/**
+ * Mapping key for a catalog ID and optional season
+ */
+function getMappingKey(id, season = null) {
+  return season ? `${id}:${season}` : String(id);
+}
+
+/**
+ * Mappings in a JSON mapping file ({} when it doesn't exist or can't be read)
+ */
+function readMappingFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')).mappings || {};
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.warn(`[MAPPINGS] Could not read ${filePath}: ${err.message}`);
+    }
+    return {};
+  }
+}
+
+/**
+ * Create a mapping store
+ * @param {Object} options
+ * @param {string} options.seedPath - Read-only seed mappings (optional)
+ * @param {string} options.path - Runtime mappings (created on the first write)
+ * @returns {Object} { get, find, forTitle, list, review, record, pin, verify, remove, flush, size }
+ */
+function createMappingStore(options = {}) {
+  const filePath = options.path;
+  const seeds = options.seedPath ? readMappingFile(options.seedPath) : {};
+
+  // Runtime entries (null = removed seed), the merged view, and changes not yet written
+  let runtime = {};
+  let mappings = {};
+  let pending = [];
+  let loadedMtime = null;
+  let checkedAt = 0;
+  let writing = null;
+
+  // Disk access runs one task at a time, in order
+  let queue = Promise.resolve();
+  function enqueue(task) {
+    queue = queue.then(task).catch(err => {
+      logger.warn(`[MAPPINGS] Could not update ${filePath}: ${err.message}`);
+    });
+    return queue;
+  }
+
+  function merge() {
+    mappings = { ...seeds };
+    for (const [key, entry] of Object.entries(runtime)) {
+      if (entry) mappings[key] = entry;
+      else delete mappings[key];
+    }
+  }
+
+  /**
+   * Apply a change to one key
+   * change(current) returns { result, entry }: entry is the new mapping, null to
+   * remove it, or undefined to leave it as it is.
+   * @returns {Object} What change() returned
+   */
+  function apply({ key, change }) {
+    const outcome = change(mappings[key] || null);
+    const { entry } = outcome;
+    if (entry) {
+      runtime[key] = entry;
+      mappings[key] = entry;
+    } else if (entry === null) {
+      if (seeds[key]) runtime[key] = null;
+      else delete runtime[key];
+      delete mappings[key];
+    }
+    return outcome;
+  }
+
+  /**
+   * Re-read the runtime file if it changed since it was loaded
+   * Changes not written yet are applied again on top of it.
+   */
+  async function reloadIfChanged() {
+    let stat;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (err) {
+      return; // Not written yet
+    }
+    if (stat.mtimeMs === loadedMtime) return;
+
+    const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    runtime = data.mappings || {};
+    loadedMtime = stat.mtimeMs;
+    merge();
+    pending.forEach(apply);
+    logger.debug(`[MAPPINGS] Loaded ${Object.keys(runtime).length} runtime AllAnime mappings`);
+  }
+
+  /**
+   * Check for outside changes, at most every REFRESH_INTERVAL, without waiting for it
+   */
+  function refresh() {
+    const now = Date.now();
+    if (now - checkedAt < REFRESH_INTERVAL) return;
+    checkedAt = now;
+    enqueue(reloadIfChanged);
+  }
+
+  async function write() {
+    await reloadIfChanged();
+    const changes = pending;
+    pending = [];
+
+    const data = { version: FILE_VERSION, updatedAt: new Date().toISOString(), mappings: runtime };
+    const content = JSON.stringify(data, null, 2) + '\n';
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, content);
+      await fs.promises.rename(tmpPath, filePath);
+      loadedMtime = (await fs.promises.stat(filePath)).mtimeMs;
+    } catch (err) {
+      // Written with the next change
+      pending = [...changes, ...pending];
+      throw err;
+    }
+  }
+
+  /**
+   * Apply a change in memory now and write it in the background
+   */
+  function update(key, change) {
+    const { result, entry } = apply({ key, change });
+    if (entry === undefined) return result;
+
+    pending.push({ key, change });
+    if (!writing) {
+      writing = enqueue(() => {
+        writing = null;
+        return write();
+      });
+    }
+    return result;
+  }
+
+  function withKey(key, entry) {
+    return entry ? { key, ...entry } : null;
+  }
+
+  runtime = readMappingFile(filePath);
+  try {
+    loadedMtime = fs.statSync(filePath).mtimeMs;
+  } catch (err) {
+    // Not written yet
+  }
+  merge();
+  checkedAt = Date.now();
+
+  return {
+    /**
+     * Mapping stored under an exact key
+     */
+    get(key) {
+      refresh();
+      return withKey(key, mappings[key]);
+    },
+
+    /**
+     * Mapping for a title: the season's entry first, then the whole title's
+     * @param {Array<string>} ids - Catalog IDs of the title (catalog ID, IMDB ID)
+     * @param {number} season - Requested season (null for movies)
+     * @returns {Object|null} { key, showId, seasonal, ... }
+     */
+    find(ids, season = null) {
+      refresh();
+      const candidates = [...new Set(ids.filter(Boolean))];
+      if (season) {
+        for (const id of candidates) {
+          const entry = mappings[getMappingKey(id, season)];
+          if (entry) return { ...withKey(getMappingKey(id, season), entry), seasonal: true };
+        }
+      }
+      for (const id of candidates) {
+        if (mappings[id]) return { ...withKey(id, mappings[id]), seasonal: false };
+      }
+      return null;
+    },
+
+    /**
+     * Every mapping for a title (all seasons)
+     */
+    forTitle(ids) {
+      refresh();
+      const candidates = new Set(ids.filter(Boolean));
+      return Object.entries(mappings)
+        .filter(([key]) => candidates.has(key.split(':')[0]))
+        .map(([key, entry]) => withKey(key, entry));
+    },
+
+    /**
+     * Mappings, optionally narrowed
+     * @param {Object} filter - { maxScore, source, unverified }
+     */
+    list(filter = {}) {
+      refresh();
+      return Object.entries(mappings)
+        .filter(([, entry]) => {
+          if (filter.unverified && entry.verified) return false;
+          if (filter.source && entry.source !== filter.source) return false;
+          if (filter.maxScore != null && (entry.score == null || entry.score >= filter.maxScore)) return false;
+          return true;
+        })
+        .map(([key, entry]) => withKey(key, entry));
+    },
+
+    /**
+     * Unverified search matches below the confidence threshold, weakest first
+     */
+    review(maxScore = LOW_CONFIDENCE_SCORE) {
+      return this.list({ unverified: true, source: 'search', maxScore })
+        .sort((a, b) => a.score - b.score);
+    },
+
+    /**
+     * Record a search match unless the key already has a verified mapping
+     * Matches confirmed by ID (source 'id') are stored as verified.
+     * @returns {Object|null} The stored mapping, or null when a verified one was kept
+     */
+    record(key, { showId, title = null, score = null, source = 'search' }) {
+      return update(key, current => {
+        if (current?.verified) return { result: null };
+        const entry = { showId, title, score, source, verified: source === 'id', updatedAt: new Date().toISOString() };
+        return { result: withKey(key, entry), entry };
+      });
+    },
+
+    /**
+     * Pin a show as the verified mapping for a key
+     */
+    pin(key, { showId, title = null }) {
+      return update(key, previous => {
+        const entry = {
+          showId,
+          title: title || (previous?.showId === showId ? previous.title : null),
+          score: previous?.showId === showId ? previous.score : null,
+          source: 'manual',
+          verified: true,
+          updatedAt: new Date().toISOString()
+        };
+        return { result: withKey(key, entry), entry };
+      });
+    },
+
+    /**
+     * Confirm the current mapping for a key
+     * @returns {Object|null} The mapping, or null when there is none
+     */
+    verify(key) {
+      return update(key, current => {
+        if (!current) return { result: null };
+        const entry = { ...current, verified: true, updatedAt: new Date().toISOString() };
+        return { result: withKey(key, entry), entry };
+      });
+    },
+
+    /**
+     * Drop a mapping - the next request for the title searches again
+     * @returns {boolean} Whether a mapping was removed
+     */
+    remove(key) {
+      return update(key, current => {
+        if (!current) return { result: false };
+        return { result: true, entry: null };
+      });
+    },
+
+    /**
+     * Wait until every change has been written
+     */
+    flush() {
+      return queue;
+    },
+
+    get size() {
+      refresh();
+      return Object.keys(mappings).length;
+    }
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * The server's mapping store (config.streams.allanimeSeedMappingsPath and allanimeMappingsPath)
+ */
+function getMappingStore() {
+  if (defaultStore === null) {
+    defaultStore = createMappingStore({
+      seedPath: appConfig.streams.allanimeSeedMappingsPath,
+      path: appConfig.streams.allanimeMappingsPath
+    });
+  }
+  return defaultStore;
+}
+
+module.exports = {
+  LOW_CONFIDENCE_SCORE,
+  isValidKey,
+  getMappingKey,
+  createMappingStore,
+  getMappingStore
+};
@@ -1,95 +1,327 @@
 /**
- * Simple In-Memory Cache
- * TTL-based caching for API responses
+ * Cache Layer
+ *
+ * One cache for every handler and service, split into namespaces
+ * (cinemeta, synopsis, allanime, torrents, debrid, ...) with their own TTLs.
+ *
+ * - Pluggable backends: memory (default), sqlite file, redis (see cacheBackends.js)
+ * - Stale-while-revalidate: once a value's TTL passes it is still served for the
+ *   namespace's `stale` window while a background refresh fetches a new one
+ * - Request coalescing: concurrent misses for the same key share one fetch
+ * - Hit/miss/stale/coalesced/error counters per namespace
+ *
+ * Backend failures (e.g. Redis down) are counted and treated as misses, so a broken
+ * cache only costs extra upstream requests.
  */
 
-const { LRUCache } = require('lru-cache');
-const logger = require('./logger');
-
-// Main cache with LRU eviction
-const cache = new LRUCache({
-  max: 5000, // Max items
-  ttl: 1000 * 60 * 60, // 1 hour default TTL
-  updateAgeOnGet: false
-});
-
-// TTL presets (in seconds)
-const TTL_PRESETS = {
-  catalog: 3600,    // 1 hour
-  meta: 86400,      // 24 hours
-  search: 1800,     // 30 minutes
-  filterOptions: 86400 // 24 hours
-};
+const config = require('../config/env');
+const logger = require('./logger').child('cache');
+const { createBackend, createMemoryBackend } = require('./cacheBackends');
+
+const DEFAULT_POLICY = { ttl: 3600, stale: 0 };
+
+const backend = openBackend();
+
+// In-flight fetches by full key (request coalescing)
+const inflight = new Map();
+
+// Per-namespace counters
+const metrics = new Map();
+
+// Namespace handles, created on first use
+const namespaces = new Map();
+
+let backendHealthy = true;
 
 /**
- * Generate cache key
+ * Open the configured backend, falling back to memory if it can't be opened
  */
-function key(type, id) {
-  return `${type}:${id}`;
+function openBackend() {
+  try {
+    const opened = createBackend(config.cache.backend, config.cache);
+    logger.info(`[CACHE] Using ${opened.name} backend`);
+    return opened;
+  } catch (error) {
+    logger.warn(`[CACHE] ${error.message} - falling back to memory`);
+    return createMemoryBackend({ maxEntries: config.cache.maxEntries });
+  }
 }
 
 /**
- * Get TTL for a cache type
+ * TTL policy for a namespace ({ ttl, stale } in seconds)
  */
-function getTTL(type) {
-  return TTL_PRESETS[type] || 3600;
+function getPolicy(namespace) {
+  return { ...DEFAULT_POLICY, ...config.cache.namespaces[namespace] };
+}
+
+function getMetrics(namespace) {
+  let counters = metrics.get(namespace);
+  if (!counters) {
+    counters = { hits: 0, misses: 0, stale: 0, coalesced: 0, refreshes: 0, sets: 0, deletes: 0, errors: 0 };
+    metrics.set(namespace, counters);
+  }
+  return counters;
 }
 
 /**
- * Get value from cache
+ * Log backend failures once per outage instead of once per request
  */
-function get(cacheKey) {
-  return cache.get(cacheKey);
+function backendFailed(namespace, operation, error) {
+  getMetrics(namespace).errors++;
+  if (backendHealthy) {
+    backendHealthy = false;
+    logger.warn(`[CACHE] ${backend.name} ${operation} failed: ${error.message} (serving without cache)`);
+  } else {
+    logger.debug(`[CACHE] ${backend.name} ${operation} failed: ${error.message}`);
+  }
+}
+
+function backendRecovered() {
+  if (!backendHealthy) {
+    backendHealthy = true;
+    logger.info(`[CACHE] ${backend.name} backend recovered`);
+  }
+}
+
+async function readRecord(namespace, key) {
+  try {
+    const record = await backend.get(key);
+    backendRecovered();
+    return record;
+  } catch (error) {
+    backendFailed(namespace, 'get', error);
+    return undefined;
+  }
+}
+
+async function writeRecord(namespace, key, value, policy) {
+  const now = Date.now();
+  const record = {
+    value,
+    freshUntil: now + policy.ttl * 1000,
+    staleUntil: now + (policy.ttl + policy.stale) * 1000
+  };
+  try {
+    await backend.set(key, record);
+    getMetrics(namespace).sets++;
+    backendRecovered();
+  } catch (error) {
+    backendFailed(namespace, 'set', error);
+  }
 }
 
 /**
- * Set value in cache
+ * Create (or return) the handle for a namespace
+ * @param {string} name - Namespace, also the key prefix ("<name>:<id>")
+ * @returns {Object} { get, peek, set, has, delete, wrap, keys, entries, clear }
  */
-function set(cacheKey, value, ttlSeconds) {
-  cache.set(cacheKey, value, { ttl: ttlSeconds * 1000 });
+function namespace(name) {
+  if (namespaces.has(name)) return namespaces.get(name);
+
+  const prefix = `${name}:`;
+  const counters = getMetrics(name);
+  const fullKey = id => prefix + id;
+
+  /**
+   * Run the fetcher once per key at a time and store what it returns
+   * null/undefined (and anything cacheIf rejects) is returned but not stored.
+   */
+  function fetchAndStore(key, fetcher, options) {
+    if (inflight.has(key)) {
+      counters.coalesced++;
+      return inflight.get(key);
+    }
+
+    const promise = (async () => {
+      const value = await fetcher();
+      const cacheable = value !== null && value !== undefined && (!options.cacheIf || options.cacheIf(value));
+      if (cacheable) {
+        await writeRecord(name, key, value, { ...getPolicy(name), ...options.policy });
+      }
+      return value;
+    })().finally(() => inflight.delete(key));
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  const handle = {
+    name,
+
+    /**
+     * Cached value (fresh or stale), or undefined
+     */
+    async get(id) {
+      const record = await readRecord(name, fullKey(id));
+      return record ? record.value : undefined;
+    },
+
+    /**
+     * Cached record with its state, for inspection ({ value, fresh, freshUntil, staleUntil })
+     */
+    async peek(id) {
+      const record = await readRecord(name, fullKey(id));
+      if (!record) return null;
+      return {
+        value: record.value,
+        fresh: record.freshUntil > Date.now(),
+        freshUntil: new Date(record.freshUntil).toISOString(),
+        staleUntil: new Date(record.staleUntil).toISOString()
+      };
+    },
+
+    /**
+     * Store a value
+     * @param {Object} policy - Optional { ttl, stale } override in seconds
+     */
+    async set(id, value, policy) {
+      await writeRecord(name, fullKey(id), value, { ...getPolicy(name), ...policy });
+    },
+
+    async has(id) {
+      return (await readRecord(name, fullKey(id))) !== undefined;
+    },
+
+    async delete(id) {
+      try {
+        const removed = await backend.delete(fullKey(id));
+        if (removed) counters.deletes++;
+        return removed;
+      } catch (error) {
+        backendFailed(name, 'delete', error);
+        return false;
+      }
+    },
+
+    /**
+     * Get from cache or run the fetcher
+     * - fresh hit: cached value
+     * - stale hit: cached value now, refreshed in the background
+     * - miss: fetcher result (concurrent misses share one fetch)
+     * @param {string} id - Key within the namespace
+     * @param {Function} fetcher - async () => value
+     * @param {Object} options - { cacheIf: value => boolean, policy: { ttl, stale } }
+     */
+    async wrap(id, fetcher, options = {}) {
+      const key = fullKey(id);
+      const record = await readRecord(name, key);
+
+      if (record) {
+        if (record.freshUntil > Date.now()) {
+          counters.hits++;
+          return record.value;
+        }
+
+        counters.stale++;
+        if (!inflight.has(key)) {
+          counters.refreshes++;
+          fetchAndStore(key, fetcher, options).catch(error => {
+            logger.debug(`[CACHE] Background refresh of ${key} failed: ${error.message}`);
+          });
+        }
+        return record.value;
+      }
+
+      counters.misses++;
+      return fetchAndStore(key, fetcher, options);
+    },
+
+    /**
+     * IDs of every cached entry in this namespace
+     */
+    async keys() {
+      try {
+        return (await backend.keys(prefix)).map(key => key.slice(prefix.length));
+      } catch (error) {
+        backendFailed(name, 'keys', error);
+        return [];
+      }
+    },
+
+    /**
+     * All cached entries in this namespace ({ id, value, fresh, freshUntil, staleUntil })
+     */
+    async entries() {
+      const entries = [];
+      for (const id of await handle.keys()) {
+        const entry = await handle.peek(id);
+        if (entry) entries.push({ id, ...entry });
+      }
+      return entries;
+    },
+
+    /**
+     * Remove every entry in this namespace
+     * @returns {number} Entries removed
+     */
+    async clear() {
+      try {
+        return await backend.clear(prefix);
+      } catch (error) {
+        backendFailed(name, 'clear', error);
+        return 0;
+      }
+    }
+  };
+
+  namespaces.set(name, handle);
+  return handle;
 }
 
 /**
- * Cache wrapper - get from cache or execute fetcher
+ * Clear every namespace
+ * @returns {number} Entries removed
  */
-async function wrap(cacheKey, ttl, fetcher) {
-  const cached = cache.get(cacheKey);
-  if (cached !== undefined) {
-    return cached;
-  }
-  
-  const result = await fetcher();
-  if (result !== null && result !== undefined) {
-    cache.set(cacheKey, result, { ttl: ttl * 1000 });
+async function clear() {
+  try {
+    const removed = await backend.clear('');
+    logger.info(`Cache cleared (${removed} entries)`);
+    return removed;
+  } catch (error) {
+    backendFailed('all', 'clear', error);
+    return 0;
   }
-  return result;
 }
 
 /**
- * Clear all cache
+ * Hit/miss counters per namespace (synchronous, for metrics endpoints)
  */
-function clear() {
-  cache.clear();
-  logger.info('Cache cleared');
+function getMetricsSnapshot() {
+  return Object.fromEntries([...metrics.entries()].map(([name, counters]) => [name, { ...counters }]));
 }
 
 /**
  * Get cache stats
  */
-function getStats() {
+async function getStats() {
+  let size = null;
+  try {
+    size = await backend.size();
+  } catch (error) {
+    backendFailed('all', 'size', error);
+  }
+
   return {
-    size: cache.size,
-    calculatedSize: cache.calculatedSize,
-    max: cache.max
+    backend: backend.name,
+    healthy: backendHealthy,
+    size,
+    inflight: inflight.size,
+    namespaces: getMetricsSnapshot()
   };
 }
 
+/**
+ * Close the backend (flushes SQLite, ends the Redis connection)
+ */
+async function close() {
+  await backend.close();
+}
+
 module.exports = {
-  key,
-  getTTL,
-  get,
-  set,
-  wrap,
+  namespace,
+  getPolicy,
   clear,
-  getStats
+  getStats,
+  getMetrics: getMetricsSnapshot,
+  close
 };
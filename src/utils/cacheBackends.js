@@ -0,0 +1,229 @@
+/**
+ * Cache Backends
+ *
+ * Storage engines behind src/utils/cache.js (CACHE_BACKEND):
+ * - memory: in-process LRU, lost on restart (default)
+ * - sqlite: a single file on disk (CACHE_PATH), survives restarts
+ * - redis: any Redis-compatible server (REDIS_URL), shared between instances
+ *   (scripts/redis-standin.js is a local stand-in for development)
+ *
+ * Every backend stores records shaped { value, freshUntil, staleUntil } and
+ * drops them once staleUntil has passed. All methods return promises so the
+ * cache layer doesn't care whether the backend is local or remote.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LRUCache } = require('lru-cache');
+const { createRedisClient } = require('./redisClient');
+
+// Expired rows are swept from the SQLite file every N writes
+const SQLITE_PRUNE_INTERVAL = 500;
+
+/**
+ * In-process LRU backend
+ * @param {Object} options - { maxEntries }
+ */
+function createMemoryBackend(options = {}) {
+  const store = new LRUCache({
+    max: options.maxEntries || 5000,
+    ttlAutopurge: false
+  });
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return store.get(key);
+    },
+
+    async set(key, record) {
+      store.set(key, record, { ttl: Math.max(record.staleUntil - Date.now(), 1) });
+    },
+
+    async delete(key) {
+      return store.delete(key);
+    },
+
+    async keys(prefix = '') {
+      return [...store.keys()].filter(key => key.startsWith(prefix));
+    },
+
+    async clear(prefix = '') {
+      const keys = [...store.keys()].filter(key => key.startsWith(prefix));
+      keys.forEach(key => store.delete(key));
+      return keys.length;
+    },
+
+    async size() {
+      return store.size;
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * SQLite file backend (better-sqlite3, loaded on demand)
+ * @param {Object} options - { path }
+ */
+function createSqliteBackend(options = {}) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('CACHE_BACKEND=sqlite requires better-sqlite3 (npm install better-sqlite3)');
+  }
+
+  fs.mkdirSync(path.dirname(options.path), { recursive: true });
+  const db = new Database(options.path);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cache (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      fresh_until INTEGER NOT NULL,
+      stale_until INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_cache_stale ON cache(stale_until);
+  `);
+
+  const statements = {
+    get: db.prepare('SELECT value, fresh_until, stale_until FROM cache WHERE key = ? AND stale_until > ?'),
+    set: db.prepare('INSERT OR REPLACE INTO cache (key, value, fresh_until, stale_until) VALUES (?, ?, ?, ?)'),
+    delete: db.prepare('DELETE FROM cache WHERE key = ?'),
+    keys: db.prepare("SELECT key FROM cache WHERE key LIKE ? ESCAPE '\\' AND stale_until > ?"),
+    clear: db.prepare("DELETE FROM cache WHERE key LIKE ? ESCAPE '\\'"),
+    size: db.prepare('SELECT COUNT(*) AS count FROM cache WHERE stale_until > ?'),
+    prune: db.prepare('DELETE FROM cache WHERE stale_until <= ?')
+  };
+
+  const likePrefix = prefix => `${prefix.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+
+  let writesSincePrune = 0;
+  statements.prune.run(Date.now());
+
+  return {
+    name: 'sqlite',
+
+    async get(key) {
+      const row = statements.get.get(key, Date.now());
+      if (!row) return undefined;
+      return { value: JSON.parse(row.value), freshUntil: row.fresh_until, staleUntil: row.stale_until };
+    },
+
+    async set(key, record) {
+      statements.set.run(key, JSON.stringify(record.value), record.freshUntil, record.staleUntil);
+      if (++writesSincePrune >= SQLITE_PRUNE_INTERVAL) {
+        writesSincePrune = 0;
+        statements.prune.run(Date.now());
+      }
+    },
+
+    async delete(key) {
+      return statements.delete.run(key).changes > 0;
+    },
+
+    async keys(prefix = '') {
+      return statements.keys.all(likePrefix(prefix), Date.now()).map(row => row.key);
+    },
+
+    async clear(prefix = '') {
+      return statements.clear.run(likePrefix(prefix)).changes;
+    },
+
+    async size() {
+      return statements.size.get(Date.now()).count;
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Redis backend
+ * Keys are prefixed so several addons can share one Redis database.
+ * @param {Object} options - { url, keyPrefix, timeout }
+ */
+function createRedisBackend(options = {}) {
+  const client = createRedisClient(options.url, { timeout: options.timeout });
+  const keyPrefix = options.keyPrefix || 'animestream:';
+
+  async function scan(prefix) {
+    const pattern = `${keyPrefix}${prefix.replace(/[*?[\]\\]/g, char => `\\${char}`)}*`;
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await client.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 500);
+      cursor = nextCursor;
+      keys.push(...batch);
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const raw = await client.command('GET', keyPrefix + key);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+
+    async set(key, record) {
+      const ttlMs = Math.max(record.staleUntil - Date.now(), 1);
+      await client.command('SET', keyPrefix + key, JSON.stringify(record), 'PX', ttlMs);
+    },
+
+    async delete(key) {
+      return (await client.command('DEL', keyPrefix + key)) > 0;
+    },
+
+    async keys(prefix = '') {
+      return (await scan(prefix)).map(key => key.slice(keyPrefix.length));
+    },
+
+    async clear(prefix = '') {
+      const keys = await scan(prefix);
+      for (let i = 0; i < keys.length; i += 500) {
+        await client.command('DEL', ...keys.slice(i, i + 500));
+      }
+      return keys.length;
+    },
+
+    async size() {
+      return (await scan('')).length;
+    },
+
+    async close() {
+      client.close();
+    }
+  };
+}
+
+/**
+ * Create the configured backend
+ * @param {string} name - 'memory', 'sqlite' or 'redis'
+ * @param {Object} options - Backend options from config.cache
+ */
+function createBackend(name, options = {}) {
+  switch (name) {
+    case 'sqlite':
+      return createSqliteBackend({ path: options.path });
+    case 'redis':
+      return createRedisBackend({ url: options.redisUrl, timeout: options.redisTimeout });
+    case 'memory':
+      return createMemoryBackend({ maxEntries: options.maxEntries });
+    default:
+      throw new Error(`Unknown cache backend "${name}" (expected memory, sqlite or redis)`);
+  }
+}
+
+module.exports = {
+  createBackend,
+  createMemoryBackend,
+  createSqliteBackend,
+  createRedisBackend
+};
@@ -0,0 +1,91 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops calling an upstream that keeps failing instead of waiting on it for every
+ * request. After `threshold` consecutive failures the circuit opens and calls are
+ * skipped for `cooldown` ms. The first call after that is a trial (half-open): a
+ * success closes the circuit, a failure opens it again for another cooldown.
+ */
+
+/**
+ * Create a circuit breaker
+ * @param {Object} options
+ * @param {number} options.threshold - Consecutive failures that open the circuit (default 3)
+ * @param {number} options.cooldown - Time an open circuit skips calls, in ms (default 60000)
+ * @param {Function} options.now - Clock in ms (default Date.now)
+ * @returns {Object} { allowRequest, recordSuccess, recordFailure, getState }
+ */
+function createCircuitBreaker(options = {}) {
+  const { threshold = 3, cooldown = 60000, now = Date.now } = options;
+
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialRunning = false;
+
+  const stats = {
+    successes: 0,
+    failures: 0,
+    skipped: 0,
+    lastError: null,
+    lastFailureAt: null,
+    lastSuccessAt: null
+  };
+
+  function open() {
+    state = 'open';
+    openedAt = now();
+    trialRunning = false;
+  }
+
+  return {
+    /**
+     * Whether a call may go ahead now (counts the skip when it may not)
+     * An open circuit lets a single trial call through once the cooldown has passed.
+     */
+    allowRequest() {
+      if (state === 'open' && now() - openedAt >= cooldown) {
+        state = 'half-open';
+      }
+      if (state === 'closed' || (state === 'half-open' && !trialRunning)) {
+        if (state === 'half-open') trialRunning = true;
+        return true;
+      }
+      stats.skipped++;
+      return false;
+    },
+
+    recordSuccess() {
+      state = 'closed';
+      failures = 0;
+      trialRunning = false;
+      stats.successes++;
+      stats.lastSuccessAt = new Date(now()).toISOString();
+    },
+
+    recordFailure(error) {
+      failures++;
+      stats.failures++;
+      stats.lastError = error?.message || String(error);
+      stats.lastFailureAt = new Date(now()).toISOString();
+      if (state === 'half-open' || failures >= threshold) open();
+    },
+
+    /**
+     * Current state and counters
+     * @returns {Object} { state, consecutiveFailures, retryAt, successes, failures, skipped, ... }
+     */
+    getState() {
+      return {
+        state,
+        consecutiveFailures: failures,
+        retryAt: state === 'open' ? new Date(openedAt + cooldown).toISOString() : null,
+        ...stats
+      };
+    }
+  };
+}
+
+module.exports = {
+  createCircuitBreaker
+};
@@ -3,85 +3,318 @@
  * 
  * Loads the pre-bundled anime catalog database at startup.
  * Provides fast lookups for anime metadata without API calls.
+ * 
+ * Backends (DB_BACKEND):
+ * - json (default): gunzips catalog.json.gz into memory and builds Map indices
+ * - sqlite: reads data/catalog.db (npm run build-sqlite), ID and season lookups via indexed columns
+ * 
+ * Either way, a search index over titles and id-mappings.json synonyms
+ * (src/core/searchIndex.js) and the precomputed browse catalog views
+ * (src/core/catalogViews.js) are built with each load and swapped in with it.
+ * Loads read and gunzip asynchronously and build the index and views in slices
+ * (src/core/steps.js), so the current database keeps answering requests meanwhile.
+ * 
+ * Each load has a DB version (a hash of the catalog file's contents - size and mtime for
+ * catalog.db).
+ * After a reload, the previous version's views stay available as a snapshot for
+ * DB_SNAPSHOT_TTL seconds, so clients that started paging a catalog before the
+ * reload get the rest of the same list (see getCatalogViews).
  */
 
 const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
-const logger = require('./logger');
+const util = require('util');
+const crypto = require('crypto');
+const logger = require('./logger').child('db');
+const appConfig = require('../config/env');
+const { openCatalogDb } = require('./sqliteCatalog');
+const { createEpisodeMapper } = require('../core/episodeMapping');
+const { searchIndexSteps } = require('../core/searchIndex');
+const { parseAnimeId } = require('../core/animeIds');
+const { createFranchiseIndex } = require('../core/franchise');
+const { createSimilarIndex } = require('../core/recommendations');
+const { createAiringSchedule } = require('../core/airingSchedule');
+const { catalogViewsSteps, getViewPeriod } = require('../core/catalogViews');
+const { createContentPolicy } = require('../core/contentPolicy');
+const { pause, runStepsAsync } = require('../core/steps');
+
+const gunzip = util.promisify(zlib.gunzip);
 
 // Paths to database files
 const DATA_DIR = path.join(__dirname, '..', '..', 'data');
 const CATALOG_GZ = path.join(DATA_DIR, 'catalog.json.gz');
 const CATALOG_JSON = path.join(DATA_DIR, 'catalog.json');
 const FILTER_OPTIONS_PATH = path.join(DATA_DIR, 'filter-options.json');
+const ID_MAPPINGS_PATH = path.join(DATA_DIR, 'id-mappings.json');
+const EPISODE_MAPPINGS_PATH = path.join(DATA_DIR, 'episode-mappings.json');
+const FRANCHISE_RELATIONS_PATH = path.join(DATA_DIR, 'franchise-relations.json');
+const SIMILAR_PATH = path.join(DATA_DIR, 'similar-anime.json');
+const AIRING_SCHEDULE_PATH = path.join(DATA_DIR, 'airing-schedule.json');
+const CONTENT_BLACKLIST_PATH = path.join(DATA_DIR, 'hentai-blacklist.json');
+const CONTENT_ALLOWLIST_PATH = path.join(DATA_DIR, 'nsfw-allowlist.json');
+const CATALOG_DB = appConfig.database.sqlitePath || path.join(DATA_DIR, 'catalog.db');
 
-// In-memory database
+// In-memory database (JSON backend) or { version, buildDate, stats, _store } (SQLite backend)
+// Reloads build a complete new database off to the side and swap this reference atomically
 let database = null;
 let loadError = null;
-let isLoading = false;
+let loadingPromise = null;
+
+// Reload bookkeeping (exposed through getReloadStats for /admin/stats)
+const MAX_RELOAD_HISTORY = 10;
+const reloadHistory = [];
+let reloadCount = 0;
+let failedReloads = 0;
+let lastLoad = null;
+
+// Content policy (adult content levels) with hentai-blacklist.json and nsfw-allowlist.json,
+// loaded lazily; the catalog views are built with it
+let contentPolicy = null;
+
+// Catalog views of replaced databases: DB version -> { views, retiredAt }
+const MAX_CATALOG_SNAPSHOTS = 2;
+const catalogSnapshots = new Map();
+
+// Cached filter-options.json (re-read on reload or when the file changes; undefined = not loaded yet)
+let filterOptions;
+
+// Data directory watcher (DB_WATCH=1)
+let dataWatcher = null;
+
+// ID mappings (IMDB -> AniDB/MAL/AniList/TVDB + synonyms), loaded lazily
+let idMappings = null;
+
+// Season <-> absolute episode mapper (scripts/build-episode-mappings.js), loaded lazily
+let episodeMapper = null;
+
+// Franchise relations (scripts/build-franchise-relations.js), loaded lazily against the current database
+let franchiseIndex = null;
+
+// Similar titles (scripts/build-recommendations.js), loaded lazily against the current database
+let similarIndex = null;
+
+// Episode airing times (scripts/build-airing-schedule.js), loaded lazily against the current database
+let airingSchedule = null;
 
 /**
  * Load the database from disk
  * Prefers gzipped version for smaller bundle size
+ * 
+ * With forceReload the current database keeps serving requests until the new one
+ * (including its indices) is fully built, then the two are swapped in one assignment.
+ * A failed reload keeps the previous database.
+ * @param {boolean} forceReload - Re-read from disk even if already loaded
+ * @param {string} trigger - What caused the load ('startup', 'admin', 'watch', ...)
  */
-async function loadDatabase(forceReload = false) {
-  if (forceReload && database) {
-    logger.info('[DB] Force reloading database...');
-    database = null;
-  }
+async function loadDatabase(forceReload = false, trigger = forceReload ? 'manual' : 'startup') {
+  if (database && !forceReload) return database;
   
-  if (database) return database;
-  if (isLoading) {
-    while (isLoading) {
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
-    return database;
-  }
+  // Concurrent callers share the in-flight load instead of starting another
+  if (loadingPromise) return loadingPromise;
   
-  isLoading = true;
+  loadingPromise = swapInDatabase(trigger).finally(() => {
+    loadingPromise = null;
+  });
+  
+  return loadingPromise;
+}
+
+/**
+ * Build a new database and atomically replace the current one
+ */
+async function swapInDatabase(trigger) {
+  const previous = database;
+  const startTime = Date.now();
+  const entry = {
+    trigger,
+    startedAt: new Date(startTime).toISOString(),
+    previousCount: countAnime(previous),
+    previousBuildDate: previous?.buildDate || null
+  };
+  
+  if (previous) {
+    logger.info(`[DB] Reloading database (${trigger})...`);
+  }
   
   try {
-    let rawData;
+    const nextMappings = readIdMappings();
+    const next = await readDatabase(nextMappings);
+    const nextPolicy = readContentPolicy();
+    next._dbVersion = getDbVersion(next);
+    next._searchIndex = await buildSearchIndex(next, nextMappings);
+    next._catalogViews = await buildCatalogViews(next, nextPolicy);
     
-    // Try gzipped version first
-    if (fs.existsSync(CATALOG_GZ)) {
-      logger.info(`📦 Loading database from ${CATALOG_GZ}...`);
-      const compressed = fs.readFileSync(CATALOG_GZ);
-      rawData = zlib.gunzipSync(compressed).toString('utf-8');
-    } 
-    // Fallback to uncompressed
-    else if (fs.existsSync(CATALOG_JSON)) {
-      logger.info(`📄 Loading database from ${CATALOG_JSON}...`);
-      rawData = fs.readFileSync(CATALOG_JSON, 'utf-8');
-    } 
-    // No database available
-    else {
-      logger.warn('⚠️ No pre-bundled database found. Please run: npm run build-db');
-      database = createEmptyDatabase();
-      isLoading = false;
-      return database;
+    if (previous?._catalogViews && previous._dbVersion !== next._dbVersion) {
+      retireCatalogViews(previous);
     }
+    catalogSnapshots.delete(next._dbVersion);
     
-    database = JSON.parse(rawData);
+    database = next;
+    loadError = null;
+    filterOptions = undefined;
+    idMappings = nextMappings;
+    episodeMapper = null;
+    franchiseIndex = null;
+    similarIndex = null;
+    airingSchedule = null;
+    contentPolicy = nextPolicy;
     
-    // Build lookup indices for fast access
-    buildIndices(database);
+    // Old SQLite handle is only closed after the swap - lookups are synchronous,
+    // so no request can be mid-query on it at this point
+    if (previous?._store && previous._store !== next._store) {
+      previous._store.close();
+    }
     
-    logger.info(`[OK] Database loaded: ${database.stats?.totalAnime || 0} anime`);
-    logger.info(`📅 Build date: ${database.buildDate || 'unknown'}`);
+    entry.success = true;
+    entry.newCount = countAnime(next);
+    entry.newBuildDate = next.buildDate || null;
+    entry.dbVersion = next._dbVersion;
     
+    logger.info(`[OK] Database loaded${next._store ? ' (sqlite)' : ''}: ${entry.newCount} anime`);
+    logger.info(`📅 Build date: ${next.buildDate || 'unknown'}`);
   } catch (error) {
     logger.error(`[ERR] Failed to load database: ${error.message}`);
     loadError = error;
-    database = createEmptyDatabase();
-  } finally {
-    isLoading = false;
+    entry.success = false;
+    entry.error = error.message;
+    
+    if (previous) {
+      logger.warn(`[DB] Keeping previous database (${entry.previousCount} anime)`);
+    } else {
+      database = createEmptyDatabase();
+      database._dbVersion = getDbVersion(database);
+    }
+    entry.newCount = countAnime(database);
+  }
+  
+  entry.durationMs = Date.now() - startTime;
+  lastLoad = entry;
+  if (previous) {
+    reloadCount++;
+    if (!entry.success) failedReloads++;
+    reloadHistory.unshift(entry);
+    reloadHistory.length = Math.min(reloadHistory.length, MAX_RELOAD_HISTORY);
   }
   
   return database;
 }
 
+/**
+ * Read and index the database from disk without touching the live one
+ * Throws on read/parse errors so the caller can keep the previous database
+ * @param {Object} mappings - Parsed id-mappings.json (external IDs for the JSON backend's indices)
+ */
+async function readDatabase(mappings = {}) {
+  // SQLite backend - indexed lookups straight from catalog.db
+  if (appConfig.database.backend === 'sqlite') {
+    if (fs.existsSync(CATALOG_DB)) {
+      return loadSqliteDatabase(CATALOG_DB);
+    }
+    logger.warn(`⚠️ ${CATALOG_DB} not found (run: npm run build-sqlite), falling back to JSON`);
+  }
+  
+  let rawData;
+  let contentHash;
+  
+  // Try gzipped version first
+  if (fs.existsSync(CATALOG_GZ)) {
+    logger.info(`📦 Loading database from ${CATALOG_GZ}...`);
+    const compressed = await fs.promises.readFile(CATALOG_GZ);
+    contentHash = hashContent(compressed);
+    rawData = (await gunzip(compressed)).toString('utf-8');
+  } 
+  // Fallback to uncompressed
+  else if (fs.existsSync(CATALOG_JSON)) {
+    logger.info(`📄 Loading database from ${CATALOG_JSON}...`);
+    rawData = await fs.promises.readFile(CATALOG_JSON, 'utf-8');
+    contentHash = hashContent(rawData);
+  } 
+  // No database available
+  else {
+    logger.warn('⚠️ No pre-bundled database found. Please run: npm run build-db');
+    return createEmptyDatabase();
+  }
+  
+  const next = JSON.parse(rawData);
+  next._contentHash = contentHash;
+  await pause();
+  
+  // Build lookup indices for fast access
+  buildIndices(next, mappings);
+  
+  return next;
+}
+
+/**
+ * Number of anime in a database object (either backend)
+ */
+function countAnime(db) {
+  if (!db) return 0;
+  if (db._store) return db._store.count;
+  return db.catalog?.length || 0;
+}
+
+/**
+ * Build the search index for a database object (either backend)
+ * @returns {Promise<Object>} The index
+ */
+async function buildSearchIndex(db, mappings) {
+  const startTime = Date.now();
+  const catalog = db._store ? db._store.getAll() : db.catalog || [];
+  const index = await runStepsAsync(searchIndexSteps(catalog, {
+    getSynonyms: anime => mappings[anime.imdb_id || anime.id]?.syn
+  }));
+  logger.info(`[DB] Search index: ${index.size} anime, ${index.words} words (${Date.now() - startTime}ms)`);
+  return index;
+}
+
+/**
+ * Digest of a catalog file's contents
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * DB version of a database object - from the catalog file's contents, so any edit
+ * gets a new version (and the same file always the same one)
+ */
+function getDbVersion(db) {
+  return crypto.createHash('sha1')
+    .update(`${db.version ?? ''}|${db.buildDate || ''}|${countAnime(db)}|${db._contentHash || ''}`)
+    .digest('hex')
+    .slice(0, 10);
+}
+
+/**
+ * Precompute the browse catalog views for a database object (either backend)
+ * @returns {Promise<Object>} The views
+ */
+async function buildCatalogViews(db, policy = getContentPolicy()) {
+  const startTime = Date.now();
+  const catalog = db._store ? db._store.getAll() : db.catalog || [];
+  const views = await runStepsAsync(catalogViewsSteps(catalog, { version: db._dbVersion, policy }));
+  logger.info(`[DB] Catalog views: ${views.size} views, ${views.entries} entries (${Date.now() - startTime}ms)`);
+  return views;
+}
+
+/**
+ * Open catalog.db and wrap it in the database shape used by the getters below
+ */
+function loadSqliteDatabase(dbPath) {
+  logger.info(`🗄️ Loading database from ${dbPath}...`);
+  const { size, mtimeMs } = fs.statSync(dbPath);
+  const store = openCatalogDb(dbPath);
+  return {
+    version: store.version,
+    buildDate: store.buildDate,
+    stats: store.stats,
+    _contentHash: hashContent(`${size}|${mtimeMs}`),
+    _store: store
+  };
+}
+
 /**
  * Create an empty database structure
  */
@@ -91,61 +324,88 @@ function createEmptyDatabase() {
     buildDate: null,
     catalog: [],
     stats: { totalAnime: 0 },
-    _indices: {
-      byId: new Map(),
-      byMalId: new Map(),
-      byImdbId: new Map(),
-      bySeason: new Map()
-    }
+    _indices: createIndices()
   };
 }
 
-/**
- * Build lookup indices for fast access
- */
-function buildIndices(db) {
-  db._indices = {
+function createIndices() {
+  return {
     byId: new Map(),
-    byMalId: new Map(),
     byImdbId: new Map(),
-    bySeason: new Map()
+    bySeason: new Map(),
+    // External IDs (see EXTERNAL_ID_FIELDS)
+    byMalId: new Map(),
+    byKitsuId: new Map(),
+    byAnilistId: new Map(),
+    byAnidbId: new Map(),
+    byTvdbId: new Map()
   };
+}
+
+// External ID indices: catalog fields first, id-mappings.json (by IMDB ID) as fallback.
+// Matches the columns written by sqliteCatalog.writeCatalogDb.
+const EXTERNAL_ID_FIELDS = {
+  byMalId: { fields: ['mal_id', 'malId'], mapping: 'mal' },
+  byKitsuId: { fields: ['kitsu_id'], mapping: 'kitsu' },
+  byAnilistId: { fields: ['anilist_id'], mapping: 'al' },
+  byAnidbId: { fields: ['anidb_id'], mapping: 'adb' },
+  byTvdbId: { fields: ['tvdb_id'], mapping: 'tvdb' }
+};
+
+/**
+ * Build lookup indices for fast access
+ * @param {Object} db - Parsed catalog
+ * @param {Object} mappings - Parsed id-mappings.json
+ */
+function buildIndices(db, mappings = {}) {
+  const indices = createIndices();
   
   // Update stats for display (handle both old and new format)
   db.stats = db.stats || { totalAnime: db.totalAnime || db.catalog?.length || 0 };
   
   for (const item of db.catalog || []) {
     // Index by full ID (mal-{id} or tt{imdbId})
-    db._indices.byId.set(item.id, item);
-    
-    // Index by MAL ID number (handle both malId and mal_id field names)
-    const malId = item.malId || item.mal_id;
-    if (malId) {
-      db._indices.byMalId.set(malId, item);
-    }
+    indices.byId.set(item.id, item);
     
     // Index by IMDB ID for stream addon compatibility
     if (item.imdb_id) {
-      db._indices.byImdbId.set(item.imdb_id, item);
+      indices.byImdbId.set(item.imdb_id, item);
     }
     
     // Index by season for Season Releases catalog
     if (item.season && item.year) {
       const seasonKey = `${item.year}-${item.season.toLowerCase()}`;
-      if (!db._indices.bySeason.has(seasonKey)) {
-        db._indices.bySeason.set(seasonKey, []);
+      if (!indices.bySeason.has(seasonKey)) {
+        indices.bySeason.set(seasonKey, []);
       }
-      db._indices.bySeason.get(seasonKey).push(item);
+      indices.bySeason.get(seasonKey).push(item);
+    }
+  }
+  
+  // External IDs in two passes, so an entry's own ID always beats one inherited
+  // from the id-mappings entry of a shared IMDB ID
+  for (const [indexName, { mapping }] of Object.entries(EXTERNAL_ID_FIELDS)) {
+    for (const item of db.catalog || []) {
+      const externalId = parseInt(item.imdb_id && mappings[item.imdb_id]?.[mapping]);
+      if (externalId) indices[indexName].set(externalId, item);
+    }
+  }
+  for (const [indexName, { fields }] of Object.entries(EXTERNAL_ID_FIELDS)) {
+    for (const item of db.catalog || []) {
+      const externalId = parseInt(fields.map(field => item[field]).find(Boolean));
+      if (externalId) indices[indexName].set(externalId, item);
     }
   }
   
-  logger.debug(`Built indices: ${db._indices.byId.size} IDs, ${db._indices.byImdbId.size} IMDB mappings, ${db._indices.bySeason.size} seasons`);
+  db._indices = indices;
+  logger.debug(`Built indices: ${indices.byId.size} IDs, ${indices.byImdbId.size} IMDB, ${indices.byMalId.size} MAL, ${indices.byKitsuId.size} Kitsu, ${indices.byAnilistId.size} AniList, ${indices.byAnidbId.size} AniDB, ${indices.byTvdbId.size} TVDB, ${indices.bySeason.size} seasons`);
 }
 
 /**
  * Check if database is loaded and ready
  */
 function isReady() {
+  if (database?._store) return database._store.count > 0;
   return database !== null && database.catalog && database.catalog.length > 0;
 }
 
@@ -153,6 +413,7 @@ function isReady() {
  * Get an anime by ID
  */
 function getById(id) {
+  if (database?._store) return database._store.getById(id);
   if (!database || !database._indices) return null;
   return database._indices.byId.get(id);
 }
@@ -161,22 +422,81 @@ function getById(id) {
  * Get an anime by MAL ID
  */
 function getByMalId(malId) {
-  if (!database || !database._indices) return null;
-  return database._indices.byMalId.get(parseInt(malId));
+  return getByExternalId('mal', malId);
 }
 
 /**
  * Get an anime by IMDB ID
  */
 function getByImdbId(imdbId) {
+  if (database?._store) return database._store.getByImdbId(imdbId);
   if (!database || !database._indices) return null;
   return database._indices.byImdbId.get(imdbId);
 }
 
+/**
+ * Get an anime by Kitsu ID
+ */
+function getByKitsuId(kitsuId) {
+  return getByExternalId('kitsu', kitsuId);
+}
+
+/**
+ * Get an anime by AniList ID
+ * The catalog has no AniList field - it comes from id-mappings.json
+ */
+function getByAnilistId(anilistId) {
+  return getByExternalId('anilist', anilistId);
+}
+
+// External ID source -> [JSON index, SQLite store method]
+const EXTERNAL_ID_LOOKUPS = {
+  mal: ['byMalId', 'getByMalId'],
+  kitsu: ['byKitsuId', 'getByKitsuId'],
+  anilist: ['byAnilistId', 'getByAnilistId'],
+  anidb: ['byAnidbId', 'getByAnidbId'],
+  tvdb: ['byTvdbId', 'getByTvdbId']
+};
+
+/**
+ * Get an anime by an external ID
+ * @param {string} source - 'mal', 'kitsu', 'anilist', 'anidb' or 'tvdb'
+ * @param {number|string} externalId - ID within that source
+ */
+function getByExternalId(source, externalId) {
+  const lookup = EXTERNAL_ID_LOOKUPS[source];
+  const id = parseInt(externalId);
+  if (!lookup || !id) return null;
+  
+  if (database?._store) return database._store[lookup[1]](id) || null;
+  if (!database || !database._indices) return null;
+  return database._indices[lookup[0]].get(id) || null;
+}
+
+/**
+ * Resolve any supported anime ID (tt…, mal-…, kitsu:…, mal:…, anilist:…, with episode
+ * suffixes - see core/animeIds) to a catalog entry
+ * @returns {Object|null} { anime, ...parseAnimeId(id) }, or null if unknown
+ */
+function resolveAnimeId(id) {
+  const parsed = parseAnimeId(id);
+  if (!parsed) return null;
+  
+  let anime = null;
+  if (parsed.source === 'imdb' || parsed.source === 'catalog') {
+    anime = getById(parsed.value) || getByImdbId(parsed.value);
+  } else {
+    anime = getByExternalId(parsed.source, parsed.value);
+  }
+  
+  return anime ? { anime, ...parsed } : null;
+}
+
 /**
  * Get anime for a specific season
  */
 function getBySeason(year, season) {
+  if (database?._store) return database._store.getBySeason(year, season);
   if (!database || !database._indices) return [];
   const seasonKey = `${year}-${season.toLowerCase()}`;
   return database._indices.bySeason.get(seasonKey) || [];
@@ -186,9 +506,91 @@ function getBySeason(year, season) {
  * Get full catalog
  */
 function getCatalog() {
+  if (database?._store) return database._store.getAll();
   return database?.catalog || [];
 }
 
+/**
+ * Get the search index built with the current database (null before the first load)
+ */
+function getSearchIndex() {
+  return database?._searchIndex || null;
+}
+
+/**
+ * Keep a replaced database's views as a snapshot (newest first, at most MAX_CATALOG_SNAPSHOTS)
+ */
+function retireCatalogViews(db) {
+  catalogSnapshots.delete(db._dbVersion);
+  const snapshots = [[db._dbVersion, { views: db._catalogViews, retiredAt: Date.now() }], ...catalogSnapshots];
+  catalogSnapshots.clear();
+  for (const [version, snapshot] of snapshots.slice(0, MAX_CATALOG_SNAPSHOTS)) {
+    catalogSnapshots.set(version, snapshot);
+  }
+  logger.info(`[DB] Kept catalog views of ${db._dbVersion} as a snapshot for ${appConfig.database.snapshotTtl}s`);
+}
+
+/**
+ * Snapshot of an earlier DB version's views (null if unknown or expired)
+ */
+function getCatalogSnapshot(version) {
+  const snapshot = catalogSnapshots.get(version);
+  if (!snapshot) return null;
+  if (Date.now() - snapshot.retiredAt > appConfig.database.snapshotTtl * 1000) {
+    catalogSnapshots.delete(version);
+    return null;
+  }
+  return snapshot.views;
+}
+
+/**
+ * Rebuild a database's catalog views in the background and swap them in when done
+ * The result is dropped if the database or the content policy was replaced meanwhile.
+ */
+function rebuildCatalogViews(db, policy = getContentPolicy()) {
+  if (!db._viewsRebuild) {
+    const rebuild = buildCatalogViews(db, policy)
+      .then(views => {
+        if (database === db && getContentPolicy() === policy) db._catalogViews = views;
+      })
+      .catch(err => logger.error(`[DB] Catalog views rebuild failed: ${err.message}`))
+      .finally(() => {
+        if (db._viewsRebuild === rebuild) db._viewsRebuild = null;
+      });
+    db._viewsRebuild = rebuild;
+  }
+  return db._viewsRebuild;
+}
+
+/**
+ * Get the precomputed browse catalog views (null before the first load)
+ * With a version from an earlier load, that load's snapshot is returned while it is
+ * kept; otherwise the current views. Views built in an earlier season are rebuilt in
+ * the background - the season and movie handlers select by the current season and
+ * year - and until then there are none, so catalogs are selected per request.
+ * @param {string} version - DB version a client started paging on (optional)
+ * @returns {Object|null} Views ({ get, version, ... })
+ */
+function getCatalogViews(version = null) {
+  if (!database) return null;
+  if (version && version !== database._dbVersion) {
+    const snapshot = getCatalogSnapshot(version);
+    if (snapshot) return snapshot;
+  }
+  if (!database._catalogViews || database._catalogViews.period !== getViewPeriod()) {
+    rebuildCatalogViews(database);
+    return null;
+  }
+  return database._catalogViews;
+}
+
+/**
+ * DB version of the current load (null before the first load)
+ */
+function getDatabaseVersion() {
+  return database?._dbVersion || null;
+}
+
 /**
  * Get database stats
  */
@@ -196,28 +598,327 @@ function getStats() {
   return {
     totalAnime: database?.stats?.totalAnime || 0,
     buildDate: database?.buildDate,
-    version: database?.version
+    version: database?.version,
+    dbVersion: database?._dbVersion || null,
+    backend: database?._store ? 'sqlite' : 'json'
   };
 }
 
 /**
  * Load filter options (genres, seasons, etc. with counts)
+ * Cached until the next reload or until the watcher sees filter-options.json change
  */
 function loadFilterOptions() {
+  if (filterOptions !== undefined) return filterOptions;
+  
+  filterOptions = null;
   try {
     if (fs.existsSync(FILTER_OPTIONS_PATH)) {
-      return JSON.parse(fs.readFileSync(FILTER_OPTIONS_PATH, 'utf8'));
+      filterOptions = JSON.parse(fs.readFileSync(FILTER_OPTIONS_PATH, 'utf8'));
     }
   } catch (err) {
     logger.warn('Could not load filter-options.json:', err.message);
   }
+  return filterOptions;
+}
+
+/**
+ * Reload/watch statistics for /admin/stats
+ */
+function getReloadStats() {
+  return {
+    reloadCount,
+    failedReloads,
+    watching: dataWatcher !== null,
+    lastLoad,
+    lastError: loadError?.message || null,
+    lastReload: reloadHistory[0] || null,
+    snapshots: [...catalogSnapshots].map(([version, { retiredAt }]) => ({
+      version,
+      retiredAt: new Date(retiredAt).toISOString()
+    })),
+    history: reloadHistory
+  };
+}
+
+/**
+ * Watch the data directory and hot-reload on changes
+ * - catalog.json.gz / catalog.json / catalog.db -> full database reload (atomic swap)
+ * - filter-options.json -> drop the cached options so the next manifest re-renders
+ * - id-mappings.json / episode-mappings.json / franchise-relations.json / similar-anime.json /
+ *   airing-schedule.json -> drop the lazily loaded mappings
+ * - hentai-blacklist.json / nsfw-allowlist.json -> reload the content policy and rebuild
+ *   the catalog views
+ * Changes are debounced because build scripts write files in several steps.
+ * @param {number} debounceMs - Quiet period before reacting to a change
+ */
+function watchDataFiles(debounceMs = 2000) {
+  if (dataWatcher) return dataWatcher;
+  
+  const catalogFiles = new Set([path.basename(CATALOG_GZ), path.basename(CATALOG_JSON)]);
+  if (path.dirname(CATALOG_DB) === DATA_DIR) catalogFiles.add(path.basename(CATALOG_DB));
+  const filterFile = path.basename(FILTER_OPTIONS_PATH);
+  const idMappingsFile = path.basename(ID_MAPPINGS_PATH);
+  const episodeMappingsFile = path.basename(EPISODE_MAPPINGS_PATH);
+  const franchiseRelationsFile = path.basename(FRANCHISE_RELATIONS_PATH);
+  const similarFile = path.basename(SIMILAR_PATH);
+  const airingScheduleFile = path.basename(AIRING_SCHEDULE_PATH);
+  const contentPolicyFiles = new Set([path.basename(CONTENT_BLACKLIST_PATH), path.basename(CONTENT_ALLOWLIST_PATH)]);
+  const timers = new Map();
+  
+  const debounce = (key, fn) => {
+    clearTimeout(timers.get(key));
+    timers.set(key, setTimeout(() => {
+      timers.delete(key);
+      fn();
+    }, debounceMs));
+  };
+  
+  try {
+    dataWatcher = fs.watch(DATA_DIR, (eventType, filename) => {
+      if (!filename) return;
+      
+      if (catalogFiles.has(filename)) {
+        debounce('catalog', () => {
+          logger.info(`[DB] ${filename} changed on disk`);
+          loadDatabase(true, 'watch').catch(err => logger.error(`[DB] Watch reload failed: ${err.message}`));
+        });
+      } else if (filename === filterFile) {
+        debounce('filters', () => {
+          logger.info(`[DB] ${filename} changed on disk, refreshing manifest options`);
+          filterOptions = undefined;
+        });
+      } else if (filename === idMappingsFile) {
+        debounce('id-mappings', () => {
+          logger.info(`[DB] ${filename} changed on disk, reloading ID mappings and search synonyms`);
+          idMappings = null;
+          const db = database;
+          if (db) {
+            // Synchronous, so no request sees half-built indices; the search index is
+            // built in the background and replaces the old one when done
+            if (!db._store) buildIndices(db, loadIdMappings());
+            buildSearchIndex(db, loadIdMappings())
+              .then(index => {
+                if (database === db) db._searchIndex = index;
+              })
+              .catch(err => logger.error(`[DB] Search index rebuild failed: ${err.message}`));
+          }
+        });
+      } else if (filename === episodeMappingsFile) {
+        debounce('episode-mappings', () => {
+          logger.info(`[DB] ${filename} changed on disk, reloading episode mappings`);
+          episodeMapper = null;
+        });
+      } else if (filename === franchiseRelationsFile) {
+        debounce('franchise-relations', () => {
+          logger.info(`[DB] ${filename} changed on disk, reloading franchise relations`);
+          franchiseIndex = null;
+        });
+      } else if (filename === similarFile) {
+        debounce('similar', () => {
+          logger.info(`[DB] ${filename} changed on disk, reloading similar titles`);
+          similarIndex = null;
+        });
+      } else if (filename === airingScheduleFile) {
+        debounce('airing-schedule', () => {
+          logger.info(`[DB] ${filename} changed on disk, reloading airing schedule`);
+          airingSchedule = null;
+        });
+      } else if (contentPolicyFiles.has(filename)) {
+        debounce('content-policy', () => {
+          logger.info(`[DB] ${filename} changed on disk, reloading content policy`);
+          contentPolicy = readContentPolicy();
+          if (database) {
+            // The current views keep serving until the new ones are built
+            database._viewsRebuild = null;
+            rebuildCatalogViews(database, contentPolicy);
+          }
+        });
+      }
+    });
+    dataWatcher.unref();
+    logger.info(`[DB] Watching ${DATA_DIR} for catalog changes`);
+  } catch (err) {
+    logger.warn(`[DB] Could not watch data directory: ${err.message}`);
+    dataWatcher = null;
+  }
+  
+  return dataWatcher;
+}
+
+/**
+ * Get ID mapping entry for an IMDB ID from id-mappings.json
+ * Contains AniDB ID, TVDB season info and synonyms (used for torrent search)
+ */
+function getIdMapping(imdbId) {
+  if (!imdbId) return null;
+  return loadIdMappings()[imdbId] || null;
+}
+
+/**
+ * Load id-mappings.json once (empty object if missing)
+ */
+function loadIdMappings() {
+  if (idMappings === null) {
+    idMappings = readIdMappings();
+  }
+  
+  return idMappings;
+}
+
+/**
+ * Read id-mappings.json from disk (empty object if missing or unreadable)
+ */
+function readIdMappings() {
+  try {
+    if (fs.existsSync(ID_MAPPINGS_PATH)) {
+      const mappings = JSON.parse(fs.readFileSync(ID_MAPPINGS_PATH, 'utf8'));
+      logger.debug(`Loaded ID mappings for ${Object.keys(mappings).length} anime`);
+      return mappings;
+    }
+  } catch (err) {
+    logger.warn('Could not load id-mappings.json:', err.message);
+  }
+  return {};
+}
+
+/**
+ * Get the season <-> absolute episode mapper built from episode-mappings.json
+ * Falls back to an empty mapper (episodes pass through unchanged) if the file is missing
+ */
+function getEpisodeMapper() {
+  if (episodeMapper === null) {
+    let data = null;
+    try {
+      if (fs.existsSync(EPISODE_MAPPINGS_PATH)) {
+        data = JSON.parse(fs.readFileSync(EPISODE_MAPPINGS_PATH, 'utf8'));
+      } else {
+        logger.warn('⚠️ No episode-mappings.json found. Please run: npm run build-episode-mappings');
+      }
+    } catch (err) {
+      logger.warn('Could not load episode-mappings.json:', err.message);
+    }
+    episodeMapper = createEpisodeMapper(data);
+    logger.debug(`Loaded episode mappings for ${episodeMapper.size} shows`);
+  }
+  
+  return episodeMapper;
+}
+
+/**
+ * Get the franchise index built from franchise-relations.json
+ * Falls back to an empty index (no relations, no franchises) if the file is missing
+ */
+function getFranchiseIndex() {
+  if (franchiseIndex === null) {
+    let data = null;
+    try {
+      if (fs.existsSync(FRANCHISE_RELATIONS_PATH)) {
+        data = JSON.parse(fs.readFileSync(FRANCHISE_RELATIONS_PATH, 'utf8'));
+      } else {
+        logger.debug('No franchise-relations.json found (node scripts/build-franchise-relations.js)');
+      }
+    } catch (err) {
+      logger.warn('Could not load franchise-relations.json:', err.message);
+    }
+    franchiseIndex = createFranchiseIndex(data, id => getById(id) || null);
+    logger.debug(`Loaded franchise relations for ${franchiseIndex.size} anime`);
+  }
+  
+  return franchiseIndex;
+}
+
+/**
+ * Get the similar-titles index built from similar-anime.json
+ * Falls back to an empty index (no recommendations) if the file is missing
+ */
+function getSimilarIndex() {
+  if (similarIndex === null) {
+    let data = null;
+    try {
+      if (fs.existsSync(SIMILAR_PATH)) {
+        data = JSON.parse(fs.readFileSync(SIMILAR_PATH, 'utf8'));
+      } else {
+        logger.warn('⚠️ No similar-anime.json found. Please run: npm run build-recommendations');
+      }
+    } catch (err) {
+      logger.warn('Could not load similar-anime.json:', err.message);
+    }
+    similarIndex = createSimilarIndex(data, id => getById(id) || null);
+    logger.debug(`Loaded similar titles for ${similarIndex.size} anime`);
+  }
+  
+  return similarIndex;
+}
+
+/**
+ * Get the airing schedule built from airing-schedule.json
+ * Falls back to an empty schedule (no countdowns or release dates) if the file is missing
+ */
+function getAiringSchedule() {
+  if (airingSchedule === null) {
+    let data = null;
+    try {
+      if (fs.existsSync(AIRING_SCHEDULE_PATH)) {
+        data = JSON.parse(fs.readFileSync(AIRING_SCHEDULE_PATH, 'utf8'));
+      } else {
+        logger.debug('No airing-schedule.json found (npm run build-airing-schedule)');
+      }
+    } catch (err) {
+      logger.warn('Could not load airing-schedule.json:', err.message);
+    }
+    airingSchedule = createAiringSchedule(data, id => getById(id) || null);
+    logger.debug(`Loaded airing schedule for ${airingSchedule.size} anime`);
+  }
+  
+  return airingSchedule;
+}
+
+/**
+ * Read one of the content policy's lists (null if it is missing or unreadable)
+ */
+function readPolicyList(filePath, missingHint) {
+  const name = path.basename(filePath);
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+    logger.debug(`No ${name} found${missingHint ? ` (${missingHint})` : ''}`);
+  } catch (err) {
+    logger.warn(`Could not load ${name}:`, err.message);
+  }
   return null;
 }
 
+/**
+ * Read the content policy with hentai-blacklist.json and nsfw-allowlist.json
+ * (built-in lists only if they are missing)
+ */
+function readContentPolicy() {
+  const policy = createContentPolicy({
+    blacklist: readPolicyList(CONTENT_BLACKLIST_PATH, 'node scripts/detect-hentai.js'),
+    allowlist: readPolicyList(CONTENT_ALLOWLIST_PATH)
+  });
+  logger.debug(`Loaded content policy with ${policy.size} blacklisted IDs/titles, ${policy.allowed} allowlisted IDs`);
+  return policy;
+}
+
+/**
+ * Get the content policy (which titles each nsfw= level may see)
+ */
+function getContentPolicy() {
+  if (contentPolicy === null) {
+    contentPolicy = readContentPolicy();
+  }
+  
+  return contentPolicy;
+}
+
 /**
  * Get available seasons list (e.g., ["2025-winter", "2025-fall", ...])
  */
 function getAvailableSeasons() {
+  if (database?._store) return database._store.getAvailableSeasons().sort().reverse();
   if (!database || !database._indices) return [];
   return Array.from(database._indices.bySeason.keys()).sort().reverse();
 }
@@ -228,9 +929,24 @@ module.exports = {
   getById,
   getByMalId,
   getByImdbId,
+  getByKitsuId,
+  getByAnilistId,
+  getByExternalId,
+  resolveAnimeId,
   getBySeason,
   getCatalog,
+  getSearchIndex,
+  getCatalogViews,
+  getDatabaseVersion,
   getStats,
   loadFilterOptions,
+  getReloadStats,
+  watchDataFiles,
+  getIdMapping,
+  getEpisodeMapper,
+  getFranchiseIndex,
+  getSimilarIndex,
+  getAiringSchedule,
+  getContentPolicy,
   getAvailableSeasons
 };
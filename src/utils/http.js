@@ -0,0 +1,21 @@
+/**
+ * HTTP Helpers
+ * Shared request headers for upstream scraping
+ */
+
+/**
+ * Build headers that mimic a real browser
+ * Nyaa, AnimeTosho and Kitsunekko reject obvious bot user agents
+ */
+function buildBrowserHeaders(referer = null) {
+  return {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'application/json, text/plain, */*',
+    'Accept-Language': 'en-US,en;q=0.9',
+    ...(referer ? { 'Referer': referer } : {})
+  };
+}
+
+module.exports = {
+  buildBrowserHeaders
+};
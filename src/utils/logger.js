@@ -1,9 +1,23 @@
 /**
- * Simple Logger
- * Minimal logging utility
+ * Logger
+ *
+ * Levels: error, warn, info, debug.
+ *
+ * - LOG_LEVEL sets the default level and optional per-module overrides:
+ *     LOG_LEVEL=info
+ *     LOG_LEVEL=stream:debug,catalog:warn        (default stays info)
+ *     LOG_LEVEL=warn,stream:debug
+ * - LOG_FORMAT=json prints one JSON object per line (time, level, module,
+ *   requestId, tag, msg, err); the default text format stays human-readable.
+ * - Every line logged while handling a request carries its request ID
+ *   (see utils/requestContext).
+ *
+ * Modules get their own logger with logger.child('stream').
  */
 
+const util = require('util');
 const config = require('../config/env');
+const { getRequestId } = require('./requestContext');
 
 const LOG_LEVELS = {
   error: 0,
@@ -12,36 +26,97 @@ const LOG_LEVELS = {
   debug: 3
 };
 
-const currentLevel = LOG_LEVELS[config.logging.level] || LOG_LEVELS.info;
+const JSON_FORMAT = config.logging.format === 'json';
+
+/**
+ * Parse LOG_LEVEL into a default level and per-module overrides
+ */
+function parseLevels(value) {
+  const levels = { default: LOG_LEVELS.info, modules: {} };
+
+  for (const part of (value || '').split(',')) {
+    const [first, second] = part.trim().toLowerCase().split(':');
+    if (second !== undefined) {
+      if (first && second in LOG_LEVELS) levels.modules[first] = LOG_LEVELS[second];
+    } else if (first in LOG_LEVELS) {
+      levels.default = LOG_LEVELS[first];
+    }
+  }
+
+  return levels;
+}
+
+const levels = parseLevels(config.logging.level);
 
 function formatTimestamp() {
   return new Date().toISOString();
 }
 
-const logger = {
-  error: (...args) => {
-    if (currentLevel >= LOG_LEVELS.error) {
-      console.error(`[${formatTimestamp()}] [ERROR]`, ...args);
-    }
-  },
-  
-  warn: (...args) => {
-    if (currentLevel >= LOG_LEVELS.warn) {
-      console.warn(`[${formatTimestamp()}] [WARN]`, ...args);
-    }
-  },
-  
-  info: (...args) => {
-    if (currentLevel >= LOG_LEVELS.info) {
-      console.log(`[${formatTimestamp()}] [INFO]`, ...args);
-    }
-  },
-  
-  debug: (...args) => {
-    if (currentLevel >= LOG_LEVELS.debug) {
-      console.log(`[${formatTimestamp()}] [DEBUG]`, ...args);
+/**
+ * Serialise one log call as a JSON line
+ * A leading "[TAG] " in the message becomes the `tag` field; Error arguments become `err`.
+ */
+function formatJson(level, module, args) {
+  const entry = { time: formatTimestamp(), level };
+  if (module) entry.module = module;
+
+  const requestId = getRequestId();
+  if (requestId) entry.requestId = requestId;
+
+  const errors = args.filter(arg => arg instanceof Error);
+  let msg = util.format(...args.filter(arg => !(arg instanceof Error)));
+
+  const tagMatch = msg.match(/^\[([A-Za-z0-9_-]+)\]\s*/);
+  if (tagMatch) {
+    entry.tag = tagMatch[1];
+    msg = msg.slice(tagMatch[0].length);
+  }
+  entry.msg = msg;
+
+  if (errors.length > 0) {
+    entry.err = { message: errors[0].message, stack: errors[0].stack };
+  }
+
+  return JSON.stringify(entry);
+}
+
+/**
+ * Create a logger for a module (null = application-wide logger)
+ */
+function createLogger(module = null) {
+  const threshold = module && module in levels.modules ? levels.modules[module] : levels.default;
+
+  function write(level, stream, args) {
+    if (LOG_LEVELS[level] > threshold) return;
+
+    if (JSON_FORMAT) {
+      stream(formatJson(level, module, args));
+      return;
     }
+
+    const requestId = getRequestId();
+    const prefix = `[${formatTimestamp()}] [${level.toUpperCase()}]${requestId ? ` [${requestId}]` : ''}`;
+    stream(prefix, ...args);
   }
-};
+
+  return {
+    error: (...args) => write('error', console.error, args),
+    warn: (...args) => write('warn', console.warn, args),
+    info: (...args) => write('info', console.log, args),
+    debug: (...args) => write('debug', console.log, args),
+
+    /**
+     * Whether a level is enabled (skip building expensive debug output)
+     */
+    isLevelEnabled: level => LOG_LEVELS[level] <= threshold,
+
+    /**
+     * Logger for a module, honouring LOG_LEVEL overrides such as stream:debug
+     */
+    child: name => createLogger(name)
+  };
+}
+
+const logger = createLogger();
 
 module.exports = logger;
@@ -0,0 +1,273 @@
+/**
+ * Prometheus Metrics
+ *
+ * Small dependency-free registry (counters, gauges, histograms) rendered in the
+ * Prometheus text exposition format at GET /metrics.
+ *
+ * Exported metrics:
+ * - animestream_http_requests_total / _duration_seconds   per route (+ manifest catalog id)
+ * - animestream_upstream_requests_total / _duration_seconds   Jikan, AllAnime, Cinemeta, Nyaa, AnimeTosho
+ * - animestream_cache_*        per-namespace counters and hit ratio (from utils/cache)
+ * - animestream_db_*           catalog size, load duration, reloads
+ * - process_*                  memory and uptime
+ */
+
+const cache = require('./cache');
+const databaseLoader = require('./databaseLoader');
+const { getCatalogIds } = require('../addon/manifest');
+
+const PREFIX = 'animestream_';
+
+// Request latencies - addon routes are mostly <100ms, streams can take several seconds
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const UPSTREAM_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30];
+
+const metrics = [];
+
+/**
+ * Escape a label value for the exposition format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== '');
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function seriesKey(labelNames, labels) {
+  return labelNames.map(name => labels[name] ?? '').join('\u0000');
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+/**
+ * Counter (monotonic)
+ */
+function createCounter(name, help, labelNames = []) {
+  const series = new Map();
+
+  const counter = {
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key);
+      if (entry) {
+        entry.value += value;
+      } else {
+        series.set(key, { labels: pickLabels(labelNames, labels), value });
+      }
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    }
+  };
+
+  metrics.push(counter);
+  return counter;
+}
+
+/**
+ * Gauge computed at scrape time
+ * @param {Function} collect - () => [{ labels, value }]
+ */
+function createGauge(name, help, collect, type = 'gauge') {
+  const gauge = {
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+      for (const { labels = {}, value } of collect()) {
+        if (value === null || value === undefined || Number.isNaN(value)) continue;
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    }
+  };
+
+  metrics.push(gauge);
+  return gauge;
+}
+
+/**
+ * Histogram with cumulative buckets
+ */
+function createHistogram(name, help, labelNames = [], buckets = HTTP_BUCKETS) {
+  const series = new Map();
+
+  const histogram = {
+    observe(labels, seconds) {
+      const key = seriesKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels: pickLabels(labelNames, labels), counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      for (let i = 0; i < buckets.length; i++) {
+        if (seconds <= buckets[i]) entry.counts[i]++;
+      }
+      entry.sum += seconds;
+      entry.count++;
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    }
+  };
+
+  metrics.push(histogram);
+  return histogram;
+}
+
+// === HTTP ===
+
+const httpRequests = createCounter(`${PREFIX}http_requests_total`, 'HTTP requests by route, catalog and status code', ['route', 'catalog', 'status']);
+const httpDuration = createHistogram(`${PREFIX}http_request_duration_seconds`, 'HTTP request latency by route and catalog', ['route', 'catalog'], HTTP_BUCKETS);
+
+// Catalog IDs from the manifest, loaded on the first catalog request
+let catalogIds = null;
+
+/**
+ * Catalog label for a requested catalog ID - 'other' unless the manifest lists it,
+ * so made-up IDs can't create new series
+ */
+function getCatalogLabel(catalogId) {
+  if (catalogIds === null) {
+    catalogIds = new Set(getCatalogIds());
+  }
+  return catalogIds.has(catalogId) ? catalogId : 'other';
+}
+
+/**
+ * Map a request path to a low-cardinality route label (+ catalog id for catalog requests)
+ * Handles both /catalog/... and /{config}/catalog/... forms.
+ */
+function classifyRoute(requestPath) {
+  const match = requestPath.match(/^\/(?:[^/]+\/)?(manifest\.json|catalog|meta|stream|subtitles|configure)(?:\/[^/]+\/([^/.]+))?/);
+  if (match) {
+    const route = match[1] === 'manifest.json' ? 'manifest' : match[1];
+    const catalog = route === 'catalog' ? getCatalogLabel(match[2]) : '';
+    return { route, catalog };
+  }
+
+  const section = requestPath.split('/')[1] || 'root';
+  const known = ['health', 'metrics', 'admin', 'api', 'debrid', 'scraper'];
+  return { route: known.includes(section) ? section : 'other', catalog: '' };
+}
+
+/**
+ * Record a finished HTTP request
+ */
+function observeRequest(requestPath, statusCode, seconds) {
+  const { route, catalog } = classifyRoute(requestPath);
+  httpRequests.inc({ route, catalog, status: statusCode });
+  httpDuration.observe({ route, catalog }, seconds);
+}
+
+// === Upstreams ===
+
+const upstreamRequests = createCounter(`${PREFIX}upstream_requests_total`, 'Upstream API calls by upstream and outcome', ['upstream', 'outcome']);
+const upstreamDuration = createHistogram(`${PREFIX}upstream_request_duration_seconds`, 'Upstream API call latency', ['upstream'], UPSTREAM_BUCKETS);
+
+/**
+ * Time an upstream call
+ * Thrown errors and fetch responses with ok === false count as errors.
+ * @param {string} upstream - 'jikan', 'allanime', 'cinemeta', 'nyaa', 'animetosho', ...
+ * @param {Function} call - async () => result
+ */
+async function trackUpstream(upstream, call) {
+  const start = process.hrtime.bigint();
+  let outcome = 'success';
+  try {
+    const result = await call();
+    if (result && result.ok === false) outcome = 'error';
+    return result;
+  } catch (error) {
+    outcome = error.name === 'TimeoutError' || /timeout/i.test(error.message) ? 'timeout' : 'error';
+    throw error;
+  } finally {
+    upstreamDuration.observe({ upstream }, Number(process.hrtime.bigint() - start) / 1e9);
+    upstreamRequests.inc({ upstream, outcome });
+  }
+}
+
+// === Cache (read from utils/cache at scrape time) ===
+
+const CACHE_COUNTERS = ['hits', 'misses', 'stale', 'coalesced', 'refreshes', 'errors'];
+
+for (const counter of CACHE_COUNTERS) {
+  createGauge(`${PREFIX}cache_${counter}_total`, `Cache ${counter} by namespace`, () =>
+    Object.entries(cache.getMetrics()).map(([namespace, counters]) => ({ labels: { namespace }, value: counters[counter] })),
+  'counter');
+}
+
+createGauge(`${PREFIX}cache_hit_ratio`, 'Share of cache lookups served from cache (fresh or stale) by namespace', () =>
+  Object.entries(cache.getMetrics()).map(([namespace, counters]) => {
+    const served = counters.hits + counters.stale;
+    const lookups = served + counters.misses;
+    return { labels: { namespace }, value: lookups > 0 ? served / lookups : null };
+  }));
+
+// === Database ===
+
+createGauge(`${PREFIX}catalog_size`, 'Anime in the loaded catalog', () => [
+  { value: databaseLoader.getStats().totalAnime || 0 }
+]);
+
+createGauge(`${PREFIX}db_load_duration_seconds`, 'Duration of the last catalog load or reload', () => {
+  const lastLoad = databaseLoader.getReloadStats().lastLoad;
+  return [{ value: lastLoad ? lastLoad.durationMs / 1000 : null }];
+});
+
+createGauge(`${PREFIX}db_last_load_timestamp_seconds`, 'When the catalog was last (re)loaded', () => {
+  const lastLoad = databaseLoader.getReloadStats().lastLoad;
+  return [{ value: lastLoad ? Math.floor(Date.parse(lastLoad.startedAt) / 1000) : null }];
+});
+
+createGauge(`${PREFIX}db_reloads_total`, 'Catalog reloads by result', () => {
+  const { reloadCount, failedReloads } = databaseLoader.getReloadStats();
+  return [
+    { labels: { result: 'success' }, value: reloadCount - failedReloads },
+    { labels: { result: 'failure' }, value: failedReloads }
+  ];
+}, 'counter');
+
+// === Process ===
+
+createGauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => [
+  { value: process.memoryUsage().rss }
+]);
+
+createGauge('process_uptime_seconds', 'Seconds since the process started', () => [
+  { value: Math.floor(process.uptime()) }
+]);
+
+/**
+ * Render every metric in the Prometheus text format
+ */
+function render() {
+  return metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+}
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  observeRequest,
+  trackUpstream,
+  classifyRoute,
+  render
+};
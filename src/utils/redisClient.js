@@ -0,0 +1,179 @@
+/**
+ * Minimal Redis Client
+ *
+ * Just enough RESP2 over a plain TCP socket for the Redis cache backend
+ * (GET/SET/DEL/SCAN/...), so the addon has no Redis dependency to install.
+ * Commands are pipelined on one lazily opened connection; if it drops, pending
+ * commands fail and the next command reconnects.
+ *
+ * The same encoder/parser backs scripts/redis-standin.js, a local stand-in server.
+ */
+
+const net = require('net');
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array} args - Command name and arguments
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Parse one RESP value from a buffer
+ * Error replies are returned as Error instances rather than thrown.
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Where the value starts
+ * @returns {Object|null} { value, offset } or null if the buffer is incomplete
+ */
+function parseReply(buffer, offset = 0) {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP type "${type}"`);
+  }
+}
+
+/**
+ * Create a Redis client
+ * @param {string} url - redis://[:password@]host:port[/db]
+ * @param {Object} options - { timeout } per-command timeout in ms
+ * @returns {Object} { command, close }
+ */
+function createRedisClient(url, options = {}) {
+  const parsed = new URL(url);
+  const host = parsed.hostname || '127.0.0.1';
+  const port = parseInt(parsed.port) || 6379;
+  const password = parsed.password ? decodeURIComponent(parsed.password) : null;
+  const db = parseInt(parsed.pathname.slice(1)) || 0;
+  const timeout = options.timeout || 2000;
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failPending(error) {
+    while (pending.length > 0) {
+      const request = pending.shift();
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+  }
+
+  function onData(chunk) {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+    let reply;
+    let offset = 0;
+    while (pending.length > 0 && (reply = parseReply(buffer, offset))) {
+      offset = reply.offset;
+      const request = pending.shift();
+      clearTimeout(request.timer);
+      if (reply.value instanceof Error) {
+        request.reject(reply.value);
+      } else {
+        request.resolve(reply.value);
+      }
+    }
+    buffer = buffer.subarray(offset);
+  }
+
+  function connect() {
+    socket = net.createConnection({ host, port });
+    socket.setNoDelay(true);
+    socket.unref();
+    buffer = Buffer.alloc(0);
+
+    const current = socket;
+    socket.on('data', onData);
+    socket.on('error', error => {
+      if (socket === current) socket = null;
+      failPending(error);
+    });
+    socket.on('close', () => {
+      if (socket === current) socket = null;
+      failPending(new Error('Redis connection closed'));
+    });
+
+    // AUTH/SELECT are queued ahead of the first real command
+    if (password) send(['AUTH', password]).catch(() => {});
+    if (db) send(['SELECT', db]).catch(() => {});
+  }
+
+  function send(args) {
+    return new Promise((resolve, reject) => {
+      const request = { resolve, reject };
+      request.timer = setTimeout(() => {
+        // A missing reply would desynchronise the pipeline - drop the connection
+        if (socket) socket.destroy(new Error(`Redis command timed out: ${args[0]}`));
+      }, timeout);
+      pending.push(request);
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run a command, e.g. command('SET', key, value, 'PX', 1000)
+   */
+  function command(...args) {
+    if (!socket) connect();
+    return send(args);
+  }
+
+  function close() {
+    if (socket) {
+      socket.end();
+      socket = null;
+    }
+  }
+
+  return {
+    command,
+    close
+  };
+}
+
+module.exports = {
+  createRedisClient,
+  encodeCommand,
+  parseReply
+};
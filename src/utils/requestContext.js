@@ -0,0 +1,44 @@
+/**
+ * Request Context
+ *
+ * Carries the current request ID through async calls (AsyncLocalStorage), so log
+ * lines and upstream calls made anywhere while handling a request can be tied back
+ * to it without threading the ID through every function.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Accept caller-supplied IDs (X-Request-Id from a proxy) only if they are short and log-safe
+const VALID_REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+/**
+ * Use the incoming ID if it is safe, otherwise generate one
+ */
+function createRequestId(incoming) {
+  if (incoming && VALID_REQUEST_ID.test(incoming)) return incoming;
+  return crypto.randomUUID();
+}
+
+/**
+ * Run fn with a request ID in context (no-op wrapper if requestId is empty)
+ */
+function runWithRequestId(requestId, fn) {
+  if (!requestId) return fn();
+  return storage.run({ requestId }, fn);
+}
+
+/**
+ * Request ID of the request currently being handled, or null
+ */
+function getRequestId() {
+  return storage.getStore()?.requestId || null;
+}
+
+module.exports = {
+  createRequestId,
+  runWithRequestId,
+  getRequestId
+};
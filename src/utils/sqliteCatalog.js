@@ -0,0 +1,208 @@
+/**
+ * SQLite Catalog Store
+ *
+ * Optional alternative to the gzipped JSON catalog (DB_BACKEND=sqlite).
+ * Every external ID and the season are indexed columns, so ID and season lookups
+ * read single rows. The search index and browse catalog views are still built
+ * from getAll(), so every entry is parsed into memory once per load.
+ *
+ * The .db file is produced by writeCatalogDb() - see scripts/build-sqlite-db.js
+ * and the --sqlite flag of scripts/build-database-v6.1.js.
+ *
+ * better-sqlite3 is loaded lazily so the default JSON backend works without it.
+ */
+
+const fs = require('fs');
+
+// v2: tvdb_id column (v1 files still open - TVDB lookups just find nothing)
+// v3: dropped the unused FTS5 and genre tables and filter columns (v1/v2 files still open)
+const SCHEMA_VERSION = 3;
+
+const SCHEMA = `
+  CREATE TABLE meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE anime (
+    rowid INTEGER PRIMARY KEY,
+    id TEXT NOT NULL,
+    imdb_id TEXT,
+    mal_id INTEGER,
+    kitsu_id INTEGER,
+    anilist_id INTEGER,
+    anidb_id INTEGER,
+    tvdb_id INTEGER,
+    name TEXT,
+    year INTEGER,
+    season TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX idx_anime_id ON anime(id);
+  CREATE INDEX idx_anime_imdb ON anime(imdb_id);
+  CREATE INDEX idx_anime_mal ON anime(mal_id);
+  CREATE INDEX idx_anime_kitsu ON anime(kitsu_id);
+  CREATE INDEX idx_anime_anilist ON anime(anilist_id);
+  CREATE INDEX idx_anime_anidb ON anime(anidb_id);
+  CREATE INDEX idx_anime_tvdb ON anime(tvdb_id);
+  CREATE INDEX idx_anime_season ON anime(year, season);
+`;
+
+/**
+ * Load better-sqlite3 on demand with a helpful error if it isn't installed
+ */
+function loadDriver() {
+  try {
+    return require('better-sqlite3');
+  } catch (error) {
+    throw new Error('DB_BACKEND=sqlite requires better-sqlite3 (npm install better-sqlite3)');
+  }
+}
+
+/**
+ * Write a catalog to a new SQLite file
+ * Writes to a temporary file first and renames it, so a running server never sees a partial db.
+ * @param {string} dbPath - Output .db path
+ * @param {Object} catalogData - Parsed catalog.json ({ version, buildDate, stats, catalog })
+ * @param {Object} idMappings - Parsed id-mappings.json (IMDB -> { mal, kitsu, al, adb, tvdb, ... })
+ * @returns {number} Number of anime written
+ */
+function writeCatalogDb(dbPath, catalogData, idMappings = {}) {
+  const Database = loadDriver();
+  const tmpPath = `${dbPath}.tmp`;
+  if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+
+  const db = new Database(tmpPath);
+  db.pragma('journal_mode = OFF');
+  db.pragma('synchronous = OFF');
+  db.exec(SCHEMA);
+
+  const insertMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+  const insertAnime = db.prepare(`
+    INSERT INTO anime (id, imdb_id, mal_id, kitsu_id, anilist_id, anidb_id, tvdb_id, name, year, season, data)
+    VALUES (@id, @imdb_id, @mal_id, @kitsu_id, @anilist_id, @anidb_id, @tvdb_id, @name, @year, @season, @data)
+  `);
+
+  const catalog = catalogData.catalog || [];
+
+  db.transaction(() => {
+    insertMeta.run('schemaVersion', String(SCHEMA_VERSION));
+    insertMeta.run('version', String(catalogData.version ?? ''));
+    insertMeta.run('buildDate', catalogData.buildDate || null);
+    insertMeta.run('stats', JSON.stringify(catalogData.stats || { totalAnime: catalog.length }));
+
+    for (const anime of catalog) {
+      const mapping = (anime.imdb_id && idMappings[anime.imdb_id]) || {};
+      insertAnime.run({
+        id: anime.id,
+        imdb_id: anime.imdb_id || null,
+        mal_id: anime.mal_id || anime.malId || mapping.mal || null,
+        kitsu_id: anime.kitsu_id || mapping.kitsu || null,
+        anilist_id: anime.anilist_id || mapping.al || null,
+        anidb_id: anime.anidb_id || mapping.adb || null,
+        tvdb_id: anime.tvdb_id || mapping.tvdb || null,
+        name: anime.name || null,
+        year: anime.year || null,
+        season: anime.season ? anime.season.toLowerCase() : null,
+        data: JSON.stringify(anime)
+      });
+    }
+  })();
+
+  db.close();
+  fs.renameSync(tmpPath, dbPath);
+
+  return catalog.length;
+}
+
+/**
+ * Open a catalog .db file read-only
+ * Parsed rows are memoised by rowid so repeated lookups return the same object.
+ * Duplicate IDs resolve to the last entry, matching the JSON backend's Map indices.
+ * @param {string} dbPath - Path to the .db file
+ * @returns {Object} Store with the lookup methods used by databaseLoader
+ */
+function openCatalogDb(dbPath) {
+  const Database = loadDriver();
+  const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+
+  const metaRows = db.prepare('SELECT key, value FROM meta').all();
+  const meta = Object.fromEntries(metaRows.map(row => [row.key, row.value]));
+
+  const hasTvdbColumn = !!db.prepare("SELECT 1 FROM pragma_table_info('anime') WHERE name = 'tvdb_id'").get();
+
+  const statements = {
+    byId: db.prepare('SELECT rowid, data FROM anime WHERE id = ? ORDER BY rowid DESC LIMIT 1'),
+    byImdbId: db.prepare('SELECT rowid, data FROM anime WHERE imdb_id = ? ORDER BY rowid DESC LIMIT 1'),
+    byMalId: db.prepare('SELECT rowid, data FROM anime WHERE mal_id = ? ORDER BY rowid DESC LIMIT 1'),
+    byKitsuId: db.prepare('SELECT rowid, data FROM anime WHERE kitsu_id = ? ORDER BY rowid DESC LIMIT 1'),
+    byAnilistId: db.prepare('SELECT rowid, data FROM anime WHERE anilist_id = ? ORDER BY rowid DESC LIMIT 1'),
+    byAnidbId: db.prepare('SELECT rowid, data FROM anime WHERE anidb_id = ? ORDER BY rowid DESC LIMIT 1'),
+    byTvdbId: hasTvdbColumn
+      ? db.prepare('SELECT rowid, data FROM anime WHERE tvdb_id = ? ORDER BY rowid DESC LIMIT 1')
+      : { get: () => null },
+    bySeason: db.prepare('SELECT rowid, data FROM anime WHERE year = ? AND season = ? ORDER BY rowid'),
+    seasons: db.prepare('SELECT DISTINCT year, season FROM anime WHERE year IS NOT NULL AND season IS NOT NULL'),
+    all: db.prepare('SELECT rowid, data FROM anime ORDER BY rowid'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM anime')
+  };
+
+  const parsed = new Map();
+  let allRows = null;
+
+  function hydrate(row) {
+    if (!row) return null;
+    let anime = parsed.get(row.rowid);
+    if (!anime) {
+      anime = JSON.parse(row.data);
+      parsed.set(row.rowid, anime);
+    }
+    return anime;
+  }
+
+  const count = statements.count.get().count;
+
+  return {
+    version: meta.version,
+    buildDate: meta.buildDate || null,
+    stats: meta.stats ? JSON.parse(meta.stats) : { totalAnime: count },
+    count,
+
+    getById: id => hydrate(statements.byId.get(id)),
+    getByImdbId: imdbId => hydrate(statements.byImdbId.get(imdbId)),
+    getByMalId: malId => hydrate(statements.byMalId.get(malId)),
+    getByKitsuId: kitsuId => hydrate(statements.byKitsuId.get(kitsuId)),
+    getByAnilistId: anilistId => hydrate(statements.byAnilistId.get(anilistId)),
+    getByAnidbId: anidbId => hydrate(statements.byAnidbId.get(anidbId)),
+    getByTvdbId: tvdbId => hydrate(statements.byTvdbId.get(tvdbId)),
+
+    getBySeason(year, season) {
+      return statements.bySeason.all(parseInt(year), season.toLowerCase()).map(hydrate);
+    },
+
+    getAvailableSeasons() {
+      return statements.seasons.all().map(row => `${row.year}-${row.season}`);
+    },
+
+    /**
+     * Full catalog in build order (materialised once - the search index and catalog
+     * views are built from it)
+     */
+    getAll() {
+      if (!allRows) {
+        allRows = statements.all.all().map(hydrate);
+      }
+      return allRows;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = {
+  writeCatalogDb,
+  openCatalogDb
+};